@@ -0,0 +1,35 @@
+'use strict';
+
+/**
+ * Syntax-check every source and test file without starting the bot.
+ * Usage: node scripts/lint.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const ROOTS = ['src', 'test', 'scripts'];
+
+function _files(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) return _files(full);
+    return entry.name.endsWith('.js') ? [full] : [];
+  });
+}
+
+const root = path.join(__dirname, '..');
+const files = ROOTS.flatMap((dir) => _files(path.join(root, dir)));
+let failed = 0;
+
+for (const file of files) {
+  const result = spawnSync(process.execPath, ['--check', file], { encoding: 'utf8' });
+  if (result.status !== 0) {
+    failed++;
+    process.stderr.write(result.stderr);
+  }
+}
+
+console.log(`${files.length - failed}/${files.length} files OK`);
+process.exit(failed > 0 ? 1 : 0);
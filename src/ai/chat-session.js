@@ -1,22 +1,34 @@
 'use strict';
 
 /**
- * Chat Session Manager — maintains per-contact Gemini chat sessions
+ * Chat Session Manager — maintains per-contact LLM chat sessions
  * with windowed context, automatic pruning, and conversation summaries.
- * Replaces the old unbounded `chats` Map.
+ * Session state lives in the chat_sessions table; the in-memory Map is
+ * only a cache, so eviction and restarts no longer lose context.
+ * History is trimmed to CHAT_HISTORY_TOKEN_BUDGET; once older turns are
+ * dropped, the latest conversation summary is folded into the system prompt.
  */
 
 const config = require('../config');
 const logger = require('../core/logger');
-const gemini = require('./gemini-client');
+const llm = require('./llm-client');
 const promptBuilder = require('./prompt-builder');
+const chatSessionsRepo = require('../database/repositories/chat-sessions.repo');
+const summariesRepo = require('../database/repositories/summaries.repo');
 
-const MAX_SESSIONS = 200; // Max concurrent open sessions
-const SESSION_TTL_MS = 30 * 60 * 1000; // 30 min idle before eviction
+const MAX_SESSIONS = 200; // Max sessions kept in the memory cache
+const SESSION_TTL_MS = 30 * 60 * 1000; // 30 min idle before cache eviction
+
+/**
+ * Rough token estimate (~4 chars per token) — good enough for budgeting.
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
 
 class ChatSessionManager {
   constructor() {
-    /** @type {Map<string, { history: any[], lastAccess: number, turnCount: number, systemInstruction: string }>} */
+    /** @type {Map<string, { history: any[], lastAccess: number, turnCount: number, droppedTurns: number, systemInstruction: string }>} */
     this._sessions = new Map();
 
     // Periodic cleanup every 5 minutes
@@ -25,7 +37,8 @@ class ChatSessionManager {
   }
 
   /**
-   * Get or initialize a chat session entry.
+   * Get a chat session entry — from the cache, rehydrated from SQLite,
+   * or freshly initialized.
    */
   _getEntry(jid, contactProfile = null) {
     let entry = this._sessions.get(jid);
@@ -35,16 +48,33 @@ class ChatSessionManager {
       return entry;
     }
 
-    // Build personalized system instruction once
+    // Build personalized system instruction once per cached entry
     const systemInstruction = promptBuilder.buildSystemPrompt(contactProfile);
+    const stored = this._load(jid);
+
+    if (stored) {
+      entry = {
+        history: stored.history,
+        lastAccess: Date.now(),
+        turnCount: stored.turn_count || 0,
+        droppedTurns: stored.dropped_turns || 0,
+        systemInstruction,
+      };
+      // The budget may have shrunk since the session was saved
+      this._trim(jid, entry);
+      logger.debug({ jid, turns: entry.history.length / 2 }, 'Rehydrated chat session from database');
+    } else {
+      entry = {
+        history: [],
+        lastAccess: Date.now(),
+        turnCount: 0,
+        // Turns compressed into a summary before this session began
+        droppedTurns: this._summarizedCount(jid),
+        systemInstruction,
+      };
+      logger.debug({ jid, totalSessions: this._sessions.size + 1 }, 'Initialized new chat session history');
+    }
 
-    entry = { 
-      history: [], 
-      lastAccess: Date.now(), 
-      turnCount: 0,
-      systemInstruction 
-    };
-    
     this._sessions.set(jid, entry);
 
     // If we've exceeded max sessions, evict oldest
@@ -52,51 +82,130 @@ class ChatSessionManager {
       this._evictOldest();
     }
 
-    logger.debug({ jid, totalSessions: this._sessions.size }, 'Initialized new chat session history');
     return entry;
   }
 
+  _load(jid) {
+    try {
+      return chatSessionsRepo.get(jid);
+    } catch (err) {
+      logger.warn({ err: err.message, jid }, 'Failed to load chat session');
+      return null;
+    }
+  }
+
+  _persist(jid, entry) {
+    try {
+      chatSessionsRepo.save(jid, entry);
+    } catch (err) {
+      logger.warn({ err: err.message, jid }, 'Failed to persist chat session');
+    }
+  }
+
+  _summarizedCount(jid) {
+    try {
+      const summary = summariesRepo.getLatest(jid);
+      if (!summary) return 0;
+      return JSON.parse(summary.message_range).count || 1;
+    } catch {
+      return 0;
+    }
+  }
+
+  /**
+   * Drop the oldest user/assistant pairs until the history fits the
+   * token budget. The most recent exchange is always kept.
+   */
+  _trim(jid, entry) {
+    const budget = config.chat.historyTokenBudget;
+    let tokens = entry.history.reduce((sum, m) => sum + estimateTokens(m.content), 0);
+    let dropped = 0;
+
+    while (tokens > budget && entry.history.length > 2) {
+      const [user, assistant] = entry.history.splice(0, 2);
+      tokens -= estimateTokens(user.content) + estimateTokens(assistant && assistant.content);
+      dropped++;
+    }
+
+    if (dropped > 0) {
+      entry.droppedTurns += dropped;
+      logger.debug({ jid, dropped, tokens }, 'Trimmed chat history to token budget');
+    }
+  }
+
+  /**
+   * System instruction for the next call — with the latest conversation
+   * summary appended once older turns are no longer in the history.
+   */
+  _systemInstructionFor(jid, entry) {
+    if (entry.droppedTurns === 0) return entry.systemInstruction;
+
+    let summary = null;
+    try {
+      summary = summariesRepo.getLatest(jid);
+    } catch { /* non-critical */ }
+
+    if (!summary) return entry.systemInstruction;
+    return `${entry.systemInstruction}\n\nSummary of your earlier conversation with this person:\n${summary.summary_text}`;
+  }
+
   /**
    * Send a message through a contact's session.
-   * Every call creates a fresh chat session with a new key from the pool.
+   * Key rotation and provider failover happen inside the LLM client;
+   * a QuotaError here means every endpoint in the chain is exhausted.
    * @param {string} jid - Contact JID
    * @param {string} userMessage - The inbound message text
    * @param {object} [contactProfile] - Contact profile object
-   * @returns {Promise<string>} AI reply text
+   * @param {object} [opts] - { economy } to use the cheaper model tier
+   * @returns {Promise<{ text: string, usage: object }>} AI reply text and the completion's token usage
    */
-  async reply(jid, userMessage, contactProfile = null) {
+  async reply(jid, userMessage, contactProfile = null, opts = {}) {
     const entry = this._getEntry(jid, contactProfile);
-    const poolSize = config.gemini.apiKeys?.length || 1;
-    let lastErr = null;
-
-    for (let i = 0; i < poolSize; i++) {
-        try {
-          // Create fresh chat session using NEXT available key
-          // This will throw QuotaError if all keys are exhausted
-          const chat = gemini.createChat(entry.systemInstruction, { history: entry.history });
-          
-          const result = await gemini.sendMessage(chat, userMessage);
-          
-          // Update entry state
-          entry.history = result.history;
-          entry.turnCount++;
-          entry.lastAccess = Date.now();
-
-          return result.text;
-        } catch (err) {
-          if (err.name === 'QuotaError') {
-            lastErr = err;
-            if (err.message.includes('All Gemini keys')) {
-              break; // No point in retrying if they are all exhausted
-            }
-            logger.warn({ jid, attempt: i + 1 }, 'Selected key was rate limited, switching to next key...');
-            continue; 
-          }
-          throw err;
-        }
-    }
-    
-    throw lastErr || new Error('All keys in pool are exhausted');
+
+    // Work on a copy so a failed call doesn't leave half a turn in history
+    const chat = llm.createChat(this._systemInstructionFor(jid, entry), {
+      task: 'chat',
+      jid,
+      economy: opts.economy,
+      history: [...entry.history],
+    });
+    const result = await llm.sendMessage(chat, userMessage);
+
+    // Update entry state
+    entry.history = result.history;
+    entry.turnCount++;
+    entry.lastAccess = Date.now();
+    this._trim(jid, entry);
+    this._persist(jid, entry);
+
+    return { text: result.text, usage: result.usage };
+  }
+
+  /**
+   * Rewrite a reply already in the history once the owner has reviewed it:
+   * replace it with the text actually sent, or drop the exchange when
+   * nothing was sent.
+   * @param {string} jid - Contact JID
+   * @param {string} original - Reply text as generated
+   * @param {string|null} revised - Text sent instead, or null if rejected
+   */
+  reviseReply(jid, original, revised) {
+    let entry = this._sessions.get(jid);
+    if (!entry) {
+      const stored = this._load(jid);
+      if (!stored) return;
+      entry = { history: stored.history, turnCount: stored.turn_count, droppedTurns: stored.dropped_turns };
+    }
+
+    const index = entry.history.map((m) => m.role === 'assistant' && m.content === original).lastIndexOf(true);
+    if (index === -1) return;
+
+    if (revised) {
+      entry.history[index] = { role: 'assistant', content: revised };
+    } else {
+      entry.history.splice(index - 1, 2);
+    }
+    this._persist(jid, entry);
   }
 
   /**
@@ -107,49 +216,76 @@ class ChatSessionManager {
   }
 
   /**
-   * Send a message through a contact's session.
+   * Reset a specific contact's session, including its stored history.
    */
-  // reply() already defined above
-
+  reset(jid) {
+    this._sessions.delete(jid);
+    try {
+      chatSessionsRepo.remove(jid);
+    } catch (err) {
+      logger.warn({ err: err.message, jid }, 'Failed to delete stored chat session');
+    }
+    logger.debug({ jid }, 'Chat session reset');
+  }
 
   /**
-   * Reset a specific contact's session (e.g., after context compression).
+   * Drop a cached entry so the next message rebuilds its system prompt
+   * (e.g. after a profile or group persona change). Stored history is kept.
    */
-  reset(jid) {
+  invalidate(jid) {
     this._sessions.delete(jid);
-    logger.debug({ jid }, 'Chat session reset');
   }
 
   /**
-   * Reset all sessions.
+   * Reset all sessions, including stored history.
    */
   resetAll() {
     this._sessions.clear();
+    try {
+      chatSessionsRepo.removeAll();
+    } catch (err) {
+      logger.warn({ err: err.message }, 'Failed to delete stored chat sessions');
+    }
     logger.info('All chat sessions reset');
   }
 
   /**
-   * Get session info for a contact.
+   * Get session info for a contact (cached or stored).
    */
   getInfo(jid) {
     const entry = this._sessions.get(jid);
-    if (!entry) return null;
+    if (entry) {
+      return {
+        turnCount: entry.turnCount,
+        droppedTurns: entry.droppedTurns,
+        lastAccess: entry.lastAccess,
+        idleMs: Date.now() - entry.lastAccess,
+        cached: true,
+      };
+    }
+
+    const stored = this._load(jid);
+    if (!stored) return null;
+    const lastAccess = new Date(stored.updated_at.replace(' ', 'T') + 'Z').getTime();
     return {
-      turnCount: entry.turnCount,
-      lastAccess: entry.lastAccess,
-      idleMs: Date.now() - entry.lastAccess,
+      turnCount: stored.turn_count,
+      droppedTurns: stored.dropped_turns,
+      lastAccess,
+      idleMs: Date.now() - lastAccess,
+      cached: false,
     };
   }
 
   /**
-   * Get count of active sessions.
+   * Get count of sessions held in the memory cache.
    */
   get size() {
     return this._sessions.size;
   }
 
   /**
-   * Evict sessions older than SESSION_TTL_MS.
+   * Evict sessions idle longer than SESSION_TTL_MS from the cache
+   * (they stay in the database and rehydrate on the next message).
    */
   _evictStale() {
     const now = Date.now();
@@ -0,0 +1,108 @@
+'use strict';
+
+/**
+ * Circuit Breaker — per-endpoint health gate for LLM calls.
+ * closed    → requests flow normally
+ * open      → requests are skipped until the cooldown (or provider retry delay) passes
+ * half_open → one trial request is let through; success closes, failure re-opens
+ */
+
+const STATES = Object.freeze({ CLOSED: 'closed', OPEN: 'open', HALF_OPEN: 'half_open' });
+
+class CircuitBreaker {
+  /**
+   * @param {object} opts - { name, threshold, cooldownMs }
+   */
+  constructor(opts) {
+    this.name = opts.name;
+    this.threshold = opts.threshold;
+    this.cooldownMs = opts.cooldownMs;
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.openUntil = 0;
+    this.lastError = null;
+    this._trialInFlight = false;
+  }
+
+  /**
+   * Whether a request may be attempted right now.
+   * Moves an expired open breaker to half_open and reserves the single trial.
+   */
+  canRequest() {
+    if (this.state === STATES.CLOSED) return true;
+
+    if (this.state === STATES.OPEN) {
+      if (Date.now() < this.openUntil) return false;
+      this.state = STATES.HALF_OPEN;
+      this._trialInFlight = false;
+    }
+
+    // half_open: only one trial at a time
+    if (this._trialInFlight) return false;
+    this._trialInFlight = true;
+    return true;
+  }
+
+  /**
+   * Whether the breaker would currently reject requests (no side effects).
+   */
+  isOpen() {
+    if (this.state === STATES.OPEN) return Date.now() < this.openUntil;
+    return this.state === STATES.HALF_OPEN && this._trialInFlight;
+  }
+
+  recordSuccess() {
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.openUntil = 0;
+    this.lastError = null;
+    this._trialInFlight = false;
+  }
+
+  /**
+   * Record a failed call. Opens after `threshold` consecutive failures,
+   * or immediately when a failed trial comes back from half_open.
+   */
+  recordFailure(err) {
+    this.failures++;
+    this.lastError = err ? err.message : null;
+    if (this.state === STATES.HALF_OPEN || this.failures >= this.threshold) {
+      this._open(this.cooldownMs);
+    }
+  }
+
+  /**
+   * Trip immediately for a quota error, honouring the provider's retry delay.
+   * @param {number} retryAfterSec - Parsed from the 429 response
+   */
+  trip(retryAfterSec, err) {
+    this.failures++;
+    this.lastError = err ? err.message : 'quota exceeded';
+    this._open(Math.max(1, retryAfterSec) * 1000);
+  }
+
+  _open(durationMs) {
+    this.state = STATES.OPEN;
+    this.openUntil = Date.now() + durationMs;
+    this._trialInFlight = false;
+  }
+
+  /**
+   * Milliseconds until the breaker allows a trial request (0 if it already does).
+   */
+  remainingMs() {
+    return this.state === STATES.OPEN ? Math.max(0, this.openUntil - Date.now()) : 0;
+  }
+
+  snapshot() {
+    return {
+      name: this.name,
+      state: this.isOpen() ? this.state : (this.state === STATES.OPEN ? STATES.HALF_OPEN : this.state),
+      failures: this.failures,
+      retryInMs: this.remainingMs(),
+      lastError: this.lastError,
+    };
+  }
+}
+
+module.exports = { CircuitBreaker, STATES };
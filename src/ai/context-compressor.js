@@ -6,7 +6,7 @@
  * Works with SQLite conversation_summaries table.
  */
 
-const gemini = require('./gemini-client');
+const llm = require('./llm-client');
 const logger = require('../core/logger');
 
 const COMPRESS_PROMPT = `Summarize this WhatsApp conversation between a user and a bot. Keep it under 150 words. Preserve: key topics discussed, any promises made, important facts mentioned, and the overall tone. This summary will be used as context for future conversations.
@@ -17,9 +17,10 @@ Conversation:
 /**
  * Compress a set of messages into a concise summary.
  * @param {Array<{direction: string, content: string, created_at: string}>} messages
+ * @param {string} [jid] - Contact the conversation belongs to (usage accounting)
  * @returns {Promise<string>} Summary text
  */
-async function compress(messages) {
+async function compress(messages, jid) {
   if (!messages || messages.length === 0) {
     return '';
   }
@@ -30,7 +31,9 @@ async function compress(messages) {
   });
 
   try {
-    const summary = await gemini.generate(COMPRESS_PROMPT + lines.join('\n'), {
+    const summary = await llm.generate(COMPRESS_PROMPT + lines.join('\n'), {
+      task: 'compression',
+      jid,
       temperature: 0.2,
       maxTokens: 200,
     });
@@ -47,9 +50,10 @@ async function compress(messages) {
  * This avoids re-reading the full history every time.
  * @param {string} existingSummary - Previous compressed summary
  * @param {Array<{direction: string, content: string}>} newMessages
+ * @param {string} [jid] - Contact the conversation belongs to (usage accounting)
  * @returns {Promise<string>} Updated summary
  */
-async function merge(existingSummary, newMessages) {
+async function merge(existingSummary, newMessages, jid) {
   if (!newMessages || newMessages.length === 0) {
     return existingSummary;
   }
@@ -62,7 +66,7 @@ async function merge(existingSummary, newMessages) {
   const mergePrompt = `Here is a summary of past conversations:\n"${existingSummary}"\n\nHere are new messages:\n${newLines.join('\n')}\n\nCreate an updated summary (under 150 words) that combines both. Preserve key facts, promises, and tone.`;
 
   try {
-    return await gemini.generate(mergePrompt, { temperature: 0.2, maxTokens: 200 });
+    return await llm.generate(mergePrompt, { task: 'compression', jid, temperature: 0.2, maxTokens: 200 });
   } catch (err) {
     logger.warn({ err: err.message }, 'Summary merge failed');
     return existingSummary;
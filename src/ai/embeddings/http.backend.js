@@ -0,0 +1,40 @@
+'use strict';
+
+/**
+ * HTTP backend — posts texts to an OpenAI-compatible /embeddings endpoint
+ * (OpenAI, LocalAI, Ollama, text-embeddings-inference, or a local stub
+ * server in tests).
+ */
+
+const axios = require('axios');
+
+class HttpBackend {
+  /**
+   * @param {object} settings - { url, apiKey, model, timeoutMs }
+   */
+  constructor(settings) {
+    this.name = 'http';
+    this.url = settings.url;
+    this.apiKey = settings.apiKey;
+    this.model = settings.model;
+    this.timeoutMs = settings.timeoutMs;
+  }
+
+  /**
+   * @param {string[]} texts
+   * @returns {Promise<number[][]>}
+   */
+  async embed(texts) {
+    const { data } = await axios.post(this.url, { model: this.model, input: texts }, {
+      headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+      timeout: this.timeoutMs,
+    });
+
+    // Entries carry their input index; don't rely on response order
+    return [...((data && data.data) || [])]
+      .sort((a, b) => a.index - b.index)
+      .map((d) => d.embedding);
+  }
+}
+
+module.exports = HttpBackend;
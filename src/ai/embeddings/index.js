@@ -0,0 +1,87 @@
+'use strict';
+
+/**
+ * Embeddings Registry — builds and caches the embedder chosen by
+ * EMBEDDING_BACKEND. Every backend implements the same interface:
+ *   name, model, embed(texts) → Promise<number[][]> (one vector per text)
+ */
+
+const config = require('../../config');
+
+/**
+ * Backend factories by name.
+ */
+const BACKENDS = {
+  onnx: () => {
+    const OnnxBackend = require('./onnx.backend');
+    return new OnnxBackend(config.embeddings.onnx);
+  },
+  http: () => {
+    const HttpBackend = require('./http.backend');
+    return new HttpBackend({ ...config.embeddings.http, timeoutMs: config.embeddings.timeoutMs });
+  },
+};
+
+let backend = null;
+
+/**
+ * Whether KB entries should be embedded at all (EMBEDDING_BACKEND != none).
+ */
+function isEnabled() {
+  return config.embeddings.backend !== 'none';
+}
+
+/**
+ * Get (or lazily build) the configured backend.
+ */
+function get() {
+  if (backend) return backend;
+
+  const create = BACKENDS[config.embeddings.backend];
+  if (!create) throw new Error(`Unknown embedding backend: ${config.embeddings.backend}`);
+  backend = create();
+  return backend;
+}
+
+/**
+ * Identifies the vector space ("onnx:Xenova/all-MiniLM-L6-v2"). Vectors made
+ * by a different backend or model are not comparable and get re-embedded.
+ */
+function modelId() {
+  const b = get();
+  return `${b.name}:${b.model}`;
+}
+
+/**
+ * Scale a vector to unit length, so cosine similarity is a dot product.
+ */
+function _normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  return norm > 0 ? vector.map((v) => v / norm) : vector;
+}
+
+/**
+ * Embed texts with the configured backend.
+ * @param {string[]} texts
+ * @returns {Promise<number[][]>} Unit-length vectors, in input order
+ */
+async function embed(texts) {
+  if (texts.length === 0) return [];
+  const vectors = await get().embed(texts);
+  if (!Array.isArray(vectors) || vectors.length !== texts.length) {
+    throw new Error(`Embedding backend returned ${vectors ? vectors.length : 0} vectors for ${texts.length} texts`);
+  }
+  return vectors.map(_normalize);
+}
+
+/**
+ * Register (or replace) a backend — e.g. a stub backend in scripts.
+ * @param {string} name
+ * @param {Function} create - () => backend instance
+ */
+function register(name, create) {
+  BACKENDS[name] = create;
+  backend = null;
+}
+
+module.exports = { isEnabled, get, modelId, embed, register };
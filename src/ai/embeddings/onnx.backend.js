@@ -0,0 +1,52 @@
+'use strict';
+
+/**
+ * ONNX backend — runs a sentence-transformer model locally with
+ * transformers.js (@huggingface/transformers, an optional dependency). The
+ * model is downloaded once into the transformers.js cache on first use.
+ */
+
+class OnnxBackend {
+  /**
+   * @param {object} settings - { model, cacheDir }
+   */
+  constructor(settings) {
+    this.name = 'onnx';
+    this.model = settings.model;
+    this.cacheDir = settings.cacheDir;
+    this._extractor = null;
+  }
+
+  /**
+   * Load the feature-extraction pipeline once; concurrent callers share it.
+   */
+  _load() {
+    if (!this._extractor) {
+      this._extractor = (async () => {
+        let transformers;
+        try {
+          transformers = await import('@huggingface/transformers');
+        } catch {
+          throw new Error('EMBEDDING_BACKEND=onnx needs the @huggingface/transformers package (npm install @huggingface/transformers)');
+        }
+        if (this.cacheDir) transformers.env.cacheDir = this.cacheDir;
+        return transformers.pipeline('feature-extraction', this.model);
+      })();
+      // A failed load is retried on the next call
+      this._extractor.catch(() => { this._extractor = null; });
+    }
+    return this._extractor;
+  }
+
+  /**
+   * @param {string[]} texts
+   * @returns {Promise<number[][]>} Mean-pooled sentence vectors
+   */
+  async embed(texts) {
+    const extractor = await this._load();
+    const output = await extractor(texts, { pooling: 'mean', normalize: true });
+    return output.tolist();
+  }
+}
+
+module.exports = OnnxBackend;
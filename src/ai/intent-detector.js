@@ -1,11 +1,11 @@
 'use strict';
 
 /**
- * Intent Detector — classifies inbound messages by intent using Gemini.
+ * Intent Detector — classifies inbound messages by intent using the LLM.
  * Returns structured intent + confidence for routing.
  */
 
-const gemini = require('./gemini-client');
+const llm = require('./llm-client');
 const logger = require('../core/logger');
 
 const INTENT_LABELS = [
@@ -34,9 +34,11 @@ Message: `;
 /**
  * Detect both intent and mood in a single AI call to save quota.
  * @param {string} text - The message text
+ * @param {object} [opts] - { jid, economy } passed through to the LLM client;
+ *   { localOnly: true } skips the AI call and uses the fast paths only
  * @returns {Promise<{intent: string, confidence: number, mood: string, moodIntensity: number, language: string}>}
  */
-async function analyze(text) {
+async function analyze(text, opts = {}) {
   if (!text || text.trim().length === 0) {
     return { intent: 'general', confidence: 1.0, mood: 'neutral', moodIntensity: 0.0, language: 'en' };
   }
@@ -61,8 +63,15 @@ async function analyze(text) {
     };
   }
 
+  if (opts.localOnly) {
+    return { intent: 'general', confidence: 0.3, mood: 'neutral', moodIntensity: 0.3, language: 'en' };
+  }
+
   try {
-    const raw = await gemini.generate(ANALYZE_PROMPT + `"${text}"`, {
+    const raw = await llm.generate(ANALYZE_PROMPT + `"${text}"`, {
+      task: 'intent',
+      jid: opts.jid,
+      economy: opts.economy,
       temperature: 0.1,
       maxTokens: 100,
     });
@@ -113,8 +122,8 @@ async function analyze(text) {
 /**
  * Legacy detect method for backward compatibility.
  */
-async function detect(text) {
-  const result = await analyze(text);
+async function detect(text, opts) {
+  const result = await analyze(text, opts);
   return { intent: result.intent, confidence: result.confidence, language: result.language };
 }
 
@@ -0,0 +1,338 @@
+'use strict';
+
+/**
+ * LLM Client — provider-agnostic facade over the driver registry.
+ * All AI calls in the app go through here. The driver is chosen per task
+ * (LLM_TASK_PROVIDERS), falling back to LLM_PROVIDER.
+ * Requests walk an ordered failover chain (task provider, then LLM_CHAIN),
+ * one endpoint per API key, skipping endpoints whose circuit breaker is open.
+ * Every completion's token usage is published as `llm:usage` on the bus.
+ */
+
+const config = require('../config');
+const logger = require('../core/logger');
+const bus = require('../core/event-bus');
+const providers = require('./providers');
+
+/** Custom error class for quota exhaustion */
+class QuotaError extends Error {
+  constructor(msg, retryAfter = 60) {
+    super(msg);
+    this.name = 'QuotaError';
+    this.status = 429;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Extract retry delay (in seconds) from a 429 error response.
+ */
+function _parseRetryDelay(err) {
+  try {
+    const header = err.headers?.['retry-after'] || err.response?.headers?.['retry-after'];
+    if (header && !isNaN(Number(header))) return Math.ceil(Number(header));
+
+    const msg = err.message || '';
+    const match = msg.match(/retry\s*(?:in|Delay[":]*)\s*["']?(\d+(?:\.\d+)?)/i);
+    if (match) return Math.ceil(parseFloat(match[1]));
+  } catch { /* ignore */ }
+  return 60; // default 60s
+}
+
+/**
+ * Resolve the provider name configured for a task.
+ * @param {string} [task] - chat | intent | mood | followup | schedule | learning | summary | translation | compression | vision
+ */
+function providerNameFor(task) {
+  return (task && config.llm.tasks[task]) || config.llm.provider;
+}
+
+/**
+ * Ordered provider names to try for a task: its own provider, then LLM_CHAIN.
+ * @param {string} [task]
+ * @param {string} [preferred] - Provider to put first instead of the task's
+ */
+function chainFor(task, preferred) {
+  const first = preferred || providerNameFor(task);
+  return [first, ...config.llm.chain.filter((p) => p !== first)];
+}
+
+/**
+ * Model to request from a provider: explicit override for the preferred
+ * provider, then the economy model when asked for, then the driver default.
+ */
+function _modelFor(provider, isPreferred, opts) {
+  return (isPreferred && opts.model)
+    || (opts.economy && config.llm.economyModels[provider.name])
+    || provider.defaultModel;
+}
+
+/**
+ * Image-capable model for a provider (LLM_VISION_MODELS, else the default
+ * model of drivers that are multimodal out of the box), or null.
+ */
+function _visionModelFor(provider, isPreferred, opts) {
+  return (isPreferred && opts.model)
+    || config.llm.visionModels[provider.name]
+    || (provider.supportsVision ? provider.defaultModel : null);
+}
+
+/**
+ * Publish a completion's token usage for accounting.
+ */
+function _emitUsage(result, meta) {
+  bus.safeEmit('llm:usage', {
+    jid: meta.jid || null,
+    purpose: meta.task || 'chat',
+    provider: result.provider,
+    model: result.model,
+    usage: result.usage,
+  });
+}
+
+/**
+ * Run one completion against an endpoint, with retry on transient failures.
+ */
+async function _complete(endpoint, request, maxRetries = 2) {
+  const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    try {
+      return await endpoint.provider.complete(request);
+    } catch (err) {
+      const status = err.status || (err.response ? err.response.status : null);
+
+      if (status === 429) {
+        const retryAfter = _parseRetryDelay(err);
+        logger.warn({ endpoint: endpoint.id, retryAfter }, 'LLM API quota exceeded');
+        throw new QuotaError(`${endpoint.provider.name} API quota exceeded`, retryAfter);
+      }
+
+      const isTransient = status >= 500 || err.code === 'ECONNRESET' || err.code === 'ETIMEDOUT' || err.code === 'ECONNABORTED';
+      if (isTransient && attempt < maxRetries) {
+        const backoff = 1000 * Math.pow(2, attempt);
+        logger.warn({ endpoint: endpoint.id, attempt, backoff, err: err.message }, 'LLM transient error, retrying');
+        await sleep(backoff);
+        continue;
+      }
+      throw err;
+    }
+  }
+}
+
+/**
+ * Walk the failover chain until an endpoint answers.
+ * Quota errors trip the endpoint's breaker for the provider's retry delay;
+ * other failures count towards the breaker threshold.
+ * @param {string[]} names - Provider names in order
+ * @param {Function} buildRequest - (provider, isPreferred) => request, or null to skip the provider
+ * @param {number} maxRetries - Transient retries per endpoint
+ * @throws {QuotaError} When every endpoint is open or failed
+ */
+async function _runChain(names, buildRequest, maxRetries) {
+  let lastErr = null;
+  let retryAfter = Infinity;
+
+  for (const name of names) {
+    for (const endpoint of providers.getEndpoints(name)) {
+      if (!endpoint.provider.isConfigured()) continue;
+
+      // Built first: canRequest() reserves a half-open breaker's one trial,
+      // which only a recorded success or failure gives back
+      const request = buildRequest(endpoint.provider, name === names[0]);
+      if (!request) continue;
+
+      if (!endpoint.breaker.canRequest()) {
+        retryAfter = Math.min(retryAfter, endpoint.breaker.remainingMs() / 1000);
+        continue;
+      }
+
+      try {
+        const result = await _complete(endpoint, request, maxRetries);
+        endpoint.breaker.recordSuccess();
+        if (lastErr) logger.info({ endpoint: endpoint.id }, 'LLM request served by fallback endpoint');
+        return { ...result, provider: endpoint.provider.name, endpoint: endpoint.id };
+      } catch (err) {
+        lastErr = err;
+        if (err.name === 'QuotaError') {
+          endpoint.breaker.trip(err.retryAfter, err);
+          retryAfter = Math.min(retryAfter, err.retryAfter);
+        } else {
+          endpoint.breaker.recordFailure(err);
+        }
+        logger.warn({ endpoint: endpoint.id, err: err.message }, 'LLM endpoint failed, falling through');
+      }
+    }
+  }
+
+  if (lastErr && lastErr.name !== 'QuotaError') {
+    logger.error({ err: lastErr.message }, 'All LLM endpoints failed');
+  }
+  const exhausted = new QuotaError('All LLM providers exhausted', Math.ceil(Number.isFinite(retryAfter) ? retryAfter : 60));
+  exhausted.cause = lastErr;
+  throw exhausted;
+}
+
+/**
+ * Create a new chat session with system instruction baked in.
+ * @param {string} systemInstruction - The persona/context prompt
+ * @param {object} [opts] - Optional overrides { task, jid, model, economy, temperature, maxTokens, history }
+ * @returns {object} Chat session
+ */
+function createChat(systemInstruction, opts = {}) {
+  return {
+    task: opts.task || 'chat',
+    jid: opts.jid || null,
+    provider: providerNameFor(opts.task || 'chat'),
+    // Overrides only; each endpoint in the chain falls back to its own defaults
+    model: opts.model || null,
+    economy: Boolean(opts.economy),
+    systemInstruction,
+    history: opts.history || [],
+    temperature: opts.temperature,
+    maxTokens: opts.maxTokens,
+  };
+}
+
+/**
+ * Send a message to a chat session and get the text reply.
+ * Includes retry with exponential backoff.
+ * @param {object} chat - Chat session from createChat()
+ * @param {string} userMessage - The user's message text
+ * @param {number} [maxRetries=2] - Number of retries on transient failure
+ * @returns {Promise<{ text: string, history: object[], usage: object }>}
+ */
+async function sendMessage(chat, userMessage, maxRetries = 2) {
+  const messages = [
+    { role: 'system', content: chat.systemInstruction },
+    ...chat.history,
+    { role: 'user', content: userMessage },
+  ];
+
+  logger.debug({ provider: chat.provider, userMessage: userMessage.substring(0, 100) }, 'Sending chat message to LLM');
+
+  const result = await _runChain(chainFor(chat.task, chat.provider), (provider, isPreferred) => ({
+    model: _modelFor(provider, isPreferred, chat),
+    messages,
+    temperature: chat.temperature ?? provider.temperature,
+    maxTokens: chat.maxTokens ?? provider.maxTokens,
+  }), maxRetries);
+  _emitUsage(result, chat);
+
+  // Update history
+  chat.history.push({ role: 'user', content: userMessage });
+  chat.history.push({ role: 'assistant', content: result.text });
+
+  return {
+    text: result.text,
+    history: chat.history,
+    usage: result.usage,
+    provider: result.provider,
+  };
+}
+
+/**
+ * One-shot generate (no chat context).
+ * @param {string} prompt - The prompt text
+ * @param {object} [opts] - Optional overrides { task, jid, model, economy, temperature, maxTokens }
+ * @returns {Promise<string>} Generated text
+ */
+async function generate(prompt, opts = {}) {
+  const result = await _runChain(chainFor(opts.task), (provider, isPreferred) => ({
+    model: _modelFor(provider, isPreferred, opts),
+    messages: [{ role: 'user', content: prompt }],
+    temperature: opts.temperature ?? provider.temperature,
+    maxTokens: opts.maxTokens ?? provider.maxTokens,
+  }), opts.maxRetries ?? 0);
+  _emitUsage(result, opts);
+
+  return result.text;
+}
+
+/**
+ * Ask a vision-capable model about an image. Walks the `vision` task chain,
+ * skipping providers with no image-capable model.
+ * @param {Buffer} image - Image bytes
+ * @param {string} mimetype - e.g. image/jpeg
+ * @param {string} prompt - Instruction sent alongside the image
+ * @param {object} [opts] - Optional overrides { jid, model, temperature, maxTokens }
+ * @returns {Promise<string>} Generated text
+ */
+async function describeImage(image, mimetype, prompt, opts = {}) {
+  const content = [
+    { type: 'text', text: prompt },
+    { type: 'image_url', image_url: { url: `data:${mimetype};base64,${image.toString('base64')}` } },
+  ];
+
+  const result = await _runChain(chainFor('vision'), (provider, isPreferred) => {
+    const model = _visionModelFor(provider, isPreferred, opts);
+    if (!model) return null;
+    return {
+      model,
+      messages: [{ role: 'user', content }],
+      temperature: opts.temperature ?? 0.2,
+      maxTokens: opts.maxTokens ?? provider.maxTokens,
+    };
+  }, opts.maxRetries ?? 0);
+  _emitUsage(result, { jid: opts.jid, task: 'vision' });
+
+  return result.text;
+}
+
+/**
+ * List models available from a provider.
+ * @param {string} [providerName] - Defaults to LLM_PROVIDER
+ */
+async function listModels(providerName) {
+  const provider = providers.get(providerName || config.llm.provider);
+  try {
+    return await provider.listModels();
+  } catch (err) {
+    logger.error({ err, provider: provider.name }, 'Failed to list models');
+    return [];
+  }
+}
+
+function isAvailable() {
+  try {
+    return providers.get(config.llm.provider).isConfigured();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * True when no endpoint in the task's chain can take a request right now
+ * (all breakers open, or nothing configured).
+ * @param {string} [task='chat']
+ */
+function isQuotaExhausted(task = 'chat') {
+  for (const name of chainFor(task)) {
+    for (const endpoint of providers.getEndpoints(name)) {
+      if (endpoint.provider.isConfigured() && !endpoint.breaker.isOpen()) return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Breaker state of every endpoint reachable from any task.
+ */
+function getStatus() {
+  const names = new Set([config.llm.provider, ...Object.values(config.llm.tasks), ...config.llm.chain]);
+  for (const name of names) providers.getEndpoints(name);
+  return providers.status();
+}
+
+module.exports = {
+  createChat,
+  sendMessage,
+  generate,
+  describeImage,
+  listModels,
+  providerNameFor,
+  isAvailable,
+  isQuotaExhausted,
+  getStatus,
+  QuotaError,
+};
@@ -2,10 +2,10 @@
 
 /**
  * Mood Detector — analyzes sentiment and emotional tone of messages
- * using Gemini. Used for adaptive responses and VIP alerting.
+ * using the LLM. Used for adaptive responses and VIP alerting.
  */
 
-const gemini = require('./gemini-client');
+const llm = require('./llm-client');
 const logger = require('../core/logger');
 
 const MOOD_LABELS = [
@@ -22,15 +22,19 @@ Message: `;
 /**
  * Detect mood of a message.
  * @param {string} text
+ * @param {object} [opts] - { jid, economy } passed through to the LLM client
  * @returns {Promise<{mood: string, intensity: number}>}
  */
-async function detect(text) {
+async function detect(text, opts = {}) {
   if (!text || text.trim().length < 3) {
     return { mood: 'neutral', intensity: 0.5 };
   }
 
   try {
-    const raw = await gemini.generate(MOOD_PROMPT + `"${text}"`, {
+    const raw = await llm.generate(MOOD_PROMPT + `"${text}"`, {
+      task: 'mood',
+      jid: opts.jid,
+      economy: opts.economy,
       temperature: 0.1,
       maxTokens: 60,
     });
@@ -15,10 +15,12 @@ Keep responses natural, witty, and concise.`;
 
 /**
  * Build the full system instruction for a contact's chat session.
- * @param {object|null} contact - Contact profile from DB
+ * @param {object|null} contact - Contact profile from DB (or group settings with is_group)
  * @returns {string}
  */
 function buildSystemPrompt(contact) {
+  if (contact && contact.is_group) return buildGroupSystemPrompt(contact);
+
   const parts = [BASE_PERSONA];
 
   if (contact) {
@@ -60,6 +62,23 @@ function buildSystemPrompt(contact) {
   return parts.join('\n');
 }
 
+/**
+ * Build the system instruction for a group chat session.
+ * @param {object} group - Group settings row (name, persona)
+ * @returns {string}
+ */
+function buildGroupSystemPrompt(group) {
+  const parts = [BASE_PERSONA];
+
+  parts.push(`You are in the WhatsApp group "${group.name || 'group chat'}". Each message is prefixed with the sender's name. Reply only to what was addressed to you, keep it short, and don't speak for ${config.persona.ownerName} on personal matters.`);
+
+  if (group.persona) {
+    parts.push(`Persona for this group: ${group.persona}`);
+  }
+
+  return parts.join('\n');
+}
+
 /**
  * Build a contextual user prompt with enrichments.
  * This wraps the raw user message with any additional context (summaries, KB results, etc.)
@@ -70,6 +89,9 @@ function buildSystemPrompt(contact) {
  * @param {string[]} [context.knowledgeHits] - Relevant KB entries
  * @param {string[]} [context.learnedPatterns] - Owner's learned response patterns
  * @param {string} [context.pendingFollowUps] - Pending follow-up info
+ * @param {string} [context.imageDescription] - What an attached image shows
+ * @param {string[]} [context.scheduledEvents] - Events created from that image
+ * @param {string} [context.availabilityHint] - Where the owner is right now (availability mode)
  * @returns {string}
  */
 function buildUserPrompt(userMessage, context = {}) {
@@ -91,6 +113,18 @@ function buildUserPrompt(userMessage, context = {}) {
     parts.push(`[You previously promised to follow up: ${context.pendingFollowUps}]`);
   }
 
+  if (context.imageDescription) {
+    parts.push(`[They sent an image. It shows: ${context.imageDescription}]`);
+  }
+
+  if (context.scheduledEvents && context.scheduledEvents.length > 0) {
+    parts.push(`[Added to ${config.persona.ownerName}'s calendar from the image: ${context.scheduledEvents.join('; ')}]`);
+  }
+
+  if (context.availabilityHint) {
+    parts.push(`[${context.availabilityHint}]`);
+  }
+
   parts.push(userMessage);
   return parts.join('\n\n');
 }
@@ -123,10 +157,44 @@ function buildFollowUpDetectionPrompt(aiReply) {
   return `Analyze this message and determine if it contains a promise or commitment to follow up later. If yes, extract: what was promised, any deadline mentioned, and priority (1=low, 4=urgent). Respond in JSON format: {"hasFollowUp": boolean, "description": string, "dueHours": number, "priority": number}. If no follow-up, respond: {"hasFollowUp": false}\n\nMessage: "${aiReply}"`;
 }
 
+/**
+ * Prompt to find a promise the contact makes to the owner in their own message.
+ * @param {string} text - The contact's message
+ * @param {string} now - Current local date/time with zone, for deadlines like "by Friday"
+ */
+function buildCommitmentDetectionPrompt(text, now) {
+  return `A contact sent ${config.persona.ownerName} this message. Does the contact promise or commit to do something themselves (send, pay, call back, confirm, deliver...)? Requests to ${config.persona.ownerName} and vague intentions don't count. If yes, extract what they will do (short, e.g. "Send the documents"), hours from now until it is due (use any deadline mentioned, otherwise 24) and priority (1=low, 4=urgent). Respond in JSON format: {"hasCommitment": boolean, "description": string, "dueHours": number, "priority": number}. If not, respond: {"hasCommitment": false}\n\nCurrent date/time: ${now}\n\nMessage: "${text}"`;
+}
+
+/**
+ * Prompt for a polite nudge about something the contact said they would do.
+ * @param {string} name - Contact's name
+ * @param {string} description - What they promised
+ * @param {string} due - When it was expected, in words
+ * @param {string} language - Language code to write in
+ */
+function buildNudgePrompt(name, description, due, language) {
+  return `Write a short, warm WhatsApp message from ${config.persona.ownerName}'s assistant to ${name}, gently checking on something they said they would do: "${description}" (expected ${due}). Be polite and understanding, not pushy; one or two sentences. Write it in the language with code "${language}". Return ONLY the message.`;
+}
+
+/**
+ * Prompt to decide which open follow-ups an owner's message fulfils.
+ * @param {Array<{ id: number, description: string }>} followUps
+ * @param {string} ownerText
+ */
+function buildFollowUpResolutionPrompt(followUps, ownerText) {
+  const list = followUps.map((f) => `${f.id}: ${f.description}`).join('\n');
+  return `These promises were made to a contact and are still open:\n${list}\n\nThe owner just sent the contact the message below. Which promises does it fulfil (delivered, answered or done, not just acknowledged or postponed)? Respond in JSON format: {"resolved": [{"id": number, "reason": "<what in the message fulfils it, under 15 words>"}]}. If none, respond: {"resolved": []}\n\nMessage: "${ownerText}"`;
+}
+
 module.exports = {
   buildSystemPrompt,
+  buildGroupSystemPrompt,
   buildUserPrompt,
   buildSummaryPrompt,
   buildFollowUpDetectionPrompt,
+  buildFollowUpResolutionPrompt,
+  buildCommitmentDetectionPrompt,
+  buildNudgePrompt,
   BASE_PERSONA,
 };
@@ -0,0 +1,119 @@
+'use strict';
+
+/**
+ * Gemini provider — LLM driver backed by @google/genai.
+ * Maps OpenAI-style messages (including image_url content parts) onto
+ * Gemini's contents/systemInstruction shape.
+ */
+
+const logger = require('../../core/logger');
+
+class GeminiProvider {
+  /**
+   * @param {object} settings - { apiKey, model, maxTokens, temperature }
+   */
+  constructor(settings) {
+    this.name = 'gemini';
+    this.apiKey = settings.apiKey;
+    this.defaultModel = settings.model;
+    this.maxTokens = settings.maxTokens;
+    this.temperature = settings.temperature;
+    // Gemini models accept images natively
+    this.supportsVision = true;
+    this._client = null;
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  _ensureClient() {
+    if (this._client) return;
+
+    try {
+      const { GoogleGenAI } = require('@google/genai');
+      this._client = new GoogleGenAI({ apiKey: this.apiKey });
+      logger.info('Gemini client initialized');
+    } catch (err) {
+      logger.error({ err }, 'Failed to initialize Gemini client');
+      throw err;
+    }
+  }
+
+  /**
+   * Run a chat completion.
+   * @param {object} request - { model, messages, temperature, maxTokens }
+   */
+  async complete(request) {
+    this._ensureClient();
+
+    const systemInstruction = request.messages
+      .filter((m) => m.role === 'system')
+      .map((m) => m.content)
+      .join('\n');
+
+    const contents = request.messages
+      .filter((m) => m.role !== 'system')
+      .map((m) => ({
+        role: m.role === 'assistant' ? 'model' : 'user',
+        parts: _parts(m.content),
+      }));
+
+    const response = await this._client.models.generateContent({
+      model: request.model,
+      contents,
+      config: {
+        systemInstruction: systemInstruction || undefined,
+        temperature: request.temperature,
+        maxOutputTokens: request.maxTokens,
+      },
+    });
+
+    const usage = response.usageMetadata || {};
+    return {
+      text: (response.text || '').trim(),
+      model: request.model,
+      usage: {
+        promptTokens: usage.promptTokenCount || 0,
+        completionTokens: usage.candidatesTokenCount || 0,
+        totalTokens: usage.totalTokenCount || 0,
+      },
+    };
+  }
+
+  /**
+   * List available Gemini models.
+   */
+  async listModels() {
+    this._ensureClient();
+
+    const models = [];
+    const pager = await this._client.models.list();
+    for await (const model of pager) {
+      models.push({
+        name: model.name,
+        displayName: model.displayName || model.name,
+        description: model.description || '',
+      });
+    }
+    return models;
+  }
+}
+
+/**
+ * Convert OpenAI-style message content (string or content parts) to Gemini parts.
+ * Images arrive as base64 data URLs.
+ */
+function _parts(content) {
+  if (typeof content === 'string') return [{ text: content }];
+
+  return content.map((part) => {
+    if (part.type === 'image_url') {
+      const [, mimeType, data] = part.image_url.url.match(/^data:([^;]+);base64,(.*)$/) || [];
+      return { inlineData: { mimeType, data } };
+    }
+    return { text: part.text };
+  });
+}
+
+module.exports = GeminiProvider;
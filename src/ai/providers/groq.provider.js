@@ -0,0 +1,83 @@
+'use strict';
+
+/**
+ * Groq provider — LLM driver backed by the groq SDK.
+ * Implements the provider interface used by llm-client.
+ */
+
+const logger = require('../../core/logger');
+
+class GroqProvider {
+  /**
+   * @param {object} settings - { apiKey, model, maxTokens, temperature }
+   */
+  constructor(settings) {
+    this.name = 'groq';
+    this.apiKey = settings.apiKey;
+    this.defaultModel = settings.model;
+    this.maxTokens = settings.maxTokens;
+    this.temperature = settings.temperature;
+    this._client = null;
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  _ensureClient() {
+    if (this._client) return;
+
+    try {
+      const { Groq } = require('groq-sdk');
+      this._client = new Groq({ apiKey: this.apiKey });
+      logger.info('Groq client initialized');
+    } catch (err) {
+      logger.error({ err }, 'Failed to initialize Groq client');
+      throw err;
+    }
+  }
+
+  /**
+   * Run a chat completion.
+   * @param {object} request - { model, messages, temperature, maxTokens }
+   * @returns {Promise<{ text: string, model: string, usage: { promptTokens: number, completionTokens: number, totalTokens: number } }>}
+   */
+  async complete(request) {
+    this._ensureClient();
+
+    const completion = await this._client.chat.completions.create({
+      model: request.model,
+      messages: request.messages,
+      temperature: request.temperature,
+      max_tokens: request.maxTokens,
+      stream: false,
+    });
+
+    const usage = completion.usage || {};
+    return {
+      text: (completion.choices[0].message.content || '').trim(),
+      model: completion.model || request.model,
+      usage: {
+        promptTokens: usage.prompt_tokens || 0,
+        completionTokens: usage.completion_tokens || 0,
+        totalTokens: usage.total_tokens || 0,
+      },
+    };
+  }
+
+  /**
+   * List available Groq models.
+   */
+  async listModels() {
+    this._ensureClient();
+
+    const models = await this._client.models.list();
+    return models.data.map((model) => ({
+      name: model.id,
+      displayName: model.id,
+      description: model.description || '',
+    }));
+  }
+}
+
+module.exports = GroqProvider;
@@ -0,0 +1,114 @@
+'use strict';
+
+/**
+ * Provider Registry — builds and caches LLM driver instances by name.
+ * Every driver implements the same interface:
+ *   name, defaultModel, maxTokens, temperature,
+ *   isConfigured(), complete({ model, messages, temperature, maxTokens }), listModels()
+ *
+ * A provider with several API keys expands into several endpoints
+ * (one driver instance per key), each guarded by its own circuit breaker.
+ */
+
+const config = require('../../config');
+const { CircuitBreaker } = require('../circuit-breaker');
+
+/**
+ * Driver factories: (apiKey) => provider instance. `keys` lists the API keys
+ * to build endpoints for (a single null entry for keyless drivers).
+ */
+const DRIVERS = {
+  groq: {
+    keys: () => config.groq.apiKeys,
+    create: (apiKey) => {
+      const GroqProvider = require('./groq.provider');
+      return new GroqProvider({ ...config.groq, apiKey });
+    },
+  },
+  gemini: {
+    keys: () => config.gemini.apiKeys,
+    create: (apiKey) => {
+      const GeminiProvider = require('./gemini.provider');
+      return new GeminiProvider({ ...config.gemini, apiKey });
+    },
+  },
+  openai: {
+    keys: () => [config.openai.apiKey],
+    create: (apiKey) => {
+      const OpenAiProvider = require('./openai.provider');
+      return new OpenAiProvider({ ...config.openai, apiKey });
+    },
+  },
+};
+
+// name -> Array<{ id, provider, breaker }>
+const endpoints = new Map();
+
+/**
+ * Get (or lazily build) the endpoints for a provider name.
+ * @param {string} name - groq | gemini | openai | any registered name
+ * @returns {Array<{ id: string, provider: object, breaker: CircuitBreaker }>}
+ */
+function getEndpoints(name) {
+  let list = endpoints.get(name);
+  if (list) return list;
+
+  const driver = DRIVERS[name];
+  if (!driver) throw new Error(`Unknown LLM provider: ${name}`);
+
+  const keys = driver.keys();
+  list = (keys.length > 0 ? keys : [null]).map((apiKey, i) => {
+    const id = `${name}#${i + 1}`;
+    return {
+      id,
+      provider: driver.create(apiKey),
+      breaker: new CircuitBreaker({
+        name: id,
+        threshold: config.llm.breakerThreshold,
+        cooldownMs: config.llm.breakerCooldownMs,
+      }),
+    };
+  });
+
+  endpoints.set(name, list);
+  return list;
+}
+
+/**
+ * Get the driver for a provider name (its first endpoint).
+ * @param {string} name
+ */
+function get(name) {
+  return getEndpoints(name)[0].provider;
+}
+
+/**
+ * Register (or replace) a driver — e.g. a stub driver in scripts.
+ * @param {string} name
+ * @param {Function} create - (apiKey) => provider instance
+ * @param {Function} [keys] - () => string[] of API keys (one endpoint each)
+ */
+function register(name, create, keys = () => [null]) {
+  DRIVERS[name] = { create, keys };
+  endpoints.delete(name);
+}
+
+/**
+ * Names of all known drivers.
+ */
+function list() {
+  return Object.keys(DRIVERS);
+}
+
+/**
+ * Breaker state for every endpoint built so far.
+ */
+function status() {
+  const out = [];
+  for (const list of endpoints.values()) {
+    for (const ep of list) out.push(ep.breaker.snapshot());
+  }
+  return out;
+}
+
+module.exports = { get, getEndpoints, register, list, status };
@@ -0,0 +1,94 @@
+'use strict';
+
+/**
+ * OpenAI-compatible provider — LLM driver for any server exposing
+ * /chat/completions and /models (Ollama, llama.cpp server, vLLM, LM Studio,
+ * or a local stub server in tests). Talks plain HTTP via axios.
+ */
+
+const axios = require('axios');
+
+class OpenAiProvider {
+  /**
+   * @param {object} settings - { baseUrl, apiKey, model, maxTokens, temperature, timeoutMs }
+   */
+  constructor(settings) {
+    this.name = 'openai';
+    this.baseUrl = settings.baseUrl;
+    this.apiKey = settings.apiKey;
+    this.defaultModel = settings.model;
+    this.maxTokens = settings.maxTokens;
+    this.temperature = settings.temperature;
+    this.timeoutMs = settings.timeoutMs;
+  }
+
+  isConfigured() {
+    return Boolean(this.baseUrl);
+  }
+
+  _headers() {
+    // Local servers usually need no key; hosted ones expect a Bearer token
+    return this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+  }
+
+  /**
+   * Run a chat completion.
+   * @param {object} request - { model, messages, temperature, maxTokens }
+   */
+  async complete(request) {
+    try {
+      const { data } = await axios.post(`${this.baseUrl}/chat/completions`, {
+        model: request.model,
+        messages: request.messages,
+        temperature: request.temperature,
+        max_tokens: request.maxTokens,
+        stream: false,
+      }, { headers: this._headers(), timeout: this.timeoutMs });
+
+      const usage = data.usage || {};
+      return {
+        text: ((data.choices && data.choices[0] && data.choices[0].message.content) || '').trim(),
+        model: data.model || request.model,
+        usage: {
+          promptTokens: usage.prompt_tokens || 0,
+          completionTokens: usage.completion_tokens || 0,
+          totalTokens: usage.total_tokens || 0,
+        },
+      };
+    } catch (err) {
+      throw _normalizeError(err);
+    }
+  }
+
+  /**
+   * List models served by the endpoint.
+   */
+  async listModels() {
+    try {
+      const { data } = await axios.get(`${this.baseUrl}/models`, { headers: this._headers(), timeout: this.timeoutMs });
+      return (data.data || []).map((model) => ({
+        name: model.id,
+        displayName: model.id,
+        description: model.owned_by || '',
+      }));
+    } catch (err) {
+      throw _normalizeError(err);
+    }
+  }
+}
+
+/**
+ * Surface the HTTP status on the error like the SDK-based drivers do,
+ * and prefer the server's error message over axios' generic one.
+ */
+function _normalizeError(err) {
+  if (err.response) {
+    err.status = err.response.status;
+    const body = err.response.data;
+    const detail = body && (body.error && (body.error.message || body.error) || body.message);
+    if (detail && typeof detail === 'string') err.message = detail;
+  }
+  return err;
+}
+
+module.exports = OpenAiProvider;
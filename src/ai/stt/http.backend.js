@@ -0,0 +1,46 @@
+'use strict';
+
+/**
+ * HTTP backend — posts the audio to an OpenAI-compatible
+ * /audio/transcriptions endpoint (faster-whisper-server, whisper.cpp server,
+ * LocalAI, hosted Whisper, or a local stub server in tests).
+ */
+
+const axios = require('axios');
+const audio = require('../../core/audio');
+
+class HttpBackend {
+  /**
+   * @param {object} settings - { url, apiKey, model, timeoutMs }
+   */
+  constructor(settings) {
+    this.name = 'http';
+    this.url = settings.url;
+    this.apiKey = settings.apiKey;
+    this.model = settings.model;
+    this.timeoutMs = settings.timeoutMs;
+  }
+
+  /**
+   * @param {Buffer} input - Raw audio (sent as-is; the server decodes it)
+   * @param {string} mimetype
+   * @param {object} opts - { language } ("auto" omits the field)
+   */
+  async transcribe(input, mimetype, opts = {}) {
+    const form = new FormData();
+    const type = mimetype || 'audio/ogg';
+    form.append('file', new Blob([input], { type }), `voice.${audio.extFromMime(type)}`);
+    form.append('model', this.model);
+    form.append('response_format', 'json');
+    if (opts.language && opts.language !== 'auto') form.append('language', opts.language);
+
+    const { data } = await axios.post(this.url, form, {
+      headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+      timeout: this.timeoutMs,
+    });
+
+    return typeof data === 'string' ? data : (data && data.text) || '';
+  }
+}
+
+module.exports = HttpBackend;
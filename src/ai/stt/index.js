@@ -0,0 +1,68 @@
+'use strict';
+
+/**
+ * Speech-to-text Registry — builds and caches the STT backend chosen by
+ * STT_BACKEND. Every backend implements the same interface:
+ *   name, transcribe(buffer, mimetype, { language }) → Promise<string>
+ */
+
+const config = require('../../config');
+
+/**
+ * Backend factories by name.
+ */
+const BACKENDS = {
+  'whisper-cpp': () => {
+    const WhisperCppBackend = require('./whisper-cpp.backend');
+    return new WhisperCppBackend({ ...config.stt.whisperCpp, timeoutMs: config.stt.timeoutMs });
+  },
+  http: () => {
+    const HttpBackend = require('./http.backend');
+    return new HttpBackend({ ...config.stt.http, timeoutMs: config.stt.timeoutMs });
+  },
+};
+
+let backend = null;
+
+/**
+ * Whether voice notes should be transcribed at all (STT_BACKEND != none).
+ */
+function isEnabled() {
+  return config.stt.backend !== 'none';
+}
+
+/**
+ * Get (or lazily build) the configured backend.
+ */
+function get() {
+  if (backend) return backend;
+
+  const create = BACKENDS[config.stt.backend];
+  if (!create) throw new Error(`Unknown STT backend: ${config.stt.backend}`);
+  backend = create();
+  return backend;
+}
+
+/**
+ * Transcribe an audio buffer with the configured backend.
+ * @param {Buffer} audio - Raw audio (any format ffmpeg can read)
+ * @param {string} mimetype - e.g. "audio/ogg; codecs=opus"
+ * @param {object} [opts] - { language } (defaults to STT_LANGUAGE)
+ * @returns {Promise<string>} Transcript (may be empty)
+ */
+async function transcribe(audio, mimetype, opts = {}) {
+  const text = await get().transcribe(audio, mimetype, { language: opts.language || config.stt.language });
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Register (or replace) a backend — e.g. a stub backend in scripts.
+ * @param {string} name
+ * @param {Function} create - () => backend instance
+ */
+function register(name, create) {
+  BACKENDS[name] = create;
+  backend = null;
+}
+
+module.exports = { isEnabled, get, transcribe, register };
@@ -0,0 +1,61 @@
+'use strict';
+
+/**
+ * whisper.cpp backend — runs the local whisper-cli binary on a 16 kHz WAV
+ * (converted with ffmpeg) and reads the transcript from stdout.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const audio = require('../../core/audio');
+
+class WhisperCppBackend {
+  /**
+   * @param {object} settings - { bin, model, threads, timeoutMs }
+   */
+  constructor(settings) {
+    this.name = 'whisper-cpp';
+    this.bin = settings.bin;
+    this.model = settings.model;
+    this.threads = settings.threads;
+    this.timeoutMs = settings.timeoutMs;
+  }
+
+  /**
+   * @param {Buffer} input - Raw audio
+   * @param {string} mimetype
+   * @param {object} opts - { language } ("auto" lets whisper detect it)
+   */
+  async transcribe(input, mimetype, opts = {}) {
+    const wav = await audio.toWav16k(input, audio.extFromMime(mimetype));
+    const file = path.join(os.tmpdir(), `stt_${Date.now()}_${Math.random().toString(36).slice(2, 8)}.wav`);
+    fs.writeFileSync(file, wav);
+
+    const args = [
+      '-m', this.model,
+      '-f', file,
+      '-l', opts.language || 'auto',
+      '-t', String(this.threads),
+      '-nt', // no timestamps
+      '-np', // no progress/system prints
+    ];
+
+    try {
+      return await new Promise((resolve, reject) => {
+        execFile(this.bin, args, { timeout: this.timeoutMs, maxBuffer: 4 * 1024 * 1024 }, (err, stdout, stderr) => {
+          if (err) {
+            err.message = `whisper.cpp failed: ${err.message}${stderr ? ` — ${stderr.trim().slice(-200)}` : ''}`;
+            return reject(err);
+          }
+          resolve(stdout);
+        });
+      });
+    } finally {
+      try { fs.unlinkSync(file); } catch { /* ignore */ }
+    }
+  }
+}
+
+module.exports = WhisperCppBackend;
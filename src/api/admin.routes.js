@@ -1,53 +1,143 @@
 'use strict';
 
-const { Router } = require('express');
+const express = require('express');
+const { Router } = express;
+const config = require('../config');
 const followUpTracker = require('../services/follow-up-tracker');
 const scheduleAssistant = require('../services/schedule-assistant');
 const knowledgeBase = require('../services/knowledge-base');
+const knowledgeIo = require('../services/knowledge-io');
+const questionQueue = require('../services/question-queue');
+const calendarIo = require('../services/calendar-io');
+const appointmentBooking = require('../services/appointment-booking');
+const scheduleReminders = require('../services/schedule-reminders');
+const time = require('../core/time');
 const learningEngine = require('../services/learning-engine');
 const ownerSummary = require('../services/owner-summary');
 const memoryManager = require('../services/memory-manager');
+const usageTracker = require('../services/usage-tracker');
+const contactManager = require('../services/contact-manager');
+const replyApproval = require('../services/reply-approval');
+const availabilityModes = require('../services/availability-modes');
 
 const router = Router();
 
 // --- Follow-ups ---
 
+/**
+ * GET /api/admin/follow-ups?jid=&status=all — Open follow-ups (status=all: recent ones in any status)
+ */
 router.get('/follow-ups', (req, res) => {
   try {
-    const pending = followUpTracker.listPending(req.query.jid);
-    res.json({ followUps: pending });
+    const followUps = req.query.status === 'all'
+      ? followUpTracker.listRecent(req.query.jid, Math.min(parseInt(req.query.limit, 10) || 50, 500))
+      : followUpTracker.listPending(req.query.jid);
+    res.json({ followUps });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+/**
+ * POST /api/admin/follow-ups — Body: { jid, description, due?: '3d' | '2026-11-02T10:00', priority?: 1-4 }
+ */
+router.post('/follow-ups', (req, res) => {
+  try {
+    const { jid, description, due, priority } = req.body || {};
+    res.status(201).json({ followUp: followUpTracker.add(jid, description, { due, priority }) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
 router.post('/follow-ups/:id/resolve', (req, res) => {
   try {
-    followUpTracker.resolve(req.params.id);
-    res.json({ success: true });
+    res.json({ success: true, followUp: followUpTracker.resolve(req.params.id) });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/admin/follow-ups/:id/snooze — Body: { duration: '1d' }; no reminders until then
+ */
+router.post('/follow-ups/:id/snooze', (req, res) => {
+  try {
+    res.json(followUpTracker.snooze(req.params.id, req.body && req.body.duration));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/admin/follow-ups/:id/nudge — Body: { text? }; remind the contact of their promise (written for you when omitted)
+ */
+router.post('/follow-ups/:id/nudge', async (req, res) => {
+  try {
+    res.json(await followUpTracker.nudge(req.params.id, req.body && req.body.text));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/admin/follow-ups/:id/priority — Body: { priority: 1-4 }
+ */
+router.post('/follow-ups/:id/priority', (req, res) => {
+  try {
+    res.json({ followUp: followUpTracker.setPriority(req.params.id, req.body && req.body.priority) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/admin/follow-ups/:id/reopen — Undo a resolution (manual or automatic)
+ */
+router.post('/follow-ups/:id/reopen', (req, res) => {
+  try {
+    res.json({ followUp: followUpTracker.reopen(req.params.id) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
 // --- Schedules ---
 
+/**
+ * GET /api/admin/schedules?hours=48&limit=100 — Upcoming occurrences (recurring series expanded)
+ */
 router.get('/schedules', (req, res) => {
   try {
-    const hours = parseInt(req.query.hours, 10) || 48;
-    const schedules = scheduleAssistant.listUpcoming(hours);
+    const hours = Math.min(parseInt(req.query.hours, 10) || 48, 24 * 366);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    const schedules = scheduleAssistant.listUpcoming(hours, limit);
     res.json({ schedules });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+/**
+ * POST /api/admin/schedules — Body: { text: 'dentist friday 3pm' }; add one of the owner's schedules
+ */
+router.post('/schedules', async (req, res) => {
+  try {
+    res.status(201).json({ event: await scheduleAssistant.addFromText(req.body && req.body.text) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/admin/schedules/:id/complete — Mark done; a repeating schedule moves to its next occurrence
+ */
 router.post('/schedules/:id/complete', (req, res) => {
   try {
-    scheduleAssistant.complete(req.params.id);
-    res.json({ success: true });
+    const { schedule, next } = scheduleAssistant.complete(req.params.id);
+    res.json({ success: true, schedule, next });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
@@ -55,18 +145,192 @@ router.post('/schedules/:id/cancel', (req, res) => {
   try {
     scheduleAssistant.cancel(req.params.id);
     res.json({ success: true });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/admin/schedules/:id/audience — Body: { audience: 'owner'|'contact'|'both' }; who gets its reminders
+ */
+router.post('/schedules/:id/audience', (req, res) => {
+  try {
+    res.json({ schedule: scheduleReminders.setAudience(req.params.id, req.body && req.body.audience) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/admin/schedules/:id/snooze — Body: { duration: '2h' } (default 15m); remind again later
+ */
+router.post('/schedules/:id/snooze', (req, res) => {
+  try {
+    res.json(scheduleAssistant.snooze(req.params.id, (req.body && req.body.duration) || undefined));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/admin/schedules/:id/reschedule — Body: { when: '2026-11-02T16:00' or 'tomorrow 4pm' }
+ */
+router.post('/schedules/:id/reschedule', async (req, res) => {
+  try {
+    res.json({ schedule: await scheduleAssistant.reschedule(req.params.id, req.body && req.body.when) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/admin/schedules/:id/skip — Body: { date: 'YYYY-MM-DD' }; skip one occurrence
+ */
+router.post('/schedules/:id/skip', (req, res) => {
+  try {
+    res.json({ schedule: scheduleAssistant.skipDate(req.params.id, req.body && req.body.date) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * DELETE /api/admin/schedules/:id/skip/:date — Restore a skipped occurrence
+ */
+router.delete('/schedules/:id/skip/:date', (req, res) => {
+  try {
+    res.json({ schedule: scheduleAssistant.unskipDate(req.params.id, req.params.date) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/admin/schedules.ics — Every schedule as an iCalendar feed (subscribe from a calendar app)
+ */
+router.get('/schedules.ics', (req, res) => {
+  try {
+    const file = calendarIo.exportCalendar();
+    res.set('Content-Type', `${file.mimetype}; charset=utf-8`);
+    res.set('Content-Disposition', `inline; filename="${file.filename}"`);
+    res.send(file.content);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/admin/schedules/import?dryRun=true
+ * Body: an .ics file (text/calendar), or JSON { content, dryRun }.
+ */
+router.post('/schedules/import', express.text({ type: 'text/*', limit: calendarIo.MAX_IMPORT_BYTES }), (req, res) => {
+  try {
+    const content = req.is('application/json') ? req.body && req.body.content : req.body;
+    const dryRun = ['1', 'true', 'yes'].includes(String(req.query.dryRun || (req.body && req.body.dryRun) || '').toLowerCase());
+    res.json(calendarIo.importCalendar(typeof content === 'string' ? content : '', { dryRun }));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// --- Bookings ---
+
+/**
+ * GET /api/admin/availability?date=YYYY-MM-DD&minutes=30
+ * Free working time that day (owner's zone, default today) and the slots a contact would be offered.
+ */
+router.get('/availability', (req, res) => {
+  try {
+    const timezone = config.persona.ownerTimezone;
+    const date = req.query.date || time.dateKey(new Date(), timezone);
+    const periods = appointmentBooking.freeOn(date);
+    const slots = appointmentBooking.freeSlots({ day: date, minutes: req.query.minutes, timezone });
+    res.json({ date, timezone, periods, slots });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/admin/mode — The owner's current availability mode and every mode's settings
+ */
+router.get('/mode', (req, res) => {
+  try {
+    res.json({ current: availabilityModes.current(), modes: availabilityModes.list() });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/admin/mode — Body: { mode: 'sleeping'|…|'available'|'auto', duration?: '8h' }; switch by hand
+ */
+router.post('/mode', (req, res) => {
+  try {
+    const body = req.body || {};
+    res.json({ current: availabilityModes.setMode(body.mode, body.duration) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * PUT /api/admin/modes/:name
+ * Body: { schedule?, hint?, away_message?, alert_tiers? (array or "2,3") } — null or "" clears a field
+ */
+router.put('/modes/:name', (req, res) => {
+  try {
+    res.json({ mode: availabilityModes.updateMode(req.params.name, req.body || {}) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+router.get('/bookings', (req, res) => {
+  try {
+    res.json({ bookings: appointmentBooking.listPending() });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+/**
+ * POST /api/admin/bookings/:id/confirm — Body: { force } to confirm despite an overlap (else 409)
+ */
+router.post('/bookings/:id/confirm', async (req, res) => {
+  try {
+    const booking = await appointmentBooking.confirm(req.params.id, { force: Boolean(req.body && req.body.force) });
+    res.json({ booking });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/admin/bookings/:id/decline — Body: { reason } (passed on to the contact)
+ */
+router.post('/bookings/:id/decline', async (req, res) => {
+  try {
+    const booking = await appointmentBooking.decline(req.params.id, req.body && req.body.reason);
+    res.json({ booking });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
 // --- Knowledge Base ---
 
 router.get('/knowledge', (req, res) => {
   try {
-    const { category, q } = req.query;
+    const { category, q, mode, limit } = req.query;
     if (q) {
-      return res.json({ entries: knowledgeBase.search(q) });
+      return res.json({
+        entries: knowledgeBase.search(q, {
+          category,
+          mode: mode === 'any' ? 'any' : 'all',
+          limit: Math.min(parseInt(limit, 10) || 20, 100),
+        }),
+      });
     }
     res.json({ entries: knowledgeBase.list(category) });
   } catch (err) {
@@ -76,13 +340,169 @@ router.get('/knowledge', (req, res) => {
 
 router.post('/knowledge', (req, res) => {
   try {
-    const id = knowledgeBase.add(req.body);
+    const id = knowledgeBase.add(req.body || {});
     res.status(201).json({ id });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/admin/knowledge/retrieve?q=&limit=&jid= — What the bot would retrieve for
+ * a message (as seen by contact `jid`, if given), with similarity scores
+ * (for tuning KB_ANSWER_THRESHOLD / KB_MIN_SCORE).
+ */
+router.get('/knowledge/retrieve', async (req, res) => {
+  try {
+    const { q, limit, jid } = req.query;
+    if (!q) return res.status(400).json({ error: 'Missing q parameter' });
+
+    let contact;
+    if (jid) {
+      contact = contactManager.getContact(jid);
+      if (!contact) return res.status(404).json({ error: `Unknown contact: ${jid}` });
+    }
+
+    const entries = await knowledgeBase.retrieve(q, { contact, limit: Math.min(parseInt(limit, 10) || 10, 50), minScore: 0 });
+    res.json({
+      entries,
+      answerThreshold: config.kb.answerThreshold,
+      minScore: config.kb.minScore,
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.post('/knowledge/reindex', async (req, res) => {
+  try {
+    const embedded = await knowledgeBase.reindex();
+    res.json({ embedded });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/admin/knowledge/import?format=json|csv|md&dryRun=true
+ * Body: the raw file with a text/* content type (text/csv, text/markdown, text/plain),
+ * or JSON — an array of entries, { entries }, or { content, format } wrapping a file.
+ * Responds 400 with the report when invalid entries stopped a real import.
+ */
+router.post('/knowledge/import', express.text({ type: 'text/*', limit: knowledgeIo.MAX_IMPORT_BYTES }), (req, res) => {
+  try {
+    let content = req.body;
+    let format = req.query.format;
+    if (req.is('application/json')) {
+      if (req.body && typeof req.body.content === 'string') {
+        content = req.body.content;
+        format = format || req.body.format;
+      } else {
+        content = JSON.stringify(req.body);
+        format = 'json';
+      }
+    }
+
+    const dryRun = ['1', 'true', 'yes'].includes(String(req.query.dryRun || (req.body && req.body.dryRun) || '').toLowerCase());
+    const report = knowledgeIo.importEntries(typeof content === 'string' ? content : '', {
+      format,
+      mimetype: req.get('content-type'),
+      dryRun,
+    });
+    if (!dryRun && report.errors.length > 0) {
+      return res.status(400).json({ error: `${report.errors.length} invalid entries, nothing imported`, report });
+    }
+    res.json(report);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/admin/knowledge/export?format=json|csv|md — The whole KB as a file.
+ */
+router.get('/knowledge/export', (req, res) => {
+  try {
+    const file = knowledgeIo.exportEntries(req.query.format || 'json');
+    res.set('Content-Type', `${file.mimetype}; charset=utf-8`);
+    res.set('Content-Disposition', `attachment; filename="${file.filename}"`);
+    res.send(file.content);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/admin/knowledge/questions?status=pending|answered|dismissed&limit=
+ */
+router.get('/knowledge/questions', (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+    if (!['pending', 'answered', 'dismissed'].includes(status)) {
+      return res.status(400).json({ error: 'status must be pending, answered or dismissed' });
+    }
+    res.json({ questions: questionQueue.list(status, Math.min(parseInt(req.query.limit, 10) || 50, 200)) });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+/**
+ * POST /api/admin/knowledge/questions/:id/answer — Body: { answer, notify, category }
+ */
+router.post('/knowledge/questions/:id/answer', async (req, res) => {
+  try {
+    const { answer, notify, category } = req.body || {};
+    const result = await questionQueue.answer(req.params.id, answer, { notify: Boolean(notify), category });
+    res.json({ success: true, kbId: result.kbId, notified: result.notified });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+router.post('/knowledge/questions/:id/dismiss', (req, res) => {
+  try {
+    questionQueue.dismiss(req.params.id);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * PUT /api/admin/knowledge/:id — Change any of: category, topic, question, answer,
+ * keywords, priority, is_active, valid_from, valid_until, audience_relationships,
+ * audience_tiers, audience_jids (null or '' clears an optional field).
+ */
+router.put('/knowledge/:id', (req, res) => {
+  try {
+    res.json({ entry: knowledgeBase.update(req.params.id, req.body || {}) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+router.get('/knowledge/:id/history', (req, res) => {
+  try {
+    res.json({ versions: knowledgeBase.history(req.params.id) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/admin/knowledge/:id/rollback — Body: { version }
+ */
+router.post('/knowledge/:id/rollback', (req, res) => {
+  try {
+    const version = parseInt(req.body && req.body.version, 10);
+    if (!version) return res.status(400).json({ error: 'Missing version' });
+    res.json({ entry: knowledgeBase.rollback(req.params.id, version) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
 router.delete('/knowledge/:id', (req, res) => {
   try {
     knowledgeBase.remove(req.params.id);
@@ -124,6 +544,64 @@ router.get('/summary/latest', (req, res) => {
   }
 });
 
+// --- LLM usage ---
+
+router.get('/usage', (req, res) => {
+  try {
+    const { period, jid } = req.query;
+    if (period && !usageTracker.PERIODS.includes(period)) {
+      return res.status(400).json({ error: `period must be one of: ${usageTracker.PERIODS.join(', ')}` });
+    }
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const report = usageTracker.getReport({ period, jid, limit });
+
+    if (jid) {
+      const contact = contactManager.getContact(jid);
+      report.budget = contact ? usageTracker.checkBudget(contact) : null;
+    }
+    res.json(report);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- Reply drafts ---
+
+router.get('/drafts', (req, res) => {
+  try {
+    res.json({ drafts: replyApproval.listPending(req.query.jid) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.post('/drafts/:id/approve', async (req, res) => {
+  try {
+    await replyApproval.approve(req.params.id);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+router.post('/drafts/:id/edit', async (req, res) => {
+  try {
+    await replyApproval.edit(req.params.id, req.body.text);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+router.post('/drafts/:id/reject', (req, res) => {
+  try {
+    replyApproval.reject(req.params.id);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
 // --- Memory ---
 
 router.post('/memory/compress', async (req, res) => {
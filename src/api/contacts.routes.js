@@ -2,6 +2,9 @@
 
 const { Router } = require('express');
 const contactManager = require('../services/contact-manager');
+const groupManager = require('../services/group-manager');
+const replyApproval = require('../services/reply-approval');
+const offlineAssistant = require('../services/offline-assistant');
 
 const router = Router();
 
@@ -42,6 +45,69 @@ router.get('/vip', (req, res) => {
   }
 });
 
+/**
+ * GET /api/contacts/takeover — Chats the owner has taken over (bot silent), with the
+ * cooldown behind each, plus the relationship cooldowns and the default.
+ */
+router.get('/takeover', (req, res) => {
+  try {
+    res.json({ contacts: offlineAssistant.getActiveContacts(), ...offlineAssistant.listPolicies() });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * PUT /api/contacts/cooldowns/:relationship — Cooldown for every contact of a relationship type.
+ * Body: { minutes: 60 | '1h' | 0 | null } (null removes it)
+ */
+router.put('/cooldowns/:relationship', (req, res) => {
+  try {
+    const policy = offlineAssistant.setRelationshipCooldown(req.params.relationship, req.body.minutes);
+    res.json({ success: true, policy });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/contacts/groups?enabled=true — List known group chats and their settings.
+ */
+router.get('/groups', (req, res) => {
+  try {
+    const groups = groupManager.list(req.query.enabled === 'true');
+    res.json({ groups });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/contacts/groups/:jid
+ */
+router.get('/groups/:jid', (req, res) => {
+  try {
+    const group = groupManager.getSettings(req.params.jid);
+    if (!group) return res.status(404).json({ error: 'Group not found' });
+    res.json({ group });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * PUT /api/contacts/groups/:jid — Update group settings.
+ * Body: { enabled?, persona?, keywords? (array or "a,b"), quiet_start?, quiet_end? (HH:MM, null to clear) }
+ */
+router.put('/groups/:jid', (req, res) => {
+  try {
+    const group = groupManager.updateSettings(req.params.jid, req.body || {});
+    res.json({ group });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
 /**
  * GET /api/contacts/:jid
  */
@@ -97,4 +163,43 @@ router.post('/:jid/auto-reply', (req, res) => {
   }
 });
 
+/**
+ * POST /api/contacts/:jid/approval — Draft-and-approve mode.
+ * Body: { mode: 'on' | 'off' | 'default' }
+ */
+router.post('/:jid/approval', (req, res) => {
+  try {
+    replyApproval.setMode(req.params.jid, req.body.mode);
+    res.json({ success: true, mode: req.body.mode });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/contacts/:jid/timezone — Time zone for scheduling.
+ * Body: { timezone: 'Asia/Kathmandu' | null }
+ */
+router.post('/:jid/timezone', (req, res) => {
+  try {
+    const timezone = contactManager.setTimezone(req.params.jid, req.body.timezone);
+    res.json({ success: true, timezone });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/contacts/:jid/cooldown — How long the bot stays silent after the owner replies.
+ * Body: { minutes: 60 | '1h' | 0 | null } (null = relationship cooldown or default)
+ */
+router.post('/:jid/cooldown', (req, res) => {
+  try {
+    const cooldown = offlineAssistant.setContactCooldown(req.params.jid, req.body.minutes);
+    res.json({ success: true, cooldown });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
 module.exports = router;
@@ -3,6 +3,7 @@
 const { Router } = require('express');
 const transport = require('../transport/transport-manager');
 const chatSession = require('../ai/chat-session');
+const llm = require('../ai/llm-client');
 
 const router = Router();
 
@@ -23,6 +24,10 @@ router.get('/', (req, res) => {
       rssMB: Math.round(mem.rss / 1024 / 1024),
     },
     activeSessions: chatSession.size,
+    llm: {
+      quotaExhausted: llm.isQuotaExhausted(),
+      endpoints: llm.getStatus(),
+    },
     timestamp: new Date().toISOString(),
   });
 });
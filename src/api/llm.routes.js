@@ -1,18 +1,23 @@
 'use strict';
 
 const { Router } = require('express');
-const gemini = require('../ai/gemini-client');
+const llm = require('../ai/llm-client');
+const config = require('../config');
 const logger = require('../core/logger');
 
 const router = Router();
 
 /**
- * GET /api/gemini/models — List available models.
+ * GET /api/llm/models?provider= — List available models.
  */
 router.get('/models', async (req, res) => {
   try {
-    const models = await gemini.listModels();
-    res.json({ models });
+    const provider = req.query.provider || config.llm.provider;
+    if (!config.llm.providers.includes(provider)) {
+      return res.status(400).json({ error: `Unknown provider: ${provider}` });
+    }
+    const models = await llm.listModels(provider);
+    res.json({ provider, models });
   } catch (err) {
     logger.error({ err }, 'List models failed');
     res.status(500).json({ error: err.message });
@@ -20,16 +25,16 @@ router.get('/models', async (req, res) => {
 });
 
 /**
- * POST /api/gemini/generate — One-shot generation.
- * Body: { prompt, temperature?, maxTokens? }
+ * POST /api/llm/generate — One-shot generation.
+ * Body: { prompt, task?, temperature?, maxTokens? }
  */
 router.post('/generate', async (req, res) => {
   try {
-    const { prompt, temperature, maxTokens } = req.body;
+    const { prompt, task, temperature, maxTokens } = req.body;
     if (!prompt) return res.status(400).json({ error: 'Missing prompt' });
 
-    const result = await gemini.generate(prompt, { temperature, maxTokens });
-    res.json({ result });
+    const result = await llm.generate(prompt, { task, temperature, maxTokens });
+    res.json({ provider: llm.providerNameFor(task), result });
   } catch (err) {
     logger.error({ err }, 'Generate failed');
     res.status(500).json({ error: err.message });
@@ -37,7 +42,7 @@ router.post('/generate', async (req, res) => {
 });
 
 /**
- * POST /api/gemini/chat — Chat with context (test endpoint).
+ * POST /api/llm/chat — Chat with context (test endpoint).
  * Body: { from, message }
  */
 router.post('/chat', async (req, res) => {
@@ -46,8 +51,8 @@ router.post('/chat', async (req, res) => {
     if (!from || !message) return res.status(400).json({ error: 'Missing from or message' });
 
     const chatSession = require('../ai/chat-session');
-    const reply = await chatSession.reply(from, message);
-    res.json({ reply });
+    const { text } = await chatSession.reply(from, message);
+    res.json({ reply: text });
   } catch (err) {
     logger.error({ err }, 'Chat failed');
     res.status(500).json({ error: err.message });
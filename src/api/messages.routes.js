@@ -4,6 +4,9 @@ const { Router } = require('express');
 const transport = require('../transport/transport-manager');
 const messagesRepo = require('../database/repositories/messages.repo');
 const logger = require('../core/logger');
+const { dateBound } = require('../database/fts');
+
+const DIRECTIONS = ['inbound', 'outbound', 'owner_manual'];
 
 const router = Router();
 
@@ -56,14 +59,31 @@ router.get('/recent', (req, res) => {
 });
 
 /**
- * GET /api/messages/search?q=
+ * GET /api/messages/search?q=&jid=&from=&to=&direction=&intent=&mode=&limit=
+ * Ranked full-text search; from/to take YYYY-MM-DD or YYYY-MM-DD HH:MM (UTC).
  */
 router.get('/search', (req, res) => {
   try {
-    const { q } = req.query;
+    const { q, jid, from, to, direction, intent, mode, limit } = req.query;
     if (!q) return res.status(400).json({ error: 'Missing q parameter' });
+    if (direction && !DIRECTIONS.includes(direction)) {
+      return res.status(400).json({ error: `direction must be one of: ${DIRECTIONS.join(', ')}` });
+    }
+    for (const [key, value] of [['from', from], ['to', to]]) {
+      if (value && !dateBound(value)) {
+        return res.status(400).json({ error: `${key} must be YYYY-MM-DD or YYYY-MM-DD HH:MM` });
+      }
+    }
 
-    const results = messagesRepo.search(q);
+    const results = messagesRepo.search(q, {
+      jid,
+      from,
+      to,
+      direction,
+      intent,
+      mode: mode === 'any' ? 'any' : 'all',
+      limit: Math.min(parseInt(limit, 10) || 50, 200),
+    });
     res.json({ results });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -0,0 +1,86 @@
+'use strict';
+
+const { Router } = require('express');
+const transport = require('../transport/transport-manager');
+
+const router = Router();
+
+/**
+ * Resolve the active MockAdapter, or reply 409 if another transport is running.
+ */
+function _mock(res) {
+  const adapter = transport.getAdapter();
+  if (!adapter || typeof adapter.injectInbound !== 'function') {
+    res.status(409).json({ error: 'Mock transport is not active (set LIB=mock)' });
+    return null;
+  }
+  return adapter;
+}
+
+/**
+ * POST /api/mock/inbound — Inject a message from a contact.
+ * Body: { jid, text, pushName?, contentType?, timestamp?, media? (base64), mimetype?,
+ *   participant?, mentionedJids?, quotedParticipant?, groupName? } (group fields for @g.us jids)
+ */
+router.post('/inbound', (req, res) => {
+  const adapter = _mock(res);
+  if (!adapter) return;
+  try {
+    const { media, ...rest } = req.body;
+    const msg = adapter.injectInbound({ ...rest, media: media ? Buffer.from(media, 'base64') : undefined });
+    res.status(202).json({ accepted: true, waMessageId: msg.waMessageId });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/mock/owner — Inject a message sent by the owner.
+ * Body: { jid, text }
+ */
+router.post('/owner', (req, res) => {
+  const adapter = _mock(res);
+  if (!adapter) return;
+  try {
+    const msg = adapter.injectOwner(req.body);
+    res.status(202).json({ accepted: true, waMessageId: msg.waMessageId });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/mock/typing — Inject an owner typing presence.
+ * Body: { jid }
+ */
+router.post('/typing', (req, res) => {
+  const adapter = _mock(res);
+  if (!adapter) return;
+  if (!req.body.jid) return res.status(400).json({ error: 'Missing jid' });
+  adapter.injectTyping(req.body.jid);
+  res.status(202).json({ accepted: true });
+});
+
+/**
+ * GET /api/mock/sent?jid=&type= — Recorded outbound sends.
+ */
+router.get('/sent', (req, res) => {
+  const adapter = _mock(res);
+  if (!adapter) return;
+  const { jid, type } = req.query;
+  // Media buffers are summarized by size; they don't belong in JSON
+  const sent = adapter.getSent({ jid, type }).map(({ media, ...rest }) => rest);
+  res.json({ sent });
+});
+
+/**
+ * DELETE /api/mock/sent — Clear the recorded outbox.
+ */
+router.delete('/sent', (req, res) => {
+  const adapter = _mock(res);
+  if (!adapter) return;
+  adapter.clearSent();
+  res.json({ success: true });
+});
+
+module.exports = router;
@@ -23,7 +23,13 @@ app.use('/health', require('./health.routes'));
 app.use('/api/messages', require('./messages.routes'));
 app.use('/api/contacts', require('./contacts.routes'));
 app.use('/api/admin', require('./admin.routes'));
-app.use('/api/gemini', require('./gemini.routes'));
+app.use('/api/llm', require('./llm.routes'));
+app.use('/api/gemini', require('./llm.routes')); // legacy alias
+
+// Injection/inspection endpoints exist only for the in-process mock transport
+if (config.whatsapp.lib === 'mock') {
+  app.use('/api/mock', require('./mock.routes'));
+}
 
 // 404 handler
 app.use((req, res) => {
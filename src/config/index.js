@@ -7,6 +7,39 @@
 
 require('dotenv').config();
 const { z } = require('zod');
+const { isValidTimezone } = require('../core/time');
+const workingHours = require('../core/working-hours');
+
+const LLM_PROVIDERS = ['groq', 'gemini', 'openai'];
+const LLM_TASKS = ['chat', 'intent', 'mood', 'followup', 'schedule', 'learning', 'summary', 'translation', 'compression', 'vision'];
+
+/**
+ * Parse a "key=value,key=value" env string into an object.
+ */
+function parseMap(str) {
+  const map = {};
+  for (const pair of (str || '').split(',').map((p) => p.trim()).filter(Boolean)) {
+    const [key, value] = pair.split('=').map((p) => p.trim());
+    if (key && value) map[key] = value;
+  }
+  return map;
+}
+
+/**
+ * Parse a comma-separated env string into trimmed, non-empty items.
+ */
+function _list(str) {
+  return (str || '').split(',').map((p) => p.trim()).filter(Boolean);
+}
+
+/**
+ * Parse a "tier=tokens" budget map into { [tier]: number }.
+ */
+function _tierBudgets(str) {
+  const budgets = {};
+  for (const [tier, tokens] of Object.entries(parseMap(str))) budgets[tier] = Number(tokens);
+  return budgets;
+}
 
 const envSchema = z.object({
   // App
@@ -14,11 +47,11 @@ const envSchema = z.object({
   LOG_LEVEL: z.enum(['trace', 'debug', 'info', 'warn', 'error', 'fatal']).default('info'),
 
   // WhatsApp
-  LIB: z.enum(['webjs', 'baileys']).default('baileys'),
+  LIB: z.enum(['webjs', 'baileys', 'mock']).default('baileys'),
   WEBJS_HEADLESS: z.string().default('true'),
   OWNER_JID: z.string().min(1, 'OWNER_JID is required (e.g., 977xxxxxxxxxx@c.us)'),
 
-  // Gemini AI (legacy, now using Groq)
+  // Gemini AI
   GEMINI_API_KEY: z.string().optional().default(''),
   GEMINI_API_KEYS: z.string().optional().default(''),
   GEMINI_MODEL: z.string().optional().default('gemini-1.5-flash-latest'),
@@ -26,11 +59,56 @@ const envSchema = z.object({
   GEMINI_TEMPERATURE: z.coerce.number().min(0).max(2).optional().default(0.7),
 
   // Groq AI
-  GROQ_API_KEY: z.string().min(1, 'GROQ_API_KEY is required'),
+  GROQ_API_KEY: z.string().optional().default(''),
+  GROQ_API_KEYS: z.string().optional().default(''),
   GROQ_MODEL: z.string().default('openai/gpt-oss-120b'),
   GROQ_MAX_TOKENS: z.coerce.number().int().positive().default(8192),
   GROQ_TEMPERATURE: z.coerce.number().min(0).max(2).default(0.7),
 
+  // OpenAI-compatible AI (Ollama, llama.cpp server, vLLM, ...)
+  OPENAI_BASE_URL: z.string().default('http://localhost:11434/v1'),
+  OPENAI_API_KEY: z.string().optional().default(''),
+  OPENAI_MODEL: z.string().default('llama3.1'),
+  OPENAI_MAX_TOKENS: z.coerce.number().int().positive().default(1024),
+  OPENAI_TEMPERATURE: z.coerce.number().min(0).max(2).default(0.7),
+  OPENAI_TIMEOUT_MS: z.coerce.number().int().positive().default(60000),
+
+  // LLM provider routing
+  LLM_PROVIDER: z.enum(LLM_PROVIDERS).default('groq'),
+  LLM_TASK_PROVIDERS: z.string().optional().default(''),
+  LLM_CHAIN: z.string().optional().default(''),
+  LLM_BREAKER_THRESHOLD: z.coerce.number().int().positive().default(3),
+  LLM_BREAKER_COOLDOWN_MS: z.coerce.number().int().positive().default(60000),
+  LLM_ECONOMY_MODELS: z.string().optional().default(''),
+  LLM_VISION_MODELS: z.string().optional().default('groq=meta-llama/llama-4-scout-17b-16e-instruct'),
+
+  // Image understanding (inbound photos)
+  VISION_ENABLED: z.string().default('true'),
+  VISION_MAX_IMAGE_BYTES: z.coerce.number().int().positive().default(4000000),
+
+  // LLM spend budgets — tokens per VIP tier ("0=20000,1=50000"); tiers left out are unlimited
+  LLM_BUDGET_DAILY: z.string().optional().default(''),
+  LLM_BUDGET_MONTHLY: z.string().optional().default(''),
+  LLM_BUDGET_ECONOMY_AT: z.coerce.number().min(0).max(1).default(0.8),
+
+  // Chat sessions
+  CHAT_HISTORY_TOKEN_BUDGET: z.coerce.number().int().positive().default(3000),
+  CHAT_SESSION_RETENTION_DAYS: z.coerce.number().int().positive().default(30),
+
+  // Owner takeover: the bot stays silent this long after the owner replies (per-contact and
+  // per-relationship cooldowns override it), and this long while the owner is typing
+  OWNER_COOLDOWN_MINUTES: z.coerce.number().int().min(0).default(3),
+  OWNER_TYPING_PAUSE_SECONDS: z.coerce.number().int().min(0).default(60),
+
+  // Draft-and-approve replies
+  APPROVAL_TIERS: z.string().optional().default('3'),
+  APPROVAL_RELATIONSHIPS: z.string().optional().default(''),
+  DRAFT_EXPIRY_MINUTES: z.coerce.number().int().positive().default(120),
+
+  // Group chats
+  GROUPS_ENABLED: z.string().default('false'),
+  GROUP_RATE_LIMIT_MAX: z.coerce.number().int().positive().default(5),
+
   // Database
   DB_PATH: z.string().default('./data/whatsapp-bot.db'),
 
@@ -50,6 +128,51 @@ const envSchema = z.object({
   TTS_LANGUAGE: z.string().default('en-US'),
   TTS_VOICE: z.string().default('en-US-Neural2-D'),
 
+  // Speech-to-text (inbound voice notes)
+  STT_BACKEND: z.enum(['none', 'whisper-cpp', 'http']).default('none'),
+  STT_LANGUAGE: z.string().default('auto'),
+  STT_TIMEOUT_MS: z.coerce.number().int().positive().default(120000),
+  WHISPER_CPP_BIN: z.string().default('whisper-cli'),
+  WHISPER_CPP_MODEL: z.string().optional().default(''),
+  WHISPER_CPP_THREADS: z.coerce.number().int().positive().default(4),
+  STT_HTTP_URL: z.string().optional().default(''),
+  STT_HTTP_API_KEY: z.string().optional().default(''),
+  STT_HTTP_MODEL: z.string().default('whisper-1'),
+
+  // Knowledge base retrieval (embeddings)
+  EMBEDDING_BACKEND: z.enum(['none', 'onnx', 'http']).default('none'),
+  EMBEDDING_ONNX_MODEL: z.string().default('Xenova/all-MiniLM-L6-v2'),
+  EMBEDDING_CACHE_DIR: z.string().optional().default(''),
+  EMBEDDING_HTTP_URL: z.string().optional().default(''),
+  EMBEDDING_HTTP_API_KEY: z.string().optional().default(''),
+  EMBEDDING_HTTP_MODEL: z.string().default('text-embedding-3-small'),
+  EMBEDDING_TIMEOUT_MS: z.coerce.number().int().positive().default(30000),
+  KB_ANSWER_THRESHOLD: z.coerce.number().min(0).max(1).default(0.82),
+  KB_MIN_SCORE: z.coerce.number().min(0).max(1).default(0.45),
+  KB_TOP_K: z.coerce.number().int().positive().default(3),
+
+  // Schedules — send contacts an .ics invite for events they schedule
+  ICS_INVITES_ENABLED: z.string().default('true'),
+  // Who is reminded of schedules that belong to a contact (owner, contact or both)
+  REMINDER_AUDIENCE: z.enum(['owner', 'contact', 'both']).default('both'),
+  // {name}, {title}, {when} and {owner} are filled in; sent in the contact's language
+  CONTACT_REMINDER_TEMPLATE: z.string().default('Hi {name}! Just a reminder: {title} is on {when}. Reply YES to confirm or NO to cancel.'),
+
+  // Appointment booking — contacts ask for free time and book it; the owner confirms
+  BOOKING_ENABLED: z.string().default('true'),
+  OWNER_WORKING_HOURS: z.string().default('Mon-Fri 09:00-17:00'),
+  APPOINTMENT_MINUTES: z.coerce.number().int().min(5).max(480).default(30),
+  BOOKING_DAYS_AHEAD: z.coerce.number().int().positive().max(90).default(14),
+  BOOKING_MIN_NOTICE_MINUTES: z.coerce.number().int().min(0).default(120),
+
+  // Follow-ups — resolve open ones when the owner's own message fulfils them
+  FOLLOWUP_AUTO_RESOLVE: z.string().default('true'),
+  // Track promises contacts make ("I'll send it Friday") as follow-ups waiting on them
+  FOLLOWUP_TRACK_CONTACTS: z.string().default('true'),
+  // Reminders for an overdue follow-up before it expires; per priority as "4=6,1=1"
+  FOLLOWUP_MAX_REMINDERS: z.coerce.number().int().min(1).default(3),
+  FOLLOWUP_MAX_REMINDERS_BY_PRIORITY: z.string().optional().default(''),
+
   // n8n
   N8N_WEBHOOK: z.string().optional().default(''),
 
@@ -63,6 +186,83 @@ const envSchema = z.object({
   // Persona
   BOT_NAME: z.string().default('Friday'),
   OWNER_NAME: z.string().default('Bhuwan'),
+  // IANA zone for schedules, reminders and quiet hours (defaults to the server's)
+  OWNER_TIMEZONE: z.string().default(Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC'),
+}).superRefine((env, ctx) => {
+  // Every provider that some task routes to must be usable
+  const taskProviders = parseMap(env.LLM_TASK_PROVIDERS);
+  for (const [task, provider] of Object.entries(taskProviders)) {
+    if (!LLM_TASKS.includes(task)) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['LLM_TASK_PROVIDERS'], message: `Unknown task "${task}" (expected one of: ${LLM_TASKS.join(', ')})` });
+    }
+    if (!LLM_PROVIDERS.includes(provider)) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['LLM_TASK_PROVIDERS'], message: `Unknown provider "${provider}" for task "${task}"` });
+    }
+  }
+
+  const chain = _list(env.LLM_CHAIN);
+  for (const provider of chain) {
+    if (!LLM_PROVIDERS.includes(provider)) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['LLM_CHAIN'], message: `Unknown provider "${provider}" in chain` });
+    }
+  }
+
+  for (const key of ['LLM_ECONOMY_MODELS', 'LLM_VISION_MODELS']) {
+    for (const provider of Object.keys(parseMap(env[key]))) {
+      if (!LLM_PROVIDERS.includes(provider)) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: [key], message: `Unknown provider "${provider}"` });
+      }
+    }
+  }
+
+  for (const tier of _list(env.APPROVAL_TIERS)) {
+    if (!/^[0-3]$/.test(tier)) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['APPROVAL_TIERS'], message: `Invalid tier "${tier}" (expected 0-3)` });
+    }
+  }
+
+  for (const key of ['LLM_BUDGET_DAILY', 'LLM_BUDGET_MONTHLY']) {
+    for (const [tier, tokens] of Object.entries(parseMap(env[key]))) {
+      if (!/^[0-3]$/.test(tier) || !/^\d+$/.test(tokens) || Number(tokens) === 0) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: [key], message: `Invalid budget "${tier}=${tokens}" (expected <tier 0-3>=<positive tokens>)` });
+      }
+    }
+  }
+
+  for (const [priority, count] of Object.entries(parseMap(env.FOLLOWUP_MAX_REMINDERS_BY_PRIORITY))) {
+    if (!/^[1-4]$/.test(priority) || !/^\d+$/.test(count) || Number(count) === 0) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['FOLLOWUP_MAX_REMINDERS_BY_PRIORITY'], message: `Invalid cap "${priority}=${count}" (expected <priority 1-4>=<positive count>)` });
+    }
+  }
+
+  if (env.STT_BACKEND === 'whisper-cpp' && !env.WHISPER_CPP_MODEL) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['WHISPER_CPP_MODEL'], message: 'WHISPER_CPP_MODEL is required when STT_BACKEND=whisper-cpp' });
+  }
+  if (env.STT_BACKEND === 'http' && !env.STT_HTTP_URL) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['STT_HTTP_URL'], message: 'STT_HTTP_URL is required when STT_BACKEND=http' });
+  }
+  if (env.EMBEDDING_BACKEND === 'http' && !env.EMBEDDING_HTTP_URL) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['EMBEDDING_HTTP_URL'], message: 'EMBEDDING_HTTP_URL is required when EMBEDDING_BACKEND=http' });
+  }
+  if (!isValidTimezone(env.OWNER_TIMEZONE)) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['OWNER_TIMEZONE'], message: `Unknown time zone "${env.OWNER_TIMEZONE}" (expected an IANA name such as Asia/Kathmandu)` });
+  }
+  try {
+    workingHours.parse(env.OWNER_WORKING_HOURS);
+  } catch (err) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['OWNER_WORKING_HOURS'], message: err.message });
+  }
+  if (env.KB_MIN_SCORE > env.KB_ANSWER_THRESHOLD) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['KB_MIN_SCORE'], message: 'KB_MIN_SCORE must not exceed KB_ANSWER_THRESHOLD' });
+  }
+
+  const used = new Set([env.LLM_PROVIDER, ...Object.values(taskProviders), ...chain]);
+  if (used.has('groq') && !env.GROQ_API_KEY && !env.GROQ_API_KEYS) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['GROQ_API_KEY'], message: 'GROQ_API_KEY is required when the groq provider is used' });
+  }
+  if (used.has('gemini') && !env.GEMINI_API_KEY && !env.GEMINI_API_KEYS) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['GEMINI_API_KEY'], message: 'GEMINI_API_KEY is required when the gemini provider is used' });
+  }
 });
 
 let parsed;
@@ -98,10 +298,61 @@ const config = Object.freeze({
   },
   groq: {
     apiKey: parsed.GROQ_API_KEY,
+    apiKeys: (parsed.GROQ_API_KEYS || parsed.GROQ_API_KEY).split(',').map(k => k.trim()).filter(Boolean),
     model: parsed.GROQ_MODEL,
     maxTokens: parsed.GROQ_MAX_TOKENS,
     temperature: parsed.GROQ_TEMPERATURE,
   },
+  openai: {
+    baseUrl: parsed.OPENAI_BASE_URL.replace(/\/+$/, ''),
+    apiKey: parsed.OPENAI_API_KEY,
+    model: parsed.OPENAI_MODEL,
+    maxTokens: parsed.OPENAI_MAX_TOKENS,
+    temperature: parsed.OPENAI_TEMPERATURE,
+    timeoutMs: parsed.OPENAI_TIMEOUT_MS,
+  },
+  llm: {
+    provider: parsed.LLM_PROVIDER,
+    tasks: parseMap(parsed.LLM_TASK_PROVIDERS),
+    // Failover order; the task's own provider is always tried first
+    chain: _list(parsed.LLM_CHAIN),
+    breakerThreshold: parsed.LLM_BREAKER_THRESHOLD,
+    breakerCooldownMs: parsed.LLM_BREAKER_COOLDOWN_MS,
+    // provider -> cheaper model used when a contact nears its budget
+    economyModels: parseMap(parsed.LLM_ECONOMY_MODELS),
+    // provider -> image-capable model; providers without one are skipped for vision
+    visionModels: parseMap(parsed.LLM_VISION_MODELS),
+    providers: LLM_PROVIDERS,
+    taskNames: LLM_TASKS,
+  },
+  budget: {
+    // VIP tier -> max tokens per period
+    daily: _tierBudgets(parsed.LLM_BUDGET_DAILY),
+    monthly: _tierBudgets(parsed.LLM_BUDGET_MONTHLY),
+    // Fraction of a budget after which replies switch to economy models
+    economyAt: parsed.LLM_BUDGET_ECONOMY_AT,
+  },
+  takeover: {
+    cooldownMinutes: parsed.OWNER_COOLDOWN_MINUTES,
+    // Never longer than the contact's cooldown
+    typingPauseSeconds: parsed.OWNER_TYPING_PAUSE_SECONDS,
+  },
+  approval: {
+    // Contacts drafted by default (per-contact `approval_mode` overrides)
+    tiers: _list(parsed.APPROVAL_TIERS).map(Number),
+    relationships: _list(parsed.APPROVAL_RELATIONSHIPS).map((r) => r.toLowerCase()),
+    draftExpiryMinutes: parsed.DRAFT_EXPIRY_MINUTES,
+  },
+  groups: {
+    enabled: parsed.GROUPS_ENABLED.toLowerCase() === 'true',
+    // Replies per RATE_LIMIT_WINDOW_MS per group
+    rateLimitMax: parsed.GROUP_RATE_LIMIT_MAX,
+  },
+  chat: {
+    // Approximate tokens (chars / 4) of history replayed to the model per turn
+    historyTokenBudget: parsed.CHAT_HISTORY_TOKEN_BUDGET,
+    sessionRetentionDays: parsed.CHAT_SESSION_RETENTION_DAYS,
+  },
   database: {
     path: parsed.DB_PATH,
   },
@@ -121,6 +372,66 @@ const config = Object.freeze({
     language: parsed.TTS_LANGUAGE,
     voice: parsed.TTS_VOICE,
   },
+  vision: {
+    enabled: parsed.VISION_ENABLED.toLowerCase() === 'true',
+    maxImageBytes: parsed.VISION_MAX_IMAGE_BYTES,
+  },
+  stt: {
+    backend: parsed.STT_BACKEND,
+    language: parsed.STT_LANGUAGE,
+    timeoutMs: parsed.STT_TIMEOUT_MS,
+    whisperCpp: {
+      bin: parsed.WHISPER_CPP_BIN,
+      model: parsed.WHISPER_CPP_MODEL,
+      threads: parsed.WHISPER_CPP_THREADS,
+    },
+    http: {
+      url: parsed.STT_HTTP_URL,
+      apiKey: parsed.STT_HTTP_API_KEY,
+      model: parsed.STT_HTTP_MODEL,
+    },
+  },
+  embeddings: {
+    backend: parsed.EMBEDDING_BACKEND,
+    timeoutMs: parsed.EMBEDDING_TIMEOUT_MS,
+    onnx: {
+      model: parsed.EMBEDDING_ONNX_MODEL,
+      cacheDir: parsed.EMBEDDING_CACHE_DIR,
+    },
+    http: {
+      url: parsed.EMBEDDING_HTTP_URL,
+      apiKey: parsed.EMBEDDING_HTTP_API_KEY,
+      model: parsed.EMBEDDING_HTTP_MODEL,
+    },
+  },
+  kb: {
+    answerThreshold: parsed.KB_ANSWER_THRESHOLD,
+    minScore: parsed.KB_MIN_SCORE,
+    topK: parsed.KB_TOP_K,
+  },
+  calendar: {
+    icsInvites: parsed.ICS_INVITES_ENABLED.toLowerCase() === 'true',
+  },
+  reminders: {
+    audience: parsed.REMINDER_AUDIENCE,
+    contactTemplate: parsed.CONTACT_REMINDER_TEMPLATE,
+  },
+  booking: {
+    enabled: parsed.BOOKING_ENABLED.toLowerCase() === 'true',
+    workingHours: workingHours.parse(parsed.OWNER_WORKING_HOURS),
+    workingHoursText: parsed.OWNER_WORKING_HOURS,
+    appointmentMinutes: parsed.APPOINTMENT_MINUTES,
+    daysAhead: parsed.BOOKING_DAYS_AHEAD,
+    minNoticeMinutes: parsed.BOOKING_MIN_NOTICE_MINUTES,
+  },
+  followUps: {
+    autoResolve: parsed.FOLLOWUP_AUTO_RESOLVE.toLowerCase() === 'true',
+    trackContacts: parsed.FOLLOWUP_TRACK_CONTACTS.toLowerCase() === 'true',
+    maxReminders: parsed.FOLLOWUP_MAX_REMINDERS,
+    // priority -> reminders before expiry
+    maxRemindersByPriority: Object.fromEntries(Object.entries(parseMap(parsed.FOLLOWUP_MAX_REMINDERS_BY_PRIORITY))
+      .map(([priority, count]) => [priority, Number(count)])),
+  },
   n8n: {
     webhookUrl: parsed.N8N_WEBHOOK,
   },
@@ -131,6 +442,7 @@ const config = Object.freeze({
   persona: {
     botName: parsed.BOT_NAME,
     ownerName: parsed.OWNER_NAME,
+    ownerTimezone: parsed.OWNER_TIMEZONE,
   },
 });
 
@@ -0,0 +1,96 @@
+'use strict';
+
+/**
+ * Audio helpers — ffmpeg conversions (via fluent-ffmpeg + ffmpeg-static)
+ * shared by TTS voice notes and speech-to-text.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const MIME_EXTENSIONS = {
+  'audio/ogg': 'ogg',
+  'audio/opus': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/aac': 'aac',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/webm': 'webm',
+  'audio/amr': 'amr',
+};
+
+/**
+ * File extension for an audio mimetype ("audio/ogg; codecs=opus" → "ogg").
+ */
+function extFromMime(mimetype, fallback = 'ogg') {
+  const base = (mimetype || '').split(';')[0].trim().toLowerCase();
+  return MIME_EXTENSIONS[base] || fallback;
+}
+
+/**
+ * Run an ffmpeg conversion on a buffer through temp files.
+ * @param {Buffer} input
+ * @param {object} opts - { inputExt, outputExt, codec, bitrate, frequency, channels, format }
+ * @returns {Promise<Buffer>}
+ */
+function convert(input, opts) {
+  const ffmpeg = require('fluent-ffmpeg');
+  const ffmpegPath = require('ffmpeg-static');
+  ffmpeg.setFfmpegPath(ffmpegPath);
+
+  const stamp = `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+  const inputFile = path.join(os.tmpdir(), `audio_in_${stamp}.${opts.inputExt}`);
+  const outputFile = path.join(os.tmpdir(), `audio_out_${stamp}.${opts.outputExt}`);
+  const cleanup = () => [inputFile, outputFile].forEach((f) => {
+    try { fs.unlinkSync(f); } catch { /* ignore */ }
+  });
+
+  fs.writeFileSync(inputFile, input);
+
+  return new Promise((resolve, reject) => {
+    let command = ffmpeg(inputFile).audioCodec(opts.codec);
+    if (opts.bitrate) command = command.audioBitrate(opts.bitrate);
+    command
+      .audioFrequency(opts.frequency)
+      .audioChannels(opts.channels)
+      .format(opts.format)
+      .output(outputFile)
+      .on('end', () => {
+        try {
+          resolve(fs.readFileSync(outputFile));
+        } catch (e) {
+          reject(e);
+        } finally {
+          cleanup();
+        }
+      })
+      .on('error', (e) => {
+        cleanup();
+        reject(e);
+      })
+      .run();
+  });
+}
+
+/**
+ * Convert audio to OGG Opus (the format WhatsApp plays as a voice note).
+ */
+function toOggOpus(input, inputExt = 'mp3') {
+  return convert(input, {
+    inputExt, outputExt: 'ogg', codec: 'libopus', bitrate: '64k', frequency: 16000, channels: 1, format: 'ogg',
+  });
+}
+
+/**
+ * Convert audio to 16 kHz mono 16-bit PCM WAV (what whisper.cpp expects).
+ */
+function toWav16k(input, inputExt = 'ogg') {
+  return convert(input, {
+    inputExt, outputExt: 'wav', codec: 'pcm_s16le', frequency: 16000, channels: 1, format: 'wav',
+  });
+}
+
+module.exports = { convert, toOggOpus, toWav16k, extFromMime };
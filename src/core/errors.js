@@ -0,0 +1,20 @@
+'use strict';
+
+/**
+ * Errors — the API routes and admin commands show an error's message as is
+ * and answer with its `status` (500 when it has none).
+ */
+
+/**
+ * Validation error whose message is safe to show the owner.
+ * @param {string} message
+ * @param {number} [status=400] - HTTP status, e.g. 404 or 409
+ * @returns {Error}
+ */
+function invalid(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+module.exports = { invalid };
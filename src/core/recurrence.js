@@ -0,0 +1,246 @@
+'use strict';
+
+/**
+ * Recurrence rules — the subset of RFC 5545 RRULE schedules need:
+ * FREQ (DAILY|WEEKLY|MONTHLY|YEARLY), INTERVAL, BYDAY (plain weekdays,
+ * DAILY/WEEKLY only) and UNTIL or COUNT. Occurrences are expanded on the
+ * wall clock of the series' time zone, so "9:00 every Monday" stays 9:00
+ * across DST; COUNT includes skipped dates, as in RFC 5545.
+ */
+
+const time = require('./time');
+const { invalid } = require('./errors');
+
+const FREQS = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']; // index = Date#getUTCDay()
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const UNITS = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Plain words the schedule parser and older rows use
+const ALIASES = {
+  daily: 'FREQ=DAILY',
+  weekly: 'FREQ=WEEKLY',
+  biweekly: 'FREQ=WEEKLY;INTERVAL=2',
+  monthly: 'FREQ=MONTHLY',
+  yearly: 'FREQ=YEARLY',
+  annually: 'FREQ=YEARLY',
+  weekdays: 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR',
+};
+
+// Candidates examined per expansion — a daily rule started years ago still fits
+const MAX_ITERATIONS = 20000;
+const MAX_INTERVAL = 1000;
+// Series end this long after their start, so sparse rules can't walk the calendar for ever
+const HORIZON_MS = 100 * 366 * DAY_MS;
+
+/**
+ * UNTIL as YYYYMMDD, YYYYMMDDTHHMMSSZ, YYYY-MM-DD or a full ISO datetime with
+ * a zone. A bare date includes that whole (local) day.
+ * @returns {{ until: Date, untilIsDate: boolean }}
+ */
+function _parseUntil(value) {
+  let date = null;
+  const compact = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z)?$/.exec(value);
+  const iso = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  const parts = compact || iso;
+  if (parts) {
+    const [y, mo, d] = [Number(parts[1]), Number(parts[2]) - 1, Number(parts[3])];
+    date = compact && compact[4]
+      ? new Date(Date.UTC(y, mo, d, Number(compact[4]), Number(compact[5]), Number(compact[6])))
+      : new Date(Date.UTC(y, mo, d, 23, 59, 59));
+    if (date.getUTCMonth() !== mo || date.getUTCDate() !== d) date = null;
+  } else if (/^\d{4}-\d{2}-\d{2}T[\d:.]+(Z|[+-]\d{2}:?\d{2})$/i.test(value)) {
+    date = new Date(value);
+  }
+  if (!date || isNaN(date.getTime())) throw invalid(`Invalid UNTIL: ${value}`);
+  return { until: date, untilIsDate: Boolean(parts && !(compact && compact[4])) };
+}
+
+function _positiveInt(key, value) {
+  if (!/^\d+$/.test(value) || Number(value) < 1) throw invalid(`Invalid ${key}: ${value || '(empty)'}`);
+  return Number(value);
+}
+
+/**
+ * Parse a recurrence string.
+ * @param {string|null} text - 'none', an alias (daily, weekly, biweekly, monthly,
+ *   yearly, weekdays) or an RRULE such as "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=6"
+ * @returns {{ freq: string, interval: number, byDay: number[]|null, until: Date|null, untilIsDate: boolean, count: number|null }|null}
+ *   null when the event does not repeat; a date-only UNTIL is a wall clock (end of that day)
+ * @throws {Error} status 400 for unsupported or malformed rules
+ */
+function parse(text) {
+  let value = String(text === null || text === undefined ? '' : text).trim();
+  if (!value || value.toLowerCase() === 'none') return null;
+  if (ALIASES[value.toLowerCase()]) value = ALIASES[value.toLowerCase()];
+  value = value.replace(/^RRULE:/i, '');
+
+  const rule = { freq: null, interval: 1, byDay: null, until: null, untilIsDate: false, count: null };
+  for (const part of value.split(';')) {
+    if (!part.trim()) continue;
+    const eq = part.indexOf('=');
+    if (eq === -1) throw invalid(`Unsupported recurrence: ${part.trim()} (use none, ${Object.keys(ALIASES).join(', ')} or an RRULE)`);
+    const key = part.substring(0, eq).trim().toUpperCase();
+    const val = part.substring(eq + 1).trim();
+
+    switch (key) {
+      case 'FREQ':
+        if (!FREQS.includes(val.toUpperCase())) {
+          throw invalid(`Unsupported FREQ: ${val || '(empty)'} (use ${FREQS.join(', ')})`);
+        }
+        rule.freq = val.toUpperCase();
+        break;
+      case 'INTERVAL':
+        rule.interval = _positiveInt(key, val);
+        if (rule.interval > MAX_INTERVAL) throw invalid(`INTERVAL must be at most ${MAX_INTERVAL}`);
+        break;
+      case 'COUNT':
+        rule.count = _positiveInt(key, val);
+        break;
+      case 'UNTIL':
+        Object.assign(rule, _parseUntil(val));
+        break;
+      case 'BYDAY': {
+        const days = val.toUpperCase().split(',').map((d) => d.trim()).filter(Boolean);
+        if (days.length === 0) throw invalid('BYDAY is empty');
+        for (const day of days) {
+          if (!WEEKDAYS.includes(day)) throw invalid(`Unsupported BYDAY value: ${day} (use MO, TU, WE, TH, FR, SA, SU)`);
+        }
+        rule.byDay = [...new Set(days.map((d) => WEEKDAYS.indexOf(d)))].sort((a, b) => a - b);
+        break;
+      }
+      default:
+        throw invalid(`Unsupported recurrence part: ${key}`);
+    }
+  }
+
+  if (!rule.freq) throw invalid(`Recurrence needs FREQ (or one of: ${Object.keys(ALIASES).join(', ')})`);
+  if (rule.until && rule.count) throw invalid('Use UNTIL or COUNT, not both');
+  if (rule.byDay && rule.freq !== 'DAILY' && rule.freq !== 'WEEKLY') {
+    throw invalid('BYDAY is only supported with FREQ=DAILY or FREQ=WEEKLY');
+  }
+  return rule;
+}
+
+/**
+ * Canonical RRULE text for storage ('none' for a one-off event).
+ */
+function format(rule) {
+  if (!rule) return 'none';
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay) parts.push(`BYDAY=${rule.byDay.map((d) => WEEKDAYS[d]).join(',')}`);
+  if (rule.until) {
+    const until = rule.until.toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+    parts.push(`UNTIL=${rule.untilIsDate ? until.substring(0, 8) : until}`);
+  }
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  return parts.join(';');
+}
+
+/**
+ * Human-readable form, e.g. "every 2 weeks on Mon, Wed, 6 times".
+ */
+function describe(rule) {
+  if (!rule) return 'once';
+  const unit = UNITS[rule.freq];
+  let text = rule.interval === 1 ? `every ${unit}` : `every ${rule.interval} ${unit}s`;
+  if (rule.byDay) {
+    const weekdays = rule.byDay.join(',') === '1,2,3,4,5';
+    text = weekdays && rule.interval === 1 ? 'every weekday' : `${text} on ${rule.byDay.map((d) => DAY_NAMES[d]).join(', ')}`;
+  }
+  if (rule.count) text += `, ${rule.count} time${rule.count === 1 ? '' : 's'}`;
+  if (rule.until) text += ` until ${rule.until.toISOString().substring(0, 10)}`;
+  return text;
+}
+
+/**
+ * Candidate occurrences in order as wall clocks, before COUNT/UNTIL are applied.
+ * Ends at HORIZON_MS after the start.
+ */
+function* _candidates(rule, start) {
+  if (!rule) {
+    yield start;
+    return;
+  }
+
+  const startMs = start.getTime();
+  const endMs = startMs + HORIZON_MS;
+  if (rule.freq === 'DAILY' || rule.freq === 'WEEKLY') {
+    if (!rule.byDay) {
+      const step = (rule.freq === 'DAILY' ? 1 : 7) * rule.interval * DAY_MS;
+      for (let t = startMs; t <= endMs; t += step) yield new Date(t);
+      return;
+    }
+
+    // Walk day by day; a listed weekday counts when its day (DAILY) or its
+    // Monday-based week (WEEKLY) is a whole number of intervals from the start
+    const startDay = Math.floor(startMs / DAY_MS);
+    const timeOfDay = startMs - startDay * DAY_MS;
+    const week = (day) => Math.floor((day + 3) / 7); // 1970-01-01 was a Thursday
+    for (let day = startDay; day * DAY_MS + timeOfDay <= endMs; day++) {
+      if (!rule.byDay.includes((day + 4) % 7)) continue;
+      const period = rule.freq === 'DAILY' ? day - startDay : week(day) - week(startDay);
+      if (period % rule.interval === 0) yield new Date(day * DAY_MS + timeOfDay);
+    }
+    return;
+  }
+
+  const months = rule.freq === 'MONTHLY' ? rule.interval : 12 * rule.interval;
+  for (let k = 0; ; k++) {
+    const at = new Date(Date.UTC(
+      start.getUTCFullYear(), start.getUTCMonth() + k * months, start.getUTCDate(),
+      start.getUTCHours(), start.getUTCMinutes(), start.getUTCSeconds(),
+    ));
+    if (at.getTime() > endMs) return;
+    // The 31st in a 30-day month, Feb 29 in other years — no occurrence that period (RFC 5545)
+    if (at.getUTCDate() === start.getUTCDate()) yield at;
+  }
+}
+
+/**
+ * Expand a series.
+ * @param {object|null} rule - From parse(); null = a single occurrence at start
+ * @param {Date} start - Series start
+ * @param {object} [opts] - { timezone (IANA, default UTC), from (inclusive), after (exclusive),
+ *   to (inclusive), skip: ['YYYY-MM-DD' local dates], limit }
+ * @returns {Date[]} Occurrences in order
+ */
+function occurrences(rule, start, opts = {}) {
+  const { from = null, after = null, to = null, limit = 100 } = opts;
+  const tz = opts.timezone || 'UTC';
+  const skipped = new Set(opts.skip || []);
+  const out = [];
+  let n = 0;
+
+  for (const wall of _candidates(rule, time.toWallClock(start, tz))) {
+    const at = time.fromWallClock(wall, tz);
+    n++;
+    if (n > MAX_ITERATIONS) break;
+    if (rule && rule.count && n > rule.count) break;
+    if (rule && rule.until && (rule.untilIsDate ? wall : at) > rule.until) break;
+    if (to && at > to) break;
+    if ((from && at < from) || (after && at <= after)) continue;
+    if (skipped.has(wall.toISOString().substring(0, 10))) continue;
+    out.push(at);
+    if (out.length >= limit) break;
+  }
+  return out;
+}
+
+/**
+ * First occurrence strictly after a moment, or null when the series has ended.
+ * @param {object} [opts] - { timezone, skip }
+ */
+function next(rule, start, after, opts = {}) {
+  return occurrences(rule, start, { ...opts, after, limit: 1 })[0] || null;
+}
+
+module.exports = {
+  parse,
+  format,
+  describe,
+  occurrences,
+  next,
+};
@@ -0,0 +1,141 @@
+'use strict';
+
+/**
+ * Time zone helpers — IANA zones via Intl, no extra dependencies.
+ * Instants are plain Dates; a "wall clock" is a Date whose UTC fields hold
+ * the local date and time in some zone, which keeps calendar arithmetic
+ * (add a day, same time next month) free of DST jumps.
+ */
+
+const _formatters = new Map();
+
+/**
+ * Whether a string is an IANA time zone this runtime knows (e.g. Asia/Kathmandu).
+ */
+function isValidTimezone(tz) {
+  if (!tz || typeof tz !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function _parts(date, tz) {
+  let formatter = _formatters.get(tz);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: tz, hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit',
+    });
+    _formatters.set(tz, formatter);
+  }
+  const parts = {};
+  for (const { type, value } of formatter.formatToParts(date)) parts[type] = Number(value);
+  return parts;
+}
+
+/**
+ * Local date and time of an instant in a zone, as a wall clock.
+ */
+function toWallClock(date, tz) {
+  if (tz === 'UTC') return new Date(date.getTime());
+  const p = _parts(date, tz);
+  return new Date(Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second, date.getUTCMilliseconds()));
+}
+
+/**
+ * UTC offset of a zone at an instant, in minutes (Asia/Kathmandu → 345).
+ */
+function offsetMinutes(date, tz) {
+  return Math.round((toWallClock(date, tz).getTime() - date.getTime()) / 60000);
+}
+
+/**
+ * Instant of a wall clock in a zone. A time skipped by a DST change lands
+ * just after it; a repeated one resolves to one of its two instants.
+ */
+function fromWallClock(wall, tz) {
+  const guess = new Date(wall.getTime() - offsetMinutes(wall, tz) * 60000);
+  const refined = new Date(wall.getTime() - offsetMinutes(guess, tz) * 60000);
+  return toWallClock(refined, tz).getTime() === wall.getTime() ? refined : guess;
+}
+
+/**
+ * Parse an ISO 8601 date or datetime. Without Z or an offset it is local
+ * time in `tz`; with one it is taken as given.
+ * @returns {Date} Invalid Date when unparseable
+ */
+function parseInZone(text, tz) {
+  const value = String(text === null || text === undefined ? '' : text).trim();
+  const m = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?)?$/.exec(value);
+  if (!m) return new Date(/^\d{4}-\d{2}-\d{2}[T ]/.test(value) ? value.replace(' ', 'T') : NaN);
+
+  const [y, mo, d] = [Number(m[1]), Number(m[2]) - 1, Number(m[3])];
+  const wall = new Date(Date.UTC(y, mo, d, Number(m[4] || 0), Number(m[5] || 0), Number(m[6] || 0)));
+  if (wall.getUTCMonth() !== mo || wall.getUTCDate() !== d || Number(m[4] || 0) > 23) return new Date(NaN);
+  return fromWallClock(wall, tz);
+}
+
+/**
+ * Local calendar date (YYYY-MM-DD) of an instant in a zone.
+ */
+function dateKey(date, tz) {
+  return toWallClock(date, tz).toISOString().substring(0, 10);
+}
+
+/**
+ * "+05:45" style offset of a zone at an instant.
+ */
+function offsetLabel(date, tz) {
+  const offset = offsetMinutes(date, tz);
+  const abs = Math.abs(offset);
+  return `${offset < 0 ? '-' : '+'}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+}
+
+/**
+ * ISO 8601 local time with offset, e.g. 2026-10-19T21:30:00+05:45.
+ */
+function isoWithOffset(date, tz) {
+  return toWallClock(date, tz).toISOString().replace(/\.\d+Z$/, '') + offsetLabel(date, tz);
+}
+
+/**
+ * Owner/contact-facing date and time in a zone, e.g. "Mon, Oct 19, 09:30 PM".
+ */
+function format(date, tz, opts = {}) {
+  return date.toLocaleString('en-US', {
+    weekday: 'short', month: 'short', day: 'numeric',
+    hour: '2-digit', minute: '2-digit',
+    ...opts,
+    timeZone: tz,
+  });
+}
+
+/**
+ * Minutes in a short duration: "90" (minutes), "15m", "2h", "1h30m", "1d", "1w".
+ * @returns {number|null} null when unparseable or zero
+ */
+function parseDuration(text) {
+  const value = String(text === null || text === undefined ? '' : text).trim().toLowerCase();
+  if (/^\d+$/.test(value)) return Number(value) || null;
+  const m = /^(?:(\d+)\s*w(?:eeks?)?)?\s*(?:(\d+)\s*d(?:ays?)?)?\s*(?:(\d+)\s*h(?:ours?|rs?)?)?\s*(?:(\d+)\s*m(?:in(?:ute)?s?)?)?$/.exec(value);
+  if (!value || !m) return null;
+  const [weeks, days, hours, minutes] = m.slice(1).map((v) => Number(v) || 0);
+  return weeks * 10080 + days * 1440 + hours * 60 + minutes || null;
+}
+
+module.exports = {
+  isValidTimezone,
+  toWallClock,
+  fromWallClock,
+  offsetMinutes,
+  offsetLabel,
+  parseInZone,
+  dateKey,
+  isoWithOffset,
+  format,
+  parseDuration,
+};
@@ -0,0 +1,117 @@
+'use strict';
+
+/**
+ * Working hours — weekly opening times such as
+ * "Mon-Fri 09:00-12:30,13:30-17:00; Sat 10:00-13:00", read on the wall
+ * clock of a time zone. Days not listed are off.
+ */
+
+const time = require('./time');
+const { invalid } = require('./errors');
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']; // index = Date#getUTCDay()
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "Mon", "monday" → 1
+function _day(name) {
+  const key = name.trim().toLowerCase();
+  const index = key.length >= 3 ? DAYS.indexOf(key.substring(0, 3)) : -1;
+  if (index === -1) throw invalid(`Unknown day "${name.trim()}" (use Mon, Tue, Wed, Thu, Fri, Sat, Sun)`);
+  return index;
+}
+
+// "Mon-Fri,Sun" → [1, 2, 3, 4, 5, 0]; a range may wrap the week (Sat-Mon)
+function _days(text) {
+  const days = [];
+  for (const part of text.split(',')) {
+    const [from, to] = part.split('-');
+    if (!from.trim()) throw invalid(`Invalid days "${text}"`);
+    if (to === undefined) {
+      days.push(_day(from));
+      continue;
+    }
+    for (let d = _day(from); ; d = (d + 1) % 7) {
+      days.push(d);
+      if (d === _day(to)) break;
+    }
+  }
+  return days;
+}
+
+// "09:00" → 540; "24:00" ends a day
+function _minutes(text) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(text.trim());
+  if (!m || Number(m[1]) > 24 || Number(m[2]) > 59 || (Number(m[1]) === 24 && Number(m[2]) > 0)) {
+    throw invalid(`Invalid time "${text.trim()}" (use HH:MM)`);
+  }
+  return Number(m[1]) * 60 + Number(m[2]);
+}
+
+/**
+ * Parse working hours.
+ * @param {string} text - "<days> <HH:MM-HH:MM>[,<HH:MM-HH:MM>]" items separated by ";"
+ * @returns {Array<Array<[number, number]>>} Per weekday (0 = Sunday), sorted minute ranges
+ * @throws {Error} status 400 for malformed text or overlapping ranges
+ */
+function parse(text) {
+  const week = DAYS.map(() => []);
+  const items = String(text || '').split(';').map((s) => s.trim()).filter(Boolean);
+  if (items.length === 0) throw invalid('Working hours are empty');
+
+  for (const item of items) {
+    const m = /^(\S+)\s+(.+)$/.exec(item);
+    if (!m) throw invalid(`Invalid working hours "${item}" (e.g. Mon-Fri 09:00-17:00)`);
+    const ranges = m[2].split(',').map((range) => {
+      const [start, end] = range.split('-');
+      if (end === undefined) throw invalid(`Invalid time range "${range.trim()}" (use HH:MM-HH:MM)`);
+      const span = [_minutes(start), _minutes(end)];
+      if (span[0] >= span[1]) throw invalid(`Time range "${range.trim()}" must end after it starts`);
+      return span;
+    });
+    for (const day of _days(m[1])) week[day].push(...ranges);
+  }
+
+  for (const [day, ranges] of week.entries()) {
+    ranges.sort((a, b) => a[0] - b[0]);
+    for (let i = 1; i < ranges.length; i++) {
+      if (ranges[i][0] < ranges[i - 1][1]) throw invalid(`Overlapping working hours on ${DAY_NAMES[day]}`);
+    }
+  }
+  return week;
+}
+
+/**
+ * Working periods between two instants.
+ * @param {Array} week - From parse()
+ * @param {Date} from
+ * @param {Date} to
+ * @param {string} tz - IANA zone the hours are in
+ * @returns {Array<{ start: Date, end: Date }>} In order, clipped to from/to
+ */
+function windows(week, from, to, tz) {
+  const out = [];
+  const last = Date.parse(`${time.dateKey(to, tz)}T00:00:00Z`);
+  for (let day = Date.parse(`${time.dateKey(from, tz)}T00:00:00Z`); day <= last; day += DAY_MS) {
+    for (const [startMin, endMin] of week[new Date(day).getUTCDay()]) {
+      const start = time.fromWallClock(new Date(day + startMin * 60000), tz);
+      const end = time.fromWallClock(new Date(day + endMin * 60000), tz);
+      if (end <= from || start >= to) continue;
+      out.push({ start: start < from ? from : start, end: end > to ? to : end });
+    }
+  }
+  return out;
+}
+
+/**
+ * Whether [start, end) lies inside one working period.
+ */
+function contains(week, start, end, tz) {
+  return windows(week, start, end, tz).some((w) => w.start <= start && w.end >= end);
+}
+
+module.exports = {
+  parse,
+  windows,
+  contains,
+};
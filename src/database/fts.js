@@ -0,0 +1,64 @@
+'use strict';
+
+/**
+ * FTS5 helpers — turn free text into a safe MATCH expression.
+ * User input never reaches FTS5 syntax directly: every term is quoted, so
+ * operators (AND, NEAR, -, :, *) in a query are searched as plain words.
+ */
+
+// Filler words dropped so they don't decide matches (unless nothing else is left)
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from',
+  'has', 'have', 'how', 'i', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'so', 'that',
+  'the', 'this', 'to', 'was', 'we', 'what', 'when', 'where', 'which', 'who', 'why', 'will',
+  'with', 'you', 'your',
+]);
+
+/**
+ * Build an FTS5 MATCH expression from free text.
+ * "Quoted phrases" stay phrases; other words become individual terms.
+ * @param {string} text - User query
+ * @param {object} [opts] - { mode: 'all' (every term must match, default) | 'any' (ranked OR) }
+ * @returns {string|null} MATCH expression, or null if the text has no searchable terms
+ */
+function toMatchQuery(text, opts = {}) {
+  const terms = [];
+  const re = /"([^"]+)"|([\p{L}\p{N}_]+)/gu;
+  let m;
+  while ((m = re.exec(text || '')) !== null) {
+    if (m[1]) {
+      const words = m[1].match(/[\p{L}\p{N}_]+/gu);
+      if (words) terms.push({ phrase: true, value: words.join(' ') });
+    } else {
+      terms.push({ phrase: false, value: m[2].toLowerCase() });
+    }
+  }
+
+  const meaningful = terms.filter((t) => t.phrase || (t.value.length > 1 && !STOPWORDS.has(t.value)));
+  const chosen = meaningful.length > 0 ? meaningful : terms;
+  if (chosen.length === 0) return null;
+
+  return chosen.map((t) => `"${t.value}"`).join(opts.mode === 'any' ? ' OR ' : ' ');
+}
+
+/**
+ * Turn a date filter into a created_at comparison. A bare date as the upper
+ * bound covers that whole day.
+ * @param {string} value - YYYY-MM-DD or YYYY-MM-DD HH:MM[:SS] (UTC; a "T" separator is accepted)
+ * @param {boolean} [endOfRange=false]
+ * @returns {{ sql: string, value: string }|null} SQL comparison with one placeholder, or null if invalid
+ */
+function dateBound(value, endOfRange = false) {
+  const v = String(value || '').trim().replace('T', ' ').replace(/Z$/, '');
+  if (/^\d{4}-\d{2}-\d{2}$/.test(v)) {
+    return endOfRange
+      ? { sql: "< date(?, '+1 day')", value: v }
+      : { sql: '>= ?', value: v };
+  }
+  if (/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}(:\d{2})?(\.\d+)?$/.test(v)) {
+    return { sql: endOfRange ? '<= ?' : '>= ?', value: v.substring(0, 19) };
+  }
+  return null;
+}
+
+module.exports = { toMatchQuery, dateBound, STOPWORDS };
@@ -155,6 +155,442 @@ const MIGRATIONS = [
       `);
     },
   },
+  {
+    version: 2,
+    description: 'Persistent chat sessions',
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS chat_sessions (
+          jid             TEXT PRIMARY KEY,
+          history         TEXT NOT NULL DEFAULT '[]',
+          turn_count      INTEGER DEFAULT 0,
+          dropped_turns   INTEGER DEFAULT 0,
+          created_at      TEXT NOT NULL DEFAULT (datetime('now')),
+          updated_at      TEXT NOT NULL DEFAULT (datetime('now'))
+        );
+        CREATE INDEX IF NOT EXISTS idx_chat_sessions_updated ON chat_sessions(updated_at);
+      `);
+    },
+  },
+  {
+    version: 3,
+    description: 'LLM token usage ledger',
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS llm_usage (
+          id                  INTEGER PRIMARY KEY AUTOINCREMENT,
+          jid                 TEXT,
+          purpose             TEXT NOT NULL,
+          provider            TEXT,
+          model               TEXT,
+          prompt_tokens       INTEGER DEFAULT 0,
+          completion_tokens   INTEGER DEFAULT 0,
+          total_tokens        INTEGER DEFAULT 0,
+          created_at          TEXT NOT NULL DEFAULT (datetime('now'))
+        );
+        CREATE INDEX IF NOT EXISTS idx_llm_usage_jid ON llm_usage(jid, created_at);
+        CREATE INDEX IF NOT EXISTS idx_llm_usage_created ON llm_usage(created_at);
+      `);
+    },
+  },
+  {
+    version: 4,
+    description: 'Group chat settings and message participants',
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS group_settings (
+          jid             TEXT PRIMARY KEY,
+          name            TEXT,
+          enabled         INTEGER DEFAULT 0,
+          persona         TEXT,
+          keywords        TEXT,
+          quiet_start     TEXT,
+          quiet_end       TEXT,
+          created_at      TEXT NOT NULL DEFAULT (datetime('now')),
+          updated_at      TEXT NOT NULL DEFAULT (datetime('now'))
+        );
+
+        ALTER TABLE messages ADD COLUMN participant TEXT;
+      `);
+    },
+  },
+  {
+    version: 5,
+    description: 'Reply drafts awaiting owner approval',
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS reply_drafts (
+          id              INTEGER PRIMARY KEY AUTOINCREMENT,
+          jid             TEXT NOT NULL,
+          inbound_text    TEXT,
+          intent          TEXT,
+          draft           TEXT NOT NULL,
+          final_text      TEXT,
+          status          TEXT NOT NULL DEFAULT 'pending'
+                          CHECK(status IN ('pending','approved','edited','rejected','expired','superseded')),
+          created_at      TEXT NOT NULL DEFAULT (datetime('now')),
+          expires_at      TEXT NOT NULL,
+          decided_at      TEXT,
+          FOREIGN KEY (jid) REFERENCES contacts(jid)
+        );
+        CREATE INDEX IF NOT EXISTS idx_reply_drafts_status ON reply_drafts(status, expires_at);
+        CREATE INDEX IF NOT EXISTS idx_reply_drafts_jid ON reply_drafts(jid, status);
+
+        -- NULL follows the APPROVAL_* defaults; 'on' / 'off' override them per contact
+        ALTER TABLE contacts ADD COLUMN approval_mode TEXT;
+      `);
+    },
+  },
+  {
+    version: 6,
+    description: 'FTS5 full-text indexes over messages and the knowledge base',
+    up: (db) => {
+      db.exec(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(
+          content,
+          content='messages', content_rowid='id',
+          tokenize='porter unicode61 remove_diacritics 2'
+        );
+        CREATE TRIGGER IF NOT EXISTS messages_fts_ai AFTER INSERT ON messages BEGIN
+          INSERT INTO messages_fts(rowid, content) VALUES (new.id, new.content);
+        END;
+        CREATE TRIGGER IF NOT EXISTS messages_fts_ad AFTER DELETE ON messages BEGIN
+          INSERT INTO messages_fts(messages_fts, rowid, content) VALUES ('delete', old.id, old.content);
+        END;
+        CREATE TRIGGER IF NOT EXISTS messages_fts_au AFTER UPDATE OF content ON messages BEGIN
+          INSERT INTO messages_fts(messages_fts, rowid, content) VALUES ('delete', old.id, old.content);
+          INSERT INTO messages_fts(rowid, content) VALUES (new.id, new.content);
+        END;
+        INSERT INTO messages_fts(messages_fts) VALUES ('rebuild');
+
+        CREATE VIRTUAL TABLE IF NOT EXISTS knowledge_fts USING fts5(
+          topic, question, answer, keywords,
+          content='knowledge_base', content_rowid='id',
+          tokenize='porter unicode61 remove_diacritics 2'
+        );
+        CREATE TRIGGER IF NOT EXISTS knowledge_fts_ai AFTER INSERT ON knowledge_base BEGIN
+          INSERT INTO knowledge_fts(rowid, topic, question, answer, keywords)
+          VALUES (new.id, new.topic, new.question, new.answer, new.keywords);
+        END;
+        CREATE TRIGGER IF NOT EXISTS knowledge_fts_ad AFTER DELETE ON knowledge_base BEGIN
+          INSERT INTO knowledge_fts(knowledge_fts, rowid, topic, question, answer, keywords)
+          VALUES ('delete', old.id, old.topic, old.question, old.answer, old.keywords);
+        END;
+        CREATE TRIGGER IF NOT EXISTS knowledge_fts_au AFTER UPDATE OF topic, question, answer, keywords ON knowledge_base BEGIN
+          INSERT INTO knowledge_fts(knowledge_fts, rowid, topic, question, answer, keywords)
+          VALUES ('delete', old.id, old.topic, old.question, old.answer, old.keywords);
+          INSERT INTO knowledge_fts(rowid, topic, question, answer, keywords)
+          VALUES (new.id, new.topic, new.question, new.answer, new.keywords);
+        END;
+        INSERT INTO knowledge_fts(knowledge_fts) VALUES ('rebuild');
+      `);
+    },
+  },
+  {
+    version: 7,
+    description: 'Embedding vectors for semantic knowledge base retrieval',
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS kb_embeddings (
+          kb_id           INTEGER PRIMARY KEY REFERENCES knowledge_base(id) ON DELETE CASCADE,
+          model           TEXT NOT NULL,          -- '<backend>:<model>'; other models are re-embedded
+          dims            INTEGER NOT NULL,
+          vector          BLOB NOT NULL,          -- unit-length float32 array
+          content_hash    TEXT NOT NULL,          -- hash of the embedded text; stale when the entry changes
+          updated_at      TEXT NOT NULL DEFAULT (datetime('now'))
+        );
+      `);
+    },
+  },
+  {
+    version: 8,
+    description: 'Queue of knowledge questions the KB could not answer',
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS kb_questions (
+          id              INTEGER PRIMARY KEY AUTOINCREMENT,
+          jid             TEXT NOT NULL REFERENCES contacts(jid),
+          question        TEXT NOT NULL,
+          reason          TEXT NOT NULL CHECK (reason IN ('no_match', 'low_confidence')),
+          best_score      REAL,                   -- similarity of the closest KB entry (low_confidence)
+          best_kb_id      INTEGER REFERENCES knowledge_base(id) ON DELETE SET NULL,
+          ai_answer       TEXT,                   -- what the AI replied instead
+          ask_count       INTEGER NOT NULL DEFAULT 1,
+          status          TEXT NOT NULL DEFAULT 'pending'
+                          CHECK (status IN ('pending', 'answered', 'dismissed')),
+          kb_id           INTEGER REFERENCES knowledge_base(id) ON DELETE SET NULL,
+          asker_notified  INTEGER NOT NULL DEFAULT 0,
+          created_at      TEXT NOT NULL DEFAULT (datetime('now')),
+          last_asked_at   TEXT NOT NULL DEFAULT (datetime('now')),
+          resolved_at     TEXT
+        );
+        CREATE INDEX IF NOT EXISTS idx_kb_questions_status ON kb_questions(status, last_asked_at);
+      `);
+    },
+  },
+  {
+    version: 9,
+    description: 'Knowledge base validity windows, audience scoping and edit history',
+    up: (db) => {
+      db.exec(`
+        -- UTC datetimes; NULL = no bound
+        ALTER TABLE knowledge_base ADD COLUMN valid_from TEXT;
+        ALTER TABLE knowledge_base ADD COLUMN valid_until TEXT;
+        -- Comma-separated lists; all NULL = everyone, otherwise contacts matching any list
+        ALTER TABLE knowledge_base ADD COLUMN audience_relationships TEXT;
+        ALTER TABLE knowledge_base ADD COLUMN audience_tiers TEXT;
+        ALTER TABLE knowledge_base ADD COLUMN audience_jids TEXT;
+
+        CREATE TABLE IF NOT EXISTS kb_versions (
+          id              INTEGER PRIMARY KEY AUTOINCREMENT,
+          kb_id           INTEGER NOT NULL REFERENCES knowledge_base(id) ON DELETE CASCADE,
+          version         INTEGER NOT NULL,
+          snapshot        TEXT NOT NULL,          -- JSON of the entry's fields after the change
+          note            TEXT,                   -- create, update, import, rollback to v2…
+          created_at      TEXT NOT NULL DEFAULT (datetime('now')),
+          UNIQUE (kb_id, version)
+        );
+
+        -- Current state of existing entries becomes their version 1
+        INSERT INTO kb_versions (kb_id, version, snapshot, note)
+        SELECT id, 1, json_object(
+          'category', category, 'topic', topic, 'question', question, 'answer', answer,
+          'keywords', keywords, 'priority', priority, 'is_active', is_active,
+          'valid_from', NULL, 'valid_until', NULL,
+          'audience_relationships', NULL, 'audience_tiers', NULL, 'audience_jids', NULL
+        ), 'create'
+        FROM knowledge_base;
+      `);
+    },
+  },
+  {
+    version: 10,
+    description: 'Recurring schedules: series start, reminder offset and skipped dates',
+    up: (db) => {
+      db.exec(`
+        -- event_at/remind_at now hold the next occurrence still to be reminded;
+        -- recurrence (an RRULE, or 'none') is expanded from series_start
+        ALTER TABLE schedules ADD COLUMN series_start TEXT;
+        ALTER TABLE schedules ADD COLUMN remind_minutes INTEGER;
+        ALTER TABLE schedules ADD COLUMN skip_dates TEXT;      -- comma-separated YYYY-MM-DD (UTC)
+
+        UPDATE schedules SET
+          series_start = event_at,
+          remind_minutes = CASE WHEN remind_at IS NULL THEN NULL
+            ELSE CAST(round((julianday(event_at) - julianday(remind_at)) * 1440) AS INTEGER) END;
+
+        -- One-off reminders used to fire on every cron run once due
+        UPDATE schedules SET remind_at = NULL
+        WHERE (recurrence IS NULL OR recurrence = 'none') AND event_at < datetime('now');
+      `);
+    },
+  },
+  {
+    version: 11,
+    description: 'Time zones for contacts and schedules',
+    up: (db) => {
+      db.exec(`
+        -- IANA zones; NULL = the owner's (OWNER_TIMEZONE)
+        ALTER TABLE contacts ADD COLUMN timezone TEXT;
+        -- Zone a schedule was made in: its recurrence and skipped dates follow that wall clock.
+        -- Existing schedules were expanded in UTC.
+        ALTER TABLE schedules ADD COLUMN timezone TEXT;
+        UPDATE schedules SET timezone = 'UTC';
+      `);
+    },
+  },
+  {
+    version: 12,
+    description: 'iCalendar UIDs for imported schedules',
+    up: (db) => {
+      db.exec(`
+        -- UID of the calendar event a schedule was imported from; re-imports update it
+        ALTER TABLE schedules ADD COLUMN ical_uid TEXT;
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_schedules_ical_uid ON schedules(ical_uid);
+      `);
+    },
+  },
+  {
+    version: 13,
+    description: 'Appointment bookings: tentative schedules and event durations',
+    up: (db) => {
+      // SQLite can't change a CHECK constraint in place: rebuild the table
+      db.exec(`
+        CREATE TABLE schedules_new (
+          id                  INTEGER PRIMARY KEY AUTOINCREMENT,
+          jid                 TEXT,
+          title               TEXT NOT NULL,
+          description         TEXT,
+          event_at            TEXT NOT NULL,
+          remind_at           TEXT,
+          recurrence          TEXT,
+          -- tentative = booked by a contact, waiting for the owner to confirm
+          status              TEXT DEFAULT 'active' CHECK(status IN ('active','completed','cancelled','snoozed','tentative')),
+          source_message_id   INTEGER,
+          created_at          TEXT NOT NULL DEFAULT (datetime('now')),
+          series_start        TEXT,
+          remind_minutes      INTEGER,
+          skip_dates          TEXT,
+          timezone            TEXT,
+          ical_uid            TEXT,
+          duration_minutes    INTEGER,          -- NULL = APPOINTMENT_MINUTES when checking availability
+          FOREIGN KEY (jid) REFERENCES contacts(jid)
+        );
+        INSERT INTO schedules_new (id, jid, title, description, event_at, remind_at, recurrence, status,
+          source_message_id, created_at, series_start, remind_minutes, skip_dates, timezone, ical_uid)
+        SELECT id, jid, title, description, event_at, remind_at, recurrence, status,
+          source_message_id, created_at, series_start, remind_minutes, skip_dates, timezone, ical_uid
+        FROM schedules;
+        DROP TABLE schedules;
+        ALTER TABLE schedules_new RENAME TO schedules;
+
+        CREATE INDEX IF NOT EXISTS idx_schedules_event ON schedules(event_at);
+        CREATE INDEX IF NOT EXISTS idx_schedules_remind ON schedules(remind_at);
+        CREATE INDEX IF NOT EXISTS idx_schedules_status ON schedules(status);
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_schedules_ical_uid ON schedules(ical_uid);
+      `);
+    },
+  },
+  {
+    version: 14,
+    description: 'Schedule reminder audiences and contact confirmations',
+    up: (db) => {
+      db.exec(`
+        -- Who gets the reminder: the owner, the contact the schedule belongs to, or both
+        ALTER TABLE schedules ADD COLUMN remind_audience TEXT NOT NULL DEFAULT 'owner'
+          CHECK(remind_audience IN ('owner','contact','both'));
+        -- Occurrence (event_at) the contact was reminded of and may still confirm or cancel
+        ALTER TABLE schedules ADD COLUMN contact_prompt_for TEXT;
+        -- The contact's last answer: confirmed | cancelled
+        ALTER TABLE schedules ADD COLUMN contact_response TEXT;
+        CREATE INDEX IF NOT EXISTS idx_schedules_prompt ON schedules(jid, contact_prompt_for);
+      `);
+    },
+  },
+  {
+    version: 15,
+    description: 'Follow-up resolution audit: who resolved it, why, and undo',
+    up: (db) => {
+      db.exec(`
+        ALTER TABLE follow_ups ADD COLUMN resolved_by TEXT;            -- owner | auto
+        ALTER TABLE follow_ups ADD COLUMN resolution_note TEXT;
+        ALTER TABLE follow_ups ADD COLUMN resolved_message_id INTEGER; -- owner message that fulfilled it (auto)
+        ALTER TABLE follow_ups ADD COLUMN prior_status TEXT;           -- status to restore on undo
+        -- 1 = an automatic resolution was undone; the model is not asked about it again
+        ALTER TABLE follow_ups ADD COLUMN auto_undone INTEGER NOT NULL DEFAULT 0;
+      `);
+    },
+  },
+  {
+    version: 16,
+    description: 'Snoozable follow-ups',
+    up: (db) => {
+      db.exec(`
+        -- No reminders before this time (SQLite datetime, UTC)
+        ALTER TABLE follow_ups ADD COLUMN snoozed_until TEXT;
+      `);
+    },
+  },
+  {
+    version: 17,
+    description: 'Follow-ups waiting on a contact\'s promise, and nudges',
+    up: (db) => {
+      // SQLite can't change a CHECK constraint in place: rebuild the table
+      db.exec(`
+        CREATE TABLE follow_ups_new (
+          id                  INTEGER PRIMARY KEY AUTOINCREMENT,
+          jid                 TEXT NOT NULL,
+          trigger_message_id  INTEGER,
+          description         TEXT NOT NULL,
+          -- waiting = the contact promised something; pending/reminded = the owner's side
+          status              TEXT DEFAULT 'pending' CHECK(status IN ('pending','reminded','waiting','resolved','expired')),
+          priority            INTEGER DEFAULT 1,
+          due_at              TEXT,
+          reminded_count      INTEGER DEFAULT 0,
+          resolved_at         TEXT,
+          created_at          TEXT NOT NULL DEFAULT (datetime('now')),
+          resolved_by         TEXT,
+          resolution_note     TEXT,
+          resolved_message_id INTEGER,
+          prior_status        TEXT,
+          auto_undone         INTEGER NOT NULL DEFAULT 0,
+          snoozed_until       TEXT,
+          nudge_count         INTEGER NOT NULL DEFAULT 0,
+          nudged_at           TEXT,
+          FOREIGN KEY (jid) REFERENCES contacts(jid)
+        );
+        INSERT INTO follow_ups_new (id, jid, trigger_message_id, description, status, priority, due_at, reminded_count,
+          resolved_at, created_at, resolved_by, resolution_note, resolved_message_id, prior_status, auto_undone, snoozed_until)
+        SELECT id, jid, trigger_message_id, description, status, priority, due_at, reminded_count,
+          resolved_at, created_at, resolved_by, resolution_note, resolved_message_id, prior_status, auto_undone, snoozed_until
+        FROM follow_ups;
+        DROP TABLE follow_ups;
+        ALTER TABLE follow_ups_new RENAME TO follow_ups;
+
+        CREATE INDEX IF NOT EXISTS idx_followups_status ON follow_ups(status, due_at);
+        CREATE INDEX IF NOT EXISTS idx_followups_jid ON follow_ups(jid);
+      `);
+    },
+  },
+  {
+    version: 18,
+    description: 'Owner availability modes',
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS availability_modes (
+          name          TEXT PRIMARY KEY,
+          -- Weekly hours the mode is on by itself ("Mon-Fri 09:00-17:00"); NULL = only when switched on
+          schedule      TEXT,
+          -- Added to reply prompts while the mode is on; {owner} is filled in
+          hint          TEXT,
+          -- Sent once per contact each time the mode comes on; NULL = none
+          away_message  TEXT,
+          -- VIP tiers that still alert the owner instantly ("2,3"); NULL = none
+          alert_tiers   TEXT,
+          updated_at    TEXT NOT NULL DEFAULT (datetime('now'))
+        );
+
+        -- The owner's manual switch (a single row); mode NULL = follow the schedules
+        CREATE TABLE IF NOT EXISTS availability_state (
+          id            INTEGER PRIMARY KEY CHECK(id = 1),
+          mode          TEXT,
+          until         TEXT,
+          set_at        TEXT NOT NULL DEFAULT (datetime('now'))
+        );
+      `);
+
+      const seed = db.prepare('INSERT OR IGNORE INTO availability_modes (name, hint, away_message, alert_tiers) VALUES (?, ?, ?, ?)');
+      seed.run('working', '{owner} is at work right now and may be slow to reply personally.', null, '2,3');
+      seed.run('sleeping', '{owner} is asleep. Keep replies short and say {owner} will answer in the morning.',
+        '{owner} is asleep right now and will reply in the morning. 🌙', '3');
+      seed.run('traveling', '{owner} is traveling and has patchy signal. Don\'t promise a quick personal reply.',
+        '{owner} is traveling at the moment and will get back to you when possible. ✈️', '2,3');
+      seed.run('focus', '{owner} is in focus time and not checking messages. Handle what you can yourself.', null, '3');
+    },
+  },
+  {
+    version: 19,
+    description: 'Owner takeover cooldowns and persisted owner activity',
+    up: (db) => {
+      db.exec(`
+        -- Minutes the bot stays silent after the owner replies; NULL = relationship policy or default
+        ALTER TABLE contacts ADD COLUMN cooldown_minutes INTEGER;
+
+        CREATE TABLE IF NOT EXISTS cooldown_policies (
+          relationship      TEXT PRIMARY KEY,
+          cooldown_minutes  INTEGER NOT NULL,
+          updated_at        TEXT NOT NULL DEFAULT (datetime('now'))
+        );
+
+        -- Chats the owner took over; no FK, groups have no contact row
+        CREATE TABLE IF NOT EXISTS owner_activity (
+          jid               TEXT PRIMARY KEY,
+          last_reply_at     TEXT,
+          paused_until      TEXT NOT NULL
+        );
+      `);
+    },
+  },
 ];
 
 /**
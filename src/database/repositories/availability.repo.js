@@ -0,0 +1,60 @@
+'use strict';
+
+/**
+ * availability.repo.js — owner availability modes (availability_modes) and
+ * the owner's manual switch (availability_state).
+ */
+
+const { getDb } = require('../connection');
+
+const UPDATABLE = ['schedule', 'hint', 'away_message', 'alert_tiers'];
+
+function getMode(name) {
+  return getDb().prepare('SELECT * FROM availability_modes WHERE name = ?').get(name);
+}
+
+function listModes() {
+  return getDb().prepare('SELECT * FROM availability_modes ORDER BY name').all();
+}
+
+/**
+ * Update a mode's settings (null clears one).
+ */
+function updateMode(name, data = {}) {
+  const fields = [];
+  const values = [];
+  for (const key of UPDATABLE) {
+    if (data[key] === undefined) continue;
+    fields.push(`${key} = ?`);
+    values.push(data[key]);
+  }
+
+  if (fields.length > 0) {
+    fields.push("updated_at = datetime('now')");
+    values.push(name);
+    getDb().prepare(`UPDATE availability_modes SET ${fields.join(', ')} WHERE name = ?`).run(...values);
+  }
+  return getMode(name);
+}
+
+/**
+ * The manual switch, or undefined when the owner never set one.
+ */
+function getState() {
+  return getDb().prepare('SELECT * FROM availability_state WHERE id = 1').get();
+}
+
+/**
+ * Switch manually; mode null goes back to the schedules.
+ * @param {string|null} mode
+ * @param {string|null} until - SQLite datetime (UTC), null = until changed
+ */
+function setState(mode, until) {
+  getDb().prepare(`
+    INSERT INTO availability_state (id, mode, until, set_at) VALUES (1, ?, ?, datetime('now'))
+    ON CONFLICT(id) DO UPDATE SET mode = excluded.mode, until = excluded.until, set_at = excluded.set_at
+  `).run(mode, until);
+  return getState();
+}
+
+module.exports = { getMode, listModes, updateMode, getState, setState };
@@ -0,0 +1,58 @@
+'use strict';
+
+/**
+ * chat-sessions.repo.js — CRUD for the chat_sessions table.
+ * History is stored as a JSON array of { role, content } turns.
+ */
+
+const { getDb } = require('../connection');
+
+function get(jid) {
+  const row = getDb().prepare('SELECT * FROM chat_sessions WHERE jid = ?').get(jid);
+  if (!row) return null;
+  try {
+    row.history = JSON.parse(row.history);
+  } catch {
+    row.history = [];
+  }
+  return row;
+}
+
+/**
+ * Insert or replace a contact's session state.
+ */
+function save(jid, data) {
+  getDb().prepare(`
+    INSERT INTO chat_sessions (jid, history, turn_count, dropped_turns)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT(jid) DO UPDATE SET
+      history = excluded.history,
+      turn_count = excluded.turn_count,
+      dropped_turns = excluded.dropped_turns,
+      updated_at = datetime('now')
+  `).run(jid, JSON.stringify(data.history || []), data.turnCount || 0, data.droppedTurns || 0);
+}
+
+function remove(jid) {
+  getDb().prepare('DELETE FROM chat_sessions WHERE jid = ?').run(jid);
+}
+
+function removeAll() {
+  return getDb().prepare('DELETE FROM chat_sessions').run().changes;
+}
+
+/**
+ * Delete sessions idle for more than N days.
+ */
+function pruneOlderThan(days) {
+  return getDb().prepare(`
+    DELETE FROM chat_sessions WHERE updated_at < datetime('now', ?)
+  `).run(`-${days} days`).changes;
+}
+
+function count() {
+  const row = getDb().prepare('SELECT COUNT(*) as cnt FROM chat_sessions').get();
+  return row ? row.cnt : 0;
+}
+
+module.exports = { get, save, remove, removeAll, pruneOlderThan, count };
@@ -27,6 +27,7 @@ function upsert(jid, data = {}) {
     if (data.notes !== undefined) { fields.push('notes = ?'); values.push(data.notes); }
     if (data.last_mood !== undefined) { fields.push('last_mood = ?'); values.push(data.last_mood); }
     if (data.is_bot !== undefined) { fields.push('is_bot = ?'); values.push(data.is_bot ? 1 : 0); }
+    if (data.approval_mode !== undefined) { fields.push('approval_mode = ?'); values.push(data.approval_mode); }
     if (data.metadata !== undefined) { fields.push('metadata = ?'); values.push(typeof data.metadata === 'object' ? JSON.stringify(data.metadata) : data.metadata); }
 
     // Always update
@@ -74,6 +75,18 @@ function setVipTier(jid, tier) {
   getDb().prepare('UPDATE contacts SET vip_tier = ? WHERE jid = ?').run(tier, jid);
 }
 
+function setApprovalMode(jid, mode) {
+  getDb().prepare('UPDATE contacts SET approval_mode = ? WHERE jid = ?').run(mode, jid);
+}
+
+function setTimezone(jid, timezone) {
+  getDb().prepare('UPDATE contacts SET timezone = ? WHERE jid = ?').run(timezone, jid);
+}
+
+function setCooldown(jid, minutes) {
+  getDb().prepare('UPDATE contacts SET cooldown_minutes = ? WHERE jid = ?').run(minutes, jid);
+}
+
 function listVIP(minTier = 1) {
   return getDb().prepare('SELECT * FROM contacts WHERE vip_tier >= ? ORDER BY vip_tier DESC, last_seen_at DESC').all(minTier);
 }
@@ -105,6 +118,9 @@ module.exports = {
   updateProfile,
   setAutoReply,
   setVipTier,
+  setApprovalMode,
+  setTimezone,
+  setCooldown,
   listVIP,
   listAll,
   listActive,
@@ -22,47 +22,133 @@ function create(data) {
 }
 
 function getById(id) {
-  return getDb().prepare('SELECT * FROM follow_ups WHERE id = ?').get(id);
+  return getDb().prepare(`
+    SELECT f.*, c.display_name FROM follow_ups f
+    LEFT JOIN contacts c ON f.jid = c.jid
+    WHERE f.id = ?
+  `).get(id);
 }
 
+/**
+ * Open follow-ups (pending, reminded, or waiting on the contact), snoozed ones included.
+ */
 function listPending(jid = null) {
   if (jid) {
     return getDb().prepare(`
       SELECT f.*, c.display_name FROM follow_ups f
       LEFT JOIN contacts c ON f.jid = c.jid
-      WHERE f.status = 'pending' AND f.jid = ?
+      WHERE f.status IN ('pending', 'reminded', 'waiting') AND f.jid = ?
       ORDER BY f.priority DESC, f.due_at ASC
     `).all(jid);
   }
   return getDb().prepare(`
     SELECT f.*, c.display_name FROM follow_ups f
     LEFT JOIN contacts c ON f.jid = c.jid
-    WHERE f.status = 'pending'
+    WHERE f.status IN ('pending', 'reminded', 'waiting')
     ORDER BY f.priority DESC, f.due_at ASC
   `).all();
 }
 
+/**
+ * Follow-ups in any status, newest first.
+ */
+function listRecent(jid = null, limit = 30) {
+  return getDb().prepare(`
+    SELECT f.*, c.display_name FROM follow_ups f
+    LEFT JOIN contacts c ON f.jid = c.jid
+    WHERE (? IS NULL OR f.jid = ?)
+    ORDER BY f.created_at DESC, f.id DESC
+    LIMIT ?
+  `).all(jid, jid, limit);
+}
+
+/**
+ * Open follow-ups past their due time and not snoozed.
+ */
 function listOverdue() {
   return getDb().prepare(`
     SELECT f.*, c.display_name FROM follow_ups f
     LEFT JOIN contacts c ON f.jid = c.jid
-    WHERE f.status IN ('pending', 'reminded') AND f.due_at <= datetime('now')
+    WHERE f.status IN ('pending', 'reminded', 'waiting') AND f.due_at <= datetime('now')
+      AND (f.snoozed_until IS NULL OR f.snoozed_until <= datetime('now'))
     ORDER BY f.priority DESC, f.due_at ASC
   `).all();
 }
 
-function resolve(id) {
+/**
+ * No reminders before `until`; the reminder count starts over.
+ */
+function snooze(id, until) {
+  getDb().prepare(`
+    UPDATE follow_ups SET snoozed_until = ?, reminded_count = 0,
+      status = CASE WHEN status = 'reminded' THEN 'pending' ELSE status END
+    WHERE id = ?
+  `).run(until, id);
+}
+
+function setPriority(id, priority) {
+  getDb().prepare('UPDATE follow_ups SET priority = ? WHERE id = ?').run(priority, id);
+}
+
+/**
+ * Open follow-ups (pending or reminded) for a contact that may still be resolved automatically.
+ */
+function listAutoResolvable(jid) {
+  return getDb().prepare(`
+    SELECT * FROM follow_ups
+    WHERE jid = ? AND status IN ('pending', 'reminded') AND auto_undone = 0
+    ORDER BY created_at ASC
+  `).all(jid);
+}
+
+/**
+ * Mark a follow-up resolved.
+ * @param {object} [opts] - { by: 'owner'|'auto', note, messageId }
+ * @returns {boolean} false when it was not open
+ */
+function resolve(id, opts = {}) {
+  return getDb().prepare(`
+    UPDATE follow_ups SET prior_status = status, status = 'resolved', resolved_at = datetime('now'),
+      resolved_by = ?, resolution_note = ?, resolved_message_id = ?
+    WHERE id = ? AND status IN ('pending', 'reminded', 'waiting')
+  `).run(opts.by || 'owner', opts.note || null, opts.messageId || null, id).changes > 0;
+}
+
+/**
+ * Undo a resolution: back to the status it had, keeping the note for the record.
+ */
+function reopen(id) {
   getDb().prepare(`
-    UPDATE follow_ups SET status = 'resolved', resolved_at = datetime('now') WHERE id = ?
+    UPDATE follow_ups SET status = COALESCE(prior_status, 'pending'), resolved_at = NULL,
+      auto_undone = CASE WHEN resolved_by = 'auto' THEN 1 ELSE auto_undone END,
+      resolution_note = CASE WHEN resolution_note IS NULL THEN NULL ELSE 'Undone: ' || resolution_note END,
+      resolved_by = NULL, prior_status = NULL
+    WHERE id = ? AND status = 'resolved'
   `).run(id);
 }
 
+/**
+ * Count a reminder; a follow-up waiting on the contact stays waiting.
+ */
 function markReminded(id) {
   getDb().prepare(`
-    UPDATE follow_ups SET status = 'reminded', reminded_count = reminded_count + 1 WHERE id = ?
+    UPDATE follow_ups SET reminded_count = reminded_count + 1,
+      status = CASE WHEN status = 'waiting' THEN 'waiting' ELSE 'reminded' END
+    WHERE id = ?
   `).run(id);
 }
 
+/**
+ * Record a nudge sent to the contact; reminders pause until `snoozedUntil` and then count from zero.
+ */
+function markNudged(id, snoozedUntil) {
+  getDb().prepare(`
+    UPDATE follow_ups SET nudge_count = nudge_count + 1, nudged_at = datetime('now'),
+      reminded_count = 0, snoozed_until = ?
+    WHERE id = ?
+  `).run(snoozedUntil, id);
+}
+
 function expire(id) {
   getDb().prepare(`
     UPDATE follow_ups SET status = 'expired' WHERE id = ?
@@ -73,8 +159,14 @@ module.exports = {
   create,
   getById,
   listPending,
+  listRecent,
   listOverdue,
+  listAutoResolvable,
+  snooze,
+  setPriority,
   resolve,
+  reopen,
   markReminded,
+  markNudged,
   expire,
 };
@@ -0,0 +1,55 @@
+'use strict';
+
+/**
+ * groups.repo.js — CRUD for the group_settings table.
+ */
+
+const { getDb } = require('../connection');
+
+const UPDATABLE = ['name', 'enabled', 'persona', 'keywords', 'quiet_start', 'quiet_end'];
+
+function getByJid(jid) {
+  return getDb().prepare('SELECT * FROM group_settings WHERE jid = ?').get(jid);
+}
+
+/**
+ * Record a group the first time a message from it is seen (disabled by default).
+ */
+function ensure(jid, name) {
+  getDb().prepare(`
+    INSERT INTO group_settings (jid, name) VALUES (?, ?)
+    ON CONFLICT(jid) DO UPDATE SET name = COALESCE(excluded.name, group_settings.name)
+  `).run(jid, name || null);
+  return getByJid(jid);
+}
+
+/**
+ * Update settings for a group (creates the row if needed).
+ */
+function update(jid, data = {}) {
+  ensure(jid);
+
+  const fields = [];
+  const values = [];
+  for (const key of UPDATABLE) {
+    if (data[key] === undefined) continue;
+    fields.push(`${key} = ?`);
+    values.push(key === 'enabled' ? (data[key] ? 1 : 0) : data[key]);
+  }
+
+  if (fields.length > 0) {
+    fields.push("updated_at = datetime('now')");
+    values.push(jid);
+    getDb().prepare(`UPDATE group_settings SET ${fields.join(', ')} WHERE jid = ?`).run(...values);
+  }
+  return getByJid(jid);
+}
+
+function list(enabledOnly = false) {
+  const sql = enabledOnly
+    ? 'SELECT * FROM group_settings WHERE enabled = 1 ORDER BY name'
+    : 'SELECT * FROM group_settings ORDER BY enabled DESC, name';
+  return getDb().prepare(sql).all();
+}
+
+module.exports = { getByJid, ensure, update, list };
@@ -0,0 +1,75 @@
+'use strict';
+
+/**
+ * kb-embeddings.repo.js — CRUD for the kb_embeddings table.
+ * Vectors are stored as float32 BLOBs and returned as Float32Array.
+ */
+
+const { getDb } = require('../connection');
+const { visibleTo } = require('./knowledge.repo');
+
+function _toBlob(vector) {
+  return Buffer.from(new Float32Array(vector).buffer);
+}
+
+function _fromBlob(blob) {
+  return new Float32Array(blob.buffer, blob.byteOffset, blob.byteLength / 4);
+}
+
+/**
+ * Store (or replace) the vector for a KB entry.
+ */
+function upsert(kbId, data) {
+  getDb().prepare(`
+    INSERT INTO kb_embeddings (kb_id, model, dims, vector, content_hash)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(kb_id) DO UPDATE SET
+      model = excluded.model,
+      dims = excluded.dims,
+      vector = excluded.vector,
+      content_hash = excluded.content_hash,
+      updated_at = datetime('now')
+  `).run(kbId, data.model, data.vector.length, _toBlob(data.vector), data.content_hash);
+}
+
+/**
+ * Active KB entries with the hash and model of their stored vector (null if none),
+ * for deciding what needs (re-)embedding.
+ */
+function listActiveWithState() {
+  return getDb().prepare(`
+    SELECT k.*, e.model AS embedding_model, e.content_hash AS embedding_hash
+    FROM knowledge_base k
+    LEFT JOIN kb_embeddings e ON e.kb_id = k.id
+    WHERE k.is_active = 1
+  `).all();
+}
+
+/**
+ * Active KB entries embedded with the given model, each with its `vector`.
+ * @param {string} model
+ * @param {object} [viewer] - Contact; only entries visible to it right now
+ */
+function listActiveVectors(model, viewer) {
+  const visible = viewer ? visibleTo('k', viewer) : { sql: '1', values: [] };
+  return getDb().prepare(`
+    SELECT k.*, e.vector AS vector_blob
+    FROM kb_embeddings e
+    JOIN knowledge_base k ON k.id = e.kb_id
+    WHERE k.is_active = 1 AND e.model = ? AND ${visible.sql}
+  `).all(model, ...visible.values).map(({ vector_blob, ...row }) => ({ ...row, vector: _fromBlob(vector_blob) }));
+}
+
+/**
+ * Count of stored vectors per model.
+ */
+function countByModel() {
+  return getDb().prepare('SELECT model, COUNT(*) AS count FROM kb_embeddings GROUP BY model').all();
+}
+
+module.exports = {
+  upsert,
+  listActiveWithState,
+  listActiveVectors,
+  countByModel,
+};
@@ -0,0 +1,87 @@
+'use strict';
+
+/**
+ * kb-questions.repo.js — CRUD for the kb_questions table.
+ */
+
+const { getDb } = require('../connection');
+
+/**
+ * Queue a question, or bump the pending one this contact already asked
+ * with the same wording (case-insensitive).
+ * @returns {number} Question ID
+ */
+function record(data) {
+  const db = getDb();
+  return db.transaction(() => {
+    const existing = db.prepare(`
+      SELECT id FROM kb_questions
+      WHERE jid = ? AND status = 'pending' AND lower(question) = lower(?)
+    `).get(data.jid, data.question);
+
+    if (existing) {
+      db.prepare(`
+        UPDATE kb_questions SET
+          ask_count = ask_count + 1,
+          reason = ?, best_score = ?, best_kb_id = ?, ai_answer = ?,
+          last_asked_at = datetime('now')
+        WHERE id = ?
+      `).run(data.reason, data.best_score ?? null, data.best_kb_id || null, data.ai_answer || null, existing.id);
+      return existing.id;
+    }
+
+    const result = db.prepare(`
+      INSERT INTO kb_questions (jid, question, reason, best_score, best_kb_id, ai_answer)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(data.jid, data.question, data.reason, data.best_score ?? null, data.best_kb_id || null, data.ai_answer || null);
+    return Number(result.lastInsertRowid);
+  })();
+}
+
+function getById(id) {
+  return getDb().prepare(`
+    SELECT q.*, c.display_name FROM kb_questions q
+    LEFT JOIN contacts c ON q.jid = c.jid
+    WHERE q.id = ?
+  `).get(id);
+}
+
+/**
+ * Questions by status, most recently asked first.
+ */
+function listByStatus(status = 'pending', limit = 50) {
+  return getDb().prepare(`
+    SELECT q.*, c.display_name FROM kb_questions q
+    LEFT JOIN contacts c ON q.jid = c.jid
+    WHERE q.status = ?
+    ORDER BY q.last_asked_at DESC LIMIT ?
+  `).all(status, limit);
+}
+
+function countPending() {
+  return getDb().prepare("SELECT COUNT(*) AS cnt FROM kb_questions WHERE status = 'pending'").get().cnt;
+}
+
+/**
+ * Close a pending question. Returns false if it was no longer pending.
+ */
+function resolve(id, status, data = {}) {
+  const result = getDb().prepare(`
+    UPDATE kb_questions SET status = ?, kb_id = ?, resolved_at = datetime('now')
+    WHERE id = ? AND status = 'pending'
+  `).run(status, data.kb_id || null, id);
+  return result.changes > 0;
+}
+
+function markNotified(id) {
+  getDb().prepare('UPDATE kb_questions SET asker_notified = 1 WHERE id = ?').run(id);
+}
+
+module.exports = {
+  record,
+  getById,
+  listByStatus,
+  countPending,
+  resolve,
+  markNotified,
+};
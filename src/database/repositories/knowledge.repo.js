@@ -2,31 +2,99 @@
 
 /**
  * knowledge.repo.js — CRUD for the knowledge_base table.
+ * Every add/update also records a snapshot in kb_versions.
  */
 
 const { getDb } = require('../connection');
+const { toMatchQuery } = require('../fts');
 
-function add(data) {
-  const result = getDb().prepare(`
-    INSERT INTO knowledge_base (category, topic, question, answer, keywords, priority, is_active)
-    VALUES (?, ?, ?, ?, ?, ?, ?)
-  `).run(
-    data.category,
-    data.topic,
-    data.question || null,
-    data.answer,
-    data.keywords || null,
-    data.priority || 1,
-    data.is_active !== undefined ? (data.is_active ? 1 : 0) : 1,
-  );
-  return result.lastInsertRowid;
+// Fields captured in version snapshots (and restored by rollback)
+const VERSIONED_FIELDS = [
+  'category', 'topic', 'question', 'answer', 'keywords', 'priority', 'is_active',
+  'valid_from', 'valid_until', 'audience_relationships', 'audience_tiers', 'audience_jids',
+];
+
+/**
+ * WHERE fragment limiting entries to those a contact may see right now:
+ * inside their validity window, and either unscoped or scoped to the
+ * contact's jid, relationship type or VIP tier.
+ * @param {string} alias - knowledge_base table alias
+ * @param {object} viewer - { jid, relationship_type, vip_tier }
+ * @returns {{ sql: string, values: Array }}
+ */
+function visibleTo(alias, viewer) {
+  const k = alias;
+  const listHas = (column) => `instr(',' || ${k}.${column} || ',', ',' || ? || ',') > 0`;
+  return {
+    sql: `(${k}.valid_from IS NULL OR ${k}.valid_from <= datetime('now'))
+      AND (${k}.valid_until IS NULL OR ${k}.valid_until >= datetime('now'))
+      AND ((${k}.audience_relationships IS NULL AND ${k}.audience_tiers IS NULL AND ${k}.audience_jids IS NULL)
+        OR ${listHas('audience_jids')} OR ${listHas('audience_relationships')} OR ${listHas('audience_tiers')})`,
+    values: [
+      viewer.jid || '',
+      (viewer.relationship_type || '').toLowerCase(),
+      String(viewer.vip_tier || 0),
+    ],
+  };
+}
+
+/**
+ * Snapshot an entry's current state as its next version, unless nothing changed.
+ */
+function _recordVersion(id, note) {
+  const db = getDb();
+  const row = getById(id);
+  if (!row) return;
+
+  const snapshot = JSON.stringify(Object.fromEntries(VERSIONED_FIELDS.map((f) => [f, row[f] === undefined ? null : row[f]])));
+  const latest = db.prepare('SELECT version, snapshot FROM kb_versions WHERE kb_id = ? ORDER BY version DESC LIMIT 1').get(id);
+  if (latest && latest.snapshot === snapshot) return;
+
+  db.prepare('INSERT INTO kb_versions (kb_id, version, snapshot, note) VALUES (?, ?, ?, ?)')
+    .run(id, latest ? latest.version + 1 : 1, snapshot, note || null);
+}
+
+/**
+ * @param {object} data - Entry fields
+ * @param {string} [note='create'] - Recorded with the version
+ */
+function add(data, note = 'create') {
+  const db = getDb();
+  return db.transaction(() => {
+    const result = db.prepare(`
+      INSERT INTO knowledge_base (category, topic, question, answer, keywords, priority, is_active,
+        valid_from, valid_until, audience_relationships, audience_tiers, audience_jids)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      data.category,
+      data.topic,
+      data.question || null,
+      data.answer,
+      data.keywords || null,
+      data.priority !== undefined && data.priority !== null ? data.priority : 1,
+      data.is_active !== undefined ? (data.is_active ? 1 : 0) : 1,
+      data.valid_from || null,
+      data.valid_until || null,
+      data.audience_relationships || null,
+      data.audience_tiers || null,
+      data.audience_jids || null,
+    );
+    const id = Number(result.lastInsertRowid);
+    _recordVersion(id, note);
+    return id;
+  })();
 }
 
 function getById(id) {
   return getDb().prepare('SELECT * FROM knowledge_base WHERE id = ?').get(id);
 }
 
-function update(id, data) {
+/**
+ * @param {number} id
+ * @param {object} data - Fields to change (undefined = keep)
+ * @param {string} [note='update'] - Recorded with the version
+ */
+function update(id, data, note = 'update') {
   const fields = [];
   const values = [];
 
@@ -37,14 +105,34 @@ function update(id, data) {
   if (data.keywords !== undefined) { fields.push('keywords = ?'); values.push(data.keywords); }
   if (data.priority !== undefined) { fields.push('priority = ?'); values.push(data.priority); }
   if (data.is_active !== undefined) { fields.push('is_active = ?'); values.push(data.is_active ? 1 : 0); }
+  for (const key of ['valid_from', 'valid_until', 'audience_relationships', 'audience_tiers', 'audience_jids']) {
+    if (data[key] !== undefined) { fields.push(`${key} = ?`); values.push(data[key] || null); }
+  }
 
   fields.push("updated_at = datetime('now')");
   values.push(id);
 
-  getDb().prepare(`UPDATE knowledge_base SET ${fields.join(', ')} WHERE id = ?`).run(...values);
+  const db = getDb();
+  db.transaction(() => {
+    db.prepare(`UPDATE knowledge_base SET ${fields.join(', ')} WHERE id = ?`).run(...values);
+    _recordVersion(id, note);
+  })();
   return getById(id);
 }
 
+/**
+ * Version history of an entry, newest first, snapshots parsed.
+ */
+function listVersions(id) {
+  return getDb().prepare('SELECT * FROM kb_versions WHERE kb_id = ? ORDER BY version DESC').all(id)
+    .map((v) => ({ ...v, snapshot: JSON.parse(v.snapshot) }));
+}
+
+function getVersion(id, version) {
+  const row = getDb().prepare('SELECT * FROM kb_versions WHERE kb_id = ? AND version = ?').get(id, version);
+  return row ? { ...row, snapshot: JSON.parse(row.snapshot) } : null;
+}
+
 function remove(id) {
   getDb().prepare('DELETE FROM knowledge_base WHERE id = ?').run(id);
 }
@@ -56,22 +144,68 @@ function listAll(activeOnly = true) {
   return getDb().prepare('SELECT * FROM knowledge_base ORDER BY category, priority DESC').all();
 }
 
+/**
+ * First entry with this topic (case-insensitive), active or not.
+ */
+function getByTopic(topic) {
+  return getDb().prepare('SELECT * FROM knowledge_base WHERE lower(topic) = lower(?) ORDER BY id LIMIT 1').get(topic);
+}
+
+/**
+ * Every entry in a stable order (category, topic) so exports diff cleanly.
+ */
+function listForExport() {
+  return getDb().prepare('SELECT * FROM knowledge_base ORDER BY category, topic COLLATE NOCASE, id').all();
+}
+
+/**
+ * Apply a batch of inserts and updates atomically.
+ * @param {Array<{ id?: number, data: object }>} ops - With id: update, without: insert
+ * @param {string} [note] - Recorded with each version
+ * @returns {number[]} IDs of the rows written, in op order
+ */
+function applyBatch(ops, note) {
+  return getDb().transaction(() => ops.map((op) => {
+    if (op.id) {
+      update(op.id, op.data, note);
+      return op.id;
+    }
+    return add(op.data, note);
+  }))();
+}
+
 function listByCategory(category) {
   return getDb().prepare('SELECT * FROM knowledge_base WHERE category = ? AND is_active = 1 ORDER BY priority DESC').all(category);
 }
 
 /**
- * Search KB entries by keyword match or topic.
+ * Full-text search over active KB entries, best BM25 match first.
+ * Keyword and topic hits weigh more than hits in the answer body.
+ * @param {string} query - Free text; "quoted phrases" are matched as phrases
+ * @param {object} [opts] - { category, mode: 'all'|'any', limit, viewer (contact: only entries visible to it now) }
  */
-function search(query) {
-  const pattern = `%${query}%`;
+function search(query, opts = {}) {
+  const match = toMatchQuery(query, opts);
+  if (!match) return [];
+
+  const where = ['knowledge_fts MATCH ?', 'k.is_active = 1'];
+  const values = [match];
+  if (opts.category) { where.push('k.category = ?'); values.push(opts.category); }
+  if (opts.viewer) {
+    const visible = visibleTo('k', opts.viewer);
+    where.push(visible.sql);
+    values.push(...visible.values);
+  }
+
   return getDb().prepare(`
-    SELECT * FROM knowledge_base
-    WHERE is_active = 1 AND (
-      keywords LIKE ? OR topic LIKE ? OR question LIKE ? OR answer LIKE ?
-    )
-    ORDER BY priority DESC
-  `).all(pattern, pattern, pattern, pattern);
+    SELECT k.*,
+      snippet(knowledge_fts, 2, '*', '*', '…', 16) AS snippet,
+      bm25(knowledge_fts, 2.0, 1.5, 1.0, 3.0) AS rank
+    FROM knowledge_fts
+    JOIN knowledge_base k ON k.id = knowledge_fts.rowid
+    WHERE ${where.join(' AND ')}
+    ORDER BY rank, k.priority DESC LIMIT ?
+  `).all(...values, opts.limit || 20);
 }
 
 module.exports = {
@@ -81,5 +215,12 @@ module.exports = {
   remove,
   listAll,
   listByCategory,
+  getByTopic,
+  listForExport,
+  applyBatch,
+  listVersions,
+  getVersion,
+  visibleTo,
   search,
+  VERSIONED_FIELDS,
 };
@@ -0,0 +1,80 @@
+'use strict';
+
+/**
+ * llm-usage.repo.js — CRUD for the llm_usage table (one row per completion).
+ */
+
+const { getDb } = require('../connection');
+
+function insert(data) {
+  const result = getDb().prepare(`
+    INSERT INTO llm_usage (jid, purpose, provider, model, prompt_tokens, completion_tokens, total_tokens)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    data.jid || null,
+    data.purpose,
+    data.provider || null,
+    data.model || null,
+    data.prompt_tokens || 0,
+    data.completion_tokens || 0,
+    data.total_tokens || 0,
+  );
+  return result.lastInsertRowid;
+}
+
+/**
+ * Total tokens spent on a contact since a given time.
+ */
+function totalForJid(jid, since) {
+  const row = getDb().prepare(`
+    SELECT COALESCE(SUM(total_tokens), 0) as total FROM llm_usage
+    WHERE jid = ? AND created_at >= ?
+  `).get(jid, since);
+  return row ? row.total : 0;
+}
+
+/**
+ * Aggregate totals since a given time, optionally for one contact.
+ */
+function totals(since, jid) {
+  let sql = `
+    SELECT COUNT(*) as calls,
+           COALESCE(SUM(prompt_tokens), 0) as prompt_tokens,
+           COALESCE(SUM(completion_tokens), 0) as completion_tokens,
+           COALESCE(SUM(total_tokens), 0) as total_tokens
+    FROM llm_usage WHERE created_at >= ?`;
+  const params = [since];
+  if (jid) {
+    sql += ' AND jid = ?';
+    params.push(jid);
+  }
+  return getDb().prepare(sql).get(...params);
+}
+
+/**
+ * Token totals grouped by purpose since a given time.
+ */
+function byPurpose(since, jid) {
+  let sql = 'SELECT purpose, COUNT(*) as calls, SUM(total_tokens) as total_tokens FROM llm_usage WHERE created_at >= ?';
+  const params = [since];
+  if (jid) {
+    sql += ' AND jid = ?';
+    params.push(jid);
+  }
+  sql += ' GROUP BY purpose ORDER BY total_tokens DESC';
+  return getDb().prepare(sql).all(...params);
+}
+
+/**
+ * Top spending contacts since a given time.
+ */
+function byContact(since, limit = 10) {
+  return getDb().prepare(`
+    SELECT u.jid, c.display_name, c.vip_tier, COUNT(*) as calls, SUM(u.total_tokens) as total_tokens
+    FROM llm_usage u LEFT JOIN contacts c ON c.jid = u.jid
+    WHERE u.jid IS NOT NULL AND u.created_at >= ?
+    GROUP BY u.jid ORDER BY total_tokens DESC LIMIT ?
+  `).all(since, limit);
+}
+
+module.exports = { insert, totalForJid, totals, byPurpose, byContact };
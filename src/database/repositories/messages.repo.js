@@ -5,11 +5,16 @@
  */
 
 const { getDb } = require('../connection');
+const { toMatchQuery, dateBound } = require('../fts');
 
+/**
+ * Insert a message. token_count is the provider's count for generated replies
+ * (0 included) and NULL for every other row.
+ */
 function insert(data) {
   const result = getDb().prepare(`
-    INSERT INTO messages (jid, direction, content, content_type, intent, mood, is_ai_generated, source_lib, wa_message_id, reply_to_id, token_count)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO messages (jid, direction, content, content_type, intent, mood, is_ai_generated, source_lib, wa_message_id, reply_to_id, token_count, participant)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `).run(
     data.jid,
     data.direction,
@@ -21,7 +26,8 @@ function insert(data) {
     data.source_lib || null,
     data.wa_message_id || null,
     data.reply_to_id || null,
-    data.token_count || null,
+    data.token_count ?? null,
+    data.participant || null,
   );
   return result.lastInsertRowid;
 }
@@ -68,6 +74,16 @@ function activeContactsSince(since) {
   `).all(since).map(r => r.jid);
 }
 
+/**
+ * Whether an outbound message with this intent went to a contact since a given time.
+ */
+function sentSince(jid, intent, since) {
+  return !!getDb().prepare(`
+    SELECT 1 FROM messages
+    WHERE jid = ? AND direction = 'outbound' AND intent = ? AND created_at >= ? LIMIT 1
+  `).get(jid, intent, since);
+}
+
 /**
  * Get messages older than a threshold for compression.
  */
@@ -86,14 +102,36 @@ function deleteRange(jid, fromId, toId) {
 }
 
 /**
- * Search messages by keyword.
+ * Full-text search over message content, best BM25 match first.
+ * Each row carries a `snippet` with matches wrapped in *…* and its `rank`.
+ * @param {string} query - Free text; "quoted phrases" are matched as phrases
+ * @param {object} [opts] - { jid, from, to, direction, intent, mode: 'all'|'any', limit }
  */
-function search(query, limit = 50) {
-  const pattern = `%${query}%`;
+function search(query, opts = {}) {
+  const match = toMatchQuery(query, opts);
+  if (!match) return [];
+
+  const where = ['messages_fts MATCH ?'];
+  const values = [match];
+
+  if (opts.jid) { where.push('m.jid = ?'); values.push(opts.jid); }
+  if (opts.direction) { where.push('m.direction = ?'); values.push(opts.direction); }
+  if (opts.intent) { where.push('m.intent = ?'); values.push(opts.intent); }
+  for (const [key, end] of [['from', false], ['to', true]]) {
+    const bound = opts[key] && dateBound(opts[key], end);
+    if (bound) { where.push(`m.created_at ${bound.sql}`); values.push(bound.value); }
+  }
+
   return getDb().prepare(`
-    SELECT * FROM messages WHERE content LIKE ?
-    ORDER BY created_at DESC LIMIT ?
-  `).all(pattern, limit);
+    SELECT m.*, c.display_name,
+      snippet(messages_fts, 0, '*', '*', '…', 12) AS snippet,
+      bm25(messages_fts) AS rank
+    FROM messages_fts
+    JOIN messages m ON m.id = messages_fts.rowid
+    LEFT JOIN contacts c ON m.jid = c.jid
+    WHERE ${where.join(' AND ')}
+    ORDER BY rank, m.created_at DESC LIMIT ?
+  `).all(...values, opts.limit || 50);
 }
 
 /**
@@ -116,6 +154,7 @@ module.exports = {
   getByDateRange,
   countSince,
   activeContactsSince,
+  sentSince,
   getOlderThan,
   deleteRange,
   search,
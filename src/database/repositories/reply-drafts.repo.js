@@ -0,0 +1,96 @@
+'use strict';
+
+/**
+ * reply-drafts.repo.js — CRUD for the reply_drafts table.
+ */
+
+const { getDb } = require('../connection');
+
+function create(data) {
+  const result = getDb().prepare(`
+    INSERT INTO reply_drafts (jid, inbound_text, intent, draft, expires_at)
+    VALUES (?, ?, ?, ?, datetime('now', ? || ' minutes'))
+  `).run(
+    data.jid,
+    data.inbound_text || null,
+    data.intent || null,
+    data.draft,
+    data.expires_in_minutes,
+  );
+  return Number(result.lastInsertRowid);
+}
+
+function getById(id) {
+  return getDb().prepare(`
+    SELECT d.*, c.display_name, d.expires_at <= datetime('now') AS is_expired
+    FROM reply_drafts d
+    LEFT JOIN contacts c ON d.jid = c.jid
+    WHERE d.id = ?
+  `).get(id);
+}
+
+function listPending(jid) {
+  let sql = `
+    SELECT d.*, c.display_name FROM reply_drafts d
+    LEFT JOIN contacts c ON d.jid = c.jid
+    WHERE d.status = 'pending' AND d.expires_at > datetime('now')`;
+  const params = [];
+  if (jid) {
+    sql += ' AND d.jid = ?';
+    params.push(jid);
+  }
+  return getDb().prepare(sql + ' ORDER BY d.created_at ASC').all(...params);
+}
+
+/**
+ * Close a pending draft. Returns false if it was no longer pending.
+ */
+function decide(id, status, finalText = null) {
+  const result = getDb().prepare(`
+    UPDATE reply_drafts SET status = ?, final_text = ?, decided_at = datetime('now')
+    WHERE id = ? AND status = 'pending'
+  `).run(status, finalText, id);
+  return result.changes > 0;
+}
+
+/**
+ * Mark pending drafts past their expiry as expired.
+ * @returns {object[]} The drafts that just expired
+ */
+function expireDue() {
+  const db = getDb();
+  return db.transaction(() => {
+    const due = db.prepare(`
+      SELECT d.*, c.display_name FROM reply_drafts d
+      LEFT JOIN contacts c ON d.jid = c.jid
+      WHERE d.status = 'pending' AND d.expires_at <= datetime('now')
+    `).all();
+    if (due.length > 0) {
+      db.prepare(`
+        UPDATE reply_drafts SET status = 'expired', decided_at = datetime('now')
+        WHERE status = 'pending' AND expires_at <= datetime('now')
+      `).run();
+    }
+    return due;
+  })();
+}
+
+/**
+ * Mark a contact's pending drafts as superseded (the owner answered directly).
+ * @returns {number} Drafts closed
+ */
+function supersedeForJid(jid) {
+  return getDb().prepare(`
+    UPDATE reply_drafts SET status = 'superseded', decided_at = datetime('now')
+    WHERE jid = ? AND status = 'pending'
+  `).run(jid).changes;
+}
+
+module.exports = {
+  create,
+  getById,
+  listPending,
+  decide,
+  expireDue,
+  supersedeForJid,
+};
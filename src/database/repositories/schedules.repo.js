@@ -8,8 +8,9 @@ const { getDb } = require('../connection');
 
 function create(data) {
   const result = getDb().prepare(`
-    INSERT INTO schedules (jid, title, description, event_at, remind_at, recurrence, status, source_message_id)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO schedules (jid, title, description, event_at, remind_at, recurrence, status, source_message_id,
+      series_start, remind_minutes, skip_dates, timezone, ical_uid, duration_minutes, remind_audience)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `).run(
     data.jid || null,
     data.title,
@@ -19,6 +20,13 @@ function create(data) {
     data.recurrence || null,
     data.status || 'active',
     data.source_message_id || null,
+    data.series_start || data.event_at,
+    data.remind_minutes === undefined ? null : data.remind_minutes,
+    data.skip_dates || null,
+    data.timezone || null,
+    data.ical_uid || null,
+    data.duration_minutes || null,
+    data.remind_audience || 'owner',
   );
   return result.lastInsertRowid;
 }
@@ -27,20 +35,121 @@ function getById(id) {
   return getDb().prepare('SELECT * FROM schedules WHERE id = ?').get(id);
 }
 
-function listUpcoming(limit = 20) {
+function getByIcalUid(uid) {
+  return getDb().prepare('SELECT * FROM schedules WHERE ical_uid = ?').get(uid);
+}
+
+/**
+ * Schedules for the calendar feed (everything but cancelled ones).
+ */
+function listForExport() {
+  return getDb().prepare(`
+    SELECT s.*, c.display_name FROM schedules s
+    LEFT JOIN contacts c ON s.jid = c.jid
+    WHERE s.status != 'cancelled'
+    ORDER BY s.series_start ASC, s.id ASC
+  `).all();
+}
+
+const SERIES_FIELDS = ['title', 'description', 'event_at', 'remind_at', 'recurrence', 'series_start',
+  'remind_minutes', 'skip_dates', 'timezone', 'ical_uid', 'duration_minutes'];
+
+/**
+ * Replace a schedule's series fields (title, times, recurrence, ...); a snoozed one becomes active
+ * and a reminder the contact hasn't answered is no longer open.
+ */
+function updateSeries(id, data) {
+  getDb().prepare(`
+    UPDATE schedules SET ${SERIES_FIELDS.map((f) => `${f} = ?`).join(', ')}, contact_prompt_for = NULL,
+      status = CASE WHEN status = 'snoozed' THEN 'active' ELSE status END
+    WHERE id = ?
+  `).run(...SERIES_FIELDS.map((f) => (data[f] === undefined ? null : data[f])), id);
+}
+
+/**
+ * Create and update schedules in one transaction (calendar imports).
+ * @param {Array<{ id?: number, data: object }>} ops - With an id: replace that schedule's
+ *   series fields; without: create
+ * @returns {number[]} IDs, in op order
+ */
+function applyBatch(ops) {
+  return getDb().transaction(() => ops.map((op) => {
+    if (!op.id) return Number(create(op.data));
+    updateSeries(op.id, op.data);
+    return op.id;
+  }))();
+}
+
+/**
+ * Active (or snoozed) schedules that may have an occurrence between now and `until`:
+ * one-off events inside the window and every recurring series (their
+ * occurrences are expanded by the caller).
+ * @param {string} until - SQLite datetime
+ */
+function listUpcoming(until) {
+  return getDb().prepare(`
+    SELECT s.*, c.display_name FROM schedules s
+    LEFT JOIN contacts c ON s.jid = c.jid
+    WHERE s.status IN ('active', 'snoozed') AND (
+      (s.recurrence IS NOT NULL AND s.recurrence != 'none')
+      OR (s.event_at >= datetime('now') AND s.event_at <= ?)
+    )
+    ORDER BY s.event_at ASC
+  `).all(until);
+}
+
+/**
+ * Schedules that may keep the owner busy between two times: active, snoozed
+ * and tentative one-off events starting up to a day before the window, and
+ * every such recurring series (expanded by the caller).
+ * @param {string} from - SQLite datetime
+ * @param {string} to - SQLite datetime
+ */
+function listBusy(from, to) {
+  return getDb().prepare(`
+    SELECT * FROM schedules
+    WHERE status IN ('active', 'snoozed', 'tentative') AND (
+      (recurrence IS NOT NULL AND recurrence != 'none')
+      OR (event_at >= datetime(?, '-1 day') AND event_at <= ?)
+    )
+  `).all(from, to);
+}
+
+/**
+ * Tentative bookings, soonest first.
+ */
+function listTentative(limit = 50) {
   return getDb().prepare(`
     SELECT s.*, c.display_name FROM schedules s
     LEFT JOIN contacts c ON s.jid = c.jid
-    WHERE s.status = 'active' AND s.event_at >= datetime('now')
-    ORDER BY s.event_at ASC LIMIT ?
+    WHERE s.status = 'tentative'
+    ORDER BY s.event_at ASC
+    LIMIT ?
   `).all(limit);
 }
 
+/**
+ * Tentative bookings whose time has come without the owner confirming them.
+ */
+function listExpiredTentative() {
+  return getDb().prepare(`
+    SELECT * FROM schedules WHERE status = 'tentative' AND event_at <= datetime('now')
+  `).all();
+}
+
+/**
+ * Move a schedule from one status to another.
+ * @returns {boolean} false when it was no longer in `from` (decided elsewhere)
+ */
+function transition(id, from, to) {
+  return getDb().prepare('UPDATE schedules SET status = ? WHERE id = ? AND status = ?').run(to, id, from).changes > 0;
+}
+
 function listDueReminders() {
   return getDb().prepare(`
     SELECT s.*, c.display_name FROM schedules s
     LEFT JOIN contacts c ON s.jid = c.jid
-    WHERE s.status = 'active' AND s.remind_at <= datetime('now') AND s.remind_at IS NOT NULL
+    WHERE s.status IN ('active', 'snoozed') AND s.remind_at <= datetime('now') AND s.remind_at IS NOT NULL
     ORDER BY s.remind_at ASC
   `).all();
 }
@@ -53,6 +162,57 @@ function cancel(id) {
   getDb().prepare("UPDATE schedules SET status = 'cancelled' WHERE id = ?").run(id);
 }
 
+/**
+ * Move a schedule to its next occurrence (remindAt null = nothing left to remind).
+ * A snoozed schedule is active again once its reminder has gone out.
+ */
+function setNextOccurrence(id, eventAt, remindAt) {
+  getDb().prepare(`
+    UPDATE schedules SET event_at = ?, remind_at = ?,
+      status = CASE WHEN status = 'snoozed' THEN 'active' ELSE status END
+    WHERE id = ?
+  `).run(eventAt, remindAt, id);
+}
+
+function setAudience(id, audience) {
+  getDb().prepare('UPDATE schedules SET remind_audience = ? WHERE id = ?').run(audience, id);
+}
+
+/**
+ * Record that the contact was reminded of the occurrence at `eventAt` (null = no answer expected).
+ */
+function setContactPrompt(id, eventAt) {
+  getDb().prepare('UPDATE schedules SET contact_prompt_for = ? WHERE id = ?').run(eventAt, id);
+}
+
+/**
+ * The contact's reminder still open for an answer: the soonest prompted
+ * occurrence of an active schedule that hasn't started yet.
+ */
+function getOpenPrompt(jid) {
+  return getDb().prepare(`
+    SELECT * FROM schedules
+    WHERE jid = ? AND status IN ('active', 'snoozed')
+      AND contact_prompt_for IS NOT NULL AND contact_prompt_for > datetime('now')
+    ORDER BY contact_prompt_for ASC
+    LIMIT 1
+  `).get(jid);
+}
+
+/**
+ * Store the contact's answer and close the prompt.
+ */
+function setContactResponse(id, response) {
+  getDb().prepare('UPDATE schedules SET contact_response = ?, contact_prompt_for = NULL WHERE id = ?').run(response, id);
+}
+
+function setSkipDates(id, skipDates) {
+  getDb().prepare('UPDATE schedules SET skip_dates = ? WHERE id = ?').run(skipDates || null, id);
+}
+
+/**
+ * Remind again at `newRemindAt` (the event time stays).
+ */
 function snooze(id, newRemindAt) {
   getDb().prepare("UPDATE schedules SET status = 'snoozed', remind_at = ? WHERE id = ?").run(newRemindAt, id);
 }
@@ -60,8 +220,22 @@ function snooze(id, newRemindAt) {
 module.exports = {
   create,
   getById,
+  getByIcalUid,
   listUpcoming,
+  listForExport,
+  updateSeries,
+  applyBatch,
+  listBusy,
+  listTentative,
+  listExpiredTentative,
+  transition,
   listDueReminders,
+  setNextOccurrence,
+  setSkipDates,
+  setAudience,
+  setContactPrompt,
+  getOpenPrompt,
+  setContactResponse,
   complete,
   cancel,
   snooze,
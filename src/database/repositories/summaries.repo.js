@@ -0,0 +1,46 @@
+'use strict';
+
+/**
+ * summaries.repo.js — CRUD for the conversation_summaries table.
+ */
+
+const { getDb } = require('../connection');
+
+function insert(data) {
+  const result = getDb().prepare(`
+    INSERT INTO conversation_summaries (jid, summary_text, message_range, token_count)
+    VALUES (?, ?, ?, ?)
+  `).run(
+    data.jid,
+    data.summary_text,
+    typeof data.message_range === 'object' ? JSON.stringify(data.message_range) : data.message_range,
+    data.token_count || null,
+  );
+  return result.lastInsertRowid;
+}
+
+/**
+ * Get the most recent summary for a contact.
+ */
+function getLatest(jid) {
+  return getDb().prepare(`
+    SELECT * FROM conversation_summaries WHERE jid = ?
+    ORDER BY created_at DESC, id DESC LIMIT 1
+  `).get(jid) || null;
+}
+
+/**
+ * Keep only the latest N summaries per contact.
+ */
+function prune(keep = 5) {
+  return getDb().prepare(`
+    DELETE FROM conversation_summaries
+    WHERE id NOT IN (
+      SELECT id FROM conversation_summaries cs2
+      WHERE cs2.jid = conversation_summaries.jid
+      ORDER BY created_at DESC, id DESC LIMIT ?
+    )
+  `).run(keep).changes;
+}
+
+module.exports = { insert, getLatest, prune };
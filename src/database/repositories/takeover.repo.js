@@ -0,0 +1,51 @@
+'use strict';
+
+/**
+ * takeover.repo.js — chats the owner has taken over (owner_activity) and
+ * per-relationship cooldowns (cooldown_policies).
+ */
+
+const { getDb } = require('../connection');
+
+function listActivity() {
+  return getDb().prepare('SELECT * FROM owner_activity').all();
+}
+
+/**
+ * Record a takeover.
+ * @param {string} jid
+ * @param {string|null} lastReplyAt - SQLite datetime (UTC) of the owner's last reply, if any
+ * @param {string} pausedUntil - SQLite datetime (UTC) the bot stays silent until
+ */
+function saveActivity(jid, lastReplyAt, pausedUntil) {
+  getDb().prepare(`
+    INSERT INTO owner_activity (jid, last_reply_at, paused_until) VALUES (?, ?, ?)
+    ON CONFLICT(jid) DO UPDATE SET last_reply_at = excluded.last_reply_at, paused_until = excluded.paused_until
+  `).run(jid, lastReplyAt, pausedUntil);
+}
+
+function deleteActivity(jid) {
+  getDb().prepare('DELETE FROM owner_activity WHERE jid = ?').run(jid);
+}
+
+function getPolicy(relationship) {
+  return getDb().prepare('SELECT * FROM cooldown_policies WHERE relationship = ?').get(relationship);
+}
+
+function listPolicies() {
+  return getDb().prepare('SELECT * FROM cooldown_policies ORDER BY relationship').all();
+}
+
+function setPolicy(relationship, minutes) {
+  getDb().prepare(`
+    INSERT INTO cooldown_policies (relationship, cooldown_minutes) VALUES (?, ?)
+    ON CONFLICT(relationship) DO UPDATE SET cooldown_minutes = excluded.cooldown_minutes, updated_at = datetime('now')
+  `).run(relationship, minutes);
+  return getPolicy(relationship);
+}
+
+function deletePolicy(relationship) {
+  getDb().prepare('DELETE FROM cooldown_policies WHERE relationship = ?').run(relationship);
+}
+
+module.exports = { listActivity, saveActivity, deleteActivity, getPolicy, listPolicies, setPolicy, deletePolicy };
@@ -8,7 +8,7 @@
  * 2. Logger
  * 3. Lifecycle (shutdown hooks)
  * 4. Database (SQLite + migrations)
- * 5. Services init (contact manager, admin commands, message router)
+ * 5. Services init (usage tracker, contact manager, admin commands, message router)
  * 6. Transport (WhatsApp connection)
  * 7. HTTP API server
  * 8. Scheduled tasks (summaries, follow-ups, memory compression)
@@ -34,12 +34,19 @@ async function boot() {
   const contactManager = require('./services/contact-manager');
   const adminCommands = require('./services/admin-commands');
   const messageRouter = require('./services/message-router');
+  const usageTracker = require('./services/usage-tracker');
 
+  usageTracker.init();
   contactManager.init();
   adminCommands.init();
   messageRouter.init();
   logger.info('Services initialized');
 
+  // Embed KB entries added or changed while the bot was down (background)
+  require('./services/knowledge-base').reindex().catch((err) => {
+    logger.warn({ err: err.message }, 'Startup KB reindex failed');
+  });
+
   // --- 3. n8n webhook forwarder ---
   if (config.n8n.webhook) {
     bus.on('n8n:forward', async (data) => {
@@ -82,8 +89,10 @@ async function boot() {
     const memoryManager = require('./services/memory-manager');
     const ownerSummary = require('./services/owner-summary');
     const followUpTracker = require('./services/follow-up-tracker');
-    const scheduleAssistant = require('./services/schedule-assistant');
+    const scheduleReminders = require('./services/schedule-reminders');
     const voiceSummary = require('./services/voice-summary');
+    const replyApproval = require('./services/reply-approval');
+    const appointmentBooking = require('./services/appointment-booking');
 
     // Owner summary — every N hours
     const summaryHours = config.summary.intervalHours;
@@ -122,9 +131,10 @@ async function boot() {
         const reminders = followUpTracker.getReminders();
         if (reminders.length > 0 && transport.isReady()) {
           const ownerJid = config.whatsapp.ownerJid;
-          const text = '⏰ *Follow-up Reminders:*\n' + reminders.map((r) =>
-            `• ${r.display_name || r.jid}: ${r.description}`
-          ).join('\n');
+          const text = '⏰ *Follow-up Reminders:*\n' + reminders.map((r) => (r.status === 'waiting'
+            ? `• F${r.id} ⏳ ${r.display_name || r.jid} was to: ${r.description} — !nudge F${r.id}`
+            : `• F${r.id} ${r.display_name || r.jid}: ${r.description}`)
+          ).join('\n') + '\n\n!resolve F<id> · !snooze F<id> 1d';
           await transport.sendMessage(ownerJid, text);
         }
       } catch (err) {
@@ -135,24 +145,37 @@ async function boot() {
     // Schedule reminders — every 5 minutes
     new Cron('*/5 * * * *', async () => {
       try {
-        const due = scheduleAssistant.getDueReminders();
-        if (due.length > 0 && transport.isReady()) {
-          const ownerJid = config.whatsapp.ownerJid;
-          for (const s of due) {
-            await transport.sendMessage(ownerJid, `🔔 Reminder: *${s.title}* at ${s.event_at}`);
-          }
-        }
+        if (transport.isReady()) await scheduleReminders.sendDue();
       } catch (err) {
         logger.error({ err }, 'Schedule reminder failed');
       }
     });
 
+    // Reply drafts — expire unanswered ones every 5 minutes
+    new Cron('*/5 * * * *', async () => {
+      try {
+        await replyApproval.expireDrafts();
+      } catch (err) {
+        logger.error({ err }, 'Draft expiry failed');
+      }
+    });
+
+    // Bookings — drop tentative ones the owner didn't confirm before their time
+    new Cron('*/5 * * * *', async () => {
+      try {
+        if (transport.isReady()) await appointmentBooking.expireStale();
+      } catch (err) {
+        logger.error({ err }, 'Booking expiry failed');
+      }
+    });
+
     // Memory compression — daily at 3 AM
     new Cron('0 3 * * *', async () => {
       try {
         logger.info('Running scheduled memory compression');
         await memoryManager.compressAll();
         memoryManager.pruneSummaries();
+        memoryManager.pruneSessions();
       } catch (err) {
         logger.error({ err }, 'Memory compression failed');
       }
@@ -177,6 +200,19 @@ async function boot() {
     }
   });
 
+  // --- 8. VIP messages while the owner is away → owner ---
+  bus.on('alert:availability', async ({ jid, name, tier, mode, text }) => {
+    try {
+      if (transport.isReady()) {
+        await transport.sendMessage(config.whatsapp.ownerJid,
+          `🚨 *${name || jid}* (VIP ${tier}) messaged while you're ${mode}:\n"${(text || '').substring(0, 200)}"\n${jid}`
+        );
+      }
+    } catch (err) {
+      logger.debug({ err }, 'Availability alert send failed');
+    }
+  });
+
   logger.info(`${config.persona.botName} is ready! 🚀`);
 }
 
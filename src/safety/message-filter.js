@@ -2,7 +2,7 @@
 
 /**
  * Message Filter — pre-AI validation pipeline.
- * Drops old messages, filters group chats, checks rate limits, etc.
+ * Drops old messages, filters group chats (unless GROUPS_ENABLED), checks rate limits, etc.
  * Returns { pass, reason } where pass=false means the message should be dropped.
  */
 
@@ -15,8 +15,9 @@ const logger = require('../core/logger');
  * @returns {{ pass: boolean, reason?: string }}
  */
 function filter(msg) {
-  // 1. Skip group messages (bot is for 1:1 only)
-  if (msg.isGroup) {
+  // 1. Skip group messages unless group support is turned on
+  //    (per-group opt-in and mention triggers are handled by the router)
+  if (msg.isGroup && !config.groups.enabled) {
     return { pass: false, reason: 'group_message' };
   }
 
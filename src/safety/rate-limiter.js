@@ -14,12 +14,12 @@ const windows = new Map();
 /**
  * Check if a contact is within rate limits.
  * @param {string} jid
+ * @param {number} [max] - Override the per-window cap (e.g. for group chats)
  * @returns {{ allowed: boolean, remaining: number, retryAfterMs?: number }}
  */
-function check(jid) {
+function check(jid, max = config.safety.rateLimitMax) {
   const now = Date.now();
   const windowMs = config.safety.rateLimitWindowMs;
-  const max = config.safety.rateLimitMax;
 
   let timestamps = windows.get(jid);
   if (!timestamps) {
@@ -13,9 +13,21 @@ const contactManager = require('./contact-manager');
 const followUpTracker = require('./follow-up-tracker');
 const scheduleAssistant = require('./schedule-assistant');
 const knowledgeBase = require('./knowledge-base');
+const knowledgeIo = require('./knowledge-io');
+const calendarIo = require('./calendar-io');
+const appointmentBooking = require('./appointment-booking');
+const scheduleReminders = require('./schedule-reminders');
+const time = require('../core/time');
+const questionQueue = require('./question-queue');
+const embeddings = require('../ai/embeddings');
 const learningEngine = require('./learning-engine');
 const offlineAssistant = require('./offline-assistant');
+const usageTracker = require('./usage-tracker');
+const groupManager = require('./group-manager');
+const replyApproval = require('./reply-approval');
+const availabilityModes = require('./availability-modes');
 const chatSession = require('../ai/chat-session');
+const llm = require('../ai/llm-client');
 const loopDetector = require('../safety/loop-detector');
 const rateLimiter = require('../safety/rate-limiter');
 
@@ -26,15 +38,60 @@ const HELP_TEXT = `*${config.persona.botName} Admin Commands*
 !vip <jid> <tier> — Set VIP tier (0-3)
 !disable <jid> — Disable auto-reply for contact
 !enable <jid> — Enable auto-reply for contact
-!followups — List pending follow-ups
-!schedules — Upcoming schedules
+!followups [jid|all] — Pending follow-ups (all: recent ones in any status)
+!followups undo <F-id> — Reopen a follow-up that was resolved (e.g. automatically by mistake)
+!resolve <F-id> — Mark a follow-up done
+!nudge <F-id> [message] — Politely remind a contact of what they promised (⏳ follow-ups)
+!fu add <jid> <text> [due] — Add a follow-up (due: 2h, 3d or 2026-11-02T10:00; default 24h)
+!fu priority <F-id> <1-4> — Change a follow-up's priority (4 = urgent)
+!schedules [hours] — Upcoming schedules, repeats expanded (default 72h)
+!schedule add <description> — Add one of your own, e.g. "dentist friday 3pm"
+!done <id> — Mark done (a repeating one moves to its next occurrence)
+!cancel <id> — Cancel a schedule (the whole series)
+!snooze <id> [duration] — Remind again later: 15m, 2h, 1d (default 15m); F-ids snooze follow-ups
+!reschedule <id> <when> — Move it, e.g. "tomorrow 4pm" or 2026-11-02T16:00
+!schedules skip|unskip <id> <YYYY-MM-DD> — Skip or restore one occurrence
+!schedules remind <id> owner|contact|both — Who gets a schedule's reminders
+!schedules export — Get every schedule as an .ics calendar file
+!schedules import [dry] — Import the attached .ics file (send it with this caption)
+!timezone <jid> <Area/City|clear> — A contact's time zone for scheduling
+!free [YYYY-MM-DD] — Your free working time that day (default today)
+!bookings — Bookings from contacts awaiting confirmation
+!confirm <id> [force] — Confirm a booking (force: even if it overlaps)
+!decline <id> [reason] — Decline a booking and tell the contact
 !kb add <category> | <question> | <answer> — Add KB entry
 !kb search <query> — Search KB
+!kb reindex — Embed new or changed KB entries
+!kb history <id> — Versions of a KB entry
+!kb rollback <id> <version> — Restore an earlier version
+!kb pending — Questions the KB couldn't answer
+!kb answer <id> [-n] <text> — Answer one into the KB (-n also tells the asker)
+!kb dismiss <id> — Drop a queued question
+!kb import [json|csv|md] [dry] — Import the attached file (send it with this caption)
+!kb export [json|csv|md] — Get the KB as a file
 !learning — Learning stats
+!usage [jid] [day|month] — LLM token usage & budgets
+!drafts — Reply drafts awaiting approval
+!approve <id> — Send a draft as written
+!edit <id> <text> — Send your version instead
+!reject <id> — Discard a draft
+!approval <jid> on|off|default — Draft-and-approve mode for a contact
 !reset <jid> — Reset chat session
 !unhalt <jid> — Clear loop halt
 !resume <jid> — Force-resume auto-reply
+!cooldown — Chats you've taken over and the cooldowns in force
+!cooldown <jid> <minutes|1h|0|default> — Bot silence after you reply to a contact (0 = never)
+!cooldown rel <relationship> <minutes|1h|0|default> — The same for a relationship type
 !contacts — List active contacts
+!group [list] — Group chats and their settings
+!group on|off <jid> — Enable/disable replies in a group
+!group persona <jid> <text|clear> — Group persona
+!group keywords <jid> <a,b|clear> — Reply keywords
+!group quiet <jid> <HH:MM-HH:MM|off> — Quiet hours
+!mode — Your availability mode and each mode's settings
+!mode <working|sleeping|traveling|focus|available> [duration] — Switch (e.g. sleeping 8h)
+!mode auto — Back to the modes' schedules
+!mode set <mode> schedule|hint|away|alerts <value|off> — e.g. schedule Mon-Fri 09:00-17:00, alerts 2,3
 !summary — Generate owner summary now`;
 
 /**
@@ -105,21 +162,139 @@ async function handleCommand(msg) {
         break;
 
       case 'followups':
-        reply = _formatFollowUps();
+        if ((args[0] || '').toLowerCase() === 'undo') {
+          if (!args[1]) {
+            reply = 'Usage: !followups undo <F-id>';
+          } else {
+            const followUp = followUpTracker.reopen(args[1]);
+            reply = `↩️ Follow-up ${followUpTracker.label(followUp)} reopened: ${followUp.description}`;
+          }
+        } else {
+          reply = _formatFollowUps(args[0]);
+        }
+        break;
+
+      case 'resolve':
+        if (!args[0]) {
+          reply = 'Usage: !resolve <F-id>';
+        } else {
+          const followUp = followUpTracker.resolve(args[0]);
+          reply = `✅ Follow-up ${followUpTracker.label(followUp)} resolved: ${followUp.description}`;
+        }
+        break;
+
+      case 'fu':
+        reply = _handleFollowUp(args);
+        break;
+
+      case 'nudge':
+        if (!args[0]) {
+          reply = 'Usage: !nudge <F-id> [message]';
+        } else {
+          const nudged = await followUpTracker.nudge(args[0], args.slice(1).join(' '));
+          reply = `👋 Nudged ${nudged.followUp.display_name || nudged.followUp.jid} about ${followUpTracker.label(nudged.followUp)}: "${nudged.text}"`;
+        }
         break;
 
       case 'schedules':
-        reply = _formatSchedules();
+        reply = await _handleSchedules(args, msg);
+        break;
+
+      case 'schedule':
+        if ((args[0] || '').toLowerCase() !== 'add' || !args[1]) {
+          reply = 'Usage: !schedule add <description>, e.g. !schedule add dentist friday 3pm';
+        } else {
+          const event = await scheduleAssistant.addFromText(text.replace(/^\S+\s+add\s+/i, ''));
+          const repeats = event.recurrence ? ` 🔁 ${event.recurrence}` : '';
+          reply = `📅 #${event.id} ${event.title} — ${event.formatted} (${event.timezone})${repeats}` +
+            _conflictNote(event.id, event.eventAt);
+        }
+        break;
+
+      case 'done':
+        if (!args[0]) {
+          reply = 'Usage: !done <id>';
+        } else {
+          const { schedule, next } = scheduleAssistant.complete(args[0]);
+          reply = next
+            ? `✅ #${schedule.id} ${schedule.title} done; next: ${scheduleAssistant.formatWhen(schedule)}`
+            : `✅ #${schedule.id} ${schedule.title} completed`;
+        }
+        break;
+
+      case 'cancel':
+        if (!args[0]) {
+          reply = 'Usage: !cancel <id>';
+        } else {
+          const schedule = scheduleAssistant.cancel(args[0]);
+          reply = `🗑️ #${schedule.id} ${schedule.title} cancelled`;
+        }
+        break;
+
+      case 'snooze':
+        if (!args[0]) {
+          reply = 'Usage: !snooze <id> [duration], e.g. !snooze 12 2h or !snooze F3 1d';
+        } else if (/^f\d+$/i.test(args[0])) {
+          if (!args[1]) {
+            reply = 'Usage: !snooze <F-id> <duration>, e.g. !snooze F3 1d';
+          } else {
+            const { followUp, until } = followUpTracker.snooze(args[0], args.slice(1).join(' '));
+            reply = `😴 Follow-up ${followUpTracker.label(followUp)} snoozed until ${time.format(until, config.persona.ownerTimezone)}`;
+          }
+        } else {
+          const { schedule, until } = scheduleAssistant.snooze(args[0], args.slice(1).join(' ') || undefined);
+          reply = `😴 #${schedule.id} ${schedule.title}: reminding again ${time.format(until, config.persona.ownerTimezone)}`;
+        }
+        break;
+
+      case 'reschedule':
+        if (!args[0] || !args[1]) {
+          reply = 'Usage: !reschedule <id> <when>, e.g. !reschedule 12 tomorrow 4pm';
+        } else {
+          const schedule = await scheduleAssistant.reschedule(args[0], args.slice(1).join(' '));
+          reply = `🔁 #${schedule.id} ${schedule.title} moved to ${scheduleAssistant.formatWhen(schedule)}` +
+            _conflictNote(schedule.id, schedule.event_at, schedule.duration_minutes);
+        }
+        break;
+
+      case 'free':
+        reply = _formatFree(args[0]);
+        break;
+
+      case 'bookings':
+        reply = _formatBookings();
+        break;
+
+      case 'confirm':
+        if (!args[0]) {
+          reply = 'Usage: !confirm <id> [force]';
+        } else {
+          const booking = await appointmentBooking.confirm(args[0], { force: (args[1] || '').toLowerCase() === 'force' });
+          reply = `✅ Booking #${booking.id} confirmed: ${booking.title} — ${scheduleAssistant.formatWhen(booking)}`;
+        }
+        break;
+
+      case 'decline':
+        if (!args[0]) {
+          reply = 'Usage: !decline <id> [reason]';
+        } else {
+          const booking = await appointmentBooking.decline(args[0], args.slice(1).join(' '));
+          reply = `❌ Booking #${booking.id} declined (${booking.title}); ${booking.display_name || booking.jid || 'the contact'} was told`;
+        }
         break;
 
       case 'kb':
-        reply = _handleKb(args);
+        reply = await _handleKb(args, msg);
         break;
 
       case 'learning':
         reply = _formatLearning();
         break;
 
+      case 'usage':
+        reply = _formatUsage(args);
+        break;
+
       case 'reset':
         if (args[0]) {
           chatSession.reset(args[0]);
@@ -148,10 +323,72 @@ async function handleCommand(msg) {
         }
         break;
 
+      case 'cooldown':
+        reply = _handleCooldown(args);
+        break;
+
       case 'contacts':
         reply = _formatContacts();
         break;
 
+      case 'group':
+        reply = _handleGroup(args);
+        break;
+
+      case 'mode':
+        reply = _handleMode(args);
+        break;
+
+      case 'drafts':
+        reply = _formatDrafts();
+        break;
+
+      case 'approve':
+        if (!args[0]) {
+          reply = 'Usage: !approve <id>';
+        } else {
+          const draft = await replyApproval.approve(args[0]);
+          reply = `✅ Draft #${draft.id} sent to ${draft.display_name || draft.jid}`;
+        }
+        break;
+
+      case 'edit':
+        if (args.length < 2) {
+          reply = 'Usage: !edit <id> <text>';
+        } else {
+          // Keep the owner's line breaks: take the raw text after the id
+          const draft = await replyApproval.edit(args[0], text.substring(cmd.length).trim().substring(args[0].length));
+          reply = `✏️ Your version of draft #${draft.id} sent to ${draft.display_name || draft.jid}`;
+        }
+        break;
+
+      case 'reject':
+        if (!args[0]) {
+          reply = 'Usage: !reject <id>';
+        } else {
+          const draft = replyApproval.reject(args[0]);
+          reply = `🗑 Draft #${draft.id} discarded`;
+        }
+        break;
+
+      case 'approval':
+        if (args.length < 2 || !replyApproval.MODES.includes(args[1])) {
+          reply = 'Usage: !approval <jid> on|off|default';
+        } else {
+          replyApproval.setMode(args[0], args[1]);
+          reply = `Approval mode for ${args[0]}: ${args[1]}`;
+        }
+        break;
+
+      case 'timezone':
+        if (args.length < 2) {
+          reply = 'Usage: !timezone <jid> <Area/City|clear>';
+        } else {
+          const tz = contactManager.setTimezone(args[0], args[1]);
+          reply = `Time zone for ${args[0]}: ${tz || `owner's (${config.persona.ownerTimezone})`}`;
+        }
+        break;
+
       case 'summary': {
         const ownerSummary = require('./owner-summary');
         reply = await ownerSummary.generateSummary();
@@ -195,13 +432,17 @@ function _buildStatus() {
   const uptime = process.uptime();
   const mem = process.memoryUsage();
   const sessions = chatSession.size;
+  const endpoints = llm.getStatus();
+  const available = endpoints.filter((e) => e.state !== 'open').length;
 
   return `*${config.persona.botName} Status*
 ⏱ Uptime: ${Math.floor(uptime / 3600)}h ${Math.floor((uptime % 3600) / 60)}m
 💾 Memory: ${Math.round(mem.heapUsed / 1024 / 1024)}MB / ${Math.round(mem.heapTotal / 1024 / 1024)}MB
 🔌 Transport: ${transport.getLib()} (${transport.isReady() ? 'connected' : 'disconnected'})
 💬 Active sessions: ${sessions}
-📚 Learning: ${learningEngine.getStats().totalPatterns} patterns`;
+🧠 LLM endpoints: ${available}/${endpoints.length} available${llm.isQuotaExhausted() ? ' (low-power mode)' : ''}
+📚 Learning: ${learningEngine.getStats().totalPatterns} patterns
+❓ Unanswered KB questions: ${questionQueue.countPending()}`;
 }
 
 function _handleVip(args) {
@@ -213,23 +454,99 @@ function _handleVip(args) {
   return `VIP tier set to ${tier} for ${jid}`;
 }
 
-function _formatFollowUps() {
-  const pending = followUpTracker.listPending();
-  if (pending.length === 0) return 'No pending follow-ups. ✅';
-  return '*Pending Follow-ups:*\n' + pending.map((f) =>
-    `• ${f.display_name || f.jid}: ${f.description} (due: ${f.due_at})`
-  ).join('\n');
+function _formatFollowUps(filter) {
+  const all = (filter || '').toLowerCase() === 'all';
+  const jid = filter && !all ? filter : null;
+  const list = all ? followUpTracker.listRecent(null) : followUpTracker.listPending(jid);
+  if (list.length === 0) return jid ? `No pending follow-ups for ${jid}. ✅` : 'No pending follow-ups. ✅';
+
+  const tz = config.persona.ownerTimezone;
+  const when = (value) => time.format(new Date(`${value.replace(' ', 'T')}Z`), tz);
+  const now = new Date();
+  const legend = list.some((f) => f.status === 'waiting') ? '\n\n⏳ = waiting on them (!nudge <F-id>)' : '';
+  return `${all ? '*Recent Follow-ups:*' : '*Pending Follow-ups:*'}\n` + list.map((f) => {
+    const snoozed = f.snoozed_until && new Date(`${f.snoozed_until.replace(' ', 'T')}Z`) > now ? ` 😴 until ${when(f.snoozed_until)}` : '';
+    const status = all ? ` [${f.status}${f.resolved_by === 'auto' ? ', auto' : ''}]` : '';
+    const due = f.due_at ? ` (due ${when(f.due_at)})` : '';
+    const waiting = f.status === 'waiting' ? '⏳ ' : '';
+    const nudged = f.nudge_count > 0 ? ` 👋×${f.nudge_count}` : '';
+    return `• ${followUpTracker.label(f)} P${f.priority} ${waiting}${f.display_name || f.jid}: ${f.description}${due}${snoozed}${nudged}${status}`;
+  }).join('\n') + legend;
+}
+
+function _handleFollowUp(args) {
+  const subCmd = (args[0] || '').toLowerCase();
+  if (subCmd === 'add') {
+    const [, jid, ...words] = args;
+    // A trailing "2h" / "3d" / date is the due time
+    const last = words[words.length - 1] || '';
+    const isDue = words.length > 1 && (/[a-z]$/i.test(last) ? time.parseDuration(last) !== null : /^\d{4}-\d{2}-\d{2}/.test(last));
+    const text = (isDue ? words.slice(0, -1) : words).join(' ');
+    if (!jid || !text) return 'Usage: !fu add <jid> <text> [due], e.g. !fu add 9779800000000@c.us Send the quote 2d';
+    const followUp = followUpTracker.add(jid, text, { due: isDue ? last : undefined });
+    return `📌 Follow-up ${followUpTracker.label(followUp)} for ${jid}: ${followUp.description} ` +
+      `(due ${time.format(new Date(`${followUp.due_at.replace(' ', 'T')}Z`), config.persona.ownerTimezone)})`;
+  }
+  if (subCmd === 'priority') {
+    if (!args[1] || !args[2]) return 'Usage: !fu priority <F-id> <1-4>';
+    const followUp = followUpTracker.setPriority(args[1], args[2]);
+    return `Follow-up ${followUpTracker.label(followUp)} is now priority ${followUp.priority}`;
+  }
+  return 'Usage: !fu add <jid> <text> [due] or !fu priority <F-id> <1-4>';
 }
 
-function _formatSchedules() {
-  const upcoming = scheduleAssistant.listUpcoming(72);
+async function _handleSchedules(args, msg) {
+  const [subCmd, id, date] = args;
+  if (subCmd === 'skip' || subCmd === 'unskip') {
+    if (!id || !date) return `Usage: !schedules ${subCmd} <id> <YYYY-MM-DD>`;
+    const schedule = subCmd === 'skip' ? scheduleAssistant.skipDate(id, date) : scheduleAssistant.unskipDate(id, date);
+    const next = schedule.remind_at ? `next: ${scheduleAssistant.formatWhen(schedule)}` : 'no occurrences left to remind';
+    return `${subCmd === 'skip' ? '⏭️ Skipped' : '↩️ Restored'} ${date} for #${schedule.id} ${schedule.title} (${next})`;
+  }
+  if (subCmd === 'remind') {
+    if (!id || !date) return 'Usage: !schedules remind <id> owner|contact|both';
+    const schedule = scheduleReminders.setAudience(id, date);
+    const who = { owner: 'you', contact: schedule.jid, both: `you and ${schedule.jid}` };
+    return `🔔 #${schedule.id} ${schedule.title} will remind ${who[schedule.remind_audience]}`;
+  }
+  if (subCmd === 'export') {
+    const file = calendarIo.exportCalendar();
+    await transport.sendMedia(msg.jid, Buffer.from(file.content, 'utf8'), {
+      mimetype: file.mimetype,
+      filename: file.filename,
+      caption: `📅 ${file.count} schedules`,
+    });
+    return null;
+  }
+  if (subCmd === 'import') {
+    if (!msg.hasMedia) return 'Send the .ics file with the caption: !schedules import [dry]';
+    const media = await transport.downloadMedia(msg);
+    if (!media) return 'Could not download the attached file.';
+    return _formatCalendarImport(calendarIo.importCalendar(media.data, { dryRun: (id || '').toLowerCase() === 'dry' }));
+  }
+  if (subCmd && !/^\d+$/.test(subCmd)) return 'Usage: !schedules [hours], !schedules skip|unskip <id> <YYYY-MM-DD>, !schedules remind <id> owner|contact|both, !schedules export or !schedules import [dry]';
+
+  const hours = Math.min(parseInt(subCmd, 10) || 72, 24 * 31);
+  const upcoming = scheduleAssistant.listUpcoming(hours, 30);
   if (upcoming.length === 0) return 'No upcoming schedules. 📭';
-  return '*Upcoming Schedules:*\n' + upcoming.map((s) =>
-    `• ${s.title} — ${s.event_at}`
-  ).join('\n');
+  return `*Upcoming Schedules* (${config.persona.ownerTimezone}):\n` + upcoming.map((s) => {
+    const repeats = s.recurrence_text !== 'once' ? ` 🔁 ${s.recurrence_text}` : '';
+    return `• #${s.id} ${s.title} — ${scheduleAssistant.formatWhen(s)}${repeats}`;
+  }).join('\n');
 }
 
-function _handleKb(args) {
+function _formatCalendarImport(report) {
+  const lines = [report.dryRun ? '*Calendar import (dry run)*' : '*Calendar imported*',
+    `📅 ${report.events} events: ➕ ${report.created} new · ✏️ ${report.updated} updated · ＝ ${report.unchanged} unchanged`];
+  if (report.skipped.length > 0) {
+    lines.push('', `⏭️ *${report.skipped.length} skipped:*`,
+      ...report.skipped.slice(0, 10).map((s) => `• ${s.title || s.uid || 'event'}: ${s.reason}`));
+    if (report.skipped.length > 10) lines.push(`…and ${report.skipped.length - 10} more`);
+  }
+  return lines.join('\n');
+}
+
+async function _handleKb(args, msg) {
   if (args.length === 0) return 'Usage: !kb add <cat>|<q>|<a> or !kb search <query>';
   const [subCmd, ...rest] = args;
 
@@ -247,14 +564,104 @@ function _handleKb(args) {
 
   if (subCmd === 'search') {
     const query = rest.join(' ');
-    const results = knowledgeBase.search(query);
+    const results = knowledgeBase.search(query, { limit: 5 });
     if (results.length === 0) return 'No KB matches found.';
-    return '*KB Results:*\n' + results.slice(0, 5).map((k) =>
-      `• [${k.category}] ${k.question}\n  → ${k.answer}`
+    return '*KB Results:*\n' + results.map((k) =>
+      `• #${k.id} [${k.category}] ${k.question || k.topic}\n  → ${k.snippet || k.answer}`
     ).join('\n\n');
   }
 
-  return 'Unknown KB subcommand. Use: add, search';
+  if (subCmd === 'history') {
+    if (!rest[0]) return 'Usage: !kb history <id>';
+    const versions = knowledgeBase.history(rest[0]);
+    return `*KB #${rest[0]} history:*\n` + versions.slice(0, 10).map((v) =>
+      `• v${v.version} ${v.created_at} (${v.note || 'update'}): ${v.snapshot.answer.substring(0, 80)}`
+    ).join('\n');
+  }
+
+  if (subCmd === 'rollback') {
+    if (rest.length < 2) return 'Usage: !kb rollback <id> <version>';
+    const entry = knowledgeBase.rollback(rest[0], rest[1].replace(/^v/i, ''));
+    return `↩️ KB #${entry.id} restored to v${rest[1].replace(/^v/i, '')}: ${entry.answer.substring(0, 120)}`;
+  }
+
+  if (subCmd === 'pending') {
+    const pending = questionQueue.list('pending', 15);
+    if (pending.length === 0) return 'No unanswered questions. ✅';
+    return '*Unanswered questions:*\n' + pending.map((q) => {
+      const why = q.reason === 'low_confidence' ? `closest match ${Math.round(q.best_score * 100)}%` : 'no match';
+      const times = q.ask_count > 1 ? `, asked ${q.ask_count}×` : '';
+      return `• #${q.id} ${q.display_name || q.jid}: "${q.question.substring(0, 200)}" (${why}${times})`;
+    }).join('\n') + '\n\n!kb answer <id> [-n] <text> · !kb dismiss <id>';
+  }
+
+  if (subCmd === 'answer') {
+    // Keep the owner's line breaks: take the raw text after the id
+    const m = msg.text.trim().match(/^\S+\s+answer\s+(\S+)\s+(?:(-n|--notify)\s+)?([\s\S]+)$/i);
+    if (!m) return 'Usage: !kb answer <id> [-n] <text>';
+    const { question, kbId, notified } = await questionQueue.answer(m[1], m[3], { notify: Boolean(m[2]) });
+    return `✅ Question #${question.id} answered → KB entry #${kbId}`
+      + (notified ? ` · sent to ${question.display_name || question.jid}` : '');
+  }
+
+  if (subCmd === 'dismiss') {
+    if (!rest[0]) return 'Usage: !kb dismiss <id>';
+    const question = questionQueue.dismiss(rest[0]);
+    return `🗑 Question #${question.id} dismissed`;
+  }
+
+  if (subCmd === 'reindex') {
+    if (!embeddings.isEnabled()) return 'Embeddings are off (EMBEDDING_BACKEND=none); KB uses full-text search.';
+    const count = await knowledgeBase.reindex();
+    return `KB reindexed: ${count} entr${count === 1 ? 'y' : 'ies'} embedded with ${embeddings.modelId()}.`;
+  }
+
+  if (subCmd === 'import') {
+    if (!msg.hasMedia) return 'Send the file (JSON, CSV or Markdown) with the caption: !kb import [json|csv|md] [dry]';
+    const options = rest.map((a) => a.toLowerCase());
+    const format = options.find((a) => knowledgeIo.normalizeFormat(a));
+    const media = await transport.downloadMedia(msg);
+    if (!media) return 'Could not download the attached file.';
+
+    const report = knowledgeIo.importEntries(media.data, {
+      format,
+      filename: media.filename,
+      mimetype: media.mimetype,
+      dryRun: options.includes('dry'),
+    });
+    return _formatImportReport(report);
+  }
+
+  if (subCmd === 'export') {
+    const file = knowledgeIo.exportEntries(rest[0] || 'json');
+    await transport.sendMedia(msg.jid, Buffer.from(file.content, 'utf8'), {
+      mimetype: file.mimetype,
+      filename: file.filename,
+      caption: `📚 ${file.count} KB entries`,
+    });
+    return null;
+  }
+
+  return 'Unknown KB subcommand. Use: add, search, history, rollback, pending, answer, dismiss, reindex, import, export';
+}
+
+function _formatImportReport(report) {
+  const title = report.dryRun ? '*KB import (dry run)*' : report.applied ? '*KB imported*' : '*KB import*';
+  const lines = [`${title} — ${report.format}`,
+    `➕ ${report.created.length} new · ✏️ ${report.updated.length} updated · ＝ ${report.unchanged} unchanged`];
+
+  if (report.created.length > 0) {
+    lines.push('', '*New:*', ...report.created.slice(0, 10).map((c) => `• [${c.category}] ${c.topic}`));
+  }
+  if (report.updated.length > 0) {
+    lines.push('', '*Updated:*', ...report.updated.slice(0, 10).map((u) => `• #${u.id} ${u.topic} (${u.changes.join(', ')})`));
+  }
+  if (report.errors.length > 0) {
+    lines.push('', `❌ *${report.errors.length} invalid — nothing was imported:*`, ...report.errors.slice(0, 10).map((e) => `• ${e.at}: ${e.message}`));
+  }
+  const hidden = Math.max(report.created.length - 10, 0) + Math.max(report.updated.length - 10, 0) + Math.max(report.errors.length - 10, 0);
+  if (hidden > 0) lines.push(`…and ${hidden} more`);
+  return lines.join('\n');
 }
 
 function _formatLearning() {
@@ -269,6 +676,178 @@ function _formatLearning() {
   return text;
 }
 
+function _formatUsage(args) {
+  const period = args.find((a) => usageTracker.PERIODS.includes(a)) || 'day';
+  const jid = args.find((a) => !usageTracker.PERIODS.includes(a));
+  const report = usageTracker.getReport({ period, jid, limit: 5 });
+  const label = period === 'day' ? 'today' : 'this month';
+
+  let text = `*LLM Usage ${label}${jid ? ` — ${jid}` : ''}*\n🔢 ${report.totals.total_tokens} tokens in ${report.totals.calls} calls`;
+
+  if (report.byPurpose.length > 0) {
+    text += '\n\nBy purpose:' + report.byPurpose.map((p) => `\n• ${p.purpose}: ${p.total_tokens} (${p.calls})`).join('');
+  }
+
+  if (jid) {
+    const contact = contactManager.getContact(jid);
+    if (contact) {
+      const budget = usageTracker.checkBudget(contact);
+      const line = (name, b) => (b ? `\n• ${name}: ${b.used}/${b.limit}` : `\n• ${name}: unlimited`);
+      text += `\n\nBudget (tier ${contact.vip_tier || 0}, ${budget.status}):` + line('daily', budget.day) + line('monthly', budget.month);
+    }
+  } else if (report.topContacts.length > 0) {
+    text += '\n\nTop contacts:' + report.topContacts.map((c) =>
+      `\n• ${c.display_name || c.jid}: ${c.total_tokens}`
+    ).join('');
+  }
+
+  return text;
+}
+
+function _handleGroup(args) {
+  const [subCmd = 'list', jid, ...rest] = args;
+  const value = rest.join(' ').trim();
+
+  if (subCmd === 'list') {
+    const groups = groupManager.list();
+    if (groups.length === 0) return 'No groups seen yet.' + (config.groups.enabled ? '' : '\n(Group support is off — set GROUPS_ENABLED=true)');
+    return '*Groups:*\n' + groups.map((g) =>
+      `• ${g.enabled ? '✅' : '⏸'} ${g.name || g.jid}\n  ${g.jid}${g.keywords ? `\n  keywords: ${g.keywords}` : ''}${g.quiet_start ? `\n  quiet: ${g.quiet_start}-${g.quiet_end}` : ''}`
+    ).join('\n');
+  }
+
+  if (!jid) return 'Usage: !group on|off|persona|keywords|quiet <group jid> [value]';
+
+  switch (subCmd) {
+    case 'on':
+    case 'off':
+      groupManager.updateSettings(jid, { enabled: subCmd === 'on' });
+      return `Group replies ${subCmd === 'on' ? 'enabled' : 'disabled'} for ${jid}`;
+
+    case 'persona':
+      if (!value) return 'Usage: !group persona <jid> <text|clear>';
+      groupManager.updateSettings(jid, { persona: value === 'clear' ? null : value });
+      return value === 'clear' ? `Persona cleared for ${jid}` : `Persona set for ${jid}`;
+
+    case 'keywords':
+      if (!value) return 'Usage: !group keywords <jid> <a,b|clear>';
+      groupManager.updateSettings(jid, { keywords: value === 'clear' ? '' : value });
+      return value === 'clear' ? `Keywords cleared for ${jid}` : `Keywords for ${jid}: ${groupManager.getSettings(jid).keywords}`;
+
+    case 'quiet': {
+      if (value === 'off') {
+        groupManager.updateSettings(jid, { quiet_start: null, quiet_end: null });
+        return `Quiet hours cleared for ${jid}`;
+      }
+      const match = value.match(/^(\d{2}:\d{2})\s*-\s*(\d{2}:\d{2})$/);
+      if (!match) return 'Usage: !group quiet <jid> <HH:MM-HH:MM|off>';
+      groupManager.updateSettings(jid, { quiet_start: match[1], quiet_end: match[2] });
+      return `Quiet hours for ${jid}: ${match[1]}-${match[2]}`;
+    }
+
+    default:
+      return 'Unknown group subcommand. Use: list, on, off, persona, keywords, quiet';
+  }
+}
+
+function _formatMinutes(minutes) {
+  return minutes === 0 ? 'never pauses' : minutes % 60 === 0 ? `${minutes / 60}h` : `${minutes}m`;
+}
+
+function _handleCooldown(args) {
+  const [target, ...rest] = args;
+
+  if (!target) {
+    const { defaultMinutes, relationships } = offlineAssistant.listPolicies();
+    const active = offlineAssistant.getActiveContacts();
+    return `*Cooldowns:* default ${_formatMinutes(defaultMinutes)}` +
+      relationships.map((p) => `\n• ${p.relationship}: ${_formatMinutes(p.cooldown_minutes)}`).join('') +
+      '\n\n*Taken over:*' +
+      (active.length === 0 ? ' none' : active.map((a) =>
+        `\n• ${a.jid} — ${Math.ceil(a.remainingMs / 60000)} min left (${a.cooldownSource} ${_formatMinutes(a.cooldownMinutes)})`).join(''));
+  }
+
+  if (target.toLowerCase() === 'rel') {
+    const [relationship, value] = rest;
+    if (!relationship || !value) return 'Usage: !cooldown rel <relationship> <minutes|1h|0|default>';
+    const policy = offlineAssistant.setRelationshipCooldown(relationship, value);
+    return policy
+      ? `Cooldown for ${policy.relationship}: ${_formatMinutes(policy.cooldown_minutes)}`
+      : `Cooldown for ${relationship.toLowerCase()} removed (default applies)`;
+  }
+
+  if (!rest[0]) return 'Usage: !cooldown <jid> <minutes|1h|0|default>';
+  const cooldown = offlineAssistant.setContactCooldown(target, rest[0]);
+  return `Cooldown for ${target}: ${_formatMinutes(cooldown.minutes)} (${cooldown.source})`;
+}
+
+const MODE_FIELDS = { schedule: 'schedule', hint: 'hint', away: 'away_message', alerts: 'alert_tiers' };
+
+function _formatMode(now) {
+  const tz = config.persona.ownerTimezone;
+  const source = now.source === 'manual' ? 'set by you' : now.source === 'schedule' ? 'scheduled' : 'no mode on';
+  return `Mode: *${now.name}* (${source}${now.until ? `, until ${time.format(now.until, tz)}` : ''})`;
+}
+
+function _handleMode(args) {
+  const [subCmd, name, field, ...rest] = args;
+
+  if (!subCmd) {
+    const lines = availabilityModes.list().map((m) =>
+      `• *${m.name}* — ${m.schedule || 'manual only'}\n` +
+      `  alerts: ${m.alert_tiers ? `VIP ${m.alert_tiers}` : 'none'} · away message: ${m.away_message ? 'yes' : 'no'}` +
+      (m.hint ? `\n  hint: ${m.hint}` : '')
+    );
+    return `${_formatMode(availabilityModes.current())}\n\n${lines.join('\n')}`;
+  }
+
+  if (subCmd.toLowerCase() === 'set') {
+    const key = MODE_FIELDS[String(field || '').toLowerCase()];
+    const value = rest.join(' ').trim();
+    if (!name || !key || !value) return 'Usage: !mode set <mode> schedule|hint|away|alerts <value|off>';
+    const mode = availabilityModes.updateMode(name, { [key]: value.toLowerCase() === 'off' ? null : value });
+    return `Mode *${mode.name}* ${field.toLowerCase()}: ${mode[key] || 'off'}`;
+  }
+
+  if (field) return 'Usage: !mode <working|sleeping|traveling|focus|available|auto> [duration]';
+  return _formatMode(availabilityModes.setMode(subCmd, name));
+}
+
+/**
+ * A warning line when other schedules take the time of schedule `id` at `eventAt` (SQLite datetime, UTC).
+ */
+function _conflictNote(id, eventAt, durationMinutes) {
+  const start = new Date(`${eventAt.replace(' ', 'T')}Z`);
+  const clashes = appointmentBooking.findConflicts(start, durationMinutes || config.booking.appointmentMinutes, { excludeId: id });
+  if (clashes.length === 0) return '';
+  return `\n⚠️ Overlaps ${[...new Set(clashes.map((c) => `#${c.schedule.id} ${c.schedule.title}`))].join(', ')}`;
+}
+
+function _formatFree(day) {
+  const tz = config.persona.ownerTimezone;
+  const date = day || time.dateKey(new Date(), tz);
+  const periods = appointmentBooking.freeOn(date);
+  if (periods.length === 0) return `No free working time on ${date}. 📭`;
+  const clock = (d) => time.format(d, tz, { weekday: undefined, month: undefined, day: undefined });
+  return `*Free on ${date}* (${tz}):\n` + periods.map((p) => `• ${clock(p.start)} – ${clock(p.end)}`).join('\n');
+}
+
+function _formatBookings() {
+  const pending = appointmentBooking.listPending();
+  if (pending.length === 0) return 'No bookings awaiting confirmation. ✅';
+  return '*Bookings awaiting confirmation:*\n' + pending.map((b) =>
+    `• #${b.id} ${b.display_name || b.jid}: ${b.title} — ${scheduleAssistant.formatWhen(b)} (${b.duration_minutes || config.booking.appointmentMinutes} min)`
+  ).join('\n') + '\n\n!confirm <id> · !decline <id> [reason]';
+}
+
+function _formatDrafts() {
+  const pending = replyApproval.listPending();
+  if (pending.length === 0) return 'No drafts awaiting approval. ✅';
+  return '*Drafts awaiting approval:*\n' + pending.map((d) =>
+    `• #${d.id} ${d.display_name || d.jid} (expires ${d.expires_at})\n  ${d.draft.substring(0, 120)}`
+  ).join('\n');
+}
+
 function _formatContacts() {
   const active = contactManager.listActive(24);
   if (active.length === 0) return 'No active contacts in the last 24h.';
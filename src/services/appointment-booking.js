@@ -0,0 +1,367 @@
+'use strict';
+
+/**
+ * Appointment Booking — contacts ask when the owner is free, pick one of the
+ * offered slots (or name a time) and get a tentative booking, which the owner
+ * confirms or declines with !confirm / !decline. Free time is
+ * OWNER_WORKING_HOURS minus every active, snoozed or tentative schedule, so a
+ * slot can't be booked twice.
+ */
+
+const logger = require('../core/logger');
+const config = require('../config');
+const time = require('../core/time');
+const workingHours = require('../core/working-hours');
+const { invalid } = require('../core/errors');
+const transport = require('../transport/transport-manager');
+const schedulesRepo = require('../database/repositories/schedules.repo');
+const contactsRepo = require('../database/repositories/contacts.repo');
+const messagesRepo = require('../database/repositories/messages.repo');
+const scheduleAssistant = require('./schedule-assistant');
+const calendarIo = require('./calendar-io');
+
+const OFFER_LIMIT = 5;
+// Slots start on this grid of the owner's clock (09:00, 09:30, ...)
+const STEP_MINUTES = 30;
+// Offered slots on the same day are at least this far apart (less when a day was asked for)
+const SPREAD_MINUTES = 180;
+const DAY_SPREAD_MINUTES = 60;
+// How long a contact can answer an offer with its number
+const OFFER_TTL_MS = 2 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// jid → { slots: Date[], minutes, expiresAt }
+const _offers = new Map();
+
+function _fromSql(value) {
+  return new Date(value.replace(' ', 'T') + 'Z');
+}
+
+function _minutesOf(value) {
+  if (value === null || value === undefined || value === '') return config.booking.appointmentMinutes;
+  const minutes = Math.round(Number(value));
+  if (!(minutes >= 5 && minutes <= 480)) throw invalid('Appointment length must be 5-480 minutes');
+  return minutes;
+}
+
+/**
+ * A local day as [start, end) in a zone.
+ */
+function _day(date, tz) {
+  const start = time.parseInZone(date, tz);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '') || isNaN(start.getTime())) {
+    throw invalid(`Invalid date: ${date} (use YYYY-MM-DD)`);
+  }
+  const nextDay = new Date(Date.parse(`${date}T00:00:00Z`) + DAY_MS).toISOString().substring(0, 10);
+  return { start, end: time.parseInZone(nextDay, tz) };
+}
+
+function _nameOf(jid) {
+  const contact = jid ? contactsRepo.getByJid(jid) : null;
+  return (contact && contact.display_name) || (jid ? jid.split('@')[0] : 'someone');
+}
+
+/**
+ * Message a contact about their booking and record it like any outbound message.
+ */
+async function _tell(jid, text) {
+  await transport.sendMessage(jid, text);
+  messagesRepo.insert({
+    jid,
+    direction: 'outbound',
+    content: text,
+    content_type: 'text',
+    intent: 'schedule',
+    is_ai_generated: false,
+  });
+}
+
+/**
+ * Schedules overlapping [start, start + minutes).
+ * @param {Date} start
+ * @param {number} minutes
+ * @param {object} [opts] - { excludeId }
+ * @returns {Array<{ schedule: object, start: Date, end: Date }>}
+ */
+function findConflicts(start, minutes, opts = {}) {
+  const end = new Date(start.getTime() + minutes * MINUTE_MS);
+  return scheduleAssistant.busyBetween(start, end).filter((b) => b.schedule.id !== opts.excludeId);
+}
+
+/**
+ * Working time between two instants not taken by a schedule.
+ * @returns {Array<{ start: Date, end: Date }>}
+ */
+function freePeriods(from, to) {
+  const busy = scheduleAssistant.busyBetween(from, to);
+  const periods = [];
+  for (const window of workingHours.windows(config.booking.workingHours, from, to, config.persona.ownerTimezone)) {
+    let cursor = window.start;
+    for (const block of busy) {
+      if (block.end <= cursor || block.start >= window.end) continue;
+      if (block.start > cursor) periods.push({ start: cursor, end: block.start });
+      if (block.end > cursor) cursor = block.end;
+    }
+    if (cursor < window.end) periods.push({ start: cursor, end: window.end });
+  }
+  return periods;
+}
+
+/**
+ * Free working time on one of the owner's days (from now on, for today).
+ * @param {string} day - YYYY-MM-DD in OWNER_TIMEZONE
+ * @returns {Array<{ start: Date, end: Date }>}
+ */
+function freeOn(day) {
+  const { start, end } = _day(day, config.persona.ownerTimezone);
+  const now = new Date();
+  return end <= now ? [] : freePeriods(start > now ? start : now, end);
+}
+
+/**
+ * The booking window: from the minimum notice to BOOKING_DAYS_AHEAD, narrowed to a day if given.
+ */
+function _bookable(day, tz) {
+  const now = Date.now();
+  let from = new Date(now + config.booking.minNoticeMinutes * MINUTE_MS);
+  let to = new Date(now + config.booking.daysAhead * DAY_MS);
+  if (day) {
+    const local = _day(day, tz);
+    if (local.start > from) from = local.start;
+    if (local.end < to) to = local.end;
+  }
+  return { from, to };
+}
+
+/**
+ * Bookable slots, spread over the coming days unless a day is given.
+ * @param {object} [opts] - { day: 'YYYY-MM-DD' in opts.timezone, minutes, timezone, limit }
+ * @returns {Date[]} Slot starts
+ */
+function freeSlots(opts = {}) {
+  const minutes = _minutesOf(opts.minutes);
+  const tz = opts.timezone || config.persona.ownerTimezone;
+  const limit = opts.limit || OFFER_LIMIT;
+  const spread = (opts.day ? DAY_SPREAD_MINUTES : SPREAD_MINUTES) * MINUTE_MS;
+  const { from, to } = _bookable(opts.day, tz);
+  if (from >= to) return [];
+
+  const step = STEP_MINUTES * MINUTE_MS;
+  const slots = [];
+  for (const period of freePeriods(from, to)) {
+    // First grid time of the owner's clock in this period
+    const wall = time.toWallClock(period.start, config.persona.ownerTimezone).getTime();
+    for (let t = period.start.getTime() + Math.ceil(wall / step) * step - wall; t + minutes * MINUTE_MS <= period.end.getTime(); t += step) {
+      const last = slots[slots.length - 1];
+      const sameDay = last && time.dateKey(last, tz) === time.dateKey(new Date(t), tz);
+      if (sameDay && t - last.getTime() < spread) continue;
+      slots.push(new Date(t));
+      if (slots.length >= limit) return slots;
+    }
+  }
+  return slots;
+}
+
+function _offerText(jid, slots, minutes, tz) {
+  _offers.set(jid, { slots, minutes, expiresAt: Date.now() + OFFER_TTL_MS });
+  return slots.map((s, i) => `${i + 1}. ${time.format(s, tz)}`).join('\n')
+    + `\n\nReply with a number to book it (${minutes} min).`;
+}
+
+/**
+ * Offer a contact free slots; they answer with a number (see pickOffer).
+ * @param {string} jid
+ * @param {object} [opts] - { day: 'YYYY-MM-DD' in the contact's zone, minutes }
+ * @returns {string} Reply for the contact
+ */
+function offerSlots(jid, opts = {}) {
+  const tz = scheduleAssistant.timezoneFor(jid);
+  const minutes = _minutesOf(opts.minutes);
+  const day = /^\d{4}-\d{2}-\d{2}$/.test(opts.day || '') ? opts.day : null;
+
+  let slots = day ? freeSlots({ day, minutes, timezone: tz }) : [];
+  const prefix = day && slots.length === 0 ? `${config.persona.ownerName} has no free time on ${day}. ` : '';
+  if (slots.length === 0) slots = freeSlots({ minutes, timezone: tz });
+  if (slots.length === 0) {
+    _offers.delete(jid);
+    return `${prefix}${config.persona.ownerName} has no free ${minutes}-minute slot in the next ${config.booking.daysAhead} days, sorry.`;
+  }
+  return `${prefix}${config.persona.ownerName} is free at these times (${tz}):\n` + _offerText(jid, slots, minutes, tz);
+}
+
+/**
+ * The offered slot a message picks ("2", "#2", "option 2"), if the contact has an open offer.
+ * @returns {{ start: Date, minutes: number }|null}
+ */
+function pickOffer(jid, text) {
+  const offer = _offers.get(jid);
+  if (!offer) return null;
+  if (offer.expiresAt < Date.now()) {
+    _offers.delete(jid);
+    return null;
+  }
+  const m = /^\s*(?:#|no\.?\s*|number\s*|option\s*|slot\s*)?(\d{1,2})\s*[.!)]?\s*$/i.exec(text || '');
+  const index = m ? Number(m[1]) - 1 : -1;
+  if (index < 0 || index >= offer.slots.length) return null;
+  return { start: offer.slots[index], minutes: offer.minutes };
+}
+
+/**
+ * Why a time can't be booked, or null when it can.
+ */
+function _unavailable(start, minutes) {
+  const end = new Date(start.getTime() + minutes * MINUTE_MS);
+  const { from, to } = _bookable(null);
+  if (start < from) return start < new Date() ? 'that time has passed' : 'that is too soon';
+  if (start > to) return `bookings are open up to ${config.booking.daysAhead} days ahead`;
+  if (!workingHours.contains(config.booking.workingHours, start, end, config.persona.ownerTimezone)) {
+    return `that is outside ${config.persona.ownerName}'s working hours`;
+  }
+  if (findConflicts(start, minutes).length > 0) return `${config.persona.ownerName} is already booked then`;
+  return null;
+}
+
+/**
+ * Book a time for a contact as a tentative schedule and ask the owner to confirm it.
+ * A time that isn't free gets alternatives instead.
+ * @param {string} jid
+ * @param {object} details - { start: Date } or { date: 'YYYY-MM-DDTHH:mm' in the contact's zone },
+ *   plus minutes, title, description
+ * @returns {Promise<string>} Reply for the contact
+ */
+async function requestBooking(jid, details) {
+  const tz = scheduleAssistant.timezoneFor(jid);
+  const minutes = _minutesOf(details.minutes);
+  const start = details.start || time.parseInZone(details.date, tz);
+  if (isNaN(start.getTime())) return offerSlots(jid, { minutes });
+
+  const problem = _unavailable(start, minutes);
+  if (problem) {
+    logger.info({ jid, start, problem }, 'Requested booking time not available');
+    const alternatives = offerSlots(jid, { day: time.dateKey(start, tz), minutes });
+    return `Sorry, ${time.format(start, tz)} doesn't work — ${problem}.\n\n${alternatives}`;
+  }
+
+  const name = _nameOf(jid);
+  const title = String(details.title || '').trim() || `Meeting with ${name}`;
+  const { fields } = scheduleAssistant.prepareEvent(jid, {
+    title,
+    description: details.description,
+    date: start.toISOString(),
+    timezone: tz,
+    durationMinutes: minutes,
+  });
+  const id = Number(schedulesRepo.create({ ...fields, status: 'tentative' }));
+  _offers.delete(jid);
+  logger.info({ jid, id, eventAt: fields.event_at, minutes }, 'Tentative booking created');
+
+  try {
+    await transport.sendMessage(config.whatsapp.ownerJid,
+      `📅 *Booking request #${id}* from ${name} (${jid})\n`
+      + `${title} — ${scheduleAssistant.formatWhen(schedulesRepo.getById(id))} (${minutes} min)\n\n`
+      + `!confirm ${id} · !decline ${id} [reason]`);
+  } catch (err) {
+    logger.warn({ err: err.message, id }, 'Booking request notice to owner failed (see !bookings)');
+  }
+
+  return `I've pencilled in "${title}" for ${time.format(start, tz)} (${minutes} min). ${config.persona.ownerName} will confirm it shortly. 📅`;
+}
+
+function _tentative(id) {
+  const booking = schedulesRepo.getById(Number(id));
+  if (!booking) throw invalid(`Booking #${id} not found`, 404);
+  if (booking.status !== 'tentative') throw invalid(`Schedule #${id} is not awaiting confirmation (${booking.status})`, 409);
+  return booking;
+}
+
+/**
+ * Confirm a tentative booking and tell the contact (with an .ics invite).
+ * @param {number|string} id
+ * @param {object} [opts] - { force: confirm even if it now overlaps another schedule }
+ * @returns {Promise<object>} The booking
+ * @throws {Error} 404 unknown, 409 not tentative or overlapping
+ */
+async function confirm(id, opts = {}) {
+  const booking = _tentative(id);
+  const start = _fromSql(booking.event_at);
+  const minutes = booking.duration_minutes || config.booking.appointmentMinutes;
+
+  const conflicts = findConflicts(start, minutes, { excludeId: booking.id });
+  if (conflicts.length > 0 && !opts.force) {
+    const list = conflicts.slice(0, 3).map((c) => `#${c.schedule.id} ${c.schedule.title}`).join(', ');
+    throw invalid(`Booking #${booking.id} overlaps ${list} (confirm with force to book anyway)`, 409);
+  }
+  if (!schedulesRepo.transition(booking.id, 'tentative', 'active')) throw invalid(`Booking #${id} was already decided`, 409);
+  logger.info({ id: booking.id, jid: booking.jid }, 'Booking confirmed');
+
+  if (booking.jid) {
+    const tz = scheduleAssistant.timezoneFor(booking.jid);
+    await _tell(booking.jid, `✅ ${config.persona.ownerName} confirmed "${booking.title}" for ${time.format(start, tz)}. See you then!`);
+    if (config.calendar.icsInvites && !booking.jid.endsWith('@g.us')) {
+      try {
+        await calendarIo.sendInvite(booking.jid, booking.id);
+      } catch (err) {
+        logger.warn({ err: err.message, id: booking.id }, 'Calendar invite failed (non-critical)');
+      }
+    }
+  }
+  return schedulesRepo.getById(booking.id);
+}
+
+/**
+ * Decline a tentative booking and tell the contact.
+ * @param {number|string} id
+ * @param {string} [reason] - Passed on to the contact
+ * @returns {Promise<object>} The booking
+ */
+async function decline(id, reason) {
+  const booking = _tentative(id);
+  if (!schedulesRepo.transition(booking.id, 'tentative', 'cancelled')) throw invalid(`Booking #${id} was already decided`, 409);
+  logger.info({ id: booking.id, jid: booking.jid }, 'Booking declined');
+
+  if (booking.jid) {
+    const tz = scheduleAssistant.timezoneFor(booking.jid);
+    const because = reason && reason.trim() ? ` — ${reason.trim()}` : '';
+    await _tell(booking.jid, `Sorry, ${config.persona.ownerName} can't make "${booking.title}" on ${time.format(_fromSql(booking.event_at), tz)}${because}. Ask me for other free times anytime.`);
+  }
+  return booking;
+}
+
+/**
+ * Drop tentative bookings whose time came without the owner confirming them.
+ * @returns {Promise<number>} How many were dropped
+ */
+async function expireStale() {
+  let count = 0;
+  for (const booking of schedulesRepo.listExpiredTentative()) {
+    if (!schedulesRepo.transition(booking.id, 'tentative', 'cancelled')) continue;
+    count++;
+    if (booking.jid) {
+      await _tell(booking.jid, `Sorry, ${config.persona.ownerName} couldn't confirm "${booking.title}" in time, so it has been dropped. Ask me for other free times anytime.`);
+    }
+  }
+  if (count > 0) logger.info({ count }, 'Unconfirmed bookings expired');
+  return count;
+}
+
+/**
+ * Tentative bookings awaiting the owner.
+ */
+function listPending(limit = 50) {
+  return schedulesRepo.listTentative(limit);
+}
+
+module.exports = {
+  findConflicts,
+  freePeriods,
+  freeOn,
+  freeSlots,
+  offerSlots,
+  pickOffer,
+  requestBooking,
+  confirm,
+  decline,
+  expireStale,
+  listPending,
+};
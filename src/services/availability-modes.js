@@ -0,0 +1,226 @@
+'use strict';
+
+/**
+ * Availability Modes — where the owner is: working, sleeping, traveling or
+ * focus. A mode comes on by its weekly schedule (owner's time zone) or when
+ * the owner switches it with !mode; a manual switch wins until it expires or
+ * is set back to auto. While a mode is on, its hint goes into reply prompts,
+ * its away message is sent once to each contact who writes, and contacts of
+ * its alert tiers still reach the owner instantly.
+ */
+
+const logger = require('../core/logger');
+const config = require('../config');
+const time = require('../core/time');
+const workingHours = require('../core/working-hours');
+const { invalid } = require('../core/errors');
+const transport = require('../transport/transport-manager');
+const availabilityRepo = require('../database/repositories/availability.repo');
+const messagesRepo = require('../database/repositories/messages.repo');
+const translationService = require('./translation-service');
+
+// Where schedules overlap, the earlier mode wins
+const MODES = ['sleeping', 'traveling', 'focus', 'working'];
+// Manual switches: no mode at all, or back to the schedules
+const AVAILABLE = 'available';
+const AUTO = 'auto';
+const VIP_TIERS = [0, 1, 2, 3];
+const MAX_SWITCH_MINUTES = 30 * 24 * 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Intent recorded on away messages, so each contact gets one per mode period
+const AWAY_INTENT = 'away';
+
+// jid → the mode period ("name@since") its last owner alert was for
+const _alerted = new Map();
+
+function _sqlTime(date) {
+  return date.toISOString().replace('T', ' ').replace(/\.\d+Z$/, '');
+}
+
+function _fromSql(value) {
+  return new Date(value.replace(' ', 'T') + 'Z');
+}
+
+function _fill(template) {
+  return template.replace(/\{owner\}/g, config.persona.ownerName);
+}
+
+/**
+ * VIP tiers a mode still alerts the owner for ("2,3" → [2, 3]).
+ */
+function alertTiers(mode) {
+  return mode && mode.alert_tiers ? mode.alert_tiers.split(',').map(Number) : [];
+}
+
+/**
+ * The scheduled period around `now`, if the schedule covers it.
+ * Back-to-back windows (Mon 23:00-24:00, Tue 00:00-07:00) are one period.
+ */
+function _scheduledPeriod(schedule, now) {
+  const week = workingHours.parse(schedule);
+  const spans = workingHours.windows(week, new Date(now.getTime() - 2 * DAY_MS), new Date(now.getTime() + 2 * DAY_MS),
+    config.persona.ownerTimezone);
+  const periods = [];
+  for (const span of spans) {
+    const last = periods[periods.length - 1];
+    if (last && last.end.getTime() === span.start.getTime()) last.end = span.end;
+    else periods.push({ ...span });
+  }
+  return periods.find((p) => p.start <= now && now < p.end) || null;
+}
+
+/**
+ * The mode the owner is in right now.
+ * @returns {{ name: string, mode: object|null, source: 'manual'|'schedule'|'default', since: Date|null, until: Date|null }}
+ *   name is "available" when no mode is on
+ */
+function current(now = new Date()) {
+  const state = availabilityRepo.getState();
+  if (state && state.mode) {
+    const until = state.until ? _fromSql(state.until) : null;
+    if (!until || until > now) {
+      const mode = state.mode === AVAILABLE ? null : availabilityRepo.getMode(state.mode) || null;
+      return { name: state.mode, mode, source: 'manual', since: _fromSql(state.set_at), until };
+    }
+  }
+
+  for (const name of MODES) {
+    const mode = availabilityRepo.getMode(name);
+    const period = mode && mode.schedule ? _scheduledPeriod(mode.schedule, now) : null;
+    if (period) return { name, mode, source: 'schedule', since: period.start, until: period.end };
+  }
+  return { name: AVAILABLE, mode: null, source: 'default', since: null, until: null };
+}
+
+/**
+ * Every mode with its settings.
+ */
+function list() {
+  const rows = availabilityRepo.listModes();
+  return MODES.map((name) => rows.find((r) => r.name === name)).filter(Boolean);
+}
+
+/**
+ * Switch mode by hand.
+ * @param {string} name - A mode, "available" (no mode) or "auto" (follow the schedules)
+ * @param {string} [duration] - "2h", "1d"… after which the schedules take over again
+ * @returns {object} current()
+ * @throws {Error} 400 for an unknown mode or a bad duration
+ */
+function setMode(name, duration) {
+  const value = String(name || '').trim().toLowerCase();
+  if (value === AUTO) {
+    availabilityRepo.setState(null, null);
+    logger.info('Availability back on schedule');
+    return current();
+  }
+  if (value !== AVAILABLE && !MODES.includes(value)) {
+    throw invalid(`Unknown mode "${name}" (use ${[...MODES, AVAILABLE, AUTO].join(', ')})`);
+  }
+
+  let until = null;
+  if (duration) {
+    const minutes = time.parseDuration(duration);
+    if (!minutes || minutes > MAX_SWITCH_MINUTES) throw invalid(`Invalid duration: ${duration} (e.g. 30m, 2h, 1d; at most 30 days)`);
+    until = _sqlTime(new Date(Date.now() + minutes * 60000));
+  }
+  availabilityRepo.setState(value, until);
+  logger.info({ mode: value, until }, 'Availability mode switched');
+  return current();
+}
+
+function _text(value) {
+  const text = value === null || value === undefined ? '' : String(value).trim();
+  return text || null;
+}
+
+/**
+ * Change a mode's settings; null or "" clears one.
+ * @param {string} name
+ * @param {object} fields - { schedule?, hint?, away_message?, alert_tiers? (array or "2,3") }
+ * @returns {object} The updated mode
+ * @throws {Error} 400 for a malformed schedule or tier, 404 for an unknown mode
+ */
+function updateMode(name, fields = {}) {
+  const key = String(name || '').trim().toLowerCase();
+  if (!MODES.includes(key)) throw invalid(`Unknown mode "${name}" (use ${MODES.join(', ')})`, 404);
+
+  const update = {};
+  if (fields.schedule !== undefined) {
+    update.schedule = _text(fields.schedule);
+    if (update.schedule) workingHours.parse(update.schedule);
+  }
+  for (const field of ['hint', 'away_message']) {
+    if (fields[field] !== undefined) update[field] = _text(fields[field]);
+  }
+  if (fields.alert_tiers !== undefined) {
+    const raw = Array.isArray(fields.alert_tiers) ? fields.alert_tiers : String(fields.alert_tiers || '').split(',');
+    const tiers = raw.map((t) => String(t).trim()).filter(Boolean).map(Number);
+    const bad = tiers.find((t) => !VIP_TIERS.includes(t));
+    if (bad !== undefined) throw invalid(`VIP tiers are ${VIP_TIERS.join(', ')}`);
+    update.alert_tiers = tiers.length > 0 ? [...new Set(tiers)].sort().join(',') : null;
+  }
+
+  logger.info({ mode: key, fields: Object.keys(update) }, 'Availability mode updated');
+  return availabilityRepo.updateMode(key, update);
+}
+
+/**
+ * Persona hint for reply prompts, or null when no mode (or no hint) is on.
+ */
+function promptHint() {
+  const { mode } = current();
+  return mode && mode.hint ? _fill(mode.hint) : null;
+}
+
+/**
+ * The mode to alert the owner under when this contact writes, or null.
+ * Like the away message, a contact alerts once per mode period.
+ * @param {object} contact - Profile with jid and vip_tier
+ */
+function alertFor(contact) {
+  const now = current();
+  if (!now.mode || !alertTiers(now.mode).includes(contact.vip_tier || 0)) return null;
+  const period = `${now.name}@${now.since.getTime()}`;
+  if (_alerted.get(contact.jid) === period) return null;
+  _alerted.set(contact.jid, period);
+  return now;
+}
+
+/**
+ * Send the current mode's away message to a contact, once per mode period.
+ * @param {object} contact - Profile (for the jid and language)
+ * @returns {Promise<boolean>} Whether one was sent
+ */
+async function sendAwayMessage(contact) {
+  const now = current();
+  if (!now.mode || !now.mode.away_message) return false;
+  if (messagesRepo.sentSince(contact.jid, AWAY_INTENT, _sqlTime(now.since))) return false;
+
+  const text = await translationService.autoTranslateReply(_fill(now.mode.away_message), contact);
+  await transport.sendMessage(contact.jid, text);
+  messagesRepo.insert({
+    jid: contact.jid,
+    direction: 'outbound',
+    content: text,
+    content_type: 'text',
+    intent: AWAY_INTENT,
+    is_ai_generated: false,
+  });
+  logger.info({ jid: contact.jid, mode: now.name }, 'Away message sent');
+  return true;
+}
+
+module.exports = {
+  MODES,
+  AVAILABLE,
+  AUTO,
+  alertTiers,
+  current,
+  list,
+  setMode,
+  updateMode,
+  promptHint,
+  alertFor,
+  sendAwayMessage,
+};
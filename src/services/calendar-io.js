@@ -0,0 +1,396 @@
+'use strict';
+
+/**
+ * Calendar I/O — schedules as iCalendar (RFC 5545): the subscribable feed,
+ * .ics imports, and single-event invites sent to contacts.
+ * Repeating events carry their RRULE/EXDATEs with a TZID, so calendar apps
+ * expand them the same way the reminder cron does.
+ */
+
+const logger = require('../core/logger');
+const config = require('../config');
+const time = require('../core/time');
+const recurrence = require('../core/recurrence');
+const { invalid } = require('../core/errors');
+const transport = require('../transport/transport-manager');
+const schedulesRepo = require('../database/repositories/schedules.repo');
+const scheduleAssistant = require('./schedule-assistant');
+
+const MAX_IMPORT_BYTES = 2 * 1024 * 1024;
+const MIMETYPE = 'text/calendar';
+// All-day events have no time of day; schedules need one to remind at
+const ALL_DAY_TIME = '09:00';
+const PRODID = `-//${config.persona.botName}//WhatsApp Assistant//EN`;
+// UIDs of exported schedules: schedule-<id>@<domain>; importing them updates that schedule
+const UID_DOMAIN = `${config.persona.botName.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.schedules`;
+// Series fields compared to tell an updated event from an unchanged one
+const COMPARED_FIELDS = ['title', 'description', 'recurrence', 'series_start', 'remind_minutes', 'skip_dates', 'timezone', 'duration_minutes'];
+
+// --- Writing ---
+
+function _escapeText(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line at 75 octets (RFC 5545 §3.1) without splitting a character.
+ */
+function _fold(line) {
+  if (Buffer.byteLength(line) <= 75) return line;
+  const chunks = [];
+  let current = '';
+  let bytes = 0;
+  for (const ch of line) {
+    const size = Buffer.byteLength(ch);
+    // Continuation lines start with a space
+    if (bytes + size > (chunks.length === 0 ? 75 : 74)) {
+      chunks.push(current);
+      current = '';
+      bytes = 0;
+    }
+    current += ch;
+    bytes += size;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+}
+
+// 20261025T091500Z
+function _utcStamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+}
+
+/**
+ * DTSTART-style property: local time with TZID, or UTC for UTC schedules.
+ */
+function _dateProp(name, date, tz) {
+  if (tz === 'UTC') return `${name}:${_utcStamp(date)}`;
+  return `${name};TZID=${tz}:${_utcStamp(time.toWallClock(date, tz)).slice(0, -1)}`;
+}
+
+function _eventLines(schedule, stamp) {
+  const { rule, timezone, first, skipDates } = scheduleAssistant.seriesOf(schedule);
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${schedule.ical_uid || `schedule-${schedule.id}@${UID_DOMAIN}`}`,
+    `DTSTAMP:${stamp}`,
+    _dateProp('DTSTART', first, timezone),
+    `SUMMARY:${_escapeText(schedule.title)}`,
+  ];
+  if (schedule.description) lines.push(`DESCRIPTION:${_escapeText(schedule.description)}`);
+  if (schedule.duration_minutes) lines.push(`DURATION:PT${schedule.duration_minutes}M`);
+  if (schedule.status === 'tentative') lines.push('STATUS:TENTATIVE');
+
+  if (rule) {
+    // With a date-time DTSTART, UNTIL has to be a UTC date-time (RFC 5545 §3.3.10)
+    const until = rule.until && rule.untilIsDate ? time.fromWallClock(rule.until, timezone) : rule.until;
+    lines.push(`RRULE:${recurrence.format({ ...rule, until, untilIsDate: false })}`);
+    // Every occurrence keeps the start's time of day
+    const clock = _utcStamp(time.toWallClock(first, timezone)).substring(8, 15);
+    for (const date of skipDates) {
+      const local = `${date.replace(/-/g, '')}${clock}`;
+      lines.push(timezone === 'UTC' ? `EXDATE:${local}Z` : `EXDATE;TZID=${timezone}:${local}`);
+    }
+  }
+
+  if (schedule.remind_minutes !== null && schedule.remind_minutes !== undefined) {
+    lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${_escapeText(schedule.title)}`,
+      `TRIGGER:-PT${schedule.remind_minutes}M`,
+      'END:VALARM',
+    );
+  }
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+function _calendar(schedules, name) {
+  const stamp = _utcStamp(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+  ];
+  if (name) lines.push(`X-WR-CALNAME:${_escapeText(name)}`, `X-WR-TIMEZONE:${config.persona.ownerTimezone}`);
+  for (const schedule of schedules) lines.push(..._eventLines(schedule, stamp));
+  lines.push('END:VCALENDAR');
+  return lines.map(_fold).join('\r\n') + '\r\n';
+}
+
+/**
+ * Every schedule except cancelled ones, as a calendar feed.
+ * @returns {{ content: string, filename: string, mimetype: string, count: number }}
+ */
+function exportCalendar() {
+  const schedules = schedulesRepo.listForExport();
+  return {
+    content: _calendar(schedules, `${config.persona.ownerName}'s schedule`),
+    filename: 'schedules.ics',
+    mimetype: MIMETYPE,
+    count: schedules.length,
+  };
+}
+
+/**
+ * Send one schedule to a contact as an .ics attachment they can add to their calendar.
+ * @param {string} jid
+ * @param {number} scheduleId
+ */
+async function sendInvite(jid, scheduleId) {
+  const schedule = schedulesRepo.getById(scheduleId);
+  if (!schedule) throw invalid(`Schedule #${scheduleId} not found`);
+
+  const slug = schedule.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').substring(0, 40) || 'event';
+  await transport.sendMedia(jid, Buffer.from(_calendar([schedule]), 'utf8'), {
+    mimetype: MIMETYPE,
+    filename: `${slug}.ics`,
+    caption: `📅 ${schedule.title} — open to add it to your calendar`,
+  });
+  logger.info({ jid, scheduleId }, 'Calendar invite sent');
+}
+
+// --- Reading ---
+
+/**
+ * "DTSTART;TZID=Europe/London:20261025T090000" → { name, params, value }
+ */
+function _parseLine(line) {
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    if (line[i] !== ':' || quoted) continue;
+
+    const [name, ...rawParams] = line.substring(0, i).split(';');
+    const params = {};
+    for (const param of rawParams) {
+      const eq = param.indexOf('=');
+      if (eq > 0) params[param.substring(0, eq).toUpperCase()] = param.substring(eq + 1).replace(/^"|"$/g, '');
+    }
+    return { name: name.trim().toUpperCase(), params, value: line.substring(i + 1) };
+  }
+  return null;
+}
+
+function _unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (m, ch) => (ch === 'n' || ch === 'N' ? '\n' : ch));
+}
+
+/**
+ * VEVENTs of a calendar as { props: { NAME: [line] }, alarms: [{ NAME: [line] }] }.
+ */
+function _vevents(text) {
+  const events = [];
+  const stack = [];
+  let event = null;
+  let alarm = null;
+
+  // Unfold continuation lines first (RFC 5545 §3.1)
+  for (const raw of text.replace(/^\uFEFF/, '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/)) {
+    const line = raw.trim() ? _parseLine(raw) : null;
+    if (!line) continue;
+
+    if (line.name === 'BEGIN') {
+      const component = line.value.trim().toUpperCase();
+      if (component === 'VEVENT') event = { props: {}, alarms: [] };
+      if (component === 'VALARM' && event) alarm = {};
+      stack.push(component);
+    } else if (line.name === 'END') {
+      const component = stack.pop();
+      if (component === 'VEVENT' && event) {
+        events.push(event);
+        event = null;
+      } else if (component === 'VALARM' && alarm) {
+        event.alarms.push(alarm);
+        alarm = null;
+      }
+    } else {
+      const top = stack[stack.length - 1];
+      const target = top === 'VALARM' ? alarm : top === 'VEVENT' && event ? event.props : null;
+      if (target) (target[line.name] = target[line.name] || []).push(line);
+    }
+  }
+  return events;
+}
+
+/**
+ * A DTSTART/EXDATE value: UTC (Z), local to its TZID, or floating (owner's zone).
+ * All-day dates get ALL_DAY_TIME.
+ */
+function _parseDate(line, value, floatingTz) {
+  const tzid = line.params.TZID;
+  if (tzid && !time.isValidTimezone(tzid)) throw invalid(`Unsupported TZID "${tzid}" (IANA names only)`);
+  const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+  if (!m) throw invalid(`Invalid ${line.name} "${value}"`);
+
+  const utc = Boolean(m[7]);
+  const zone = utc ? 'UTC' : tzid || floatingTz;
+  const date = time.parseInZone(`${m[1]}-${m[2]}-${m[3]}T${m[4] ? `${m[4]}:${m[5]}:${m[6]}` : ALL_DAY_TIME}`, zone);
+  if (isNaN(date.getTime())) throw invalid(`Invalid ${line.name} "${value}"`);
+  return { date, zone, utc };
+}
+
+/**
+ * RRULE as a recurrence string. WKST is dropped where it can't change the
+ * result (ours count Monday-based weeks); an UNTIL at the last second of a
+ * local day (how exports write date-only UNTILs) becomes that date again.
+ */
+function _rrule(value, tz) {
+  const parts = value.split(';').filter((p) => p.trim());
+  const wkst = parts.find((p) => /^WKST=/i.test(p.trim()));
+  const rule = recurrence.parse(parts.filter((p) => p !== wkst).join(';'));
+  if (wkst && !/=MO$/i.test(wkst.trim()) && rule.freq === 'WEEKLY' && rule.interval > 1 && rule.byDay) {
+    throw invalid(`Unsupported ${wkst.trim().toUpperCase()} with INTERVAL and BYDAY`);
+  }
+  if (rule.until && !rule.untilIsDate) {
+    const wall = time.toWallClock(rule.until, tz);
+    if (wall.toISOString().substring(11, 19) === '23:59:59') Object.assign(rule, { until: wall, untilIsDate: true });
+  }
+  return recurrence.format(rule);
+}
+
+/**
+ * A duration in minutes: "PT1H30M", "P1D"; `sign` '-' for alarm triggers ("-PT30M").
+ */
+function _durationMinutes(value, sign = '') {
+  const m = new RegExp(`^${sign}P(?:(\\d+)W)?(?:(\\d+)D)?(?:T(?:(\\d+)H)?(?:(\\d+)M)?(?:(\\d+)S)?)?$`).exec(value.trim());
+  if (!m) return null;
+  const [weeks, days, hours, minutes, seconds] = m.slice(1).map((v) => Number(v) || 0);
+  return weeks * 10080 + days * 1440 + hours * 60 + minutes + Math.round(seconds / 60);
+}
+
+/**
+ * Reminder from the first VALARM: "-PT30M", "-PT1H30M", "-P1D" → minutes before the start.
+ */
+function _remindMinutes(alarms) {
+  const trigger = alarms.map((a) => a.TRIGGER && a.TRIGGER[0]).find(Boolean);
+  if (!trigger || trigger.params.VALUE === 'DATE-TIME' || (trigger.params.RELATED || 'START').toUpperCase() !== 'START') return null;
+  return _durationMinutes(trigger.value, '-');
+}
+
+/**
+ * Length from DTEND or DURATION; all-day events have none (they don't block a time).
+ */
+function _eventMinutes(prop, start) {
+  if (prop('DTSTART').params.VALUE === 'DATE') return null;
+  if (prop('DURATION')) return _durationMinutes(prop('DURATION').value, '\\+?') || null;
+  if (!prop('DTEND')) return null;
+  const end = _parseDate(prop('DTEND'), prop('DTEND').value, start.zone).date;
+  return end > start.date ? Math.round((end - start.date) / 60000) : null;
+}
+
+/**
+ * VEVENT → event details for scheduleAssistant.prepareEvent. A one-off at a
+ * UTC time is just an instant, so its timezone is left to the caller (null).
+ */
+function _toEvent(vevent) {
+  const prop = (name) => (vevent.props[name] ? vevent.props[name][0] : null);
+  if (prop('STATUS') && prop('STATUS').value.trim().toUpperCase() === 'CANCELLED') throw invalid('Cancelled');
+  if (prop('RECURRENCE-ID')) throw invalid('Changed occurrences of a repeating event (RECURRENCE-ID) are not supported');
+  if (vevent.props.RDATE) throw invalid('RDATE is not supported');
+  if ((vevent.props.RRULE || []).length > 1) throw invalid('More than one RRULE is not supported');
+  if (!prop('DTSTART')) throw invalid('Missing DTSTART');
+
+  const start = _parseDate(prop('DTSTART'), prop('DTSTART').value, config.persona.ownerTimezone);
+  const rrule = prop('RRULE') ? _rrule(prop('RRULE').value, start.zone) : null;
+  const timezone = start.utc && !rrule ? null : start.zone;
+
+  const skipDates = [];
+  for (const line of vevent.props.EXDATE || []) {
+    for (const value of line.value.split(',')) {
+      skipDates.push(time.dateKey(_parseDate(line, value, start.zone).date, start.zone));
+    }
+  }
+
+  return {
+    title: prop('SUMMARY') ? _unescapeText(prop('SUMMARY').value).trim() || 'Untitled event' : 'Untitled event',
+    description: prop('DESCRIPTION') ? _unescapeText(prop('DESCRIPTION').value).trim() || null : null,
+    date: start.date.toISOString(),
+    timezone,
+    recurrence: rrule || 'none',
+    skipDates: rrule ? skipDates : [],
+    remindBefore: _remindMinutes(vevent.alarms),
+    durationMinutes: _eventMinutes(prop, start),
+  };
+}
+
+function _sameSeries(row, fields) {
+  const value = (v) => (v === null || v === undefined ? null : String(v));
+  return COMPARED_FIELDS.every((f) => value(row[f]) === value(fields[f]));
+}
+
+/**
+ * The schedule an imported UID refers to: one of our exported ones, or an earlier import.
+ */
+function _existing(uid) {
+  if (!uid) return null;
+  const own = new RegExp(`^schedule-(\\d+)@${UID_DOMAIN.replace(/\./g, '\\.')}$`).exec(uid);
+  return own ? schedulesRepo.getById(Number(own[1])) || null : schedulesRepo.getByIcalUid(uid) || null;
+}
+
+/**
+ * Import the events of an .ics file. Each event is added, updates the schedule
+ * with its UID, or is skipped with a reason (unsupported rule, past, cancelled…);
+ * supported events are imported even when others are skipped.
+ * @param {string|Buffer} content
+ * @param {object} [opts] - { dryRun: report only }
+ * @returns {{ dryRun: boolean, events: number, created: number, updated: number, unchanged: number,
+ *   skipped: Array<{ uid: string|null, title: string|null, reason: string }> }}
+ */
+function importCalendar(content, opts = {}) {
+  const text = Buffer.isBuffer(content) ? content.toString('utf8') : String(content || '');
+  if (!text.trim()) throw invalid('Calendar file is empty');
+  if (Buffer.byteLength(text) > MAX_IMPORT_BYTES) throw invalid(`Calendar file is larger than ${MAX_IMPORT_BYTES / 1024 / 1024} MB`);
+  if (!/^BEGIN:VCALENDAR/im.test(text)) throw invalid('Not an iCalendar file (no BEGIN:VCALENDAR)');
+
+  const report = { dryRun: Boolean(opts.dryRun), events: 0, created: 0, updated: 0, unchanged: 0, skipped: [] };
+  const ops = [];
+  const seen = new Set();
+
+  for (const vevent of _vevents(text)) {
+    report.events++;
+    const uid = vevent.props.UID ? vevent.props.UID[0].value.trim() || null : null;
+    const title = vevent.props.SUMMARY ? _unescapeText(vevent.props.SUMMARY[0].value).trim() : null;
+
+    try {
+      const event = _toEvent(vevent);
+      if (uid && seen.has(uid)) throw invalid('Duplicate UID in this file');
+      if (uid) seen.add(uid);
+
+      const existing = _existing(uid);
+      const ownUid = existing && !existing.ical_uid && uid && uid.endsWith(`@${UID_DOMAIN}`);
+      event.icalUid = ownUid ? null : uid;
+      // An instant keeps the zone its schedule already shows it in, else the owner's
+      event.timezone = event.timezone || (existing && existing.timezone) || config.persona.ownerTimezone;
+      const jid = existing ? existing.jid : null;
+
+      // Checked before the upcoming test so re-importing the feed leaves past events alone
+      if (existing && _sameSeries(existing, scheduleAssistant.prepareEvent(jid, event).fields)) {
+        report.unchanged++;
+        continue;
+      }
+
+      const { fields } = scheduleAssistant.prepareEvent(jid, event, { upcoming: true });
+      ops.push(existing ? { id: existing.id, data: fields } : { data: fields });
+      report[existing ? 'updated' : 'created']++;
+    } catch (err) {
+      if (!err.status) throw err;
+      report.skipped.push({ uid, title, reason: err.message });
+    }
+  }
+
+  if (!report.dryRun && ops.length > 0) schedulesRepo.applyBatch(ops);
+  logger.info({ ...report, skipped: report.skipped.length }, 'Calendar import');
+  return report;
+}
+
+module.exports = {
+  exportCalendar,
+  importCalendar,
+  sendInvite,
+  MAX_IMPORT_BYTES,
+  MIMETYPE,
+};
@@ -8,6 +8,8 @@
 const bus = require('../core/event-bus');
 const logger = require('../core/logger');
 const contactsRepo = require('../database/repositories/contacts.repo');
+const time = require('../core/time');
+const { invalid } = require('../core/errors');
 
 /**
  * Initialize — wire up event listeners.
@@ -16,7 +18,8 @@ function init() {
   // Auto-enrich contact on first message
   bus.on('transport:message:raw', (msg) => {
     try {
-      if (msg.pushName && msg.jid) {
+      // In groups the pushName belongs to the participant, not the group
+      if (msg.pushName && msg.jid && !msg.isGroup) {
         contactsRepo.upsert(msg.jid, { display_name: msg.pushName });
       }
     } catch (err) {
@@ -45,6 +48,21 @@ function toggleAutoReply(jid, enabled) {
   logger.info({ jid, enabled }, 'Auto-reply toggled');
 }
 
+/**
+ * Set the time zone a contact's dates are read and shown in.
+ * @param {string} jid
+ * @param {string|null} timezone - IANA name (Asia/Kathmandu); null/'clear' = the owner's
+ * @returns {string|null} The stored zone
+ */
+function setTimezone(jid, timezone) {
+  const tz = !timezone || timezone === 'clear' ? null : timezone;
+  if (tz && !time.isValidTimezone(tz)) throw invalid(`Unknown time zone: ${tz} (use an IANA name such as Asia/Kathmandu)`);
+  if (!contactsRepo.getByJid(jid)) throw invalid(`Unknown contact: ${jid}`, 404);
+  contactsRepo.setTimezone(jid, tz);
+  logger.info({ jid, timezone: tz }, 'Contact time zone updated');
+  return tz;
+}
+
 /**
  * Update contact profile fields.
  */
@@ -91,6 +109,7 @@ module.exports = {
   init,
   setVip,
   toggleAutoReply,
+  setTimezone,
   updateProfile,
   getContact,
   listVip,
@@ -6,9 +6,69 @@
  */
 
 const logger = require('../core/logger');
-const gemini = require('../ai/gemini-client');
+const config = require('../config');
+const time = require('../core/time');
+const { invalid } = require('../core/errors');
+const llm = require('../ai/llm-client');
 const promptBuilder = require('../ai/prompt-builder');
+const transport = require('../transport/transport-manager');
 const followUpsRepo = require('../database/repositories/follow-ups.repo');
+const contactsRepo = require('../database/repositories/contacts.repo');
+const messagesRepo = require('../database/repositories/messages.repo');
+const translationService = require('./translation-service');
+
+// Shorter owner messages ("ok", "👍") can't fulfil a promise
+const MIN_OWNER_TEXT = 8;
+// Manual follow-ups without a due time
+const DEFAULT_DUE_HOURS = 24;
+const MAX_SNOOZE_MINUTES = 30 * 24 * 60;
+const PRIORITIES = [1, 2, 3, 4];
+// English messages without any of these can't hold a promise worth a model call
+const COMMITMENT_HINT = /\b(i'?ll|i will|i'?m going to|gonna|i can|will (send|call|pay|share|get|check|confirm|let|do)|by (mon|tue|wed|thu|fri|sat|sun|tomorrow|tonight|today|end|eod|next)|tomorrow|tonight|later|promise)/i;
+// After a nudge, the owner isn't reminded again for this long
+const NUDGE_GRACE_HOURS = 24;
+
+function _sqlTime(date) {
+  return date.toISOString().replace('T', ' ').replace(/\.\d+Z$/, '');
+}
+
+/**
+ * Follow-ups are shown as F12 so they can't be mistaken for schedule IDs.
+ */
+function label(followUp) {
+  return `F${followUp.id}`;
+}
+
+/**
+ * "F12" or "12" → 12.
+ * @throws {Error} status 400 for anything else
+ */
+function parseId(ref) {
+  const m = /^F?(\d+)$/i.exec(String(ref || '').trim());
+  if (!m) throw invalid(`Invalid follow-up ID: ${ref} (e.g. F12)`);
+  return Number(m[1]);
+}
+
+/**
+ * An open (pending or reminded) follow-up.
+ * @throws {Error} 404 when unknown, 409 when resolved or expired
+ */
+function _open(ref) {
+  const id = parseId(ref);
+  const followUp = followUpsRepo.getById(id);
+  if (!followUp) throw invalid(`Follow-up F${id} not found`, 404);
+  if (!['pending', 'reminded', 'waiting'].includes(followUp.status)) {
+    throw invalid(`Follow-up ${label(followUp)} is already ${followUp.status}`, 409);
+  }
+  return followUp;
+}
+
+/**
+ * Reminders an overdue follow-up gets before it expires.
+ */
+function reminderCap(priority) {
+  return config.followUps.maxRemindersByPriority[priority] || config.followUps.maxReminders;
+}
 
 /**
  * Analyze an AI reply for follow-up promises.
@@ -17,7 +77,7 @@ const followUpsRepo = require('../database/repositories/follow-ups.repo');
 async function analyzeReply(jid, aiReply) {
   try {
     const prompt = promptBuilder.buildFollowUpDetectionPrompt(aiReply);
-    const raw = await gemini.generate(prompt, { temperature: 0.1, maxTokens: 100 });
+    const raw = await llm.generate(prompt, { task: 'followup', jid, temperature: 0.1, maxTokens: 100 });
 
     const jsonStr = raw.replace(/```json?\n?/g, '').replace(/```/g, '').trim();
     const result = JSON.parse(jsonStr);
@@ -44,6 +104,95 @@ async function analyzeReply(jid, aiReply) {
   return null;
 }
 
+/**
+ * Look for a promise the contact makes in their own message ("I'll send the
+ * documents by Friday") and track it as a follow-up waiting on them.
+ * Called for inbound chat messages (FOLLOWUP_TRACK_CONTACTS); never throws.
+ * @param {string} jid
+ * @param {string} text - The contact's message
+ * @param {object} [opts] - { messageId, language (detected; the English pre-check only applies to 'en') }
+ * @returns {Promise<number|null>} The new follow-up's ID
+ */
+async function analyzeInbound(jid, text, opts = {}) {
+  if (!config.followUps.trackContacts || !text || text.trim().length < MIN_OWNER_TEXT) return null;
+  if ((opts.language || 'en') === 'en' && !COMMITMENT_HINT.test(text)) return null;
+
+  try {
+    const tz = config.persona.ownerTimezone;
+    const prompt = promptBuilder.buildCommitmentDetectionPrompt(text, `${time.isoWithOffset(new Date(), tz)} (${tz})`);
+    const raw = await llm.generate(prompt, { task: 'followup', jid, temperature: 0.1, maxTokens: 100 });
+    const result = JSON.parse(raw.replace(/```json?\n?/g, '').replace(/```/g, '').trim());
+    if (!result.hasCommitment) return null;
+
+    const dueHours = Number(result.dueHours) > 0 ? Number(result.dueHours) : DEFAULT_DUE_HOURS;
+    const priority = PRIORITIES.includes(Number(result.priority)) ? Number(result.priority) : 2;
+    const dueAt = _sqlTime(new Date(Date.now() + dueHours * 60 * 60 * 1000));
+    const id = followUpsRepo.create({
+      jid,
+      trigger_message_id: opts.messageId,
+      description: String(result.description || '').trim().substring(0, 200) || 'Follow up on their promise',
+      status: 'waiting',
+      due_at: dueAt,
+      priority,
+    });
+
+    logger.info({ jid, id, description: result.description, dueAt }, 'Follow-up waiting on contact created');
+    return id;
+  } catch (err) {
+    logger.debug({ err: err.message }, 'Contact commitment analysis failed (non-critical)');
+    return null;
+  }
+}
+
+/**
+ * Politely remind the contact of what they promised, from the owner's side.
+ * The owner's reminders for it pause for a day afterwards.
+ * @param {number|string} ref - 12 or F12
+ * @param {string} [text] - Exact message to send; written by the model when omitted
+ * @returns {Promise<{ followUp: object, text: string }>} The follow-up and what was sent
+ * @throws {Error} 404 when unknown, 409 when it isn't waiting on the contact
+ */
+async function nudge(ref, text) {
+  const followUp = _open(ref);
+  if (followUp.status !== 'waiting') {
+    throw invalid(`Follow-up ${label(followUp)} is yours to do, not waiting on the contact`, 409);
+  }
+
+  const contact = contactsRepo.getByJid(followUp.jid);
+  let message = String(text || '').trim();
+  const generated = !message;
+  if (generated) {
+    const name = (contact && contact.display_name) || 'there';
+    const due = followUp.due_at
+      ? time.format(new Date(`${followUp.due_at.replace(' ', 'T')}Z`), (contact && contact.timezone) || config.persona.ownerTimezone)
+      : 'recently';
+    const language = (contact && contact.preferred_language) || config.translation.defaultLanguage;
+    try {
+      message = (await llm.generate(promptBuilder.buildNudgePrompt(name, followUp.description, due, language),
+        { task: 'followup', jid: followUp.jid, temperature: 0.6, maxTokens: 120 })).trim().replace(/^"|"$/g, '');
+    } catch (err) {
+      logger.warn({ err: err.message, id: followUp.id }, 'Nudge generation failed, using the plain wording');
+    }
+    if (!message) {
+      message = await translationService.autoTranslateReply(
+        `Hi ${name}, just gently checking in about this: ${followUp.description}. Any update? 🙏`, contact);
+    }
+  }
+
+  await transport.sendMessage(followUp.jid, message);
+  messagesRepo.insert({
+    jid: followUp.jid,
+    direction: 'outbound',
+    content: message,
+    content_type: 'text',
+    intent: 'followup',
+    is_ai_generated: generated,
+  });
+  followUpsRepo.markNudged(followUp.id, _sqlTime(new Date(Date.now() + NUDGE_GRACE_HOURS * 60 * 60 * 1000)));
+  logger.info({ id: followUp.id, jid: followUp.jid }, 'Contact nudged about follow-up');
+  return { followUp: followUpsRepo.getById(followUp.id), text: message };
+}
+
 /**
  * Get pending follow-ups for a contact or all contacts.
  */
@@ -58,27 +207,163 @@ function listOverdue() {
   return followUpsRepo.listOverdue();
 }
 
+/**
+ * Follow-ups in any status, newest first (for a contact, or everyone's).
+ */
+function listRecent(jid, limit = 30) {
+  return followUpsRepo.listRecent(jid || null, limit);
+}
+
+/**
+ * Add a follow-up by hand.
+ * @param {string} jid - Known contact
+ * @param {string} description
+ * @param {object} [opts] - { due: duration ("2h", "3d") or date/time in OWNER_TIMEZONE (default 24h), priority 1-4 (default 2) }
+ * @returns {object} The new follow-up
+ * @throws {Error} status 400 for invalid input, 404 for an unknown contact
+ */
+function add(jid, description, opts = {}) {
+  const text = String(description || '').trim();
+  if (!text) throw invalid('Describe the follow-up');
+  if (!jid || !contactsRepo.getByJid(jid)) throw invalid(`Unknown contact: ${jid}`, 404);
+  const priority = opts.priority === undefined ? 2 : Number(opts.priority);
+  if (!PRIORITIES.includes(priority)) throw invalid('Priority must be 1-4 (1 = low, 4 = urgent)');
+
+  let due = new Date(Date.now() + DEFAULT_DUE_HOURS * 60 * 60 * 1000);
+  if (opts.due) {
+    const minutes = time.parseDuration(opts.due);
+    due = minutes ? new Date(Date.now() + minutes * 60000) : time.parseInZone(opts.due, config.persona.ownerTimezone);
+    if (isNaN(due.getTime())) throw invalid(`Invalid due time: ${opts.due} (e.g. 2h, 3d or 2026-11-02T10:00)`);
+  }
+
+  const id = followUpsRepo.create({ jid, description: text, due_at: _sqlTime(due), priority });
+  logger.info({ jid, id, description: text, dueAt: _sqlTime(due) }, 'Follow-up added by owner');
+  return followUpsRepo.getById(id);
+}
+
 /**
  * Mark a follow-up as resolved.
+ * @param {number|string} ref - 12 or F12
+ * @returns {object} The resolved follow-up
+ * @throws {Error} 404 when unknown, 409 when not open
+ */
+function resolve(ref) {
+  const followUp = _open(ref);
+  followUpsRepo.resolve(followUp.id, { by: 'owner' });
+  logger.info({ id: followUp.id }, 'Follow-up resolved');
+  return followUpsRepo.getById(followUp.id);
+}
+
+/**
+ * Hold a follow-up's reminders for a while; they start counting again afterwards.
+ * @param {number|string} ref - 12 or F12
+ * @param {string|number} duration - Minutes, or "2h", "1d", "1w"
+ * @returns {{ followUp: object, until: Date }}
+ * @throws {Error} 400 for an invalid duration, 404 / 409 as for resolve
+ */
+function snooze(ref, duration) {
+  const minutes = typeof duration === 'number' ? duration : time.parseDuration(duration);
+  if (!Number.isInteger(minutes) || minutes <= 0) throw invalid(`Invalid duration: ${duration} (e.g. 2h, 1d, 1w)`);
+  if (minutes > MAX_SNOOZE_MINUTES) throw invalid('Snooze for 30 days at most');
+  const followUp = _open(ref);
+
+  const until = new Date(Date.now() + minutes * 60000);
+  followUpsRepo.snooze(followUp.id, _sqlTime(until));
+  logger.info({ id: followUp.id, until: until.toISOString() }, 'Follow-up snoozed');
+  return { followUp: followUpsRepo.getById(followUp.id), until };
+}
+
+/**
+ * Change a follow-up's priority (1 = low … 4 = urgent).
+ * @returns {object} The updated follow-up
+ */
+function setPriority(ref, priority) {
+  const value = Number(priority);
+  if (!PRIORITIES.includes(value)) throw invalid('Priority must be 1-4 (1 = low, 4 = urgent)');
+  const followUp = _open(ref);
+  followUpsRepo.setPriority(followUp.id, value);
+  return followUpsRepo.getById(followUp.id);
+}
+
+/**
+ * Resolve the contact's open follow-ups that the owner's message fulfils
+ * (FOLLOWUP_AUTO_RESOLVE), noting why, and tell the owner how to undo it.
+ * Called for every message the owner sends a contact; never throws.
+ * @param {string} jid - Contact the owner wrote to
+ * @param {string} text - The owner's message
+ * @param {number} [messageId] - Its stored row, kept for the audit trail
+ * @returns {Promise<number[]>} IDs resolved
+ */
+async function checkOwnerMessage(jid, text, messageId) {
+  if (!config.followUps.autoResolve || !text || text.trim().length < MIN_OWNER_TEXT) return [];
+  const open = followUpsRepo.listAutoResolvable(jid);
+  if (open.length === 0) return [];
+
+  try {
+    const prompt = promptBuilder.buildFollowUpResolutionPrompt(open, text);
+    const raw = await llm.generate(prompt, { task: 'followup', jid, temperature: 0, maxTokens: 150 });
+    const result = JSON.parse(raw.replace(/```json?\n?/g, '').replace(/```/g, '').trim());
+
+    const resolved = [];
+    for (const match of Array.isArray(result.resolved) ? result.resolved : []) {
+      const followUp = open.find((f) => f.id === Number(match && match.id));
+      if (!followUp || resolved.includes(followUp.id)) continue;
+      const note = String(match.reason || '').trim().substring(0, 200) || 'Fulfilled by your message';
+      if (followUpsRepo.resolve(followUp.id, { by: 'auto', note, messageId })) {
+        resolved.push(followUp.id);
+        logger.info({ jid, id: followUp.id, note, messageId }, 'Follow-up auto-resolved from owner message');
+        await _announce(jid, followUp, note);
+      }
+    }
+    return resolved;
+  } catch (err) {
+    logger.debug({ err: err.message, jid }, 'Follow-up resolution check failed (non-critical)');
+    return [];
+  }
+}
+
+async function _announce(jid, followUp, note) {
+  const contact = contactsRepo.getByJid(jid);
+  try {
+    await transport.sendMessage(config.whatsapp.ownerJid,
+      `☑️ Follow-up ${label(followUp)} for ${(contact && contact.display_name) || jid} resolved from your message: ${followUp.description}\n` +
+      `↳ ${note}\nWrong? !followups undo ${label(followUp)}`);
+  } catch (err) {
+    logger.warn({ err: err.message, id: followUp.id }, 'Could not announce auto-resolved follow-up');
+  }
+}
+
+/**
+ * Undo a resolution; an automatic one is then left for the owner to resolve by hand.
+ * @returns {object} The reopened follow-up
+ * @throws {Error} 404 when unknown, 409 when not resolved
  */
-function resolve(id) {
-  return followUpsRepo.resolve(id);
+function reopen(ref) {
+  const id = parseId(ref);
+  const followUp = followUpsRepo.getById(id);
+  if (!followUp) throw invalid(`Follow-up F${id} not found`, 404);
+  if (followUp.status !== 'resolved') throw invalid(`Follow-up ${label(followUp)} is ${followUp.status}, not resolved`, 409);
+  followUpsRepo.reopen(followUp.id);
+  logger.info({ id: followUp.id, resolvedBy: followUp.resolved_by }, 'Follow-up reopened');
+  return followUpsRepo.getById(followUp.id);
 }
 
 /**
  * Check for overdue follow-ups and return reminders.
  * Called periodically by the scheduler.
- * @returns {Array<{jid: string, description: string, due_at: string}>}
+ * @returns {Array<{id: number, status: string, jid: string, description: string, due_at: string}>}
  */
 function getReminders() {
   const overdue = followUpsRepo.listOverdue();
   const reminders = [];
 
   for (const fu of overdue) {
-    // Only remind if not already reminded recently (< 3 times)
-    if (fu.reminded_count < 3) {
+    // Remind up to the priority's cap, then let it go
+    if (fu.reminded_count < reminderCap(fu.priority)) {
       followUpsRepo.markReminded(fu.id);
       reminders.push({
+        id: fu.id,
+        status: fu.status,
         jid: fu.jid,
         description: fu.description,
         due_at: fu.due_at,
@@ -96,8 +381,19 @@ function getReminders() {
 
 module.exports = {
   analyzeReply,
+  analyzeInbound,
+  nudge,
+  label,
+  parseId,
+  reminderCap,
   listPending,
+  listRecent,
   listOverdue,
+  add,
   resolve,
+  snooze,
+  setPriority,
+  checkOwnerMessage,
+  reopen,
   getReminders,
 };
@@ -0,0 +1,172 @@
+'use strict';
+
+/**
+ * Group Manager — opt-in group chat support (GROUPS_ENABLED).
+ * Holds per-group settings (enabled, persona, keywords, quiet hours) and
+ * decides whether a group message should get a reply: only when the bot is
+ * @mentioned, one of its messages is quoted, or a group keyword appears.
+ */
+
+const logger = require('../core/logger');
+const time = require('../core/time');
+const { invalid } = require('../core/errors');
+const config = require('../config');
+const transport = require('../transport/transport-manager');
+const groupsRepo = require('../database/repositories/groups.repo');
+const contactsRepo = require('../database/repositories/contacts.repo');
+const chatSession = require('../ai/chat-session');
+
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Phone-number part of a JID, ignoring domain and device suffix
+ * (9779800000000:12@s.whatsapp.net → 9779800000000).
+ */
+function _number(jid) {
+  return (jid || '').split('@')[0].split(':')[0];
+}
+
+/**
+ * Get settings for a group, or null if it has never been seen.
+ */
+function getSettings(jid) {
+  return groupsRepo.getByJid(jid) || null;
+}
+
+/**
+ * Make sure a group has a settings row (disabled) and a contacts row
+ * (messages reference contacts). Fetches the group name on first sight.
+ * @returns {Promise<object>} Group settings
+ */
+async function registerGroup(jid) {
+  const existing = groupsRepo.getByJid(jid);
+  if (existing) return existing;
+
+  let name = null;
+  try {
+    name = await transport.getGroupName(jid);
+  } catch (err) {
+    logger.debug({ err: err.message, jid }, 'Could not fetch group name');
+  }
+
+  contactsRepo.upsert(jid, { display_name: name || undefined });
+  logger.info({ jid, name }, 'New group seen (disabled until the owner enables it)');
+  return groupsRepo.ensure(jid, name);
+}
+
+/**
+ * Track a group participant's pushName in contacts.
+ */
+function trackParticipant(msg) {
+  if (!msg.participant) return;
+  try {
+    contactsRepo.upsert(msg.participant, { display_name: msg.pushName || undefined });
+  } catch (err) {
+    logger.debug({ err: err.message }, 'Participant upsert failed (non-critical)');
+  }
+}
+
+/**
+ * Why the bot should answer this group message, or null if it shouldn't.
+ * @param {object} msg - Normalized group message
+ * @param {object} settings - Group settings row
+ * @returns {'mention'|'quote'|'keyword'|null}
+ */
+function getTrigger(msg, settings) {
+  const own = _number(transport.getOwnJid() || config.whatsapp.ownerJid);
+
+  const mentioned = (msg.mentionedJids || []).some((jid) => _number(jid) === own)
+    || (msg.text || '').includes(`@${own}`);
+  if (mentioned) return 'mention';
+
+  if (msg.quotedParticipant && _number(msg.quotedParticipant) === own) return 'quote';
+
+  // Whole words in any script: a keyword can't sit inside a longer word,
+  // including one in Devanagari whose vowel signs are marks, not letters
+  const text = (msg.text || '').toLowerCase();
+  const hit = parseKeywords(settings.keywords).find((k) =>
+    new RegExp(`(?<![\\p{L}\\p{M}\\p{N}])${k.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\p{L}\\p{M}\\p{N}])`, 'u').test(text)
+  );
+  return hit ? 'keyword' : null;
+}
+
+/**
+ * Whether the group is inside its quiet hours (owner's time zone, OWNER_TIMEZONE).
+ * Ranges may wrap midnight (22:00-07:00).
+ */
+function isQuietTime(settings, now = new Date()) {
+  if (!settings.quiet_start || !settings.quiet_end) return false;
+
+  const local = time.toWallClock(now, config.persona.ownerTimezone);
+  const minutes = local.getUTCHours() * 60 + local.getUTCMinutes();
+  const toMin = (t) => {
+    const [h, m] = t.split(':').map(Number);
+    return h * 60 + m;
+  };
+  const start = toMin(settings.quiet_start);
+  const end = toMin(settings.quiet_end);
+
+  return start <= end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+/**
+ * Split a stored keyword list ("friday, bot") into lowercase keywords.
+ */
+function parseKeywords(str) {
+  return (str || '').split(',').map((k) => k.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Validate and apply a settings update.
+ * @param {string} jid - Group JID (must end with @g.us)
+ * @param {object} fields - { enabled, persona, keywords, quiet_start, quiet_end }
+ * @returns {object} Updated settings
+ * @throws {Error} With status 400 on invalid input
+ */
+function updateSettings(jid, fields) {
+  if (!jid || !jid.endsWith('@g.us')) throw invalid('Group JID must end with @g.us');
+
+  const update = {};
+  if (fields.enabled !== undefined) update.enabled = Boolean(fields.enabled);
+  if (fields.persona !== undefined) update.persona = fields.persona || null;
+  if (fields.keywords !== undefined) {
+    const list = Array.isArray(fields.keywords) ? fields.keywords : parseKeywords(fields.keywords);
+    update.keywords = list.map((k) => String(k).trim().toLowerCase()).filter(Boolean).join(',') || null;
+  }
+
+  for (const key of ['quiet_start', 'quiet_end']) {
+    if (fields[key] === undefined) continue;
+    if (fields[key] && !TIME_RE.test(fields[key])) throw invalid(`${key} must be HH:MM`);
+    update[key] = fields[key] || null;
+  }
+
+  const current = groupsRepo.getByJid(jid);
+  const start = update.quiet_start !== undefined ? update.quiet_start : current && current.quiet_start;
+  const end = update.quiet_end !== undefined ? update.quiet_end : current && current.quiet_end;
+  if (Boolean(start) !== Boolean(end)) {
+    throw invalid('Set both quiet_start and quiet_end, or clear both');
+  }
+
+  if (!current) contactsRepo.upsert(jid, {});
+  const settings = groupsRepo.update(jid, update);
+  if (update.persona !== undefined) chatSession.invalidate(jid);
+  logger.info({ jid, update }, 'Group settings updated');
+  return settings;
+}
+
+function list(enabledOnly = false) {
+  return groupsRepo.list(enabledOnly);
+}
+
+module.exports = {
+  getSettings,
+  registerGroup,
+  trackParticipant,
+  getTrigger,
+  isQuietTime,
+  parseKeywords,
+  updateSettings,
+  list,
+};
@@ -0,0 +1,114 @@
+'use strict';
+
+/**
+ * Image Analyzer — understands inbound photos (VISION_ENABLED). The image is
+ * downloaded from the transport and described by a vision-capable model
+ * (the `vision` LLM task); upcoming events it shows (invitations, tickets,
+ * appointment cards) are added to the schedule.
+ */
+
+const logger = require('../core/logger');
+const config = require('../config');
+const transport = require('../transport/transport-manager');
+const llm = require('../ai/llm-client');
+const scheduleAssistant = require('./schedule-assistant');
+const time = require('../core/time');
+
+const DESCRIBE_PROMPT = `Describe this image for an assistant who will reply to the person who sent it on WhatsApp.
+Return ONLY a single valid JSON object. No markdown, no backticks.
+{"description": "<what the image shows, 1-3 sentences, including any important visible text, amounts or error messages>", "events": [{"title": "<event title>", "date": "<local date and time as shown, YYYY-MM-DDTHH:mm; add an offset only if the image states one>", "remindBefore": <minutes, default 30>}]}
+"events" lists only upcoming events the viewer is invited to or has to attend (invitations, tickets, appointments). Dates of past transactions (receipts, bills) are not events. Use [] when there are none.
+
+Sender's current date/time: `;
+
+/**
+ * Whether a message carries an image the analyzer should look at.
+ */
+function isAnalyzable(msg) {
+  return config.vision.enabled && msg.contentType === 'image' && Boolean(msg.hasMedia);
+}
+
+/**
+ * Parse the model's JSON answer; plain text is taken as the description.
+ */
+function _parse(raw) {
+  const first = raw.indexOf('{');
+  const last = raw.lastIndexOf('}');
+  if (first !== -1 && last > first) {
+    try {
+      const result = JSON.parse(raw.substring(first, last + 1));
+      return {
+        description: typeof result.description === 'string' ? result.description.trim() : '',
+        events: Array.isArray(result.events) ? result.events : [],
+      };
+    } catch { /* fall through */ }
+  }
+  return { description: raw.trim(), events: [] };
+}
+
+/**
+ * Schedule the upcoming events found in an image; past or undated ones are dropped.
+ */
+function _scheduleEvents(jid, events, description) {
+  const tz = scheduleAssistant.timezoneFor(jid);
+  const created = [];
+  for (const event of events) {
+    const at = time.parseInZone(event && event.date, tz);
+    if (!event || !event.title || isNaN(at.getTime()) || at.getTime() <= Date.now()) continue;
+
+    try {
+      created.push(scheduleAssistant.createEvent(jid, {
+        title: String(event.title).substring(0, 100),
+        date: at.toISOString(),
+        remindBefore: event.remindBefore,
+        timezone: tz,
+        description: `From an image: ${description}`,
+      }));
+    } catch (err) {
+      logger.warn({ err: err.message, jid }, 'Could not schedule event from image');
+    }
+  }
+  return created;
+}
+
+/**
+ * Describe an inbound image and schedule any events on it. On success sets
+ * `msg.image = { description, events }` (events = created schedule entries).
+ * @param {object} msg - Normalized inbound message
+ * @param {object} [opts] - { schedule: false } to skip event creation (e.g. groups)
+ * @returns {Promise<object|null>} msg.image, or null if the image couldn't be analyzed
+ */
+async function analyzeMessage(msg, opts = {}) {
+  if (!isAnalyzable(msg)) return null;
+
+  try {
+    const media = await transport.downloadMedia(msg);
+    if (!media || !media.data || media.data.length === 0) {
+      logger.warn({ jid: msg.jid }, 'Image has no downloadable data');
+      return null;
+    }
+    if (media.data.length > config.vision.maxImageBytes) {
+      logger.info({ jid: msg.jid, bytes: media.data.length }, 'Image too large for vision, using caption only');
+      return null;
+    }
+
+    const tz = scheduleAssistant.timezoneFor(msg.jid);
+    const now = `${time.isoWithOffset(new Date(), tz)} (${tz})`;
+    const raw = await llm.describeImage(media.data, media.mimetype, DESCRIBE_PROMPT + now, {
+      jid: msg.jid,
+      maxTokens: 400,
+    });
+    const result = _parse(raw);
+    if (!result.description) return null;
+
+    const events = opts.schedule === false ? [] : _scheduleEvents(msg.jid, result.events, result.description);
+    msg.image = { description: result.description, events };
+    logger.info({ jid: msg.jid, events: events.length }, 'Image analyzed');
+    return msg.image;
+  } catch (err) {
+    logger.warn({ err: err.message, jid: msg.jid }, 'Image analysis failed, using caption only');
+    return null;
+  }
+}
+
+module.exports = { isAnalyzable, analyzeMessage };
@@ -3,30 +3,237 @@
 /**
  * Knowledge Base — stores and retrieves factual Q&A pairs
  * that the bot can use to answer questions without AI.
+ * With EMBEDDING_BACKEND set, entries are embedded as they change and
+ * retrieve() ranks them by cosine similarity; otherwise it uses FTS.
+ * Entries can be limited to a validity window and to an audience
+ * (relationship types, VIP tiers, jids); every change is versioned.
  */
 
+const crypto = require('crypto');
 const logger = require('../core/logger');
+const { invalid } = require('../core/errors');
+const config = require('../config');
+const embeddings = require('../ai/embeddings');
 const knowledgeRepo = require('../database/repositories/knowledge.repo');
+const embeddingsRepo = require('../database/repositories/kb-embeddings.repo');
+
+const EMBED_BATCH_SIZE = 32;
+
+const TEXT_FIELDS = ['category', 'topic', 'question', 'answer', 'keywords'];
+const REQUIRED_FIELDS = ['category', 'topic', 'answer'];
+
+let indexing = null;
+let rerun = false;
+
+/**
+ * Validity bound → UTC "YYYY-MM-DD HH:MM:SS". A bare date covers the whole
+ * day (00:00:00 as a start, 23:59:59 as an end); times without an offset are UTC.
+ */
+function _parseBound(value, key, endOfDay) {
+  const v = String(value).trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(v)) {
+    if (Number.isNaN(Date.parse(`${v}T00:00:00Z`))) throw invalid(`${key} is not a valid date`);
+    return `${v} ${endOfDay ? '23:59:59' : '00:00:00'}`;
+  }
+  const iso = v.replace(' ', 'T');
+  const date = new Date(/(Z|[+-]\d{2}:?\d{2})$/.test(iso) ? iso : `${iso}Z`);
+  if (!/^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}/.test(v) || Number.isNaN(date.getTime())) {
+    throw invalid(`${key} must be YYYY-MM-DD or YYYY-MM-DD HH:MM`);
+  }
+  return date.toISOString().replace('T', ' ').substring(0, 19);
+}
+
+/**
+ * Audience list (array or comma-separated string) → stored comma list, or null.
+ */
+function _parseList(value, key) {
+  const list = (Array.isArray(value) ? value : String(value).split(','))
+    .map((v) => String(v).trim())
+    .filter(Boolean);
+  if (key === 'audience_tiers') {
+    const bad = list.find((t) => !/^[0-3]$/.test(t));
+    if (bad) throw invalid(`Invalid tier "${bad}" in audience_tiers (expected 0-3)`);
+  }
+  if (key === 'audience_jids') {
+    const bad = list.find((j) => !j.includes('@'));
+    if (bad) throw invalid(`Invalid jid "${bad}" in audience_jids`);
+  }
+  const normalized = key === 'audience_relationships' ? list.map((r) => r.toLowerCase()) : list;
+  return normalized.length > 0 ? [...new Set(normalized)].join(',') : null;
+}
+
+/**
+ * Validate and normalize entry fields. Unknown keys are dropped; a field
+ * set to null or '' is cleared.
+ * @param {object} fields
+ * @param {object} [current] - Existing entry, for checks that span fields on update
+ * @returns {object} Fields ready for the repo
+ * @throws {Error} With status 400 on invalid input
+ */
+function normalizeFields(fields, current = null) {
+  const out = {};
+  const given = (key) => fields[key] !== undefined;
+  const blank = (key) => fields[key] === null || (typeof fields[key] === 'string' && fields[key].trim() === '');
+
+  for (const key of TEXT_FIELDS) {
+    if (!given(key)) continue;
+    if (blank(key)) {
+      if (REQUIRED_FIELDS.includes(key)) throw invalid(`${key} cannot be empty`);
+      out[key] = null;
+    } else {
+      out[key] = String(fields[key]).trim();
+    }
+  }
+
+  if (given('priority')) {
+    const priority = Number(fields.priority);
+    if (!Number.isInteger(priority) || priority < 0) throw invalid('priority must be a whole number ≥ 0');
+    out.priority = priority;
+  }
+  if (given('is_active')) out.is_active = fields.is_active === true || ['1', 'true', 'yes'].includes(String(fields.is_active).toLowerCase());
+
+  for (const key of ['valid_from', 'valid_until']) {
+    if (given(key)) out[key] = blank(key) ? null : _parseBound(fields[key], key, key === 'valid_until');
+  }
+  for (const key of ['audience_relationships', 'audience_tiers', 'audience_jids']) {
+    if (given(key)) out[key] = blank(key) ? null : _parseList(fields[key], key);
+  }
+
+  const from = out.valid_from !== undefined ? out.valid_from : current && current.valid_from;
+  const until = out.valid_until !== undefined ? out.valid_until : current && current.valid_until;
+  if (from && until && from > until) throw invalid('valid_from must be before valid_until');
+
+  return out;
+}
 
 /**
  * Add a knowledge entry.
- * @param {object} entry - { category, topic, question, answer, keywords, priority }
- * @returns {string} Entry ID
+ * @param {object} entry - { category, topic, question, answer, keywords, priority,
+ *   valid_from, valid_until, audience_relationships, audience_tiers, audience_jids }
+ * @param {string} [note] - Recorded with the first version
+ * @returns {number} Entry ID
  */
-function add(entry) {
-  const id = knowledgeRepo.add(entry);
-  logger.info({ id, topic: entry.topic }, 'Knowledge entry added');
+function add(entry, note) {
+  const fields = normalizeFields(entry);
+  const missing = REQUIRED_FIELDS.filter((key) => !fields[key]);
+  if (missing.length > 0) throw invalid(`Missing ${missing.join(', ')}`);
+
+  const id = knowledgeRepo.add(fields, note);
+  logger.info({ id, topic: fields.topic }, 'Knowledge entry added');
+  _indexInBackground();
   return id;
 }
 
 /**
  * Search the knowledge base for relevant entries.
  * @param {string} query - Search text
- * @returns {Array} Matching entries sorted by relevance
+ * @param {object} [opts] - { category, mode: 'all' (every term) | 'any' (best partial matches), limit,
+ *   viewer (contact: only entries valid now and visible to it) }
+ * @returns {Array} Matching entries sorted by relevance, each with a `snippet`
  */
-function search(query) {
+function search(query, opts = {}) {
   if (!query || query.trim().length < 2) return [];
-  return knowledgeRepo.search(query);
+  return knowledgeRepo.search(query, opts);
+}
+
+/**
+ * Find the entries most relevant to a message, each with a `score`:
+ * cosine similarity (0-1) when embeddings are on, null for FTS matches.
+ * @param {string} query - Message text
+ * @param {object} [opts] - { contact (only entries valid now and visible to it),
+ *   limit (KB_TOP_K), minScore (KB_MIN_SCORE) }
+ * @returns {Promise<Array>} Best match first
+ */
+async function retrieve(query, opts = {}) {
+  if (!query || query.trim().length < 2) return [];
+  const limit = opts.limit || config.kb.topK;
+
+  if (embeddings.isEnabled()) {
+    try {
+      const rows = embeddingsRepo.listActiveVectors(embeddings.modelId(), opts.contact);
+      if (rows.length > 0) {
+        const [queryVector] = await embeddings.embed([query]);
+        const minScore = opts.minScore !== undefined ? opts.minScore : config.kb.minScore;
+        return rows
+          .map(({ vector, ...entry }) => ({ ...entry, score: _dot(queryVector, vector) }))
+          .filter((entry) => entry.score >= minScore)
+          .sort((a, b) => b.score - a.score || b.priority - a.priority)
+          .slice(0, limit);
+      }
+    } catch (err) {
+      logger.warn({ err: err.message }, 'Semantic KB retrieval failed, falling back to full-text search');
+    }
+  }
+
+  return search(query, { mode: 'any', limit, viewer: opts.contact }).map((entry) => ({ ...entry, score: null }));
+}
+
+/**
+ * Embed every active entry that has no vector yet, changed since it was
+ * embedded, or was embedded by another model. Concurrent calls share one run.
+ * @returns {Promise<number>} Entries embedded
+ */
+function reindex() {
+  if (!embeddings.isEnabled()) return Promise.resolve(0);
+  if (indexing) {
+    rerun = true;
+    return indexing;
+  }
+
+  indexing = (async () => {
+    let count = 0;
+    do {
+      rerun = false;
+      count += await _embedStale();
+    } while (rerun);
+    return count;
+  })().finally(() => {
+    indexing = null;
+  });
+  return indexing;
+}
+
+async function _embedStale() {
+  const model = embeddings.modelId();
+  const stale = embeddingsRepo.listActiveWithState()
+    .map((entry) => ({ entry, text: _embeddingText(entry) }))
+    .filter(({ entry, text }) => entry.embedding_model !== model || entry.embedding_hash !== _hash(text));
+
+  for (let i = 0; i < stale.length; i += EMBED_BATCH_SIZE) {
+    const batch = stale.slice(i, i + EMBED_BATCH_SIZE);
+    const vectors = await embeddings.embed(batch.map((s) => s.text));
+    batch.forEach(({ entry, text }, j) => {
+      embeddingsRepo.upsert(entry.id, { model, vector: vectors[j], content_hash: _hash(text) });
+    });
+  }
+
+  if (stale.length > 0) logger.info({ count: stale.length, model }, 'Knowledge entries embedded');
+  return stale.length;
+}
+
+function _indexInBackground() {
+  if (!embeddings.isEnabled()) return;
+  reindex().catch((err) => logger.warn({ err: err.message }, 'KB embedding failed (retried on next change or restart)'));
+}
+
+/**
+ * The text an entry is embedded from.
+ */
+function _embeddingText(entry) {
+  return [entry.topic, entry.question, entry.answer, entry.keywords].filter(Boolean).join('\n');
+}
+
+function _hash(text) {
+  return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+/**
+ * Dot product — cosine similarity for the unit vectors stored here.
+ */
+function _dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) sum += a[i] * b[i];
+  return sum;
 }
 
 /**
@@ -40,10 +247,49 @@ function list(category) {
 }
 
 /**
- * Update an entry.
+ * Update an entry; the previous state stays in its history.
+ * @param {number|string} id
+ * @param {object} fields - Fields to change
+ * @param {string} [note] - Recorded with the version
+ * @returns {object} Updated entry
+ * @throws {Error} 404 if the entry doesn't exist, 400 on invalid fields
  */
-function update(id, fields) {
-  return knowledgeRepo.update(id, fields);
+function update(id, fields, note) {
+  const current = knowledgeRepo.getById(Number(id));
+  if (!current) throw invalid(`KB entry #${id} not found`, 404);
+
+  const changes = normalizeFields(fields || {}, current);
+  if (Object.keys(changes).length === 0) throw invalid('No known fields to update');
+
+  const entry = knowledgeRepo.update(current.id, changes, note);
+  _indexInBackground();
+  return entry;
+}
+
+/**
+ * An entry's versions, newest first.
+ * @throws {Error} 404 if the entry doesn't exist
+ */
+function history(id) {
+  const entry = knowledgeRepo.getById(Number(id));
+  if (!entry) throw invalid(`KB entry #${id} not found`, 404);
+  return knowledgeRepo.listVersions(entry.id);
+}
+
+/**
+ * Restore an entry to an earlier version (recorded as a new version).
+ * @returns {object} Updated entry
+ */
+function rollback(id, version) {
+  const entry = knowledgeRepo.getById(Number(id));
+  if (!entry) throw invalid(`KB entry #${id} not found`, 404);
+  const target = knowledgeRepo.getVersion(entry.id, Number(version));
+  if (!target) throw invalid(`KB entry #${id} has no version ${version}`);
+
+  const restored = knowledgeRepo.update(entry.id, target.snapshot, `rollback to v${target.version}`);
+  logger.info({ id: entry.id, version: target.version }, 'Knowledge entry rolled back');
+  _indexInBackground();
+  return restored;
 }
 
 /**
@@ -60,4 +306,16 @@ function getById(id) {
   return knowledgeRepo.getById(id);
 }
 
-module.exports = { add, search, list, update, remove, getById };
+module.exports = {
+  add,
+  search,
+  retrieve,
+  reindex,
+  list,
+  update,
+  history,
+  rollback,
+  normalizeFields,
+  remove,
+  getById,
+};
@@ -0,0 +1,434 @@
+'use strict';
+
+/**
+ * Knowledge IO — bulk import and export of the knowledge base as JSON, CSV
+ * or Markdown (FAQ-style headings). Imports upsert by topic, are validated
+ * entry by entry, and are all-or-nothing: any invalid entry rejects the
+ * whole file. A dry run reports what would change without writing.
+ * Entries missing from an imported file are left alone.
+ */
+
+const { z } = require('zod');
+const logger = require('../core/logger');
+const { invalid } = require('../core/errors');
+const knowledgeRepo = require('../database/repositories/knowledge.repo');
+const knowledgeBase = require('./knowledge-base');
+
+const FORMATS = ['json', 'csv', 'markdown'];
+const FORMAT_ALIASES = { md: 'markdown' };
+const MAX_IMPORT_BYTES = 2 * 1024 * 1024;
+
+const SCOPE_FIELDS = ['valid_from', 'valid_until', 'audience_relationships', 'audience_tiers', 'audience_jids'];
+const CSV_COLUMNS = ['category', 'topic', 'question', 'answer', 'keywords', 'priority', 'is_active', ...SCOPE_FIELDS];
+// Fields compared to decide whether an existing entry changed
+const COMPARED_FIELDS = ['category', 'question', 'answer', 'keywords', 'priority', 'is_active', ...SCOPE_FIELDS];
+
+const MIME_TYPES = {
+  json: 'application/json',
+  csv: 'text/csv',
+  markdown: 'text/markdown',
+};
+const EXTENSIONS = { json: 'json', csv: 'csv', markdown: 'md' };
+
+const entrySchema = z.preprocess(
+  // Blank CSV cells / Markdown metadata count as "not given"
+  (raw) => (raw && typeof raw === 'object' && !Array.isArray(raw)
+    ? Object.fromEntries(Object.entries(raw).filter(([, v]) => v !== '' && v !== null && v !== undefined))
+    : raw),
+  z.object({
+    category: z.string().trim().min(1).max(100).default('general'),
+    topic: z.string().trim().min(1).max(200).optional(),
+    question: z.string().trim().min(1).max(1000).optional(),
+    answer: z.string().trim().min(1, 'answer is required').max(10000),
+    keywords: z.union([z.string(), z.array(z.string())]).optional()
+      .transform((v) => {
+        if (v === undefined) return null;
+        const list = (Array.isArray(v) ? v : v.split(',')).map((k) => k.trim().toLowerCase()).filter(Boolean);
+        return list.length > 0 ? list.join(',') : null;
+      }),
+    priority: z.coerce.number().int().min(0).max(100).default(1),
+    is_active: z.union([z.boolean(), z.number(), z.string()]).default(true)
+      .transform((v, ctx) => {
+        if (typeof v === 'boolean') return v;
+        const s = String(v).trim().toLowerCase();
+        if (['1', 'true', 'yes', 'y'].includes(s)) return true;
+        if (['0', 'false', 'no', 'n'].includes(s)) return false;
+        ctx.addIssue({ code: z.ZodIssueCode.custom, message: `is_active must be true or false, got "${v}"` });
+        return z.NEVER;
+      }),
+    // Validity bounds and audience lists are checked by knowledgeBase.normalizeFields
+    valid_from: z.string().optional(),
+    valid_until: z.string().optional(),
+    audience_relationships: z.union([z.string(), z.array(z.string())]).optional(),
+    audience_tiers: z.union([z.string(), z.array(z.union([z.string(), z.number()]))]).optional(),
+    audience_jids: z.union([z.string(), z.array(z.string())]).optional(),
+  }).refine((e) => e.topic || e.question, { message: 'topic or question is required' })
+    .transform((e) => ({ ...e, topic: e.topic || e.question.substring(0, 200), question: e.question || null })),
+);
+
+/**
+ * Canonical format name ("md" → "markdown"), or null if unsupported.
+ */
+function normalizeFormat(format) {
+  const f = String(format || '').trim().toLowerCase();
+  const name = FORMAT_ALIASES[f] || f;
+  return FORMATS.includes(name) ? name : null;
+}
+
+/**
+ * Guess a file's format from its name, then its mimetype, then its content.
+ * @param {object} hints - { filename, mimetype, content }
+ * @returns {string} json | csv | markdown
+ */
+function detectFormat(hints = {}) {
+  const ext = (hints.filename || '').split('.').pop().toLowerCase();
+  if (ext === 'json') return 'json';
+  if (ext === 'csv') return 'csv';
+  if (['md', 'markdown'].includes(ext)) return 'markdown';
+
+  const mime = (hints.mimetype || '').split(';')[0].trim().toLowerCase();
+  const byMime = Object.entries(MIME_TYPES).find(([, type]) => type === mime);
+  if (byMime) return byMime[0];
+
+  const content = (hints.content || '').trimStart();
+  if (content.startsWith('[') || content.startsWith('{')) return 'json';
+  if (/^#{1,6}\s/m.test(content)) return 'markdown';
+  return 'csv';
+}
+
+// --- Parsing: each parser returns [{ at, raw }] where `at` locates the entry for error messages ---
+
+function _parseJson(content) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (err) {
+    throw invalid(`Invalid JSON: ${err.message}`);
+  }
+  const entries = Array.isArray(data) ? data : data && data.entries;
+  if (!Array.isArray(entries)) throw invalid('JSON must be an array of entries or { "entries": [...] }');
+  return entries.map((raw, i) => ({ at: `entry ${i + 1}`, raw }));
+}
+
+/**
+ * RFC 4180 CSV: quoted fields may contain commas, newlines and "" escapes.
+ * @returns {string[][]} Rows of cells
+ */
+function _csvRows(content) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const ch = content[i];
+    if (quoted) {
+      if (ch === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"' && cell === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && content[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (quoted) throw invalid('Invalid CSV: unterminated quoted field');
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  // Skip blank lines
+  return rows.filter((r) => r.some((c) => c.trim() !== ''));
+}
+
+function _parseCsv(content) {
+  const [header, ...rows] = _csvRows(content.replace(/^\uFEFF/, ''));
+  if (!header) throw invalid('CSV is empty');
+
+  const columns = header.map((h) => h.trim().toLowerCase());
+  const unknown = columns.filter((c) => !CSV_COLUMNS.includes(c));
+  if (unknown.length > 0) throw invalid(`Unknown CSV column(s): ${unknown.join(', ')} (expected: ${CSV_COLUMNS.join(', ')})`);
+  if (!columns.includes('answer')) throw invalid('CSV needs an "answer" column');
+
+  return rows.map((cells, i) => ({
+    at: `row ${i + 2}`,
+    raw: Object.fromEntries(columns.map((c, j) => [c, cells[j] !== undefined ? cells[j] : ''])),
+  }));
+}
+
+/**
+ * Parse "key: value | key: value | flag" from a `<!-- ... -->` metadata line.
+ */
+function _parseMeta(line) {
+  const m = line.match(/^<!--\s*(.*?)\s*-->$/);
+  if (!m) return null;
+  const meta = {};
+  for (const pair of m[1].split('|')) {
+    const idx = pair.indexOf(':');
+    const key = (idx === -1 ? pair : pair.slice(0, idx)).trim().toLowerCase();
+    if (!key) continue;
+    meta[key === 'active' ? 'is_active' : key] = idx === -1 ? true : pair.slice(idx + 1).trim();
+  }
+  return meta;
+}
+
+/**
+ * Markdown FAQ: a heading followed by text is an entry (heading = question,
+ * text = answer); a heading with no text of its own is a category for the
+ * deeper headings under it. The top-level "# Title" is never a category.
+ * An optional `<!-- topic: … | keywords: … | priority: … | active: … -->`
+ * line right under an entry heading carries the remaining fields (including
+ * valid_from, valid_until and audience_*); the flag
+ * `topic-only` makes the heading the topic of an entry with no question.
+ */
+function _parseMarkdown(content) {
+  const sections = [];
+  let current = null;
+  let fence = false;
+
+  content.replace(/^\uFEFF/, '').split(/\r?\n/).forEach((line, i) => {
+    if (/^\s*(```|~~~)/.test(line)) fence = !fence;
+    // A closing run of #s only counts after a space, so "What is C#" keeps its #
+    const heading = !fence && line.match(/^(#{1,6})\s+(.+?)(?:\s+#+)?\s*$/);
+    if (heading) {
+      current = { level: heading[1].length, title: heading[2].trim(), line: i + 1, body: [], meta: null };
+      sections.push(current);
+    } else if (current) {
+      const meta = current.body.every((l) => l.trim() === '') && !current.meta && _parseMeta(line.trim());
+      if (meta) current.meta = meta;
+      else current.body.push(fence ? line : line.replace(/^\\#/, '#'));
+    }
+  });
+
+  const entries = [];
+  const categories = []; // stack of { level, title }
+  for (const section of sections) {
+    const answer = section.body.join('\n').trim();
+    while (categories.length > 0 && categories[categories.length - 1].level >= section.level) categories.pop();
+
+    if (!answer && !section.meta) {
+      if (section.level > 1) categories.push({ level: section.level, title: section.title });
+      continue;
+    }
+
+    const category = categories.length > 0 ? categories[categories.length - 1].title : undefined;
+    const { 'topic-only': topicOnly, ...meta } = section.meta || {};
+    entries.push({
+      at: `line ${section.line}`,
+      raw: { category, ...(topicOnly ? { topic: section.title } : { question: section.title }), ...meta, answer },
+    });
+  }
+  return entries;
+}
+
+/**
+ * Parse a file into raw entries.
+ * @param {string} content
+ * @param {string} format - json | csv | markdown
+ * @returns {Array<{ at: string, raw: object }>}
+ */
+function parse(content, format) {
+  switch (format) {
+    case 'json': return _parseJson(content);
+    case 'csv': return _parseCsv(content);
+    case 'markdown': return _parseMarkdown(content);
+    default: throw invalid(`Unsupported format "${format}" (expected: json, csv, md)`);
+  }
+}
+
+/**
+ * Fields of an existing row that differ from an imported entry.
+ */
+function _changedFields(existing, entry) {
+  return COMPARED_FIELDS.filter((field) => {
+    const before = field === 'is_active' ? Boolean(existing.is_active) : existing[field];
+    return (before === undefined ? null : before) !== entry[field];
+  });
+}
+
+/**
+ * Import entries, upserting by topic.
+ * @param {string|Buffer} content - File content
+ * @param {object} [opts] - { format (detected if omitted), filename, mimetype, dryRun }
+ * @returns {{ format: string, dryRun: boolean, applied: boolean, created: object[], updated: object[],
+ *   unchanged: number, errors: Array<{ at: string, message: string }> }}
+ * @throws {Error} With status 400 if the file can't be parsed at all
+ */
+function importEntries(content, opts = {}) {
+  const text = Buffer.isBuffer(content) ? content.toString('utf8') : String(content || '');
+  if (!text.trim()) throw invalid('Import file is empty');
+  if (Buffer.byteLength(text) > MAX_IMPORT_BYTES) throw invalid(`Import file is larger than ${MAX_IMPORT_BYTES / 1024 / 1024} MB`);
+
+  const format = opts.format
+    ? normalizeFormat(opts.format)
+    : detectFormat({ filename: opts.filename, mimetype: opts.mimetype, content: text });
+  if (!format) throw invalid(`Unsupported format "${opts.format}" (expected: json, csv, md)`);
+
+  const report = { format, dryRun: Boolean(opts.dryRun), applied: false, created: [], updated: [], unchanged: 0, errors: [] };
+  const ops = [];
+  const seen = new Map(); // lowercased topic → where it first appeared
+
+  for (const { at, raw } of parse(text, format)) {
+    const result = entrySchema.safeParse(raw);
+    if (!result.success) {
+      report.errors.push({ at, message: result.error.issues.map((i) => (i.path.length ? `${i.path.join('.')}: ` : '') + i.message).join('; ') });
+      continue;
+    }
+
+    let entry;
+    try {
+      // A field missing from the file clears it, like keywords
+      const scope = knowledgeBase.normalizeFields(Object.fromEntries(SCOPE_FIELDS.map((f) => [f, result.data[f] === undefined ? null : result.data[f]])));
+      entry = { ...result.data, ...scope };
+    } catch (err) {
+      report.errors.push({ at, message: err.message });
+      continue;
+    }
+
+    const key = entry.topic.toLowerCase();
+    if (seen.has(key)) {
+      report.errors.push({ at, message: `duplicate topic "${entry.topic}" (first at ${seen.get(key)})` });
+      continue;
+    }
+    seen.set(key, at);
+
+    const existing = knowledgeRepo.getByTopic(entry.topic);
+    if (!existing) {
+      const created = { topic: entry.topic, category: entry.category };
+      ops.push({ data: entry, created });
+      report.created.push(created);
+      continue;
+    }
+
+    const changes = _changedFields(existing, entry);
+    if (changes.length === 0) {
+      report.unchanged++;
+    } else {
+      ops.push({ id: existing.id, data: entry });
+      report.updated.push({ id: existing.id, topic: existing.topic, changes });
+    }
+  }
+
+  if (report.dryRun || report.errors.length > 0 || ops.length === 0) return report;
+
+  const ids = knowledgeRepo.applyBatch(ops, 'import');
+  ops.forEach((op, i) => {
+    if (op.created) op.created.id = ids[i];
+  });
+  report.applied = true;
+  logger.info({ format, created: report.created.length, updated: report.updated.length, unchanged: report.unchanged }, 'Knowledge base imported');
+
+  knowledgeBase.reindex().catch((err) => logger.warn({ err: err.message }, 'KB embedding after import failed'));
+  return report;
+}
+
+// --- Export ---
+
+function _csvCell(value) {
+  const s = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(s) || s !== s.trim() ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function _toExportEntry(row) {
+  return {
+    category: row.category,
+    topic: row.topic,
+    question: row.question || null,
+    answer: row.answer,
+    keywords: row.keywords || null,
+    priority: row.priority,
+    is_active: Boolean(row.is_active),
+    ...Object.fromEntries(SCOPE_FIELDS.map((f) => [f, row[f] || null])),
+  };
+}
+
+/**
+ * Escape answer lines that would read as headings (code blocks are left as-is).
+ */
+function _escapeHeadings(text) {
+  let fence = false;
+  return text.split('\n').map((line) => {
+    if (/^\s*(```|~~~)/.test(line)) fence = !fence;
+    return !fence && line.startsWith('#') ? `\\${line}` : line;
+  }).join('\n');
+}
+
+function _toMarkdown(entries) {
+  const lines = ['# Knowledge Base'];
+  let category = null;
+
+  for (const e of entries) {
+    if (e.category !== category) {
+      category = e.category;
+      lines.push('', `## ${category}`);
+    }
+
+    const heading = (e.question || e.topic).replace(/\s*\n\s*/g, ' ');
+    const meta = [];
+    if (!e.question) meta.push('topic-only');
+    else if (heading !== e.topic) meta.push(`topic: ${e.topic}`);
+    if (e.keywords) meta.push(`keywords: ${e.keywords}`);
+    if (e.priority !== 1) meta.push(`priority: ${e.priority}`);
+    if (!e.is_active) meta.push('active: false');
+    for (const f of SCOPE_FIELDS) {
+      if (e[f]) meta.push(`${f}: ${e[f]}`);
+    }
+
+    // A heading that ends in " #" gets a closing sequence, or the parser would strip it
+    lines.push('', `### ${heading}${/\s#+$/.test(heading) ? ' #' : ''}`);
+    if (meta.length > 0) lines.push(`<!-- ${meta.join(' | ')} -->`);
+    lines.push('', _escapeHeadings(e.answer));
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Export the whole knowledge base (inactive entries included).
+ * @param {string} format - json | csv | markdown (or md)
+ * @returns {{ content: string, mimetype: string, filename: string, count: number }}
+ */
+function exportEntries(format) {
+  const name = normalizeFormat(format);
+  if (!name) throw invalid(`Unsupported format "${format}" (expected: json, csv, md)`);
+
+  const entries = knowledgeRepo.listForExport().map(_toExportEntry);
+  let content;
+  if (name === 'json') {
+    content = JSON.stringify(entries, null, 2) + '\n';
+  } else if (name === 'csv') {
+    content = [CSV_COLUMNS.join(','), ...entries.map((e) => CSV_COLUMNS.map((c) => _csvCell(e[c])).join(','))].join('\n') + '\n';
+  } else {
+    content = _toMarkdown(entries);
+  }
+
+  return {
+    content,
+    mimetype: MIME_TYPES[name],
+    filename: `knowledge-base.${EXTENSIONS[name]}`,
+    count: entries.length,
+  };
+}
+
+module.exports = {
+  importEntries,
+  exportEntries,
+  parse,
+  detectFormat,
+  normalizeFormat,
+  FORMATS,
+  MAX_IMPORT_BYTES,
+};
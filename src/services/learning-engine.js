@@ -6,7 +6,7 @@
  */
 
 const logger = require('../core/logger');
-const gemini = require('../ai/gemini-client');
+const llm = require('../ai/llm-client');
 const learningRepo = require('../database/repositories/learning.repo');
 const messagesRepo = require('../database/repositories/messages.repo');
 
@@ -19,6 +19,23 @@ Context (what the user said before):
 Owner's reply:
 "[REPLY]"`;
 
+const CORRECTION_PROMPT = `The owner rewrote an AI-drafted WhatsApp reply before sending it. Extract what the owner changed and why.
+Return JSON: {"style": "<brief description of the owner's tone/style>", "key_phrases": ["<characteristic phrases>"], "approach": "<how they handle this type of message>", "avoid": "<what was wrong with the draft>"}
+
+Context (what the user said):
+"[CONTEXT]"
+
+AI draft:
+"[DRAFT]"
+
+Owner's version:
+"[REPLY]"`;
+
+// Initial confidence of reviewed drafts: above plain observation (0.6), since
+// the owner explicitly signed off on (or corrected) the exact reply
+const APPROVED_CONFIDENCE = 0.8;
+const CORRECTED_CONFIDENCE = 0.9;
+
 /**
  * Learn from an owner's manual reply.
  * Correlates with the previous inbound message to extract patterns.
@@ -41,7 +58,7 @@ async function learnFromOwner(jid, ownerText) {
       .replace('[CONTEXT]', lastInbound.content.substring(0, 200))
       .replace('[REPLY]', ownerText.substring(0, 300));
 
-    const raw = await gemini.generate(prompt, { temperature: 0.1, maxTokens: 150 });
+    const raw = await llm.generate(prompt, { task: 'learning', jid, temperature: 0.1, maxTokens: 150 });
     const jsonStr = raw.replace(/```json?\n?/g, '').replace(/```/g, '').trim();
     const pattern = JSON.parse(jsonStr);
 
@@ -61,6 +78,61 @@ async function learnFromOwner(jid, ownerText) {
   }
 }
 
+/**
+ * Learn from an owner-reviewed reply draft. An approved draft is a strong
+ * positive example; an edited one is a corrective example (the owner's text
+ * plus what was wrong with the draft).
+ * @param {object} draft - reply_drafts row (jid, inbound_text, intent, draft)
+ * @param {string|null} editedText - The owner's rewrite, or null if approved as-is
+ */
+async function learnFromDraft(draft, editedText = null) {
+  try {
+    const context = (draft.inbound_text || '').substring(0, 200);
+    const base = {
+      jid: draft.jid,
+      context_intent: draft.intent || 'general',
+      incoming_sample: (draft.inbound_text || '').substring(0, 500),
+    };
+
+    if (!editedText) {
+      learningRepo.store({
+        ...base,
+        pattern_type: 'approved_draft',
+        owner_response: draft.draft.substring(0, 500),
+        extracted_pattern: { approach: 'Owner approved this reply as drafted' },
+        confidence: APPROVED_CONFIDENCE,
+      });
+      logger.debug({ jid: draft.jid, intent: draft.intent }, 'Learned from approved draft');
+      return;
+    }
+
+    const prompt = CORRECTION_PROMPT
+      .replace('[CONTEXT]', context)
+      .replace('[DRAFT]', draft.draft.substring(0, 300))
+      .replace('[REPLY]', editedText.substring(0, 300));
+
+    let pattern = null;
+    try {
+      const raw = await llm.generate(prompt, { task: 'learning', jid: draft.jid, temperature: 0.1, maxTokens: 200 });
+      pattern = JSON.parse(raw.replace(/```json?\n?/g, '').replace(/```/g, '').trim());
+    } catch (err) {
+      // The correction itself is the valuable part; keep it without the analysis
+      logger.debug({ err: err.message }, 'Correction analysis failed, storing edit only');
+    }
+
+    learningRepo.store({
+      ...base,
+      pattern_type: 'corrected_draft',
+      owner_response: editedText.substring(0, 500),
+      extracted_pattern: { ...pattern, rejected_draft: draft.draft.substring(0, 300) },
+      confidence: CORRECTED_CONFIDENCE,
+    });
+    logger.debug({ jid: draft.jid, intent: draft.intent }, 'Learned from edited draft');
+  } catch (err) {
+    logger.debug({ err: err.message }, 'Draft learning failed (non-critical)');
+  }
+}
+
 /**
  * Get relevant learned patterns for generating a reply.
  * @param {string} jid - Contact JID (for contact-specific patterns)
@@ -109,6 +181,7 @@ function getStats() {
 
 module.exports = {
   learnFromOwner,
+  learnFromDraft,
   getRelevantPatterns,
   getStats,
 };
@@ -8,9 +8,10 @@
 const logger = require('../core/logger');
 const config = require('../config');
 const messagesRepo = require('../database/repositories/messages.repo');
+const summariesRepo = require('../database/repositories/summaries.repo');
+const chatSessionsRepo = require('../database/repositories/chat-sessions.repo');
 const db = require('../database/connection');
 const compressor = require('../ai/context-compressor');
-const chatSession = require('../ai/chat-session');
 
 const COMPRESS_THRESHOLD = 50; // Compress when > N messages for a contact
 
@@ -35,9 +36,9 @@ async function compressContact(jid) {
 
     let newSummary;
     if (existingSummary) {
-      newSummary = await compressor.merge(existingSummary.summary_text, toCompress);
+      newSummary = await compressor.merge(existingSummary.summary_text, toCompress, jid);
     } else {
-      newSummary = await compressor.compress(toCompress);
+      newSummary = await compressor.compress(toCompress, jid);
     }
 
     if (newSummary) {
@@ -48,9 +49,6 @@ async function compressContact(jid) {
       const newestId = toCompress[toCompress.length - 1].id;
       messagesRepo.deleteRange(jid, oldestId, newestId);
 
-      // Reset the chat session so it picks up the new summary
-      chatSession.reset(jid);
-
       logger.info({ jid, compressed: toCompress.length }, 'Conversation compressed');
     }
   } catch (err) {
@@ -83,10 +81,7 @@ async function compressAll() {
  */
 function _getLatestSummary(jid) {
   try {
-    const database = db.getDb();
-    return database.prepare(
-      `SELECT * FROM conversation_summaries WHERE jid = ? ORDER BY created_at DESC LIMIT 1`
-    ).get(jid) || null;
+    return summariesRepo.getLatest(jid);
   } catch {
     return null;
   }
@@ -96,18 +91,16 @@ function _getLatestSummary(jid) {
  * Save a conversation summary.
  */
 function _saveSummary(jid, summaryText, compressedMessages) {
-  const database = db.getDb();
-  const { nanoid } = require('nanoid');
-  const messageRange = JSON.stringify({
-    firstId: compressedMessages[0].id,
-    lastId: compressedMessages[compressedMessages.length - 1].id,
-    count: compressedMessages.length,
+  summariesRepo.insert({
+    jid,
+    summary_text: summaryText,
+    message_range: {
+      firstId: compressedMessages[0].id,
+      lastId: compressedMessages[compressedMessages.length - 1].id,
+      count: compressedMessages.length,
+    },
+    token_count: Math.ceil(summaryText.length / 4),
   });
-
-  database.prepare(`
-    INSERT INTO conversation_summaries (id, jid, summary_text, message_range, turn_count)
-    VALUES (?, ?, ?, ?, ?)
-  `).run(nanoid(), jid, summaryText, messageRange, compressedMessages.length);
 }
 
 /**
@@ -129,24 +122,29 @@ function getContext(jid) {
  */
 function pruneSummaries() {
   try {
-    const database = db.getDb();
-    database.prepare(`
-      DELETE FROM conversation_summaries 
-      WHERE id NOT IN (
-        SELECT id FROM conversation_summaries cs2 
-        WHERE cs2.jid = conversation_summaries.jid 
-        ORDER BY created_at DESC LIMIT 5
-      )
-    `).run();
+    summariesRepo.prune(5);
     logger.debug('Old summaries pruned');
   } catch (err) {
     logger.debug({ err }, 'Summary pruning failed (non-critical)');
   }
 }
 
+/**
+ * Delete persisted chat sessions idle longer than CHAT_SESSION_RETENTION_DAYS.
+ */
+function pruneSessions() {
+  try {
+    const removed = chatSessionsRepo.pruneOlderThan(config.chat.sessionRetentionDays);
+    if (removed > 0) logger.info({ removed }, 'Idle chat sessions pruned');
+  } catch (err) {
+    logger.debug({ err }, 'Session pruning failed (non-critical)');
+  }
+}
+
 module.exports = {
   compressContact,
   compressAll,
   getContext,
   pruneSummaries,
+  pruneSessions,
 };
@@ -22,7 +22,7 @@ const chatSession = require('../ai/chat-session');
 const intentDetector = require('../ai/intent-detector');
 const moodDetector = require('../ai/mood-detector');
 const promptBuilder = require('../ai/prompt-builder');
-const geminiClient = require('../ai/gemini-client');
+const llm = require('../ai/llm-client');
 
 const FALLBACK_MESSAGES = [
   "Hey! I'm taking a short break right now. Bhuwan will get back to you soon! 😊",
@@ -30,12 +30,15 @@ const FALLBACK_MESSAGES = [
   "Hey! I'm temporarily unavailable, but Bhuwan will catch up with you soon! 🙏",
 ];
 
+// Canned reply once a contact's AI token budget is spent
+const BUDGET_MESSAGE = `Thanks for your message! ${config.persona.ownerName} will get back to you personally soon. 🙏`;
+
 // Repos
 const contactsRepo = require('../database/repositories/contacts.repo');
 const messagesRepo = require('../database/repositories/messages.repo');
 
 // Services (lazy-loaded to avoid circular deps)
-let contactManager, followUpTracker, scheduleAssistant, knowledgeBase, learningEngine, offlineAssistant;
+let contactManager, followUpTracker, scheduleAssistant, knowledgeBase, learningEngine, offlineAssistant, usageTracker, groupManager, voiceTranscriber, imageAnalyzer, replyApproval, questionQueue, calendarIo, appointmentBooking, scheduleReminders, availabilityModes;
 
 function _loadServices() {
   if (contactManager) return;
@@ -45,6 +48,16 @@ function _loadServices() {
   knowledgeBase = require('./knowledge-base');
   learningEngine = require('./learning-engine');
   offlineAssistant = require('./offline-assistant');
+  usageTracker = require('./usage-tracker');
+  groupManager = require('./group-manager');
+  voiceTranscriber = require('./voice-transcriber');
+  imageAnalyzer = require('./image-analyzer');
+  replyApproval = require('./reply-approval');
+  questionQueue = require('./question-queue');
+  calendarIo = require('./calendar-io');
+  appointmentBooking = require('./appointment-booking');
+  scheduleReminders = require('./schedule-reminders');
+  availabilityModes = require('./availability-modes');
 }
 
 /**
@@ -76,18 +89,21 @@ function _startResumeChecker() {
       const activityMap = offlineAssistant.getAllActivity();
       
       for (const jid of activityMap.keys()) {
-        // If owner has been inactive for > 3 minutes (cooldown expired)
+        // If the owner's cooldown for this chat has expired
         if (!offlineAssistant.isOwnerActive(jid)) {
           // Get the very last message in this chat
           const latest = messagesRepo.getRecent(jid, 1);
           if (latest.length > 0) {
             const lastMsg = latest[0];
 
-            // If the last message is from the user (inbound), bot should reply
-            if (lastMsg.direction === 'inbound') {
+            // If the last message is from the user (inbound), bot should reply.
+            // Groups only ever get mention-triggered replies, never auto-resumes,
+            // and an untranscribed voice note has nothing to answer.
+            if (lastMsg.direction === 'inbound' && !jid.endsWith('@g.us')
+              && lastMsg.content !== voiceTranscriber.UNTRANSCRIBED) {
               const contact = contactsRepo.getByJid(jid);
               if (contact && contact.auto_reply_enabled !== 0) {
-                logger.info({ jid }, 'Auto-resuming conversation after 3 minutes of owner inactivity');
+                logger.info({ jid }, 'Auto-resuming conversation after the owner\'s cooldown');
                 
                 // Construct a message object for the routing logic
                 const pseudoMsg = {
@@ -127,6 +143,12 @@ async function handleInbound(msg) {
       return;
     }
 
+    // Group chats take their own opt-in, mention-triggered path
+    if (msg.isGroup) {
+      await _handleGroupMessage(msg);
+      return;
+    }
+
     // Step 2: Bot detection
     const botCheck = botDetector.check(msg);
     if (botCheck.isBot && botCheck.confidence >= 0.7) {
@@ -139,6 +161,12 @@ async function handleInbound(msg) {
       return;
     }
 
+    // Voice notes are answered from their transcript; without one, just record them
+    if (voiceTranscriber.needsTranscript(msg) && !(await voiceTranscriber.transcribeMessage(msg))) {
+      _storeUntranscribed(msg);
+      return;
+    }
+
     // Step 3: Loop detection
     const loopCheck = loopDetector.check(msg.jid, msg.text);
     if (loopCheck.isHalted) {
@@ -157,27 +185,52 @@ async function handleInbound(msg) {
     const contact = contactsRepo.upsert(msg.jid, { display_name: msg.pushName || undefined });
 
     // Step 8: Analyze message (Observe)
-    // We do this before checking owner activity so the bot "observes" with full intelligence
-    const analysis = await intentDetector.analyze(msg.text);
+    // We do this before checking owner activity so the bot "observes" with full intelligence.
+    // Contacts over their token budget only get the local fast-path analysis.
+    const budget = usageTracker.checkBudget(contact);
+
+    // Photos get described by a vision model (not once the budget is spent)
+    if (imageAnalyzer.isAnalyzable(msg) && budget.status !== 'exhausted') {
+      await imageAnalyzer.analyzeMessage(msg);
+    }
+
+    const analysis = await intentDetector.analyze(msg.text, {
+      jid: msg.jid,
+      economy: budget.status === 'economy',
+      localOnly: budget.status === 'exhausted',
+    });
     const intentResult = { intent: analysis.intent, confidence: analysis.confidence, language: analysis.language };
     const moodResult = { mood: analysis.mood, intensity: analysis.moodIntensity };
 
     // Step 9: Store inbound message
-    messagesRepo.insert({
+    const inboundId = messagesRepo.insert({
       jid: msg.jid,
       direction: 'inbound',
-      content: msg.text,
+      content: _storedContent(msg),
       content_type: msg.contentType,
       intent: intentResult.intent,
       mood: moodResult.mood,
       is_ai_generated: false,
     });
 
+    // Promises the contact makes ("I'll send it Friday") become follow-ups waiting on them
+    if (budget.status !== 'exhausted') {
+      followUpTracker.analyzeInbound(msg.jid, msg.text, { messageId: Number(inboundId), language: intentResult.language });
+    }
+
     // Step 10: Update contact mood
     if (moodResult.mood !== 'neutral') {
       contactsRepo.updateProfile(msg.jid, { last_mood: moodResult.mood });
     }
 
+    // Contacts of the current mode's alert tiers reach the owner even while away
+    const alertMode = !offlineAssistant.isOwnerActive(msg.jid) && availabilityModes.alertFor(contact);
+    if (alertMode) {
+      bus.safeEmit('alert:availability', {
+        jid: msg.jid, name: contact.display_name, tier: contact.vip_tier || 0, mode: alertMode.name, text: msg.text,
+      });
+    }
+
     // Step 11: Check if auto-reply is suppressed
     // 1. Check if auto-reply is disabled for this contact
     if (contact.auto_reply_enabled === 0) {
@@ -191,6 +244,15 @@ async function handleInbound(msg) {
       return;
     }
 
+    // The current mode's away message, once per contact each time the mode comes on
+    if (!replyApproval.requiresApproval(contact)) {
+      try {
+        await availabilityModes.sendAwayMessage(contact);
+      } catch (err) {
+        logger.warn({ err: err.message, jid: msg.jid }, 'Away message failed (non-critical)');
+      }
+    }
+
     // Step 12: Emit mood alert if needed
     if (moodDetector.isAlertWorthy(moodResult.mood, moodResult.intensity)) {
       bus.safeEmit('alert:mood', { jid: msg.jid, mood: moodResult.mood, intensity: moodResult.intensity, text: msg.text });
@@ -203,7 +265,7 @@ async function handleInbound(msg) {
     // Handle quota or general AI failures gracefully
     const isAiError = err.name === 'QuotaError' || err.status === 429 || err.status === 404;
     
-    if (isAiError && msg.jid) {
+    if (isAiError && msg.jid && !msg.isGroup) {
       const fallback = FALLBACK_MESSAGES[Math.floor(Math.random() * FALLBACK_MESSAGES.length)];
       try {
         await transport.sendMessage(msg.jid, fallback);
@@ -227,33 +289,67 @@ async function handleInbound(msg) {
  */
 async function _routeAndReply(msg, contact, intentResult, moodResult) {
   let aiReply;
+  let replyTokens = null; // Completion tokens of a model-written reply; others have none
+  let scheduledEvent = null;
 
-  switch (intentResult.intent) {
-    case 'command':
-      // Commands are handled by admin-commands service
-      bus.safeEmit('intent:command', msg);
-      return;
+  if (intentResult.intent === 'command') {
+    // Commands are handled by admin-commands service
+    bus.safeEmit('intent:command', msg);
+    return;
+  }
+
+  // Budget gate: near the limit → economy models, over it → canned reply
+  const budget = usageTracker.checkBudget(contact);
+  const replyOpts = { economy: budget.status === 'economy' };
+  const canned = budget.status === 'exhausted';
+
+  if (canned) {
+    logger.info({ jid: msg.jid, day: budget.day, month: budget.month }, 'Token budget exhausted, sending canned reply');
+    aiReply = BUDGET_MESSAGE;
+  } else {
+    // A number answering a slot offer books that slot, whatever the intent
+    const picked = config.booking.enabled && !msg.isGroup && !msg.image && appointmentBooking.pickOffer(msg.jid, msg.text);
+    // So does a yes or no answering a schedule reminder
+    const answered = !picked && !msg.isGroup && !msg.image && await scheduleReminders.matchReply(msg.jid, msg.text);
+
+    // Images are answered from their description, whatever the caption's intent
+    switch (picked ? 'booking' : answered ? 'reminder' : msg.image ? 'image' : intentResult.intent) {
+      case 'greeting':
+        // If it's a simple greeting and we are quota-limited, use a static reply
+        if (llm.isQuotaExhausted()) {
+          aiReply = `Hello! Friday here. I'm currently running in low-power mode because my owner didn' gave me enough food, but Bhuwan will be back soon to chat with you properly! 😊`;
+        } else {
+          ({ text: aiReply, tokens: replyTokens } = await _generateReply(msg, contact, intentResult, moodResult, replyOpts));
+        }
+        break;
 
-    case 'greeting':
-      // If it's a simple greeting and we are quota-limited, use a static reply
-      if (geminiClient.isQuotaExhausted()) {
-        aiReply = `Hello! Friday here. I'm currently running in low-power mode because my owner didn' gave me enough food, but Bhuwan will be back soon to chat with you properly! 😊`;
-      } else {
-        aiReply = await _generateReply(msg, contact, intentResult, moodResult);
+      case 'schedule': {
+        const scheduled = await scheduleAssistant.handleScheduleRequest(msg.jid, msg.text, contact);
+        aiReply = scheduled.reply;
+        scheduledEvent = scheduled.event;
+        break;
       }
-      break;
 
-    case 'schedule':
-      aiReply = await scheduleAssistant.handleScheduleRequest(msg.jid, msg.text, contact);
-      break;
+      case 'booking':
+        aiReply = await appointmentBooking.requestBooking(msg.jid, picked);
+        break;
 
-    case 'knowledge':
-      aiReply = await _handleKnowledgeQuery(msg, contact);
-      break;
+      case 'reminder':
+        aiReply = await scheduleReminders.applyReply(msg.jid, answered, contact);
+        break;
 
-    default:
-      aiReply = await _generateReply(msg, contact, intentResult, moodResult);
-      break;
+      case 'knowledge':
+        ({ text: aiReply, tokens: replyTokens } = await _handleKnowledgeQuery(msg, contact, intentResult, moodResult, replyOpts));
+        break;
+
+      case 'image':
+        ({ text: aiReply, tokens: replyTokens } = await _generateReply(msg, contact, intentResult, moodResult, replyOpts));
+        break;
+
+      default:
+        ({ text: aiReply, tokens: replyTokens } = await _generateReply(msg, contact, intentResult, moodResult, replyOpts));
+        break;
+    }
   }
 
   if (!aiReply || aiReply.trim().length === 0) {
@@ -267,6 +363,12 @@ async function _routeAndReply(msg, contact, intentResult, moodResult) {
     return;
   }
 
+  // Contacts in approval mode: the reply goes to the owner as a draft instead
+  if (!canned && replyApproval.requiresApproval(contact)) {
+    await replyApproval.createDraft(msg, contact, aiReply, intentResult.intent);
+    return;
+  }
+
   // Step 14: Send reply
   logger.info({ jid: msg.jid, replyLength: aiReply.length, aiReply }, 'Sending AI reply');
   await transport.simulateTyping(msg.jid, Math.min(aiReply.length * 15, 1500));
@@ -279,11 +381,21 @@ async function _routeAndReply(msg, contact, intentResult, moodResult) {
     content: aiReply,
     content_type: 'text',
     intent: intentResult.intent,
-    is_ai_generated: true,
+    is_ai_generated: !canned,
+    token_count: replyTokens,
   });
   rateLimiter.record(msg.jid);
+
+  // The contact gets the event as an .ics file for their own calendar
+  if (scheduledEvent && !msg.isGroup && config.calendar.icsInvites) {
+    try {
+      await calendarIo.sendInvite(msg.jid, scheduledEvent.id);
+    } catch (err) {
+      logger.warn({ err: err.message, jid: msg.jid }, 'Calendar invite failed (non-critical)');
+    }
+  }
   logger.debug({ jid: msg.jid }, 'Message routing flow complete');
-  followUpTracker.analyzeReply(msg.jid, aiReply);
+  if (!canned) followUpTracker.analyzeReply(msg.jid, aiReply);
 
   // Step 16: Forward to n8n if configured
   if (config.n8n.webhook) {
@@ -301,7 +413,13 @@ async function handleOwnerMessage(msg) {
     logger.debug({ jid: msg.jid, text: msg.text, isFromMe: msg.isFromMe }, 'handleOwnerMessage called');
     
     const jid = msg.jid;
-    if (!jid || msg.isGroup) return;
+    if (!jid) return;
+
+    // In groups the owner's messages only pause the bot; no commands or learning
+    if (msg.isGroup) {
+      if (config.groups.enabled) offlineAssistant.recordOwnerReply(jid);
+      return;
+    }
 
     // Ensure contact exists before inserting messages (FK constraint)
     contactsRepo.upsert(jid, { display_name: msg.pushName || undefined });
@@ -318,7 +436,7 @@ async function handleOwnerMessage(msg) {
     }
 
     // Store owner message
-    messagesRepo.insert({
+    const messageId = messagesRepo.insert({
       jid,
       direction: 'owner_manual',
       content: msg.text,
@@ -326,19 +444,152 @@ async function handleOwnerMessage(msg) {
       is_ai_generated: false,
     });
 
+    // The owner answered directly, so pending drafts for this chat are moot
+    replyApproval.supersede(jid);
+
     // Feed to learning engine
     learningEngine.learnFromOwner(jid, msg.text);
 
+    // The owner may have just done what a follow-up was waiting for
+    followUpTracker.checkOwnerMessage(jid, msg.text, Number(messageId));
+
     logger.debug({ jid }, 'Owner message recorded');
   } catch (err) {
     logger.error({ err }, 'Error handling owner message');
   }
 }
 
+/**
+ * Handle a message in a group chat (GROUPS_ENABLED).
+ * Groups are opt-in one by one; inside an enabled group the bot answers only
+ * when mentioned, quoted, or on a group keyword, with its own session and
+ * rate limit. Participants are tracked as contacts.
+ */
+async function _handleGroupMessage(msg) {
+  const jid = msg.jid;
+  const settings = await groupManager.registerGroup(jid);
+  groupManager.trackParticipant(msg);
+
+  if (!settings.enabled) {
+    logger.debug({ jid }, 'Group not enabled, ignoring');
+    return;
+  }
+
+  if (voiceTranscriber.needsTranscript(msg) && !(await voiceTranscriber.transcribeMessage(msg))) {
+    _storeUntranscribed(msg);
+    return;
+  }
+
+  const botCheck = botDetector.check(msg);
+  if (botCheck.isBot && botCheck.confidence >= 0.7) {
+    logger.info({ jid, participant: msg.participant, reason: botCheck.reason }, 'Bot message in group, skipping');
+    return;
+  }
+
+  // Store every message of an enabled group so replies have the conversation around them
+  messagesRepo.insert({
+    jid,
+    direction: 'inbound',
+    content: msg.text,
+    content_type: msg.contentType,
+    participant: msg.participant,
+    is_ai_generated: false,
+  });
+
+  const trigger = groupManager.getTrigger(msg, settings);
+  if (!trigger) return;
+
+  if (groupManager.isQuietTime(settings)) {
+    logger.info({ jid, trigger }, 'Group in quiet hours, not replying');
+    return;
+  }
+
+  const loopCheck = loopDetector.check(jid, msg.text);
+  if (loopCheck.isHalted) {
+    logger.warn({ jid }, 'Group halted (loop)');
+    return;
+  }
+
+  const rateCheck = rateLimiter.check(jid, config.groups.rateLimitMax);
+  if (!rateCheck.allowed) {
+    logger.warn({ jid }, 'Group rate limited');
+    return;
+  }
+
+  if (offlineAssistant.isOwnerActive(jid)) {
+    logger.info({ jid }, 'Owner active in group, skipping AI reply');
+    return;
+  }
+
+  // A spent budget keeps the bot quiet — a canned reply would just be group noise
+  const budget = usageTracker.checkBudget(contactsRepo.getByJid(jid));
+  if (budget.status === 'exhausted') {
+    logger.info({ jid }, 'Group token budget exhausted, not replying');
+    return;
+  }
+
+  // Group images are described but never turned into calendar entries
+  if (imageAnalyzer.isAnalyzable(msg)) {
+    await imageAnalyzer.analyzeMessage(msg, { schedule: false });
+  }
+
+  const sender = msg.pushName || (msg.participant || '').split('@')[0] || 'Someone';
+  const { text: reply, usage } = await chatSession.reply(jid, `${sender}: ${_storedContent(msg)}`, { ...settings, is_group: true }, {
+    economy: budget.status === 'economy',
+  });
+
+  if (!reply || reply.trim().length === 0) return;
+  if (offlineAssistant.isOwnerActive(jid)) {
+    logger.info({ jid }, 'Owner interjected in group during AI generation, canceling reply');
+    return;
+  }
+
+  await transport.simulateTyping(jid, Math.min(reply.length * 15, 1500));
+  await transport.sendMessage(jid, reply);
+
+  messagesRepo.insert({
+    jid,
+    direction: 'outbound',
+    content: reply,
+    content_type: 'text',
+    is_ai_generated: true,
+    token_count: usage.completionTokens,
+  });
+  rateLimiter.record(jid);
+  logger.info({ jid, trigger, participant: msg.participant }, 'Group reply sent');
+}
+
+/**
+ * Message text as stored and replayed: the caption plus what an analyzed image shows.
+ */
+function _storedContent(msg) {
+  if (!msg.image) return msg.text;
+  return [msg.text, `[Image: ${msg.image.description}]`].filter(Boolean).join('\n');
+}
+
+/**
+ * Record a voice note that couldn't be transcribed (no reply is sent).
+ */
+function _storeUntranscribed(msg) {
+  if (!msg.isGroup) contactsRepo.upsert(msg.jid, { display_name: msg.pushName || undefined });
+  messagesRepo.insert({
+    jid: msg.jid,
+    direction: 'inbound',
+    content: voiceTranscriber.UNTRANSCRIBED,
+    content_type: msg.contentType,
+    participant: msg.participant || null,
+    is_ai_generated: false,
+  });
+  logger.info({ jid: msg.jid }, 'Voice note stored without transcript, not replying');
+}
+
 /**
  * Generate an AI reply using the chat session with full context.
+ * @param {object} [replyOpts] - { economy } from the budget check
+ * @param {object[]} [kbHits] - KB entries already retrieved for this message
+ * @returns {Promise<{ text: string, tokens: number }>} Reply and its completion tokens
  */
-async function _generateReply(msg, contact, intentResult, moodResult) {
+async function _generateReply(msg, contact, intentResult, moodResult, replyOpts = {}, kbHits = null) {
   // Build enriched prompt
   const context = {};
 
@@ -355,7 +606,7 @@ async function _generateReply(msg, contact, intentResult, moodResult) {
 
   // Get relevant knowledge
   try {
-    const kbResults = knowledgeBase.search(msg.text);
+    const kbResults = kbHits || await knowledgeBase.retrieve(msg.text, { contact });
     if (kbResults && kbResults.length > 0) {
       context.knowledgeHits = kbResults.map((k) => k.answer);
     }
@@ -369,22 +620,45 @@ async function _generateReply(msg, contact, intentResult, moodResult) {
     }
   } catch { /* ignore */ }
 
-  const enrichedMessage = promptBuilder.buildUserPrompt(msg.text, context);
+  if (msg.image) {
+    context.imageDescription = msg.image.description;
+    context.scheduledEvents = msg.image.events.map((e) => `${e.title} (${e.formatted})`);
+  }
+
+  context.availabilityHint = availabilityModes.promptHint();
+
+  const enrichedMessage = promptBuilder.buildUserPrompt(msg.text || '(image without a caption)', context);
   logger.debug({ jid: msg.jid, promptLength: enrichedMessage.length }, 'Sending enriched prompt to AI');
-  return chatSession.reply(msg.jid, enrichedMessage, contact);
+  const { text, usage } = await chatSession.reply(msg.jid, enrichedMessage, contact, replyOpts);
+  return { text, tokens: usage.completionTokens };
 }
 
 /**
- * Handle knowledge-base queries — check KB first, then fallback to AI.
+ * Handle knowledge-base queries — answer straight from the KB when the best
+ * match clears KB_ANSWER_THRESHOLD, otherwise let the AI answer with the top
+ * matches as context.
+ * @returns {Promise<{ text: string, tokens: number|null }>} As _generateReply; no tokens for a KB answer
  */
-async function _handleKnowledgeQuery(msg, contact) {
-  const results = knowledgeBase.search(msg.text);
-  if (results && results.length > 0) {
-    // Use KB answer directly if high confidence
-    return results[0].answer;
+async function _handleKnowledgeQuery(msg, contact, intentResult, moodResult, replyOpts = {}) {
+  const results = await knowledgeBase.retrieve(msg.text, { contact });
+  const best = results[0];
+  if (best && best.score !== null && best.score >= config.kb.answerThreshold) {
+    logger.info({ jid: msg.jid, kbId: best.id, score: best.score }, 'Answering directly from knowledge base');
+    return { text: best.answer, tokens: null };
+  }
+
+  const reply = await _generateReply(msg, contact, intentResult, moodResult, replyOpts, results);
+
+  // Queue what the KB couldn't answer so the owner can fill the gap
+  // (full-text matches carry no score and aren't judged)
+  if (!best || best.score !== null) {
+    questionQueue.record(msg, {
+      reason: best ? 'low_confidence' : 'no_match',
+      best,
+      aiAnswer: reply.text,
+    });
   }
-  // Fallback to regular AI reply
-  return chatSession.reply(msg.jid, msg.text, contact);
+  return reply;
 }
 
 module.exports = { init, handleInbound, handleOwnerMessage };
@@ -3,41 +3,106 @@
 /**
  * Offline Assistant — manages the auto-reply vs manual-reply state.
  * Pauses auto-reply when the owner manually replies to a contact.
- * Resumes after a configurable cooldown period.
+ * Resumes after a cooldown: the contact's own, else their relationship's
+ * (cooldown_policies), else OWNER_COOLDOWN_MINUTES. A cooldown of 0 means
+ * the bot never goes silent for that contact. Pauses are kept in the
+ * owner_activity table, so they survive restarts.
  */
 
 const config = require('../config');
 const logger = require('../core/logger');
+const time = require('../core/time');
+const { invalid } = require('../core/errors');
+const contactsRepo = require('../database/repositories/contacts.repo');
+const takeoverRepo = require('../database/repositories/takeover.repo');
 
-// jid -> timestamp of last manual owner reply
+const MAX_COOLDOWN_MINUTES = 7 * 24 * 60;
+// A pause that ended longer ago than this before a restart is dropped, not resumed
+const RESUME_GRACE_MS = 10 * 60 * 1000;
+
+// jid -> { lastReply: ms|null, until: ms } — cache of the owner_activity table
 const ownerActivity = new Map();
-const COOLDOWN_MS = 3 * 60 * 1000; // 3 min: don't auto-reply if owner replied within this window
+let loaded = false;
+
+function _sqlTime(ms) {
+  return new Date(ms).toISOString().replace('T', ' ').replace(/\.\d+Z$/, '');
+}
+
+function _fromSql(value) {
+  return new Date(value.replace(' ', 'T') + 'Z').getTime();
+}
+
+// Pauses from before a restart. Ones that just ended stay so the resume checker
+// can pick them up; older ones are dropped, so a long outage doesn't end in
+// answers to days-old messages.
+function _load() {
+  if (loaded) return;
+  loaded = true;
+  const staleBefore = Date.now() - RESUME_GRACE_MS;
+  for (const row of takeoverRepo.listActivity()) {
+    const until = _fromSql(row.paused_until);
+    if (until < staleBefore) {
+      takeoverRepo.deleteActivity(row.jid);
+      continue;
+    }
+    ownerActivity.set(row.jid, { lastReply: row.last_reply_at ? _fromSql(row.last_reply_at) : null, until });
+  }
+}
+
+function _set(jid, entry) {
+  ownerActivity.set(jid, entry);
+  takeoverRepo.saveActivity(jid, entry.lastReply ? _sqlTime(entry.lastReply) : null, _sqlTime(entry.until));
+}
+
+function _clear(jid) {
+  ownerActivity.delete(jid);
+  takeoverRepo.deleteActivity(jid);
+}
+
+/**
+ * How long the bot stays silent after the owner replies to a contact.
+ * @returns {{ minutes: number, source: 'contact'|'relationship'|'default' }}
+ */
+function cooldownFor(jid) {
+  const contact = contactsRepo.getByJid(jid);
+  if (contact && contact.cooldown_minutes !== null && contact.cooldown_minutes !== undefined) {
+    return { minutes: contact.cooldown_minutes, source: 'contact' };
+  }
+  const policy = contact && contact.relationship_type && takeoverRepo.getPolicy(contact.relationship_type.toLowerCase());
+  if (policy) return { minutes: policy.cooldown_minutes, source: 'relationship' };
+  return { minutes: config.takeover.cooldownMinutes, source: 'default' };
+}
 
 /**
  * Record that the owner manually replied to a contact.
  * This pauses auto-reply for that contact.
  */
 function recordOwnerReply(jid) {
-  ownerActivity.set(jid, Date.now());
-  logger.debug({ jid }, 'Owner activity recorded, auto-reply paused');
+  _load();
+  const { minutes } = cooldownFor(jid);
+  if (minutes === 0) {
+    if (ownerActivity.has(jid)) _clear(jid);
+    return;
+  }
+  const now = Date.now();
+  _set(jid, { lastReply: now, until: now + minutes * 60000 });
+  logger.debug({ jid, minutes }, 'Owner activity recorded, auto-reply paused');
 }
 
 /**
  * Record that the owner is currently typing/texting.
- * This sets a shorter, temporary pause.
+ * This sets a shorter, temporary pause (never past what a reply would give).
  */
 function recordTyping(jid) {
-  const now = Date.now();
-  const TYPING_PAUSE_MS = 60 * 1000; // 1 min pause for typing
-  
-  const currentExpiry = (ownerActivity.get(jid) || 0) + COOLDOWN_MS;
-  const newExpiry = now + TYPING_PAUSE_MS;
-  
-  if (newExpiry > currentExpiry) {
-    // Set timestamp so that (now + TYPING_PAUSE_MS) - value = COOLDOWN_MS
-    // value = now + TYPING_PAUSE_MS - COOLDOWN_MS
-    ownerActivity.set(jid, now + TYPING_PAUSE_MS - COOLDOWN_MS);
-    logger.debug({ jid }, 'Owner typing detected, auto-reply paused for 60s');
+  _load();
+  const pauseMs = Math.min(config.takeover.typingPauseSeconds * 1000, cooldownFor(jid).minutes * 60000);
+  if (pauseMs === 0) return;
+
+  const current = ownerActivity.get(jid);
+  const until = Date.now() + pauseMs;
+  if (!current || until > current.until) {
+    _set(jid, { lastReply: current ? current.lastReply : null, until });
+    logger.debug({ jid, pauseMs }, 'Owner typing detected, auto-reply paused');
   }
 }
 
@@ -46,16 +111,16 @@ function recordTyping(jid) {
  * (meaning auto-reply should be suppressed).
  */
 function isOwnerActive(jid) {
-  const lastReply = ownerActivity.get(jid);
-  if (!lastReply) return false;
+  _load();
+  const entry = ownerActivity.get(jid);
+  if (!entry) return false;
 
-  const elapsed = Date.now() - lastReply;
-  if (elapsed < COOLDOWN_MS) {
+  if (Date.now() < entry.until) {
     return true;
   }
 
   // Cooldown expired, clean up
-  ownerActivity.delete(jid);
+  _clear(jid);
   return false;
 }
 
@@ -63,10 +128,11 @@ function isOwnerActive(jid) {
  * Get the remaining cooldown time for a contact.
  */
 function getCooldownRemaining(jid) {
-  const lastReply = ownerActivity.get(jid);
-  if (!lastReply) return 0;
+  _load();
+  const entry = ownerActivity.get(jid);
+  if (!entry) return 0;
 
-  const remaining = COOLDOWN_MS - (Date.now() - lastReply);
+  const remaining = entry.until - Date.now();
   return remaining > 0 ? remaining : 0;
 }
 
@@ -74,19 +140,29 @@ function getCooldownRemaining(jid) {
  * Force-resume auto-reply for a contact (admin command).
  */
 function forceResume(jid) {
-  ownerActivity.delete(jid);
+  _load();
+  _clear(jid);
   logger.info({ jid }, 'Auto-reply force-resumed');
 }
 
 /**
- * Get all contacts where owner is currently active.
+ * Get all contacts where owner is currently active, with the cooldown that applies.
  */
 function getActiveContacts() {
+  _load();
   const now = Date.now();
   const active = [];
-  for (const [jid, ts] of ownerActivity) {
-    if (now - ts < COOLDOWN_MS) {
-      active.push({ jid, lastReply: ts, remainingMs: COOLDOWN_MS - (now - ts) });
+  for (const [jid, entry] of ownerActivity) {
+    if (now < entry.until) {
+      const cooldown = cooldownFor(jid);
+      active.push({
+        jid,
+        lastReply: entry.lastReply,
+        pausedUntil: new Date(entry.until).toISOString(),
+        remainingMs: entry.until - now,
+        cooldownMinutes: cooldown.minutes,
+        cooldownSource: cooldown.source,
+      });
     }
   }
   return active;
@@ -96,9 +172,63 @@ function getActiveContacts() {
  * Get all tracked owner activity (internal map exposure).
  */
 function getAllActivity() {
+  _load();
   return ownerActivity;
 }
 
+/**
+ * "90", "1h", "0" → minutes; null/""/"default" → null (no override).
+ */
+function _cooldownMinutes(value) {
+  if (value === null || value === undefined || value === '' || String(value).toLowerCase() === 'default') return null;
+  const text = String(value).trim();
+  const minutes = /^0+$/.test(text) ? 0 : time.parseDuration(text);
+  if (minutes === null || minutes > MAX_COOLDOWN_MINUTES) {
+    throw invalid(`Invalid cooldown: ${value} (minutes or a duration such as 1h; 0 = never pause; at most 7 days)`);
+  }
+  return minutes;
+}
+
+/**
+ * Set a contact's own cooldown.
+ * @param {string} jid
+ * @param {number|string|null} value - Minutes or a duration ("1h"); null/'default' = relationship policy or default
+ * @returns {{ minutes: number, source: string }} The cooldown that now applies
+ * @throws {Error} 400 for a bad value, 404 for an unknown contact
+ */
+function setContactCooldown(jid, value) {
+  const minutes = _cooldownMinutes(value);
+  if (!contactsRepo.getByJid(jid)) throw invalid(`Unknown contact: ${jid}`, 404);
+  contactsRepo.setCooldown(jid, minutes);
+  logger.info({ jid, minutes }, 'Contact cooldown updated');
+  return cooldownFor(jid);
+}
+
+/**
+ * Set the cooldown for every contact of a relationship type (e.g. friend).
+ * @param {string} relationship
+ * @param {number|string|null} value - As for setContactCooldown(); null/'default' removes the policy
+ * @returns {object|null} The stored policy
+ */
+function setRelationshipCooldown(relationship, value) {
+  const key = String(relationship || '').trim().toLowerCase();
+  if (!key) throw invalid('Relationship is required (e.g. friend, family, unknown)');
+  const minutes = _cooldownMinutes(value);
+  logger.info({ relationship: key, minutes }, 'Relationship cooldown updated');
+  if (minutes === null) {
+    takeoverRepo.deletePolicy(key);
+    return null;
+  }
+  return takeoverRepo.setPolicy(key, minutes);
+}
+
+/**
+ * Relationship cooldowns, plus the default for everyone else.
+ */
+function listPolicies() {
+  return { defaultMinutes: config.takeover.cooldownMinutes, relationships: takeoverRepo.listPolicies() };
+}
+
 module.exports = {
   recordOwnerReply,
   recordTyping,
@@ -107,4 +237,8 @@ module.exports = {
   forceResume,
   getActiveContacts,
   getAllActivity,
+  cooldownFor,
+  setContactCooldown,
+  setRelationshipCooldown,
+  listPolicies,
 };
@@ -7,7 +7,7 @@
 
 const logger = require('../core/logger');
 const config = require('../config');
-const gemini = require('../ai/gemini-client');
+const llm = require('../ai/llm-client');
 const promptBuilder = require('../ai/prompt-builder');
 const messagesRepo = require('../database/repositories/messages.repo');
 const followUpTracker = require('./follow-up-tracker');
@@ -59,10 +59,11 @@ async function generateSummary(hours) {
     }
 
     if (upcoming.length > 0) {
-      fullPrompt += `\n\nUpcoming schedules:\n${upcoming.map((s) => `- ${s.title} at ${s.event_at}`).join('\n')}`;
+      fullPrompt += `\n\nUpcoming schedules:\n${upcoming.map((s) => `- ${s.title} at ${scheduleAssistant.formatWhen(s)}`).join('\n')}`;
     }
 
-    const summary = await gemini.generate(fullPrompt, {
+    const summary = await llm.generate(fullPrompt, {
+      task: 'summary',
       temperature: 0.3,
       maxTokens: 500,
     });
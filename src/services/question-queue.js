@@ -0,0 +1,128 @@
+'use strict';
+
+/**
+ * Question Queue — knowledge questions the KB couldn't answer confidently
+ * (no match, or best match below KB_ANSWER_THRESHOLD) are queued for the
+ * owner. Answering one turns it into a KB entry and can tell the asker.
+ */
+
+const logger = require('../core/logger');
+const { invalid } = require('../core/errors');
+const transport = require('../transport/transport-manager');
+const questionsRepo = require('../database/repositories/kb-questions.repo');
+const knowledgeRepo = require('../database/repositories/knowledge.repo');
+const messagesRepo = require('../database/repositories/messages.repo');
+const knowledgeBase = require('./knowledge-base');
+
+const ANSWER_CATEGORY = 'faq';
+
+/**
+ * Queue a question the KB missed.
+ * @param {object} msg - Inbound message
+ * @param {object} miss - { reason: 'no_match'|'low_confidence', best (closest KB entry with score), aiAnswer }
+ * @returns {number|null} Question ID
+ */
+function record(msg, miss) {
+  const question = (msg.text || '').trim();
+  if (!question) return null;
+
+  try {
+    const id = questionsRepo.record({
+      jid: msg.jid,
+      question,
+      reason: miss.reason,
+      best_score: miss.best ? miss.best.score : null,
+      best_kb_id: miss.best ? miss.best.id : null,
+      ai_answer: miss.aiAnswer,
+    });
+    logger.info({ jid: msg.jid, id, reason: miss.reason }, 'Unanswered knowledge question queued');
+    return id;
+  } catch (err) {
+    logger.debug({ err: err.message }, 'Question queue record failed (non-critical)');
+    return null;
+  }
+}
+
+function _pendingQuestion(id) {
+  const question = questionsRepo.getById(Number(id));
+  if (!question) throw invalid(`Question #${id} not found`);
+  if (question.status !== 'pending') throw invalid(`Question #${id} is already ${question.status}`);
+  return question;
+}
+
+/**
+ * Answer a queued question: store the answer in the KB (updating the entry
+ * with the same topic if there is one) and optionally send it to the asker.
+ * @param {number|string} id
+ * @param {string} text - The owner's answer
+ * @param {object} [opts] - { notify: boolean, category }
+ * @returns {Promise<{ question: object, kbId: number, notified: boolean }>}
+ */
+async function answer(id, text, opts = {}) {
+  if (!text || !text.trim()) throw invalid('Answer is empty');
+  const question = _pendingQuestion(id);
+  const answerText = text.trim();
+
+  const topic = question.question.replace(/\s+/g, ' ').substring(0, 200);
+  const existing = knowledgeRepo.getByTopic(topic);
+  let kbId;
+  if (existing) {
+    kbId = existing.id;
+    knowledgeBase.update(kbId, { answer: answerText, is_active: true }, `answered question #${question.id}`);
+  } else {
+    kbId = knowledgeBase.add({
+      category: opts.category || ANSWER_CATEGORY,
+      topic,
+      question: question.question,
+      answer: answerText,
+    }, `answered question #${question.id}`);
+  }
+
+  // Close it before the first await so a second !kb answer can't send twice
+  questionsRepo.resolve(question.id, 'answered', { kb_id: kbId });
+
+  let notified = false;
+  if (opts.notify) {
+    const reply = `About your question "${question.question.substring(0, 200)}":\n${answerText}`;
+    await transport.sendMessage(question.jid, reply);
+    messagesRepo.insert({
+      jid: question.jid,
+      direction: 'outbound',
+      content: reply,
+      content_type: 'text',
+      intent: 'knowledge',
+      is_ai_generated: false,
+    });
+    questionsRepo.markNotified(question.id);
+    notified = true;
+  }
+
+  logger.info({ id: question.id, kbId, notified }, 'Queued question answered');
+  return { question, kbId, notified };
+}
+
+/**
+ * Drop a queued question without answering it.
+ */
+function dismiss(id) {
+  const question = _pendingQuestion(id);
+  questionsRepo.resolve(question.id, 'dismissed');
+  return question;
+}
+
+function list(status = 'pending', limit = 50) {
+  return questionsRepo.listByStatus(status, limit);
+}
+
+function countPending() {
+  return questionsRepo.countPending();
+}
+
+module.exports = {
+  record,
+  answer,
+  dismiss,
+  list,
+  countPending,
+  ANSWER_CATEGORY,
+};
@@ -0,0 +1,199 @@
+'use strict';
+
+/**
+ * Reply Approval — draft-and-approve mode. For contacts that need it (VIP
+ * tiers / relationships in APPROVAL_*, or a per-contact override) the AI
+ * reply is not sent: it is stored as a draft and shown to the owner, who
+ * answers !approve, !edit or !reject. Drafts expire after
+ * DRAFT_EXPIRY_MINUTES. Reviewed drafts feed the learning engine.
+ */
+
+const logger = require('../core/logger');
+const { invalid } = require('../core/errors');
+const config = require('../config');
+const transport = require('../transport/transport-manager');
+const draftsRepo = require('../database/repositories/reply-drafts.repo');
+const contactsRepo = require('../database/repositories/contacts.repo');
+const messagesRepo = require('../database/repositories/messages.repo');
+const rateLimiter = require('../safety/rate-limiter');
+const chatSession = require('../ai/chat-session');
+const learningEngine = require('./learning-engine');
+const followUpTracker = require('./follow-up-tracker');
+
+const MODES = ['on', 'off', 'default'];
+
+/**
+ * Whether replies to this contact need the owner's approval.
+ * @param {object} contact - Contact row
+ */
+function requiresApproval(contact) {
+  if (!contact) return false;
+  if (contact.approval_mode === 'on') return true;
+  if (contact.approval_mode === 'off') return false;
+
+  return config.approval.tiers.includes(contact.vip_tier || 0)
+    || config.approval.relationships.includes((contact.relationship_type || '').toLowerCase());
+}
+
+/**
+ * Set a contact's approval mode: on, off, or default (follow APPROVAL_*).
+ */
+function setMode(jid, mode) {
+  if (!MODES.includes(mode)) throw invalid(`Approval mode must be one of: ${MODES.join(', ')}`);
+  if (!contactsRepo.getByJid(jid)) throw invalid(`Unknown contact: ${jid}`);
+  contactsRepo.setApprovalMode(jid, mode === 'default' ? null : mode);
+  logger.info({ jid, mode }, 'Approval mode updated');
+}
+
+/**
+ * Store a reply as a draft and send it to the owner for review.
+ * @param {object} msg - Inbound message being answered
+ * @param {object} contact - Contact row
+ * @param {string} reply - AI reply text
+ * @param {string} [intent]
+ * @returns {Promise<number>} Draft ID
+ */
+async function createDraft(msg, contact, reply, intent) {
+  const id = draftsRepo.create({
+    jid: msg.jid,
+    inbound_text: msg.text,
+    intent,
+    draft: reply,
+    expires_in_minutes: config.approval.draftExpiryMinutes,
+  });
+
+  const name = contact.display_name || msg.jid.split('@')[0];
+  await transport.sendMessage(config.whatsapp.ownerJid,
+    `📝 *Draft #${id}* for ${name} (${msg.jid})\n`
+    + `They said: "${(msg.text || '').substring(0, 300)}"\n\n`
+    + `${reply}\n\n`
+    + `!approve ${id} · !edit ${id} <text> · !reject ${id}\n`
+    + `(expires in ${config.approval.draftExpiryMinutes} min)`);
+
+  logger.info({ jid: msg.jid, id }, 'Reply held for owner approval');
+  return id;
+}
+
+/**
+ * Load a draft that can still be decided. One found expired is closed as
+ * expireDrafts() would, so it leaves the chat history too.
+ */
+function _pendingDraft(id) {
+  const draft = draftsRepo.getById(Number(id));
+  if (!draft) throw invalid(`Draft #${id} not found`);
+  if (draft.status !== 'pending') throw invalid(`Draft #${id} is already ${draft.status}`);
+  if (draft.is_expired) {
+    if (draftsRepo.decide(draft.id, 'expired')) chatSession.reviseReply(draft.jid, draft.draft, null);
+    throw invalid(`Draft #${id} has expired`);
+  }
+  return draft;
+}
+
+/**
+ * Send a reviewed draft to the contact and record it like any bot reply.
+ */
+async function _send(draft, text, aiGenerated) {
+  await transport.simulateTyping(draft.jid, Math.min(text.length * 15, 1500));
+  await transport.sendMessage(draft.jid, text);
+
+  messagesRepo.insert({
+    jid: draft.jid,
+    direction: 'outbound',
+    content: text,
+    content_type: 'text',
+    intent: draft.intent,
+    is_ai_generated: aiGenerated,
+  });
+  rateLimiter.record(draft.jid);
+  followUpTracker.analyzeReply(draft.jid, text);
+}
+
+/**
+ * Send a draft as written.
+ * @returns {Promise<object>} The draft row
+ */
+async function approve(id) {
+  const draft = _pendingDraft(id);
+  // Claim it first so a double !approve can't send twice
+  if (!draftsRepo.decide(draft.id, 'approved', draft.draft)) throw invalid(`Draft #${id} was already decided`);
+
+  await _send(draft, draft.draft, true);
+  learningEngine.learnFromDraft(draft);
+  logger.info({ jid: draft.jid, id: draft.id }, 'Draft approved and sent');
+  return draft;
+}
+
+/**
+ * Send the owner's rewrite instead of the draft.
+ * @returns {Promise<object>} The draft row
+ */
+async function edit(id, text) {
+  if (!text || !text.trim()) throw invalid('Edited text is empty');
+  const draft = _pendingDraft(id);
+  const finalText = text.trim();
+  if (!draftsRepo.decide(draft.id, 'edited', finalText)) throw invalid(`Draft #${id} was already decided`);
+
+  await _send(draft, finalText, false);
+  chatSession.reviseReply(draft.jid, draft.draft, finalText);
+  learningEngine.learnFromDraft(draft, finalText);
+  logger.info({ jid: draft.jid, id: draft.id }, 'Edited draft sent');
+  return draft;
+}
+
+/**
+ * Discard a draft; nothing is sent.
+ * @returns {object} The draft row
+ */
+function reject(id) {
+  const draft = _pendingDraft(id);
+  if (!draftsRepo.decide(draft.id, 'rejected')) throw invalid(`Draft #${id} was already decided`);
+
+  chatSession.reviseReply(draft.jid, draft.draft, null);
+  logger.info({ jid: draft.jid, id: draft.id }, 'Draft rejected');
+  return draft;
+}
+
+/**
+ * Close a contact's pending drafts once the owner has answered them directly.
+ */
+function supersede(jid) {
+  const closed = draftsRepo.supersedeForJid(jid);
+  if (closed > 0) logger.info({ jid, closed }, 'Pending drafts superseded by owner reply');
+  return closed;
+}
+
+/**
+ * Expire overdue drafts and tell the owner which ones lapsed.
+ * @returns {Promise<object[]>} Expired drafts
+ */
+async function expireDrafts() {
+  const expired = draftsRepo.expireDue();
+  for (const draft of expired) chatSession.reviseReply(draft.jid, draft.draft, null);
+
+  if (expired.length > 0) {
+    logger.info({ count: expired.length }, 'Reply drafts expired');
+    if (transport.isReady()) {
+      await transport.sendMessage(config.whatsapp.ownerJid, '⌛ *Drafts expired unsent:*\n' + expired.map((d) =>
+        `• #${d.id} ${d.display_name || d.jid}`
+      ).join('\n'));
+    }
+  }
+  return expired;
+}
+
+function listPending(jid) {
+  return draftsRepo.listPending(jid);
+}
+
+module.exports = {
+  requiresApproval,
+  setMode,
+  createDraft,
+  approve,
+  edit,
+  reject,
+  supersede,
+  expireDrafts,
+  listPending,
+  MODES,
+};
@@ -6,71 +6,350 @@
  */
 
 const logger = require('../core/logger');
-const gemini = require('../ai/gemini-client');
+const llm = require('../ai/llm-client');
 const schedulesRepo = require('../database/repositories/schedules.repo');
+const contactsRepo = require('../database/repositories/contacts.repo');
+const recurrence = require('../core/recurrence');
+const time = require('../core/time');
+const { invalid } = require('../core/errors');
 const config = require('../config');
 
 const PARSE_PROMPT = `Extract scheduling information from this message. Return JSON:
-{"title": "<event title>", "date": "<ISO 8601 datetime>", "remindBefore": "<minutes before to remind, default 30>", "recurrence": "<none|daily|weekly|monthly>"}
-If the message is not about scheduling, return: {"isSchedule": false}
+{"title": "<event title>", "date": "<first occurrence as local time in the sender's time zone, YYYY-MM-DDTHH:mm, no offset>", "remindBefore": "<minutes before to remind, default 30>", "recurrence": "<none|daily|weekly|monthly|yearly, or an RRULE such as FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=6 or FREQ=DAILY;UNTIL=20261231>"}
+`;
 
-Current date/time: `;
+const BOOKING_PROMPT = `If the sender asks when ${config.persona.ownerName} is free or available, return: {"availability": true, "date": "<day they ask about, YYYY-MM-DD, or null>", "minutes": <meeting length in minutes, or null>}
+If the sender wants to meet or book time with ${config.persona.ownerName} at a specific time, return: {"booking": true, "title": "<what the meeting is about>", "date": "<YYYY-MM-DDTHH:mm local time, no offset>", "minutes": <meeting length in minutes, or null>}
+`;
+
+const NOT_SCHEDULE_PROMPT = `If the message is not about scheduling, return: {"isSchedule": false}
+
+Sender's current date/time: `;
+
+// Longest snooze: beyond that, reschedule
+const MAX_SNOOZE_MINUTES = 30 * 24 * 60;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// SQLite-compatible format (no T, no Z) so datetime('now') comparisons work
+function _sqlTime(date) {
+  return date.toISOString().replace('T', ' ').replace(/\.\d+Z$/, '');
+}
+
+function _fromSql(value) {
+  return new Date(value.replace(' ', 'T') + 'Z');
+}
+
+function _remindAt(at, minutes) {
+  if (minutes === null || minutes === undefined) return null;
+  return _sqlTime(new Date(at.getTime() - minutes * 60 * 1000));
+}
+
+/**
+ * A schedule's rule; rows saved before rules were validated may hold free text.
+ */
+function _ruleOf(schedule) {
+  try {
+    return recurrence.parse(schedule.recurrence);
+  } catch (err) {
+    logger.warn({ id: schedule.id, recurrence: schedule.recurrence }, 'Ignoring unsupported schedule recurrence');
+    return null;
+  }
+}
+
+function _seriesStart(schedule) {
+  return _fromSql(schedule.series_start || schedule.event_at);
+}
+
+function _skipDatesOf(schedule) {
+  return schedule.skip_dates ? schedule.skip_dates.split(',') : [];
+}
+
+// Rows from before time zones were stored were expanded in UTC
+function _zoneOf(schedule) {
+  return schedule.timezone || 'UTC';
+}
+
+function _expandOpts(schedule, opts = {}) {
+  return { ...opts, timezone: _zoneOf(schedule), skip: _skipDatesOf(schedule) };
+}
+
+/**
+ * Time zone a contact's dates are read and shown in: theirs if set, else the owner's.
+ * @param {string|null} jid
+ * @param {object} [contact] - Already-loaded profile
+ */
+function timezoneFor(jid, contact) {
+  const profile = contact || (jid ? contactsRepo.getByJid(jid) : null);
+  return (profile && profile.timezone) || config.persona.ownerTimezone;
+}
+
+/**
+ * When an occurrence happens, for the owner: owner time, and also the
+ * schedule's own zone when its clock differs (e.g. a contact abroad).
+ * @param {object} schedule - Row (event_at = the occurrence)
+ * @returns {string} e.g. "Mon, Oct 19, 03:00 PM" or
+ *   "Mon, Oct 19, 03:00 PM Asia/Kathmandu · 10:15 AM Europe/London"
+ */
+function formatWhen(schedule) {
+  const at = _fromSql(schedule.event_at);
+  const ownerTz = config.persona.ownerTimezone;
+  const owner = time.format(at, ownerTz);
+
+  const tz = schedule.timezone;
+  if (!tz || time.offsetMinutes(at, tz) === time.offsetMinutes(at, ownerTz)) return owner;
+  const sameDay = time.dateKey(at, tz) === time.dateKey(at, ownerTz);
+  const local = sameDay ? time.format(at, tz, { weekday: undefined, month: undefined, day: undefined }) : time.format(at, tz);
+  return `${owner} ${ownerTz} · ${local} ${tz}`;
+}
+
+/**
+ * Ask the model for the event in a message.
+ * @param {object} opts - { jid, timezone, booking: also recognise availability/booking requests }
+ * @returns {Promise<object>} The model's JSON
+ */
+async function _extract(text, opts) {
+  const now = `${time.isoWithOffset(new Date(), opts.timezone)} (${opts.timezone})`;
+  const prompt = PARSE_PROMPT + (opts.booking ? BOOKING_PROMPT : '') + NOT_SCHEDULE_PROMPT + now + `\n\nMessage: "${text}"`;
+  const raw = await llm.generate(prompt, { task: 'schedule', jid: opts.jid, temperature: 0.1, maxTokens: 150 });
+
+  const jsonStr = raw.replace(/```json?\n?/g, '').replace(/```/g, '').trim();
+  return JSON.parse(jsonStr);
+}
+
+/**
+ * Event details for createEvent from the model's JSON; a recurrence it got wrong means once.
+ */
+function _eventFrom(result, text, tz) {
+  let repeat = result.recurrence;
+  try {
+    recurrence.parse(repeat);
+  } catch (err) {
+    logger.warn({ recurrence: repeat, err: err.message }, 'Unusable recurrence from the model; scheduling once');
+    repeat = 'none';
+  }
+
+  return {
+    title: result.title || text.substring(0, 100),
+    date: result.date || new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+    remindBefore: result.remindBefore,
+    recurrence: repeat,
+    timezone: tz,
+    description: text,
+  };
+}
+
+/**
+ * Who gets reminded and when, for the confirmation ("I'll remind you and Bhuwan 30 minutes before.").
+ * Groups are never reminded themselves, only the owner.
+ */
+function _reminderNote(jid, event) {
+  const owner = config.persona.ownerName;
+  const audience = jid.endsWith('@g.us') ? 'owner' : event.remindAudience;
+  const who = { owner, contact: 'you', both: `you and ${owner}` }[audience] || owner;
+  const when = event.remindMinutes > 0 ? `${event.remindMinutes} minutes before` : 'when it starts';
+  return `I'll remind ${who} ${when}.`;
+}
 
 /**
  * Handle a scheduling request.
  * @param {string} jid - Contact JID
  * @param {string} text - User's message
  * @param {object} contact - Contact profile
- * @returns {Promise<string>} Confirmation message
+ * @returns {Promise<{ reply: string, event: object|null }>} Confirmation message, and the created
+ *   event (see createEvent) when one was scheduled
  */
 async function handleScheduleRequest(jid, text, contact) {
   try {
-    const now = new Date().toISOString();
-    const prompt = PARSE_PROMPT + now + `\n\nMessage: "${text}"`;
-    const raw = await gemini.generate(prompt, { temperature: 0.1, maxTokens: 150 });
+    const tz = timezoneFor(jid, contact);
+    const result = await _extract(text, { jid, timezone: tz, booking: config.booking.enabled });
 
-    const jsonStr = raw.replace(/```json?\n?/g, '').replace(/```/g, '').trim();
-    const result = JSON.parse(jsonStr);
+    if (config.booking.enabled && (result.availability || result.booking)) {
+      // Loaded here: appointment booking builds on this module
+      const appointmentBooking = require('./appointment-booking');
+      const reply = result.availability
+        ? appointmentBooking.offerSlots(jid, { day: result.date, minutes: result.minutes })
+        : await appointmentBooking.requestBooking(jid, { title: result.title, date: result.date, minutes: result.minutes, description: text });
+      return { reply, event: null };
+    }
 
     if (result.isSchedule === false) {
-      return `I'm not sure what you'd like to schedule. Could you rephrase? For example: "Remind me about the meeting tomorrow at 3pm"`;
+      return {
+        reply: `I'm not sure what you'd like to schedule. Could you rephrase? For example: "Remind me about the meeting tomorrow at 3pm"`,
+        event: null,
+      };
     }
 
-    // Use SQLite-compatible format (no T, no Z) so datetime('now') comparisons work
-    const rawEventAt = result.date || new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
-    const eventAt = new Date(rawEventAt).toISOString().replace('T', ' ').replace(/\.\d+Z$/, '');
-    const remindMinutes = result.remindBefore || 30;
-    const remindAt = new Date(new Date(rawEventAt).getTime() - remindMinutes * 60 * 1000)
-      .toISOString().replace('T', ' ').replace(/\.\d+Z$/, '');
+    const event = createEvent(jid, _eventFrom(result, text, tz));
 
-    const id = schedulesRepo.create({
-      jid,
-      title: result.title || text.substring(0, 100),
-      description: text,
-      event_at: eventAt,
-      remind_at: remindAt,
-      recurrence: result.recurrence || 'none',
-    });
-
-    const eventDate = new Date(eventAt);
-    const formatted = eventDate.toLocaleString('en-US', {
-      weekday: 'short', month: 'short', day: 'numeric',
-      hour: '2-digit', minute: '2-digit',
-    });
-
-    logger.info({ jid, id, title: result.title, eventAt }, 'Schedule created');
-    return `Got it! I've scheduled "${result.title}" for ${formatted}. I'll remind ${config.persona.ownerName} ${remindMinutes} minutes before. 📅`;
+    const repeats = event.recurrence ? `, repeating ${event.recurrence}` : '';
+    return {
+      reply: `Got it! I've scheduled "${event.title}" for ${event.formatted}${repeats}. ${_reminderNote(jid, event)} 📅`,
+      event,
+    };
   } catch (err) {
     logger.error({ err }, 'Schedule parsing failed');
-    return `I had trouble understanding that scheduling request. Could you try again with a specific date and time?`;
+    return {
+      reply: `I had trouble understanding that scheduling request. Could you try again with a specific date and time?`,
+      event: null,
+    };
   }
 }
 
 /**
- * Get upcoming schedules for owner briefing.
+ * Add one of the owner's own schedules from a description
+ * ("dentist friday 3pm, remind me an hour before").
+ * @param {string} text
+ * @returns {Promise<object>} As createEvent
+ * @throws {Error} status 400 when no date and time can be found
+ */
+async function addFromText(text) {
+  const description = String(text || '').trim();
+  if (!description) throw invalid('Describe the event, e.g. "dentist friday 3pm"');
+  const tz = config.persona.ownerTimezone;
+  const result = await _extract(description, { timezone: tz, booking: false });
+  if (result.isSchedule === false || !result.date) throw invalid(`Couldn't find a date and time in "${description}"`);
+  return createEvent(null, _eventFrom(result, description, tz));
+}
+
+/**
+ * Validate event details and work out the row to store, without saving.
+ * @param {string|null} jid - Contact JID the event belongs to
+ * @param {object} event - As for createEvent, plus skipDates (['YYYY-MM-DD'] in the
+ *   event's zone), icalUid (UID of an imported calendar event) and durationMinutes
+ * @param {object} [opts] - { upcoming: true } to remind from the first occurrence after now (imports)
+ * @returns {{ fields: object, first: Date, rule: object|null }}
+ * @throws {Error} status 400 for an invalid title, date, time zone or recurrence
  */
-function listUpcoming(hours = 24) {
-  return schedulesRepo.listUpcoming(hours);
+function prepareEvent(jid, event, opts = {}) {
+  const title = String(event.title || '').trim();
+  if (!title) throw invalid('Event title is required');
+  const tz = event.timezone || timezoneFor(jid);
+  if (!time.isValidTimezone(tz)) throw invalid(`Unknown time zone: ${tz}`);
+  const start = time.parseInZone(event.date, tz);
+  if (isNaN(start.getTime())) throw invalid(`Invalid date: ${event.date}`);
+  const rule = recurrence.parse(event.recurrence);
+  const skip = [...new Set(event.skipDates || [])].sort();
+  if (skip.length > 0 && !rule) throw invalid('Only repeating events can skip dates');
+  const duration = event.durationMinutes === null || event.durationMinutes === undefined ? null : Number(event.durationMinutes);
+  if (duration !== null && !(Number.isInteger(duration) && duration > 0)) throw invalid(`Invalid duration: ${event.durationMinutes}`);
+
+  // With BYDAY the start itself may not be an occurrence; the series is stored
+  // from its first one (same occurrences, and a valid iCalendar DTSTART)
+  const seriesStart = recurrence.occurrences(rule, start, { timezone: tz, limit: 1 })[0];
+  const first = opts.upcoming || skip.length > 0
+    ? recurrence.occurrences(rule, start, { timezone: tz, skip, from: opts.upcoming ? new Date() : null, limit: 1 })[0]
+    : seriesStart;
+  if (!first) throw invalid(opts.upcoming ? 'No upcoming occurrences' : 'That recurrence has no occurrences');
+
+  // 0 = remind when it starts; missing or unreadable (model output) = 30 minutes before
+  const remindMinutes = /^\d+$/.test(String(event.remindBefore ?? '').trim()) ? Number(event.remindBefore) : 30;
+  return {
+    rule,
+    first,
+    fields: {
+      jid,
+      title,
+      description: event.description || null,
+      event_at: _sqlTime(first),
+      remind_at: _remindAt(first, remindMinutes),
+      recurrence: recurrence.format(rule),
+      series_start: _sqlTime(seriesStart),
+      remind_minutes: remindMinutes,
+      timezone: tz,
+      skip_dates: skip.length > 0 ? skip.join(',') : null,
+      ical_uid: event.icalUid || null,
+      duration_minutes: duration,
+      remind_audience: jid ? config.reminders.audience : 'owner',
+    },
+  };
+}
+
+/**
+ * Create a schedule entry from already-extracted event details
+ * (chat requests, invitation images).
+ * @param {string} jid - Contact JID the event belongs to
+ * @param {object} event - { title, date (ISO 8601, series start; local to `timezone` when it has no offset),
+ *   remindBefore (minutes), recurrence (see core/recurrence), timezone (IANA, default: the contact's or owner's), description }
+ * @returns {{ id: number, title: string, eventAt: string, remindMinutes: number, remindAudience: string, formatted: string,
+ *   recurrence: string|null, timezone: string }}
+ *   `formatted` is in the event's time zone
+ * @throws {Error} status 400 for an invalid date, time zone or recurrence
+ */
+function createEvent(jid, event) {
+  const { fields, first, rule } = prepareEvent(jid, event);
+  const id = schedulesRepo.create(fields);
+
+  logger.info({ jid, id, title: fields.title, eventAt: fields.event_at, timezone: fields.timezone, recurrence: fields.recurrence }, 'Schedule created');
+  return {
+    id: Number(id),
+    title: fields.title,
+    eventAt: fields.event_at,
+    remindMinutes: fields.remind_minutes,
+    remindAudience: fields.remind_audience,
+    formatted: time.format(first, fields.timezone),
+    recurrence: rule ? recurrence.describe(rule) : null,
+    timezone: fields.timezone,
+  };
+}
+
+/**
+ * A schedule as a series, for calendar export.
+ * @param {object} schedule - Row
+ * @returns {{ rule: object|null, timezone: string, first: Date, skipDates: string[] }}
+ *   `first` = the series' first occurrence (the event itself when it doesn't repeat)
+ */
+function seriesOf(schedule) {
+  const rule = _ruleOf(schedule);
+  const timezone = _zoneOf(schedule);
+  const first = rule
+    ? recurrence.occurrences(rule, _seriesStart(schedule), { timezone, limit: 1 })[0] || _fromSql(schedule.event_at)
+    : _fromSql(schedule.event_at);
+  return { rule, timezone, first, skipDates: rule ? _skipDatesOf(schedule) : [] };
+}
+
+/**
+ * Upcoming occurrences for the owner, recurring series expanded.
+ * Each item is its schedule row with `event_at` set to the occurrence and
+ * `recurrence_text` describing the series ('once' for one-off events).
+ * @param {number} [hours=24] - Window from now
+ * @param {number} [limit=50]
+ */
+function listUpcoming(hours = 24, limit = 50) {
+  const now = new Date();
+  const until = new Date(now.getTime() + hours * 60 * 60 * 1000);
+
+  const upcoming = [];
+  for (const schedule of schedulesRepo.listUpcoming(_sqlTime(until))) {
+    const rule = _ruleOf(schedule);
+    const start = rule ? _seriesStart(schedule) : _fromSql(schedule.event_at);
+    const dates = recurrence.occurrences(rule, start, _expandOpts(schedule, { from: now, to: until, limit }));
+    for (const at of dates) {
+      upcoming.push({ ...schedule, event_at: _sqlTime(at), recurrence_text: recurrence.describe(rule) });
+    }
+  }
+  return upcoming.sort((a, b) => a.event_at.localeCompare(b.event_at)).slice(0, limit);
+}
+
+/**
+ * Occurrences overlapping [from, to) that keep the owner busy: active, snoozed
+ * and tentative schedules, each lasting its duration (APPOINTMENT_MINUTES when unset).
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {Array<{ schedule: object, start: Date, end: Date }>} By start
+ */
+function busyBetween(from, to) {
+  const blocks = [];
+  for (const schedule of schedulesRepo.listBusy(_sqlTime(from), _sqlTime(to))) {
+    const ms = (schedule.duration_minutes || config.booking.appointmentMinutes) * 60 * 1000;
+    const rule = _ruleOf(schedule);
+    const start = rule ? _seriesStart(schedule) : _fromSql(schedule.event_at);
+    const dates = recurrence.occurrences(rule, start, _expandOpts(schedule, { after: new Date(from.getTime() - ms), to, limit: 500 }));
+    for (const at of dates) {
+      if (at < to) blocks.push({ schedule, start: at, end: new Date(at.getTime() + ms) });
+    }
+  }
+  return blocks.sort((a, b) => a.start - b.start);
 }
 
 /**
@@ -81,31 +360,230 @@ function getDueReminders() {
 }
 
 /**
- * Complete a schedule.
+ * Record that a due reminder was sent: a one-off event stops reminding and a
+ * recurring one moves to its next occurrence (after now, if reminders were missed).
+ * @param {object} schedule - Row from getDueReminders()
+ * @returns {Date|null} The next occurrence, or null when nothing is left to remind
+ */
+function markReminded(schedule) {
+  const rule = _ruleOf(schedule);
+  const current = _fromSql(schedule.event_at);
+  const now = new Date();
+  const next = rule
+    ? recurrence.next(rule, _seriesStart(schedule), current > now ? current : now, _expandOpts(schedule))
+    : null;
+
+  if (!next) {
+    schedulesRepo.setNextOccurrence(schedule.id, schedule.event_at, null);
+    return null;
+  }
+  schedulesRepo.setNextOccurrence(schedule.id, _sqlTime(next), _remindAt(next, schedule.remind_minutes));
+  return next;
+}
+
+function _recurringSchedule(id) {
+  const schedule = schedulesRepo.getById(Number(id));
+  if (!schedule) throw invalid(`Schedule #${id} not found`, 404);
+  const rule = _ruleOf(schedule);
+  if (!rule) throw invalid(`Schedule #${schedule.id} does not repeat`);
+  return { schedule, rule };
+}
+
+/**
+ * The series' occurrence on a date in its own time zone (skipped or not), or null.
+ */
+function _occurrenceOn(schedule, rule, date) {
+  const tz = _zoneOf(schedule);
+  const dayStart = time.parseInZone(date, tz);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '') || isNaN(dayStart.getTime())) {
+    throw invalid(`Invalid date: ${date} (use YYYY-MM-DD)`);
+  }
+  // Up to the next local midnight, wherever DST puts it
+  const nextDay = new Date(Date.parse(`${date}T00:00:00Z`) + DAY_MS).toISOString().substring(0, 10);
+  const dayEnd = new Date(time.parseInZone(nextDay, tz).getTime() - 1);
+  return recurrence.occurrences(rule, _seriesStart(schedule), { timezone: tz, from: dayStart, to: dayEnd, limit: 1 })[0] || null;
+}
+
+/**
+ * Skip one occurrence of a recurring schedule.
+ * @param {number|string} id
+ * @param {string} date - YYYY-MM-DD in the schedule's time zone
+ * @returns {object} The updated schedule
+ */
+function skipDate(id, date) {
+  const { schedule, rule } = _recurringSchedule(id);
+  if (!_occurrenceOn(schedule, rule, date)) throw invalid(`Schedule #${schedule.id} has no occurrence on ${date}`);
+
+  const skip = _skipDatesOf(schedule);
+  if (!skip.includes(date)) skip.push(date);
+  schedulesRepo.setSkipDates(schedule.id, skip.sort().join(','));
+
+  // Skipping the occurrence that is up next moves its reminder on
+  const current = _fromSql(schedule.event_at);
+  if (schedule.remind_at && time.dateKey(current, _zoneOf(schedule)) === date) {
+    const next = recurrence.next(rule, _seriesStart(schedule), current, { timezone: _zoneOf(schedule), skip });
+    schedulesRepo.setNextOccurrence(schedule.id, next ? _sqlTime(next) : schedule.event_at,
+      next ? _remindAt(next, schedule.remind_minutes) : null);
+  }
+
+  logger.info({ id: schedule.id, date }, 'Schedule occurrence skipped');
+  return schedulesRepo.getById(schedule.id);
+}
+
+/**
+ * Restore a skipped occurrence.
+ * @param {number|string} id
+ * @param {string} date - YYYY-MM-DD in the schedule's time zone
+ * @returns {object} The updated schedule
+ */
+function unskipDate(id, date) {
+  const { schedule, rule } = _recurringSchedule(id);
+  const at = _occurrenceOn(schedule, rule, date);
+  const skip = _skipDatesOf(schedule);
+  if (!skip.includes(date)) throw invalid(`${date} is not skipped for schedule #${schedule.id}`);
+  schedulesRepo.setSkipDates(schedule.id, skip.filter((d) => d !== date).join(','));
+
+  // A restored occurrence still ahead becomes the next one to remind if it comes first
+  const current = _fromSql(schedule.event_at);
+  if (at && at > new Date() && (at < current || !schedule.remind_at)) {
+    schedulesRepo.setNextOccurrence(schedule.id, _sqlTime(at), _remindAt(at, schedule.remind_minutes));
+  }
+
+  logger.info({ id: schedule.id, date }, 'Schedule occurrence restored');
+  return schedulesRepo.getById(schedule.id);
+}
+
+/**
+ * A schedule the owner can still act on.
+ * @throws {Error} 404 when unknown, 409 when finished or awaiting confirmation
+ */
+function _manageable(id) {
+  const schedule = schedulesRepo.getById(Number(id));
+  if (!schedule) throw invalid(`Schedule #${id} not found`, 404);
+  if (schedule.status === 'completed' || schedule.status === 'cancelled') {
+    throw invalid(`Schedule #${schedule.id} is already ${schedule.status}`, 409);
+  }
+  if (schedule.status === 'tentative') {
+    throw invalid(`Schedule #${schedule.id} is a booking request; use !confirm or !decline`, 409);
+  }
+  return schedule;
+}
+
+/**
+ * Mark a schedule done. A repeating one moves on to its next occurrence and
+ * is only completed once the series has ended.
+ * @param {number|string} id
+ * @returns {{ schedule: object, next: Date|null }} The updated row and the next occurrence, if any
+ * @throws {Error} 404 / 409 as _manageable
  */
 function complete(id) {
-  return schedulesRepo.complete(id);
+  const schedule = _manageable(id);
+  const rule = _ruleOf(schedule);
+  const current = _fromSql(schedule.event_at);
+  const now = new Date();
+  const next = rule
+    ? recurrence.next(rule, _seriesStart(schedule), current > now ? current : now, _expandOpts(schedule))
+    : null;
+
+  if (next) {
+    schedulesRepo.setNextOccurrence(schedule.id, _sqlTime(next), _remindAt(next, schedule.remind_minutes));
+  } else {
+    schedulesRepo.complete(schedule.id);
+  }
+  logger.info({ id: schedule.id, next: next && next.toISOString() }, 'Schedule done');
+  return { schedule: schedulesRepo.getById(schedule.id), next };
 }
 
 /**
- * Cancel a schedule.
+ * Cancel a schedule (the whole series when it repeats).
+ * @returns {object} The updated row
+ * @throws {Error} 404 / 409 as _manageable
  */
 function cancel(id) {
-  return schedulesRepo.cancel(id);
+  const schedule = _manageable(id);
+  schedulesRepo.cancel(schedule.id);
+  logger.info({ id: schedule.id }, 'Schedule cancelled');
+  return schedulesRepo.getById(schedule.id);
 }
 
 /**
- * Snooze a schedule.
+ * Remind about a schedule again after a while.
+ * @param {number|string} id
+ * @param {string|number} [duration] - Minutes, or "15m", "2h", "1d" (see time.parseDuration)
+ * @returns {{ schedule: object, until: Date }} The updated row and when it will remind
+ * @throws {Error} 400 for an invalid duration, 404 / 409 as _manageable
  */
-function snooze(id, minutes = 15) {
-  return schedulesRepo.snooze(id, minutes);
+function snooze(id, duration = '15m') {
+  const minutes = typeof duration === 'number' ? duration : time.parseDuration(duration);
+  if (!Number.isInteger(minutes) || minutes <= 0) throw invalid(`Invalid duration: ${duration} (e.g. 15m, 2h, 1d)`);
+  if (minutes > MAX_SNOOZE_MINUTES) throw invalid('Snooze for 30 days at most; reschedule instead');
+  const schedule = _manageable(id);
+
+  const until = new Date(Date.now() + minutes * 60000);
+  schedulesRepo.snooze(schedule.id, _sqlTime(until));
+  logger.info({ id: schedule.id, until: until.toISOString() }, 'Schedule snoozed');
+  return { schedule: schedulesRepo.getById(schedule.id), until };
+}
+
+/**
+ * Move a schedule to a new time; a repeating series restarts from there
+ * with the same rule, skipped dates and reminder lead time.
+ * @param {number|string} id
+ * @param {string} when - ISO 8601 (local to the schedule's zone without an offset)
+ *   or plain words ("tomorrow 4pm")
+ * @returns {Promise<object>} The updated row
+ * @throws {Error} 400 when the time can't be read or has passed, 404 / 409 as _manageable
+ */
+async function reschedule(id, when) {
+  const schedule = _manageable(id);
+  const tz = _zoneOf(schedule);
+  const text = String(when || '').trim();
+  if (!text) throw invalid('When should it move to? e.g. "tomorrow 4pm" or 2026-11-02T16:00');
+
+  let at = time.parseInZone(text, tz);
+  if (isNaN(at.getTime())) {
+    const result = await _extract(`${schedule.title} ${text}`, { jid: schedule.jid, timezone: tz, booking: false });
+    at = result.date ? time.parseInZone(result.date, tz) : at;
+  }
+  if (isNaN(at.getTime())) throw invalid(`Couldn't read a date and time in "${text}"`);
+  if (at <= new Date()) throw invalid(`${time.format(at, tz)} has already passed`);
+
+  const rule = _ruleOf(schedule);
+  const { fields } = prepareEvent(schedule.jid, {
+    title: schedule.title,
+    description: schedule.description,
+    date: at.toISOString(),
+    timezone: tz,
+    recurrence: rule ? schedule.recurrence : 'none',
+    skipDates: rule ? _skipDatesOf(schedule) : [],
+    remindBefore: schedule.remind_minutes,
+    durationMinutes: schedule.duration_minutes,
+    icalUid: schedule.ical_uid,
+  }, { upcoming: true });
+  // A schedule without a reminder keeps none (prepareEvent would default it to 30 minutes)
+  if (schedule.remind_minutes === null) Object.assign(fields, { remind_minutes: null, remind_at: null });
+  schedulesRepo.updateSeries(schedule.id, fields);
+
+  logger.info({ id: schedule.id, eventAt: fields.event_at }, 'Schedule rescheduled');
+  return schedulesRepo.getById(schedule.id);
 }
 
 module.exports = {
   handleScheduleRequest,
+  addFromText,
+  prepareEvent,
+  createEvent,
+  seriesOf,
   listUpcoming,
+  busyBetween,
   getDueReminders,
+  markReminded,
+  formatWhen,
+  timezoneFor,
+  skipDate,
+  unskipDate,
   complete,
   cancel,
   snooze,
+  reschedule,
 };
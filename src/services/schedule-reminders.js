@@ -0,0 +1,226 @@
+'use strict';
+
+/**
+ * Schedule Reminders — sends due reminders to the owner, to the contact a
+ * schedule belongs to, or to both (REMINDER_AUDIENCE, or per schedule with
+ * !schedules remind). A contact's reminder is CONTACT_REMINDER_TEMPLATE in
+ * their language; answering it with yes or no confirms or cancels that
+ * occurrence, and the owner is told.
+ */
+
+const logger = require('../core/logger');
+const config = require('../config');
+const time = require('../core/time');
+const { invalid } = require('../core/errors');
+const llm = require('../ai/llm-client');
+const transport = require('../transport/transport-manager');
+const schedulesRepo = require('../database/repositories/schedules.repo');
+const contactsRepo = require('../database/repositories/contacts.repo');
+const messagesRepo = require('../database/repositories/messages.repo');
+const scheduleAssistant = require('./schedule-assistant');
+const translationService = require('./translation-service');
+
+const AUDIENCES = ['owner', 'contact', 'both'];
+
+// Answers that need no model call
+const CONFIRM_RE = /^(y|yes|yeah|yep|yup|ok|okay|sure|confirm(ed)?|i('ll| will) be there|see you( then)?|👍|✅)[\s!.]*$/iu;
+const CANCEL_RE = /^(n|no|nope|nah|cancel(led)?|can'?t( make it)?|cannot make it|not coming|👎|❌)[\s!.]*$/iu;
+// Longer messages are conversation, not an answer to the reminder
+const MAX_ANSWER_LENGTH = 80;
+
+const CLASSIFY_PROMPT = `A contact was reminded of an appointment and asked to reply to confirm or cancel it.
+Classify their reply. Return JSON: {"answer": "confirm" | "cancel" | "other"}
+
+Reply: `;
+
+function _fromSql(value) {
+  return new Date(value.replace(' ', 'T') + 'Z');
+}
+
+function _fill(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (values[key] === undefined ? match : values[key]));
+}
+
+function _nameOf(contact, jid) {
+  return (contact && contact.display_name) || jid.split('@')[0];
+}
+
+/**
+ * Who a schedule's reminders go to; the owner's own schedules only remind the owner.
+ */
+function audienceOf(schedule) {
+  return schedule.jid ? schedule.remind_audience || 'owner' : 'owner';
+}
+
+/**
+ * Change who a schedule reminds.
+ * @param {number|string} id
+ * @param {string} audience - owner | contact | both
+ * @returns {object} The updated row
+ * @throws {Error} 400 for an unknown audience or a schedule without a contact, 404 when unknown
+ */
+function setAudience(id, audience) {
+  const value = String(audience || '').toLowerCase();
+  if (!AUDIENCES.includes(value)) throw invalid(`Audience must be one of: ${AUDIENCES.join(', ')}`);
+  const schedule = schedulesRepo.getById(Number(id));
+  if (!schedule) throw invalid(`Schedule #${id} not found`, 404);
+  if (!schedule.jid && value !== 'owner') throw invalid(`Schedule #${schedule.id} is your own; only you can be reminded`);
+
+  schedulesRepo.setAudience(schedule.id, value);
+  logger.info({ id: schedule.id, audience: value }, 'Schedule reminder audience changed');
+  return schedulesRepo.getById(schedule.id);
+}
+
+/**
+ * Message a contact and record it like any outbound message.
+ */
+async function _tell(jid, text) {
+  await transport.sendMessage(jid, text);
+  messagesRepo.insert({
+    jid,
+    direction: 'outbound',
+    content: text,
+    content_type: 'text',
+    intent: 'schedule',
+    is_ai_generated: false,
+  });
+}
+
+/**
+ * The contact's reminder for a due occurrence, in their time zone and language.
+ * @param {object} schedule - Row (event_at = the occurrence)
+ * @returns {Promise<string>}
+ */
+async function contactMessage(schedule) {
+  const contact = contactsRepo.getByJid(schedule.jid);
+  const tz = scheduleAssistant.timezoneFor(schedule.jid, contact);
+  const text = _fill(config.reminders.contactTemplate, {
+    name: _nameOf(contact, schedule.jid),
+    title: schedule.title,
+    when: time.format(_fromSql(schedule.event_at), tz),
+    owner: config.persona.ownerName,
+  });
+  return translationService.autoTranslateReply(text, contact);
+}
+
+/**
+ * Send every due reminder to its audience and move each schedule on.
+ * A snoozed reminder is the owner's own and goes to the owner only; one
+ * meant for a contact falls back to the owner when there is no contact to tell.
+ * A schedule moves on once anyone was reminded; one nobody could be told
+ * stays due and is retried on the next run.
+ */
+async function sendDue() {
+  for (const s of scheduleAssistant.getDueReminders()) {
+    try {
+      await _remind(s);
+    } catch (err) {
+      logger.error({ err: err.message, id: s.id }, 'Reminder failed');
+    }
+  }
+}
+
+async function _remind(s) {
+  const audience = audienceOf(s);
+  const toContact = audience !== 'owner' && s.status !== 'snoozed' && !s.jid.endsWith('@g.us');
+  let contactReminded = false;
+  let ownerReminded = false;
+
+  if (toContact) {
+    try {
+      await _tell(s.jid, await contactMessage(s));
+      schedulesRepo.setContactPrompt(s.id, s.event_at);
+      contactReminded = true;
+    } catch (err) {
+      logger.warn({ err: err.message, id: s.id, jid: s.jid }, 'Contact reminder failed');
+    }
+  }
+  if (audience !== 'contact' || !contactReminded) {
+    try {
+      await transport.sendMessage(config.whatsapp.ownerJid, `🔔 Reminder #${s.id}: *${s.title}* at ${scheduleAssistant.formatWhen(s)}\n` +
+        `!done ${s.id} · !snooze ${s.id} 15m · !reschedule ${s.id} <when>`);
+      ownerReminded = true;
+    } catch (err) {
+      logger.warn({ err: err.message, id: s.id }, 'Owner reminder failed');
+    }
+  }
+  if (contactReminded || ownerReminded) scheduleAssistant.markReminded(s);
+}
+
+/**
+ * Whether a message answers the contact's open reminder.
+ * @returns {Promise<{ schedule: object, answer: 'confirm'|'cancel' }|null>}
+ */
+async function matchReply(jid, text) {
+  const answerText = String(text || '').trim();
+  if (!answerText || answerText.length > MAX_ANSWER_LENGTH) return null;
+  const schedule = schedulesRepo.getOpenPrompt(jid);
+  if (!schedule) return null;
+
+  if (CONFIRM_RE.test(answerText)) return { schedule, answer: 'confirm' };
+  if (CANCEL_RE.test(answerText)) return { schedule, answer: 'cancel' };
+
+  // Other wordings and languages: ask the model
+  try {
+    const raw = await llm.generate(CLASSIFY_PROMPT + `"${answerText}"`, { task: 'schedule', jid, temperature: 0, maxTokens: 20 });
+    const result = JSON.parse(raw.replace(/```json?\n?/g, '').replace(/```/g, '').trim());
+    return result.answer === 'confirm' || result.answer === 'cancel' ? { schedule, answer: result.answer } : null;
+  } catch (err) {
+    logger.warn({ err: err.message, jid }, 'Could not classify reminder reply');
+    return null;
+  }
+}
+
+/**
+ * Apply the contact's answer: confirm the occurrence, or cancel it (a
+ * repeating schedule skips just that date). Tells the owner.
+ * @param {string} jid
+ * @param {object} match - From matchReply()
+ * @param {object} [contact] - Already-loaded profile
+ * @returns {Promise<string>} Reply for the contact, in their language
+ */
+async function applyReply(jid, match, contact) {
+  const profile = contact || contactsRepo.getByJid(jid);
+  const { schedule, answer } = match;
+  const occurrence = { ...schedule, event_at: schedule.contact_prompt_for };
+  const name = _nameOf(profile, jid);
+  const when = time.format(_fromSql(occurrence.event_at), scheduleAssistant.timezoneFor(jid, profile));
+  let reply;
+  let notice;
+
+  if (answer === 'confirm') {
+    schedulesRepo.setContactResponse(schedule.id, 'confirmed');
+    reply = `Thanks, ${name}! See you on ${when}. ✅`;
+    notice = `✅ ${name} confirmed #${schedule.id} ${schedule.title} — ${scheduleAssistant.formatWhen(occurrence)}`;
+  } else {
+    const repeats = schedule.recurrence && schedule.recurrence !== 'none';
+    if (repeats) {
+      const tz = schedule.timezone || config.persona.ownerTimezone;
+      scheduleAssistant.skipDate(schedule.id, time.dateKey(_fromSql(occurrence.event_at), tz));
+    } else {
+      scheduleAssistant.cancel(schedule.id);
+    }
+    schedulesRepo.setContactResponse(schedule.id, 'cancelled');
+    reply = `Okay, ${schedule.title} on ${when} is cancelled. I've let ${config.persona.ownerName} know.`;
+    notice = `❌ ${name} cancelled #${schedule.id} ${schedule.title} — ${scheduleAssistant.formatWhen(occurrence)}` +
+      (repeats ? ' (that date is skipped; the series continues)' : '');
+  }
+
+  logger.info({ id: schedule.id, jid, answer, occurrence: occurrence.event_at }, 'Contact answered schedule reminder');
+  try {
+    await transport.sendMessage(config.whatsapp.ownerJid, notice);
+  } catch (err) {
+    logger.warn({ err: err.message, id: schedule.id }, 'Could not tell the owner about a reminder answer');
+  }
+  return translationService.autoTranslateReply(reply, profile);
+}
+
+module.exports = {
+  AUDIENCES,
+  audienceOf,
+  setAudience,
+  contactMessage,
+  sendDue,
+  matchReply,
+  applyReply,
+};
@@ -2,26 +2,27 @@
 
 /**
  * Translation Service — detects language and translates messages
- * using Gemini for high-quality contextual translation.
+ * using the LLM for high-quality contextual translation.
  */
 
 const config = require('../config');
 const logger = require('../core/logger');
-const gemini = require('../ai/gemini-client');
+const llm = require('../ai/llm-client');
 
 /**
  * Detect the language of a message.
  * This is typically already done by intent-detector; use that result when available.
  * @param {string} text
+ * @param {object} [opts] - { jid } for usage accounting
  * @returns {Promise<string>} Language code (e.g., 'en', 'ne', 'hi')
  */
-async function detectLanguage(text) {
+async function detectLanguage(text, opts = {}) {
   if (!text || text.length < 3) return config.translation.defaultLanguage;
 
   try {
-    const raw = await gemini.generate(
+    const raw = await llm.generate(
       `Detect the language of this text. Respond with ONLY the ISO 639-1 code (e.g., en, ne, hi, es, fr).\n\nText: "${text}"`,
-      { temperature: 0, maxTokens: 5 }
+      { task: 'translation', jid: opts.jid, temperature: 0, maxTokens: 5 }
     );
     return raw.trim().toLowerCase().substring(0, 5);
   } catch {
@@ -34,18 +35,19 @@ async function detectLanguage(text) {
  * @param {string} text - Text to translate
  * @param {string} targetLang - Target language code
  * @param {string} [sourceLang] - Source language code (auto-detected if not provided)
+ * @param {object} [opts] - { jid } for usage accounting
  * @returns {Promise<string>} Translated text
  */
-async function translate(text, targetLang, sourceLang) {
+async function translate(text, targetLang, sourceLang, opts = {}) {
   if (!config.translation.autoTranslate) return text;
   if (!text || text.trim().length === 0) return text;
 
-  const source = sourceLang || await detectLanguage(text);
+  const source = sourceLang || await detectLanguage(text, opts);
   if (source === targetLang) return text; // No translation needed
 
   try {
     const prompt = `Translate the following text from ${source} to ${targetLang}. Keep the tone and style. Return ONLY the translation, nothing else.\n\nText: "${text}"`;
-    const translated = await gemini.generate(prompt, { temperature: 0.2, maxTokens: 300 });
+    const translated = await llm.generate(prompt, { task: 'translation', jid: opts.jid, temperature: 0.2, maxTokens: 300 });
     return translated;
   } catch (err) {
     logger.warn({ err: err.message, source, target: targetLang }, 'Translation failed');
@@ -64,7 +66,7 @@ async function autoTranslateReply(text, contact) {
   if (!contact || !contact.preferred_language) return text;
   if (contact.preferred_language === config.translation.defaultLanguage) return text;
 
-  return translate(text, contact.preferred_language, config.translation.defaultLanguage);
+  return translate(text, contact.preferred_language, config.translation.defaultLanguage, { jid: contact.jid });
 }
 
 module.exports = {
@@ -0,0 +1,110 @@
+'use strict';
+
+/**
+ * Usage Tracker — records token usage of every LLM completion against a
+ * contact and a purpose (the LLM task), and enforces per-VIP-tier
+ * daily/monthly token budgets (LLM_BUDGET_DAILY / LLM_BUDGET_MONTHLY).
+ */
+
+const bus = require('../core/event-bus');
+const logger = require('../core/logger');
+const config = require('../config');
+const usageRepo = require('../database/repositories/llm-usage.repo');
+
+const PERIODS = ['day', 'month'];
+
+/**
+ * Initialize — record every `llm:usage` event published by the LLM client.
+ */
+function init() {
+  bus.on('llm:usage', record);
+  logger.info('Usage tracker initialized');
+}
+
+/**
+ * Store one completion's usage.
+ * @param {{ jid: string|null, purpose: string, provider: string, model: string, usage: object }} event
+ */
+function record(event) {
+  try {
+    const usage = event.usage || {};
+    usageRepo.insert({
+      jid: event.jid,
+      purpose: event.purpose,
+      provider: event.provider,
+      model: event.model,
+      prompt_tokens: usage.promptTokens,
+      completion_tokens: usage.completionTokens,
+      total_tokens: usage.totalTokens || (usage.promptTokens || 0) + (usage.completionTokens || 0),
+    });
+  } catch (err) {
+    logger.debug({ err: err.message }, 'Usage record failed (non-critical)');
+  }
+}
+
+/**
+ * Start of the current day or month, in SQLite's UTC datetime format.
+ * @param {'day'|'month'} period
+ */
+function periodStart(period) {
+  const now = new Date();
+  const start = period === 'month'
+    ? new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1))
+    : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  return start.toISOString().replace('T', ' ').substring(0, 19);
+}
+
+/**
+ * Check a contact's spend against its tier budgets.
+ * @param {object} contact - Contact row (jid, vip_tier)
+ * @returns {{ status: 'ok'|'economy'|'exhausted', day: object|null, month: object|null }}
+ */
+function checkBudget(contact) {
+  const tier = String(contact.vip_tier || 0);
+  const result = { status: 'ok', day: null, month: null };
+
+  for (const period of PERIODS) {
+    const limit = (period === 'day' ? config.budget.daily : config.budget.monthly)[tier];
+    if (!limit) continue;
+
+    const used = usageRepo.totalForJid(contact.jid, periodStart(period));
+    result[period] = { used, limit };
+
+    if (used >= limit) {
+      result.status = 'exhausted';
+    } else if (used >= limit * config.budget.economyAt && result.status === 'ok') {
+      result.status = 'economy';
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Usage report for a period, overall or for one contact.
+ * @param {object} [opts] - { period: 'day'|'month', jid, limit }
+ */
+function getReport(opts = {}) {
+  const period = PERIODS.includes(opts.period) ? opts.period : 'day';
+  const since = periodStart(period);
+
+  const report = {
+    period,
+    since,
+    totals: usageRepo.totals(since, opts.jid),
+    byPurpose: usageRepo.byPurpose(since, opts.jid),
+  };
+
+  if (!opts.jid) {
+    report.topContacts = usageRepo.byContact(since, opts.limit || 10);
+  }
+  return report;
+}
+
+module.exports = {
+  init,
+  record,
+  checkBudget,
+  getReport,
+  PERIODS,
+};
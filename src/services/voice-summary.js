@@ -8,6 +8,7 @@
 const config = require('../config');
 const logger = require('../core/logger');
 const axios = require('axios');
+const audio = require('../core/audio');
 
 /**
  * Generate a voice note from text using free TTS services.
@@ -66,50 +67,7 @@ async function generateVoiceNote(text) {
  */
 async function _convertToOgg(mp3Buffer) {
   try {
-    const ffmpeg = require('fluent-ffmpeg');
-    const ffmpegPath = require('ffmpeg-static');
-    const fs = require('fs');
-    const path = require('path');
-    const os = require('os');
-
-    ffmpeg.setFfmpegPath(ffmpegPath);
-
-    const tmpDir = os.tmpdir();
-    const inputFile = path.join(tmpDir, `tts_input_${Date.now()}.mp3`);
-    const outputFile = path.join(tmpDir, `tts_output_${Date.now()}.ogg`);
-
-    // Write input MP3
-    fs.writeFileSync(inputFile, mp3Buffer);
-
-    return new Promise((resolve, reject) => {
-      ffmpeg(inputFile)
-        .audioCodec('libopus')
-        .audioBitrate('64k')
-        .audioFrequency(16000)
-        .audioChannels(1)
-        .format('ogg')
-        .output(outputFile)
-        .on('end', () => {
-          try {
-            const result = fs.readFileSync(outputFile);
-            // Cleanup
-            [inputFile, outputFile].forEach(f => {
-              try { fs.unlinkSync(f); } catch { /* ignore */ }
-            });
-            resolve(result);
-          } catch (e) {
-            reject(e);
-          }
-        })
-        .on('error', (e) => {
-          // Cleanup
-          [inputFile, outputFile].forEach(f => {
-            try { fs.unlinkSync(f); } catch { /* ignore */ }
-          });
-          reject(e);
-        })
-        .run();
-    });
+    return await audio.toOggOpus(mp3Buffer, 'mp3');
   } catch (err) {
     logger.debug({ err: err.message }, 'Audio conversion failed, returning original');
     return mp3Buffer; // Return MP3 as fallback
@@ -0,0 +1,57 @@
+'use strict';
+
+/**
+ * Voice Transcriber — turns inbound voice notes into text (STT_BACKEND) so
+ * they run through the normal pipeline. The media is downloaded from the
+ * transport and handed to the configured speech-to-text backend.
+ */
+
+const logger = require('../core/logger');
+const transport = require('../transport/transport-manager');
+const stt = require('../ai/stt');
+
+// Stored in place of the text when a voice note can't be transcribed
+const UNTRANSCRIBED = '[voice note]';
+
+/**
+ * Whether a message is a voice note still waiting for its transcript.
+ */
+function needsTranscript(msg) {
+  return msg.contentType === 'voice' && (!msg.text || msg.text.trim().length === 0);
+}
+
+/**
+ * Transcribe a voice note in place: on success `msg.text` holds the
+ * transcript and `msg.transcribed` is set. The content type stays `voice`.
+ * @param {object} msg - Normalized inbound message
+ * @returns {Promise<boolean>} True when the message now has text
+ */
+async function transcribeMessage(msg) {
+  if (!needsTranscript(msg)) return Boolean(msg.text);
+  if (!stt.isEnabled()) return false;
+
+  const started = Date.now();
+  try {
+    const media = await transport.downloadMedia(msg);
+    if (!media || !media.data || media.data.length === 0) {
+      logger.warn({ jid: msg.jid }, 'Voice note has no downloadable audio');
+      return false;
+    }
+
+    const text = await stt.transcribe(media.data, media.mimetype);
+    if (!text) {
+      logger.info({ jid: msg.jid }, 'Voice note transcript is empty');
+      return false;
+    }
+
+    msg.text = text;
+    msg.transcribed = true;
+    logger.info({ jid: msg.jid, chars: text.length, ms: Date.now() - started }, 'Voice note transcribed');
+    return true;
+  } catch (err) {
+    logger.error({ err: err.message, jid: msg.jid }, 'Voice note transcription failed');
+    return false;
+  }
+}
+
+module.exports = { needsTranscript, transcribeMessage, UNTRANSCRIBED };
@@ -170,6 +170,13 @@ class BaileysAdapter extends EventEmitter {
         || '';
     }
 
+    // Mentions and quoted-reply info live in the contextInfo of the content node
+    const contextInfo = m?.extendedTextMessage?.contextInfo
+      || m?.imageMessage?.contextInfo
+      || m?.videoMessage?.contextInfo
+      || m?.documentMessage?.contextInfo
+      || null;
+
     // Detect content type
     let contentType = 'text';
     if (m?.imageMessage) contentType = 'image';
@@ -188,6 +195,10 @@ class BaileysAdapter extends EventEmitter {
       waMessageId: msg.key?.id || null,
       isFromMe,
       isGroup,
+      participant: isGroup ? (msg.key?.participant || msg.participant || null) : null,
+      mentionedJids: contextInfo?.mentionedJid || [],
+      quotedParticipant: contextInfo?.quotedMessage ? (contextInfo.participant || null) : null,
+      quotedMessageId: contextInfo?.stanzaId || null,
       pushName: msg.pushName || null,
       hasMedia: ['image', 'video', 'voice', 'document'].includes(contentType),
       rawMsg: msg,
@@ -224,6 +235,7 @@ class BaileysAdapter extends EventEmitter {
       document: media,
       mimetype: options.mimetype || 'application/octet-stream',
       fileName: options.filename || 'file',
+      caption: options.caption || '',
     });
   }
 
@@ -234,6 +246,35 @@ class BaileysAdapter extends EventEmitter {
     await this.sock.sendPresenceUpdate('paused', toJid);
   }
 
+  /**
+   * Download the media of an inbound message.
+   * @returns {Promise<{ data: Buffer, mimetype: string, filename: string|null }|null>}
+   */
+  async downloadMedia(msg) {
+    const { downloadMediaMessage } = require('@whiskeysockets/baileys');
+    const m = msg.rawMsg?.message;
+    const node = m?.audioMessage || m?.imageMessage || m?.videoMessage || m?.documentMessage || m?.stickerMessage;
+    if (!node) return null;
+
+    const data = await downloadMediaMessage(msg.rawMsg, 'buffer', {}, {
+      logger,
+      reuploadRequest: this.sock.updateMediaMessage,
+    });
+    return { data, mimetype: node.mimetype || 'application/octet-stream', filename: node.fileName || null };
+  }
+
+  /**
+   * The logged-in account's JID (e.g. 9779800000000:12@s.whatsapp.net).
+   */
+  getOwnJid() {
+    return this.sock?.user?.id || null;
+  }
+
+  async getGroupName(jid) {
+    const metadata = await this.sock.groupMetadata(jid);
+    return metadata?.subject || null;
+  }
+
   async disconnect() {
     this._ready = false;
     if (this.sock) {
@@ -0,0 +1,210 @@
+'use strict';
+
+/**
+ * Mock adapter — in-process implementation of the unified transport interface.
+ * No WhatsApp account needed: inbound messages are injected programmatically
+ * (or via /api/mock), and every outbound send is recorded for inspection.
+ * Used for offline end-to-end runs of the full pipeline (LIB=mock).
+ */
+
+const { EventEmitter } = require('events');
+const config = require('../config');
+const logger = require('../core/logger');
+
+const MAX_RECORDED = 1000; // Cap the outbox so long runs don't grow unbounded
+
+class MockAdapter extends EventEmitter {
+  constructor() {
+    super();
+    this._ready = false;
+    this._seq = 0;
+    /** @type {Array<{ id: string, type: string, jid: string, text?: string, mimetype?: string, filename?: string, caption?: string, ptt?: boolean, size?: number, media?: Buffer, durationMs?: number, at: number }>} */
+    this.sent = [];
+    this._waiters = [];
+    // The mock "logs in" as the owner's account
+    this.ownJid = config.whatsapp.ownerJid;
+    this._groupNames = new Map();
+  }
+
+  async connect() {
+    this._ready = true;
+    logger.info('Mock transport ready (no WhatsApp connection)');
+    this.emit('ready');
+  }
+
+  // --- Injection API (what a real phone would do) ---
+
+  /**
+   * Inject an inbound message from a contact.
+   * @param {object} data - { jid, text, pushName?, contentType?, timestamp?, isGroup?, media?, mimetype?,
+   *   filename?, participant?, mentionedJids?, quotedParticipant?, groupName? }
+   * @returns {object} The normalized message that was emitted
+   */
+  injectInbound(data) {
+    const normalized = this._normalize(data, false);
+    this._deliver('message:raw', normalized);
+    return normalized;
+  }
+
+  /**
+   * Inject a message sent by the owner (commands, manual replies).
+   * @param {object} data - { jid, text, contentType?, timestamp?, media?, mimetype?, filename? }
+   * @returns {object} The normalized message that was emitted
+   */
+  injectOwner(data) {
+    const normalized = this._normalize(data, true);
+    this._deliver('message:owner', normalized);
+    return normalized;
+  }
+
+  /**
+   * Inject an "owner is typing" presence event for a chat.
+   */
+  injectTyping(jid) {
+    this._deliver('message:owner:typing', { jid });
+  }
+
+  /**
+   * Emit on the next tick, like a real socket would, so callers can
+   * inject first and then await waitForSend() without racing the pipeline.
+   */
+  _deliver(event, payload) {
+    setImmediate(() => {
+      logger.debug({ jid: payload.jid, event }, 'MockAdapter delivering injected event');
+      this.emit(event, payload);
+    });
+  }
+
+  /**
+   * Build the standard normalized shape from loose test input.
+   */
+  _normalize(data, isFromMe) {
+    if (!data || !data.jid) throw new Error('Mock message requires a jid');
+    if (data.groupName) this._groupNames.set(data.jid, data.groupName);
+
+    const contentType = data.contentType || 'text';
+    const id = `mock-in-${++this._seq}`;
+
+    return {
+      jid: data.jid,
+      text: data.text || '',
+      timestamp: data.timestamp || Math.floor(Date.now() / 1000),
+      contentType,
+      waMessageId: data.waMessageId || id,
+      isFromMe,
+      isGroup: data.isGroup !== undefined ? Boolean(data.isGroup) : data.jid.endsWith('@g.us'),
+      participant: data.participant || null,
+      mentionedJids: data.mentionedJids || [],
+      quotedParticipant: data.quotedParticipant || null,
+      quotedMessageId: data.quotedMessageId || null,
+      pushName: data.pushName || null,
+      hasMedia: Boolean(data.media) || ['image', 'video', 'voice', 'document'].includes(contentType),
+      rawMsg: { id, media: data.media || null, mimetype: data.mimetype || null, filename: data.filename || null },
+      sourceLib: 'mock',
+    };
+  }
+
+  // --- Outbound (recorded instead of sent) ---
+
+  async sendMessage(jid, text) {
+    return this._record({ type: 'text', jid, text });
+  }
+
+  async sendMedia(jid, media, options = {}) {
+    return this._record({
+      type: 'media',
+      jid,
+      mimetype: options.mimetype || 'application/octet-stream',
+      filename: options.filename || null,
+      caption: options.caption || null,
+      ptt: options.ptt || false,
+      size: Buffer.isBuffer(media) ? media.length : null,
+      media,
+    });
+  }
+
+  async simulateTyping(jid, durationMs = 2000) {
+    // No real delay — tests should not wait on cosmetic typing indicators
+    this._record({ type: 'typing', jid, durationMs });
+  }
+
+  _record(entry) {
+    const record = { id: `mock-out-${++this._seq}`, ...entry, at: Date.now() };
+    this.sent.push(record);
+    if (this.sent.length > MAX_RECORDED) this.sent.shift();
+
+    // Resolve any pending waitForSend() calls that match
+    this._waiters = this._waiters.filter((w) => {
+      if (!w.predicate(record)) return true;
+      clearTimeout(w.timer);
+      w.resolve(record);
+      return false;
+    });
+
+    logger.debug({ jid: record.jid, type: record.type }, 'MockAdapter recorded outbound');
+    return record;
+  }
+
+  // --- Inspection API ---
+
+  /**
+   * List recorded outbound entries, optionally filtered.
+   * @param {object} [filter] - { jid, type } (type: text|media|typing)
+   */
+  getSent(filter = {}) {
+    return this.sent.filter((s) =>
+      (!filter.jid || s.jid === filter.jid) && (!filter.type || s.type === filter.type)
+    );
+  }
+
+  clearSent() {
+    this.sent = [];
+  }
+
+  /**
+   * Resolve with the next recorded entry matching the predicate.
+   * Lets scripts await the async pipeline instead of sleeping.
+   * @param {Function} [predicate] - (record) => boolean, defaults to any text send
+   * @param {number} [timeoutMs=10000]
+   * @returns {Promise<object>}
+   */
+  waitForSend(predicate = (r) => r.type === 'text', timeoutMs = 10000) {
+    return new Promise((resolve, reject) => {
+      const waiter = { predicate, resolve };
+      waiter.timer = setTimeout(() => {
+        this._waiters = this._waiters.filter((w) => w !== waiter);
+        reject(new Error(`No matching send within ${timeoutMs}ms`));
+      }, timeoutMs);
+      this._waiters.push(waiter);
+    });
+  }
+
+  /**
+   * Media injected with the message (`media` / `mimetype` / `filename`), if any.
+   */
+  async downloadMedia(msg) {
+    const raw = msg.rawMsg || {};
+    if (!raw.media) return null;
+    return { data: raw.media, mimetype: raw.mimetype || 'application/octet-stream', filename: raw.filename || null };
+  }
+
+  getOwnJid() {
+    return this.ownJid;
+  }
+
+  async getGroupName(jid) {
+    return this._groupNames.get(jid) || null;
+  }
+
+  async disconnect() {
+    this._ready = false;
+    for (const w of this._waiters) clearTimeout(w.timer);
+    this._waiters = [];
+  }
+
+  isReady() {
+    return this._ready;
+  }
+}
+
+module.exports = MockAdapter;
@@ -2,7 +2,7 @@
 
 /**
  * Transport Manager — factory + unified API for WhatsApp libraries.
- * Delegates to the active adapter (webjs or baileys).
+ * Delegates to the active adapter (webjs, baileys, or the in-process mock).
  * All modules interact with WhatsApp through this interface only.
  */
 
@@ -22,6 +22,9 @@ async function connect() {
   if (lib === 'baileys') {
     const BaileysAdapter = require('./baileys.adapter');
     adapter = new BaileysAdapter();
+  } else if (lib === 'mock') {
+    const MockAdapter = require('./mock.adapter');
+    adapter = new MockAdapter();
   } else {
     const WebJsAdapter = require('./webjs.adapter');
     adapter = new WebJsAdapter();
@@ -69,6 +72,16 @@ async function sendMedia(jid, media, options = {}) {
   return adapter.sendMedia(jid, media, options);
 }
 
+/**
+ * Download the media attached to an inbound message.
+ * @param {object} msg - Normalized message (needs rawMsg)
+ * @returns {Promise<{ data: Buffer, mimetype: string, filename: string|null }|null>}
+ */
+async function downloadMedia(msg) {
+  if (!adapter) throw new Error('Transport not initialized');
+  return adapter.downloadMedia(msg);
+}
+
 /**
  * Simulate typing indicator.
  */
@@ -95,16 +108,45 @@ function isReady() {
   return adapter !== null && adapter.isReady();
 }
 
+/**
+ * JID of the account the bot is logged in as (null before login).
+ */
+function getOwnJid() {
+  return adapter ? adapter.getOwnJid() : null;
+}
+
+/**
+ * Display name (subject) of a group chat.
+ * @param {string} jid - Group JID (@g.us)
+ * @returns {Promise<string|null>}
+ */
+async function getGroupName(jid) {
+  if (!adapter) return null;
+  return adapter.getGroupName(jid);
+}
+
 function getLib() {
   return config.whatsapp.lib;
 }
 
+/**
+ * Get the active adapter instance (e.g. the MockAdapter for scripted runs).
+ * @returns {object|null}
+ */
+function getAdapter() {
+  return adapter;
+}
+
 module.exports = {
   connect,
   sendMessage,
   sendMedia,
+  downloadMedia,
   simulateTyping,
   disconnect,
   isReady,
+  getOwnJid,
+  getGroupName,
   getLib,
+  getAdapter,
 };
@@ -150,10 +150,14 @@ class WebJsAdapter extends EventEmitter {
       jid: contact,
       text: msg.body || '',
       timestamp: msg.timestamp || Math.floor(Date.now() / 1000),
-      contentType: msg.type || 'text',
+      contentType: _contentType(msg.type),
       waMessageId: msg.id ? msg.id._serialized : null,
       isFromMe,
       isGroup,
+      participant: isGroup ? (msg.author || null) : null,
+      mentionedJids: (msg.mentionedIds || []).map(_serialized),
+      quotedParticipant: msg.hasQuotedMsg && msg._data ? _serialized(msg._data.quotedParticipant) : null,
+      quotedMessageId: msg.hasQuotedMsg && msg._data ? (msg._data.quotedStanzaID || null) : null,
       pushName: msg._data && msg._data.notifyName ? msg._data.notifyName : null,
       hasMedia: msg.hasMedia || false,
       rawMsg: msg,
@@ -169,7 +173,7 @@ class WebJsAdapter extends EventEmitter {
       jid: msg.to,
       text: msg.body || '',
       timestamp: msg.timestamp || Math.floor(Date.now() / 1000),
-      contentType: msg.type || 'text',
+      contentType: _contentType(msg.type),
       waMessageId: msg.id ? msg.id._serialized : null,
       isFromMe: true,
       isGroup: msg.to ? msg.to.endsWith('@g.us') : false,
@@ -232,6 +236,29 @@ class WebJsAdapter extends EventEmitter {
     }
   }
 
+  /**
+   * Download the media of an inbound message.
+   * @returns {Promise<{ data: Buffer, mimetype: string, filename: string|null }|null>}
+   */
+  async downloadMedia(msg) {
+    if (!msg.rawMsg || !msg.rawMsg.hasMedia) return null;
+    const media = await msg.rawMsg.downloadMedia();
+    if (!media) return null;
+    return { data: Buffer.from(media.data, 'base64'), mimetype: media.mimetype, filename: media.filename || null };
+  }
+
+  /**
+   * The logged-in account's JID (e.g. 9779800000000@c.us).
+   */
+  getOwnJid() {
+    return this.client && this.client.info ? this.client.info.wid._serialized : null;
+  }
+
+  async getGroupName(jid) {
+    const chat = await this.client.getChatById(jid);
+    return chat ? chat.name : null;
+  }
+
   async disconnect() {
     this._ready = false;
     if (this.client) {
@@ -245,4 +272,30 @@ class WebJsAdapter extends EventEmitter {
   }
 }
 
+/**
+ * whatsapp-web.js hands out ids either as strings or as { _serialized } objects.
+ */
+function _serialized(id) {
+  if (!id) return null;
+  return typeof id === 'string' ? id : id._serialized || null;
+}
+
+/**
+ * Map whatsapp-web.js message types onto the content types Baileys produces
+ * (chat → text, ptt/audio → voice).
+ */
+const CONTENT_TYPES = {
+  chat: 'text',
+  ptt: 'voice',
+  audio: 'voice',
+  image: 'image',
+  video: 'video',
+  document: 'document',
+  sticker: 'sticker',
+};
+
+function _contentType(type) {
+  return CONTENT_TYPES[type] || (type ? type : 'text');
+}
+
 module.exports = WebJsAdapter;
@@ -0,0 +1,104 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { OWNER_JID, useTestEnv, migrate } = require('./support');
+
+useTestEnv({ OWNER_WORKING_HOURS: 'Mon-Sun 09:00-17:00', BOOKING_MIN_NOTICE_MINUTES: '0' });
+const booking = require('../src/services/appointment-booking');
+const scheduleAssistant = require('../src/services/schedule-assistant');
+const schedulesRepo = require('../src/database/repositories/schedules.repo');
+const contactsRepo = require('../src/database/repositories/contacts.repo');
+const transport = require('../src/transport/transport-manager');
+
+const ALICE = '977111@c.us';
+const BOB = '977222@c.us';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let adapter;
+
+before(async () => {
+  migrate();
+  contactsRepo.upsert(ALICE);
+  contactsRepo.upsert(BOB);
+  await transport.connect();
+  adapter = transport.getAdapter();
+});
+
+after(() => require('../src/database/connection').closeDb());
+
+// A day ahead of today (UTC, the test zone) as YYYY-MM-DD; each test takes its own
+const dayAhead = (days) => new Date(Date.now() + days * DAY_MS).toISOString().substring(0, 10);
+const at = (day, hhmm) => new Date(`${day}T${hhmm}:00Z`);
+const hhmm = (date) => date.toISOString().substring(11, 16);
+
+function busy(day, start, minutes) {
+  return scheduleAssistant.createEvent(null, { title: 'Busy', date: `${day}T${start}`, durationMinutes: minutes }).id;
+}
+
+test('free periods are working hours minus overlapping schedules', () => {
+  const day = dayAhead(2);
+  busy(day, '10:00', 60);
+  busy(day, '10:30', 60);
+  busy(day, '16:30', 60);
+
+  const periods = booking.freePeriods(at(day, '00:00'), at(dayAhead(3), '00:00'));
+  assert.deepEqual(periods.map((p) => [hhmm(p.start), hhmm(p.end)]), [['09:00', '10:00'], ['11:30', '16:30']]);
+});
+
+test('slots on a given day sit on the half-hour grid an hour apart', () => {
+  const day = dayAhead(3);
+  busy(day, '09:00', 70);
+
+  assert.deepEqual(booking.freeSlots({ day, minutes: 30 }).map(hhmm), ['10:30', '11:30', '12:30', '13:30', '14:30']);
+  // A 90-minute slot has to end by 17:00
+  assert.deepEqual(booking.freeSlots({ day, minutes: 90, limit: 10 }).map(hhmm), ['10:30', '11:30', '12:30', '13:30', '14:30', '15:30']);
+});
+
+test('slots without a day are spread out over the coming days', () => {
+  const slots = booking.freeSlots({ limit: 12 });
+  assert.equal(slots.length, 12);
+  const now = Date.now();
+  for (const [i, slot] of slots.entries()) {
+    assert.ok(slot.getTime() >= now);
+    assert.equal(slot.getTime() % (30 * 60 * 1000), 0);
+    assert.ok(hhmm(slot) >= '09:00' && hhmm(slot) <= '16:30');
+    const previous = slots[i - 1];
+    if (previous && previous.toISOString().substring(0, 10) === slot.toISOString().substring(0, 10)) {
+      assert.ok(slot - previous >= 3 * 60 * 60 * 1000, `${previous.toISOString()} → ${slot.toISOString()}`);
+    }
+  }
+});
+
+test('a tentative booking blocks the time for everyone else', async () => {
+  const day = dayAhead(4);
+  adapter.clearSent();
+
+  assert.match(await booking.requestBooking(ALICE, { date: `${day}T10:00` }), /pencilled in "Meeting with 977111"/);
+  const [pending] = booking.listPending();
+  assert.equal(pending.status, 'tentative');
+  assert.ok(adapter.getSent({ jid: OWNER_JID }).some((s) => s.text.includes(`!confirm ${pending.id}`)));
+
+  assert.deepEqual(booking.findConflicts(at(day, '10:15'), 30).map((c) => c.schedule.id), [pending.id]);
+  assert.deepEqual(booking.findConflicts(at(day, '10:30'), 30), []);
+  assert.deepEqual(booking.findConflicts(at(day, '10:15'), 30, { excludeId: pending.id }), []);
+
+  const reply = await booking.requestBooking(BOB, { date: `${day}T10:15` });
+  assert.match(reply, /doesn't work — .* is already booked then/);
+  assert.ok(!reply.includes('10:00'), 'the booked half hour is not offered again');
+  assert.match(await booking.requestBooking(BOB, { date: `${day}T18:00` }), /outside .*working hours/);
+  assert.equal(booking.listPending().length, 1);
+});
+
+test('confirming refuses a booking that now overlaps, unless forced', async () => {
+  const day = dayAhead(5);
+  await booking.requestBooking(ALICE, { date: `${day}T14:00`, minutes: 60 });
+  const [pending] = booking.listPending().filter((b) => b.event_at.startsWith(day));
+  const clash = busy(day, '14:30', 30);
+
+  await assert.rejects(booking.confirm(pending.id), (err) => err.status === 409 && err.message.includes(`#${clash} Busy`));
+  assert.equal(schedulesRepo.getById(pending.id).status, 'tentative');
+
+  assert.equal((await booking.confirm(pending.id, { force: true })).status, 'active');
+  await assert.rejects(booking.confirm(pending.id), (err) => err.status === 409);
+});
@@ -0,0 +1,100 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnv, migrate } = require('./support');
+
+const CONTACT = '977999@c.us';
+const OTHER = '977998@c.us';
+
+let availabilityModes;
+let adapter;
+
+before(async () => {
+  useTestEnv();
+  migrate();
+  require('../src/database/repositories/contacts.repo').upsert(CONTACT);
+  availabilityModes = require('../src/services/availability-modes');
+  const transport = require('../src/transport/transport-manager');
+  await transport.connect();
+  adapter = transport.getAdapter();
+});
+
+after(() => require('../src/database/connection').closeDb());
+
+const owner = () => require('../src/config').persona.ownerName;
+
+test('a mode comes on by its schedule and a manual switch wins until auto', () => {
+  assert.equal(availabilityModes.current().name, 'available');
+  availabilityModes.updateMode('sleeping', { schedule: 'Mon-Sun 00:00-24:00', hint: '{owner} is asleep.' });
+
+  const scheduled = availabilityModes.current();
+  assert.equal(scheduled.name, 'sleeping');
+  assert.equal(scheduled.source, 'schedule');
+  // Back-to-back days make one period
+  assert.ok(scheduled.until - scheduled.since > 2 * 24 * 60 * 60 * 1000);
+  assert.equal(availabilityModes.promptHint(), `${owner()} is asleep.`);
+
+  const focus = availabilityModes.setMode('Focus', '2h');
+  assert.equal(focus.name, 'focus');
+  assert.equal(focus.source, 'manual');
+  assert.ok(Math.abs(focus.until - Date.now() - 2 * 60 * 60 * 1000) < 2000);
+  assert.match(availabilityModes.promptHint(), /focus time/);
+
+  assert.equal(availabilityModes.setMode('available').name, 'available');
+  assert.equal(availabilityModes.promptHint(), null);
+  assert.equal(availabilityModes.setMode('auto').name, 'sleeping');
+
+  availabilityModes.updateMode('sleeping', { schedule: '' });
+  assert.equal(availabilityModes.current().name, 'available');
+});
+
+test('mode settings and switches are validated', () => {
+  assert.throws(() => availabilityModes.setMode('napping'), (err) => err.status === 400 && /Unknown mode "napping"/.test(err.message));
+  assert.throws(() => availabilityModes.setMode('focus', 'forever'), /Invalid duration/);
+  assert.throws(() => availabilityModes.setMode('focus', '31d'), /at most 30 days/);
+  assert.throws(() => availabilityModes.updateMode('available', {}), (err) => err.status === 404);
+  assert.throws(() => availabilityModes.updateMode('working', { schedule: 'Mon 9-5' }), (err) => err.status === 400);
+  assert.throws(() => availabilityModes.updateMode('working', { alert_tiers: '2,7' }), /VIP tiers are 0, 1, 2, 3/);
+
+  assert.equal(availabilityModes.updateMode('working', { alert_tiers: [3, '2', 3] }).alert_tiers, '2,3');
+  assert.equal(availabilityModes.updateMode('working', { alert_tiers: '' }).alert_tiers, null);
+});
+
+test('only the mode\'s alert tiers reach the owner', () => {
+  availabilityModes.updateMode('traveling', { alert_tiers: '2,3' });
+  availabilityModes.setMode('traveling');
+  assert.equal(availabilityModes.alertFor({ jid: CONTACT, vip_tier: 3 }).name, 'traveling');
+  assert.equal(availabilityModes.alertFor({ jid: CONTACT, vip_tier: 0 }), null);
+  assert.equal(availabilityModes.alertFor({ jid: CONTACT }), null);
+
+  availabilityModes.setMode('available');
+  assert.equal(availabilityModes.alertFor({ jid: CONTACT, vip_tier: 3 }), null);
+});
+
+test('a contact alerts the owner once per mode period', () => {
+  const vip = { jid: CONTACT, vip_tier: 3 };
+  availabilityModes.updateMode('focus', { alert_tiers: '3' });
+  availabilityModes.setMode('focus');
+  assert.equal(availabilityModes.alertFor(vip).name, 'focus');
+  assert.equal(availabilityModes.alertFor(vip), null);
+  assert.equal(availabilityModes.alertFor({ jid: OTHER, vip_tier: 3 }).name, 'focus');
+
+  availabilityModes.setMode('traveling');
+  assert.equal(availabilityModes.alertFor(vip).name, 'traveling');
+  assert.equal(availabilityModes.alertFor(vip), null);
+  availabilityModes.setMode('available');
+});
+
+test('the away message goes to each contact once while the mode is on', async () => {
+  availabilityModes.updateMode('traveling', { away_message: '{owner} is travelling and will reply later.' });
+  availabilityModes.setMode('traveling');
+  adapter.clearSent();
+
+  assert.equal(await availabilityModes.sendAwayMessage({ jid: CONTACT }), true);
+  assert.equal(await availabilityModes.sendAwayMessage({ jid: CONTACT }), false);
+  assert.deepEqual(adapter.getSent({ jid: CONTACT }).map((s) => s.text), [`${owner()} is travelling and will reply later.`]);
+
+  availabilityModes.setMode('available');
+  assert.equal(await availabilityModes.sendAwayMessage({ jid: CONTACT }), false);
+});
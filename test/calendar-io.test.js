@@ -0,0 +1,120 @@
+'use strict';
+
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnv, migrate } = require('./support');
+
+useTestEnv({ OWNER_TIMEZONE: 'Asia/Kathmandu' });
+const calendarIo = require('../src/services/calendar-io');
+const schedulesRepo = require('../src/database/repositories/schedules.repo');
+
+const ICS = [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'PRODID:-//Test//EN',
+  'BEGIN:VEVENT',
+  'UID:standup@example.com',
+  'DTSTART;TZID=Europe/London:20301104T093000',
+  'DURATION:PT15M',
+  'RRULE:FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20301231T235959Z',
+  'EXDATE;TZID=Europe/London:20301106T093000',
+  'SUMMARY:Stand-up\\, team',
+  'BEGIN:VALARM',
+  'ACTION:DISPLAY',
+  'TRIGGER:-PT10M',
+  'END:VALARM',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:dentist@example.com',
+  'DTSTART:20301110T040000Z',
+  'DTEND:20301110T044500Z',
+  'SUMMARY:Dentist',
+  'DESCRIPTION:Bring the x-ray\\nRoom 4',
+  'BEGIN:VALARM',
+  'ACTION:DISPLAY',
+  'TRIGGER:-PT0M',
+  'END:VALARM',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:moved@example.com',
+  'RECURRENCE-ID:20301104T093000Z',
+  'DTSTART:20301105T093000Z',
+  'SUMMARY:Moved occurrence',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:old@example.com',
+  'DTSTART:20200101T100000Z',
+  'SUMMARY:Long gone',
+  'END:VEVENT',
+  'END:VCALENDAR',
+].join('\r\n');
+
+before(() => {
+  migrate();
+});
+
+test('a dry run reports without writing', () => {
+  const report = calendarIo.importCalendar(ICS, { dryRun: true });
+  assert.equal(report.events, 4);
+  assert.equal(report.created, 2);
+  assert.equal(schedulesRepo.listForExport().length, 0);
+});
+
+test('import creates supported events and explains the skipped ones', () => {
+  const report = calendarIo.importCalendar(ICS);
+  assert.equal(report.created, 2);
+  assert.deepEqual(report.skipped.map((s) => s.uid).sort(), ['moved@example.com', 'old@example.com']);
+  assert.match(report.skipped.find((s) => s.uid === 'moved@example.com').reason, /RECURRENCE-ID/);
+
+  const [standup, dentist] = ['standup@example.com', 'dentist@example.com']
+    .map((uid) => schedulesRepo.listForExport().find((s) => s.ical_uid === uid));
+  assert.equal(standup.title, 'Stand-up, team');
+  assert.equal(standup.timezone, 'Europe/London');
+  assert.equal(standup.duration_minutes, 15);
+  assert.equal(standup.remind_minutes, 10);
+  assert.match(standup.recurrence, /^FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20301231/);
+  assert.match(standup.skip_dates, /2030-11-06/);
+
+  assert.equal(dentist.description, 'Bring the x-ray\nRoom 4');
+  assert.equal(dentist.duration_minutes, 45);
+  // An alarm at the start is a reminder of 0 minutes, not none
+  assert.equal(dentist.remind_minutes, 0);
+  // A UTC one-off takes the owner's zone
+  assert.equal(dentist.timezone, 'Asia/Kathmandu');
+});
+
+test('export writes the series back as iCalendar', () => {
+  const { content, count } = calendarIo.exportCalendar();
+  assert.equal(count, 2);
+  assert.match(content, /^BEGIN:VCALENDAR\r\n/);
+  assert.match(content, /UID:standup@example\.com/);
+  assert.match(content, /DTSTART;TZID=Europe\/London:20301104T093000/);
+  assert.match(content, /RRULE:FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20301231T235959Z/);
+  assert.match(content, /EXDATE;TZID=Europe\/London:20301106T093000/);
+  assert.match(content, /SUMMARY:Stand-up\\, team/);
+  assert.match(content, /TRIGGER:-PT10M/);
+  assert.match(content, /DTSTART;TZID=Asia\/Kathmandu:20301110T094500/);
+  assert.match(content, /DESCRIPTION:Bring the x-ray\\nRoom 4/);
+  assert.match(content, /TRIGGER:-PT0M/);
+  // Folded lines are at most 75 octets
+  for (const line of content.split('\r\n')) assert.ok(Buffer.byteLength(line) <= 75, line);
+});
+
+test('re-importing the export changes nothing', () => {
+  const report = calendarIo.importCalendar(calendarIo.exportCalendar().content);
+  assert.equal(report.unchanged, 2);
+  assert.equal(report.created + report.updated, 0);
+  assert.deepEqual(report.skipped, []);
+});
+
+test('an edited event updates the schedule with its UID', () => {
+  const report = calendarIo.importCalendar(ICS.replace('SUMMARY:Dentist', 'SUMMARY:Dentist (check-up)'));
+  assert.equal(report.updated, 1);
+  assert.equal(report.unchanged, 1);
+  assert.ok(schedulesRepo.listForExport().some((s) => s.title === 'Dentist (check-up)'));
+});
+
+test('rejects files that are not calendars', () => {
+  assert.throws(() => calendarIo.importCalendar(''), (err) => err.status === 400);
+  assert.throws(() => calendarIo.importCalendar('hello'), (err) => err.status === 400);
+});
@@ -0,0 +1,66 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnv, startLlmStub, migrate } = require('./support');
+
+const ANA = '977444@c.us';
+const RAM = '977555@c.us';
+
+let stub;
+let chatSession;
+let chatSessionsRepo;
+
+before(async () => {
+  stub = await startLlmStub([['', 'Noted.']]);
+  // Each turn below is 10 + 2 tokens, so three turns overflow the budget
+  useTestEnv({ OPENAI_BASE_URL: stub.url, CHAT_HISTORY_TOKEN_BUDGET: '30' });
+  migrate();
+  const contactsRepo = require('../src/database/repositories/contacts.repo');
+  contactsRepo.upsert(ANA);
+  contactsRepo.upsert(RAM);
+  chatSession = require('../src/ai/chat-session');
+  chatSessionsRepo = require('../src/database/repositories/chat-sessions.repo');
+});
+
+after(async () => {
+  chatSession.destroy();
+  require('../src/database/connection').closeDb();
+  await stub.close();
+});
+
+const turn = (n) => `Message number ${n} about the weekend!!`; // 40 chars
+const lastRequest = () => stub.requests[stub.requests.length - 1].messages;
+
+test('history is stored and comes back after the cache is dropped', async () => {
+  await chatSession.reply(ANA, turn(1));
+  await chatSession.reply(ANA, turn(2));
+  assert.equal(chatSessionsRepo.get(ANA).history.length, 4);
+
+  // Same as a restart: nothing cached, everything in SQLite
+  chatSession.invalidate(ANA);
+  assert.equal(chatSession.getInfo(ANA).cached, false);
+  assert.equal(chatSession.getInfo(ANA).turnCount, 2);
+
+  await chatSession.reply(ANA, 'And one more');
+  assert.deepEqual(lastRequest().slice(1).map((m) => m.content), [turn(1), 'Noted.', turn(2), 'Noted.', 'And one more']);
+  assert.equal(chatSession.getInfo(ANA).turnCount, 3);
+
+  chatSession.reset(ANA);
+  assert.equal(chatSessionsRepo.get(ANA), null);
+  assert.equal(chatSession.getInfo(ANA), null);
+});
+
+test('old turns are dropped to the token budget and the summary takes their place', async () => {
+  const summariesRepo = require('../src/database/repositories/summaries.repo');
+  for (const n of [1, 2, 3]) await chatSession.reply(RAM, turn(n));
+  assert.doesNotMatch(lastRequest()[0].content, /Summary of your earlier conversation/);
+  assert.deepEqual(chatSessionsRepo.get(RAM).history.map((m) => m.content), [turn(2), 'Noted.', turn(3), 'Noted.']);
+  assert.equal(chatSession.getInfo(RAM).droppedTurns, 1);
+
+  summariesRepo.insert({ jid: RAM, summary_text: 'They asked about the weekend trip.', message_range: { count: 2 } });
+  await chatSession.reply(RAM, turn(4));
+  const messages = lastRequest();
+  assert.match(messages[0].content, /Summary of your earlier conversation with this person:\nThey asked about the weekend trip\.$/);
+  assert.deepEqual(messages.slice(1).map((m) => m.content), [turn(2), 'Noted.', turn(3), 'Noted.', turn(4)]);
+});
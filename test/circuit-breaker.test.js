@@ -0,0 +1,65 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { CircuitBreaker, STATES } = require('../src/ai/circuit-breaker');
+
+function breaker() {
+  return new CircuitBreaker({ name: 'test#1', threshold: 3, cooldownMs: 60000 });
+}
+
+// Let the open period run out without waiting for it
+function expire(b) {
+  b.openUntil = Date.now() - 1;
+}
+
+test('opens after threshold consecutive failures', () => {
+  const b = breaker();
+  b.recordFailure(new Error('boom'));
+  b.recordFailure(new Error('boom'));
+  assert.equal(b.state, STATES.CLOSED);
+  assert.equal(b.canRequest(), true);
+
+  b.recordFailure(new Error('boom'));
+  assert.equal(b.state, STATES.OPEN);
+  assert.equal(b.canRequest(), false);
+  assert.equal(b.isOpen(), true);
+  assert.ok(b.remainingMs() > 59000);
+  assert.equal(b.snapshot().lastError, 'boom');
+});
+
+test('a success resets the failure count', () => {
+  const b = breaker();
+  b.recordFailure();
+  b.recordFailure();
+  b.recordSuccess();
+  b.recordFailure();
+  assert.equal(b.state, STATES.CLOSED);
+});
+
+test('after the cooldown one trial goes through; success closes', () => {
+  const b = breaker();
+  b.trip(30);
+  assert.ok(b.remainingMs() <= 30000 && b.remainingMs() > 29000);
+  expire(b);
+  assert.equal(b.snapshot().state, STATES.HALF_OPEN);
+
+  assert.equal(b.canRequest(), true);
+  assert.equal(b.state, STATES.HALF_OPEN);
+  assert.equal(b.canRequest(), false, 'only one trial at a time');
+  assert.equal(b.isOpen(), true);
+
+  b.recordSuccess();
+  assert.equal(b.state, STATES.CLOSED);
+  assert.equal(b.canRequest(), true);
+});
+
+test('a failed trial re-opens at once', () => {
+  const b = breaker();
+  b.trip(1);
+  expire(b);
+  assert.equal(b.canRequest(), true);
+  b.recordFailure(new Error('still down'));
+  assert.equal(b.state, STATES.OPEN);
+  assert.equal(b.canRequest(), false);
+});
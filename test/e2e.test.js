@@ -0,0 +1,88 @@
+'use strict';
+
+/**
+ * End-to-end run of the message pipeline on the mock transport: contact
+ * messages in, AI replies out, owner commands and takeovers.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { OWNER_JID, useTestEnv, startLlmStub, migrate } = require('./support');
+
+const CONTACT = '9771234567@c.us';
+let stub;
+let adapter;
+
+before(async () => {
+  stub = await startLlmStub([
+    ['Analyze this WhatsApp message', '{"intent":"general","confidence":0.9,"mood":"neutral","moodIntensity":0.1,"language":"en"}'],
+    ['Does the contact promise', '{"hasCommitment":false}'],
+    ['follow up later', '{"hasFollowUp":false}'],
+    ['still open', '{"resolved":[]}'],
+    ['', 'Hi Sita! Bhuwan is out, but I can help.'],
+  ]);
+  useTestEnv({ OPENAI_BASE_URL: stub.url });
+  migrate();
+
+  require('../src/services/usage-tracker').init();
+  require('../src/services/contact-manager').init();
+  require('../src/services/admin-commands').init();
+  require('../src/services/message-router').init();
+  const transport = require('../src/transport/transport-manager');
+  await transport.connect();
+  adapter = transport.getAdapter();
+});
+
+after(async () => {
+  require('../src/database/connection').closeDb();
+  await stub.close();
+});
+
+const toContact = (s) => s.type === 'text' && s.jid === CONTACT;
+const toOwner = (s) => s.type === 'text' && s.jid === OWNER_JID;
+
+// Resolves after the pipeline has had time to answer (or not)
+const settle = () => new Promise((resolve) => setTimeout(resolve, 300));
+
+test('a contact message gets an AI reply, and both are stored', async () => {
+  adapter.clearSent();
+  adapter.injectInbound({ jid: CONTACT, pushName: 'Sita', text: 'Hey, is Bhuwan around today?' });
+  const reply = await adapter.waitForSend(toContact, 5000);
+  assert.equal(reply.text, 'Hi Sita! Bhuwan is out, but I can help.');
+  await settle();
+
+  const messagesRepo = require('../src/database/repositories/messages.repo');
+  const stored = messagesRepo.getRecent(CONTACT, 10);
+  assert.deepEqual(stored.map((m) => m.direction), ['inbound', 'outbound']);
+  // The reply's tokens are the provider's count, not an estimate; inbound rows have none
+  assert.equal(stored[1].token_count, 7);
+  assert.equal(stored[0].token_count, null);
+  assert.equal(require('../src/database/repositories/contacts.repo').getByJid(CONTACT).display_name, 'Sita');
+
+  const chat = stub.requests.find((r) => r.messages.some((m) => m.role === 'system'));
+  assert.ok(chat, 'the reply came from a chat completion with a system prompt');
+});
+
+test('owner commands are answered in the owner chat', async () => {
+  adapter.clearSent();
+  adapter.injectOwner({ jid: OWNER_JID, text: '!help' });
+  const help = await adapter.waitForSend(toOwner, 5000);
+  assert.match(help.text, /Admin Commands/);
+});
+
+test('the bot stays silent after the owner replies, until resumed', async () => {
+  adapter.injectOwner({ jid: CONTACT, text: "I'm here now, what's up?" });
+  await settle();
+
+  adapter.clearSent();
+  adapter.injectInbound({ jid: CONTACT, pushName: 'Sita', text: 'Oh great, can we talk?' });
+  await settle();
+  assert.deepEqual(adapter.getSent({ jid: CONTACT }), []);
+
+  adapter.injectOwner({ jid: OWNER_JID, text: `!resume ${CONTACT}` });
+  await adapter.waitForSend(toOwner, 5000);
+  adapter.clearSent();
+  adapter.injectInbound({ jid: CONTACT, pushName: 'Sita', text: 'Hello again, anyone there?' });
+  const reply = await adapter.waitForSend(toContact, 5000);
+  assert.ok(reply.text.length > 0);
+});
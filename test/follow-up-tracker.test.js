@@ -0,0 +1,121 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { OWNER_JID, useTestEnv, startLlmStub, migrate } = require('./support');
+
+const CONTACT = '977123@c.us';
+
+let stub;
+let resolution = { resolved: [] };
+let followUpTracker;
+let followUpsRepo;
+let adapter;
+
+before(async () => {
+  stub = await startLlmStub([
+    ['still open', () => JSON.stringify(resolution)],
+    ['Does the contact promise', '{"hasCommitment":true,"description":"Send the documents","dueHours":48,"priority":3}'],
+    ['gently checking on something', '"Hi! Any news on the documents? 😊"'],
+  ]);
+  useTestEnv({ OPENAI_BASE_URL: stub.url, FOLLOWUP_MAX_REMINDERS: '3', FOLLOWUP_MAX_REMINDERS_BY_PRIORITY: '4=5' });
+  migrate();
+  require('../src/database/repositories/contacts.repo').upsert(CONTACT, { display_name: 'Gita' });
+  followUpTracker = require('../src/services/follow-up-tracker');
+  followUpsRepo = require('../src/database/repositories/follow-ups.repo');
+  const transport = require('../src/transport/transport-manager');
+  await transport.connect();
+  adapter = transport.getAdapter();
+});
+
+after(async () => {
+  require('../src/database/connection').closeDb();
+  await stub.close();
+});
+
+const tomorrow = () => new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().replace('T', ' ').substring(0, 19);
+
+test('FOLLOWUP_MAX_REMINDERS_BY_PRIORITY overrides the cap for that priority only', () => {
+  assert.equal(followUpTracker.reminderCap(4), 5);
+  assert.equal(followUpTracker.reminderCap(2), 3);
+
+  const overdue = '2026-01-01 09:00:00';
+  const urgent = followUpsRepo.create({ jid: CONTACT, description: 'Send the contract', due_at: overdue, priority: 4 });
+  const normal = followUpsRepo.create({ jid: CONTACT, description: 'Share the photos', due_at: overdue, priority: 2 });
+
+  const reminded = { [urgent]: 0, [normal]: 0 };
+  for (let run = 0; run < 6; run++) {
+    for (const r of followUpTracker.getReminders()) reminded[r.id]++;
+  }
+  assert.deepEqual(reminded, { [urgent]: 5, [normal]: 3 });
+  assert.equal(followUpsRepo.getById(urgent).status, 'expired');
+  assert.equal(followUpsRepo.getById(normal).status, 'expired');
+});
+
+test('an owner message that fulfils a follow-up resolves it, with a note the owner can undo', async () => {
+  const contract = followUpsRepo.create({ jid: CONTACT, description: 'Send the contract', due_at: tomorrow() });
+  const photos = followUpsRepo.create({ jid: CONTACT, description: 'Share the photos', due_at: tomorrow() });
+  resolution = { resolved: [{ id: contract, reason: 'Attached the signed contract' }, { id: 9999 }] };
+
+  const calls = stub.requests.length;
+  assert.deepEqual(await followUpTracker.checkOwnerMessage(CONTACT, 'ok 👍', 41), []);
+  assert.equal(stub.requests.length, calls, 'short messages are not checked');
+
+  adapter.clearSent();
+  assert.deepEqual(await followUpTracker.checkOwnerMessage(CONTACT, 'Here is the signed contract, have a look', 42), [contract]);
+  const resolved = followUpsRepo.getById(contract);
+  assert.equal(resolved.status, 'resolved');
+  assert.equal(resolved.resolved_by, 'auto');
+  assert.equal(resolved.resolution_note, 'Attached the signed contract');
+  assert.equal(resolved.resolved_message_id, 42);
+  assert.equal(followUpsRepo.getById(photos).status, 'pending');
+
+  const [notice] = adapter.getSent({ jid: OWNER_JID });
+  assert.match(notice.text, new RegExp(`F${contract} for Gita resolved from your message: Send the contract`));
+  assert.match(notice.text, new RegExp(`!followups undo F${contract}$`));
+
+  const reopened = followUpTracker.reopen(`F${contract}`);
+  assert.equal(reopened.status, 'pending');
+  assert.equal(reopened.resolution_note, 'Undone: Attached the signed contract');
+  // Once undone, the model isn't asked about it again
+  assert.deepEqual(await followUpTracker.checkOwnerMessage(CONTACT, 'Here is the signed contract again', 43), []);
+  assert.equal(followUpsRepo.getById(contract).status, 'pending');
+  assert.throws(() => followUpTracker.reopen(`F${photos}`), (err) => err.status === 409);
+});
+
+test('a contact\'s promise becomes a follow-up waiting on them', async () => {
+  const calls = stub.requests.length;
+  assert.equal(await followUpTracker.analyzeInbound(CONTACT, 'thanks, that is great'), null);
+  assert.equal(stub.requests.length, calls, 'no promise wording, no model call');
+
+  const id = await followUpTracker.analyzeInbound(CONTACT, "I'll send the documents by Friday", { messageId: 7 });
+  const followUp = followUpsRepo.getById(id);
+  assert.equal(followUp.status, 'waiting');
+  assert.equal(followUp.description, 'Send the documents');
+  assert.equal(followUp.priority, 3);
+  assert.equal(followUp.trigger_message_id, 7);
+  const hours = (Date.parse(`${followUp.due_at.replace(' ', 'T')}Z`) - Date.now()) / 3600000;
+  assert.ok(hours > 47.9 && hours <= 48);
+
+  // Waiting on the contact, so the owner's own messages don't resolve it
+  resolution = { resolved: [{ id, reason: 'Thanked them' }] };
+  assert.deepEqual(await followUpTracker.checkOwnerMessage(CONTACT, 'Thanks for letting me know!', 44), []);
+});
+
+test('nudging reminds the contact politely and pauses the owner\'s reminders', async () => {
+  const [waiting] = followUpTracker.listRecent(CONTACT).filter((f) => f.status === 'waiting');
+  const own = followUpsRepo.create({ jid: CONTACT, description: 'Call back', due_at: tomorrow() });
+  await assert.rejects(followUpTracker.nudge(own), (err) => err.status === 409 && /yours to do/.test(err.message));
+
+  adapter.clearSent();
+  const { followUp, text } = await followUpTracker.nudge(`F${waiting.id}`);
+  assert.equal(text, 'Hi! Any news on the documents? 😊');
+  assert.deepEqual(adapter.getSent({ jid: CONTACT }).map((s) => s.text), [text]);
+  assert.equal(followUp.status, 'waiting');
+  assert.equal(followUp.nudge_count, 1);
+  const pausedHours = (Date.parse(`${followUp.snoozed_until.replace(' ', 'T')}Z`) - Date.now()) / 3600000;
+  assert.ok(pausedHours > 23.9 && pausedHours <= 24);
+
+  await followUpTracker.nudge(waiting.id, 'Any luck with the documents?');
+  assert.equal(adapter.getSent({ jid: CONTACT })[1].text, 'Any luck with the documents?');
+});
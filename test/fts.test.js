@@ -0,0 +1,105 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnv, migrate } = require('./support');
+
+useTestEnv();
+const { toMatchQuery, dateBound } = require('../src/database/fts');
+const { getDb } = require('../src/database/connection');
+const messagesRepo = require('../src/database/repositories/messages.repo');
+const knowledgeRepo = require('../src/database/repositories/knowledge.repo');
+const contactsRepo = require('../src/database/repositories/contacts.repo');
+
+const JID = '977333@c.us';
+
+before(() => {
+  migrate();
+  contactsRepo.upsert(JID);
+});
+
+after(() => require('../src/database/connection').closeDb());
+
+function say(content) {
+  return Number(messagesRepo.insert({ jid: JID, direction: 'inbound', content }));
+}
+
+const ids = (rows) => rows.map((r) => r.id).sort((a, b) => a - b);
+
+test('toMatchQuery quotes every term and keeps quoted phrases', () => {
+  assert.equal(toMatchQuery('Where is the invoice for March?'), '"invoice" "march"');
+  assert.equal(toMatchQuery('invoice march', { mode: 'any' }), '"invoice" OR "march"');
+  assert.equal(toMatchQuery('"late fee" refund'), '"late fee" "refund"');
+  assert.equal(toMatchQuery('"the, end!" now'), '"the end" "now"');
+  // Only filler words: search for them rather than for nothing
+  assert.equal(toMatchQuery('who are you'), '"who" "are" "you"');
+  assert.equal(toMatchQuery('Café Zürich'), '"café" "zürich"');
+  assert.equal(toMatchQuery(''), null);
+  assert.equal(toMatchQuery('?! -- ""'), null);
+});
+
+test('toMatchQuery turns FTS5 operators into plain words', () => {
+  assert.equal(toMatchQuery('pay* -refund'), '"pay" "refund"');
+  assert.equal(toMatchQuery('rent NEAR deposit'), '"rent" "near" "deposit"');
+  assert.equal(toMatchQuery('content:secret AND (NOT spam)^'), '"content" "secret" "not" "spam"');
+  assert.equal(toMatchQuery('say "hi'), '"say" "hi"');
+  assert.equal(toMatchQuery('"unclosed quote'), '"unclosed" "quote"');
+});
+
+test('dateBound compares dates, and a bare end date covers its whole day', () => {
+  assert.deepEqual(dateBound('2026-05-01'), { sql: '>= ?', value: '2026-05-01' });
+  assert.deepEqual(dateBound('2026-05-01', true), { sql: "< date(?, '+1 day')", value: '2026-05-01' });
+  assert.deepEqual(dateBound('2026-05-01T08:30Z', true), { sql: '<= ?', value: '2026-05-01 08:30' });
+  assert.deepEqual(dateBound(' 2026-05-01 08:30:15.123 '), { sql: '>= ?', value: '2026-05-01 08:30:15' });
+  assert.equal(dateBound('yesterday'), null);
+  assert.equal(dateBound('2026-5-1'), null);
+  assert.equal(dateBound(''), null);
+});
+
+test('message search matches all words, phrases and special characters safely', () => {
+  const rent = say('The rent deposit is due on Friday');
+  const near = say('Deposit near the door, rent later');
+  const star = say('Is "pay-as-you-go" available? *urgent*');
+
+  assert.deepEqual(ids(messagesRepo.search('rent deposit')), [rent, near]);
+  assert.deepEqual(ids(messagesRepo.search('"rent deposit"')), [rent]);
+  assert.deepEqual(ids(messagesRepo.search('rent NEAR deposit')), [near]);
+  assert.deepEqual(ids(messagesRepo.search('friday door', { mode: 'any' })), [rent, near]);
+  assert.deepEqual(ids(messagesRepo.search('"pay-as-you-go" *urgent*')), [star]);
+  assert.deepEqual(ids(messagesRepo.search('-rent')), [rent, near]);
+  assert.deepEqual(messagesRepo.search('"'), []);
+
+  const [hit] = messagesRepo.search('friday');
+  assert.match(hit.snippet, /\*Friday\*/);
+  assert.deepEqual(messagesRepo.search('friday', { to: '2000-01-01' }), []);
+  assert.equal(messagesRepo.search('friday', { from: '2000-01-01', jid: JID }).length, 1);
+});
+
+test('the message index follows edits and deletes', () => {
+  const id = say('Meet at the harbour');
+  getDb().prepare('UPDATE messages SET content = ? WHERE id = ?').run('Meet at the station', id);
+  assert.deepEqual(messagesRepo.search('harbour'), []);
+  assert.deepEqual(ids(messagesRepo.search('station')), [id]);
+
+  messagesRepo.deleteRange(JID, id, id);
+  assert.deepEqual(messagesRepo.search('station'), []);
+});
+
+test('knowledge search follows updates, deletes and deactivation', () => {
+  const id = Number(knowledgeRepo.add({ category: 'general', topic: 'parking', question: 'Where do I park?', answer: 'Behind the bakery.', keywords: 'car,garage' }));
+  assert.deepEqual(ids(knowledgeRepo.search('garage')), [id]);
+  assert.deepEqual(ids(knowledgeRepo.search('"the bakery"')), [id]);
+
+  knowledgeRepo.update(id, { answer: 'Across from the library.', keywords: 'car,lot' });
+  assert.deepEqual(knowledgeRepo.search('bakery'), []);
+  assert.deepEqual(knowledgeRepo.search('garage'), []);
+  assert.deepEqual(ids(knowledgeRepo.search('library lot')), [id]);
+
+  knowledgeRepo.update(id, { is_active: 0 });
+  assert.deepEqual(knowledgeRepo.search('library'), []);
+  knowledgeRepo.update(id, { is_active: 1 });
+
+  knowledgeRepo.remove(id);
+  assert.deepEqual(knowledgeRepo.search('library'), []);
+  assert.equal(getDb().prepare("SELECT COUNT(*) AS n FROM knowledge_fts WHERE knowledge_fts MATCH '\"library\"'").get().n, 0);
+});
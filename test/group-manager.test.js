@@ -0,0 +1,23 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnv } = require('./support');
+
+useTestEnv();
+const groupManager = require('../src/services/group-manager');
+
+const trigger = (text, keywords) => groupManager.getTrigger({ text }, { keywords });
+
+test('keywords match whole words in any script', () => {
+  assert.equal(trigger('Hey Friday, you there?', 'friday'), 'keyword');
+  assert.equal(trigger('fridays are long', 'friday'), null);
+  assert.equal(trigger('एक café खोज्दैछु', 'café'), 'keyword');
+  assert.equal(trigger('cafés', 'café'), null);
+
+  assert.equal(trigger('नमस्ते साथी', 'नमस्ते'), 'keyword');
+  assert.equal(trigger('साथीहरू आउनुभयो', 'साथी'), null);
+  // A trailing vowel sign is part of the word
+  assert.equal(trigger('साथीको घर', 'साथ'), null);
+  assert.equal(trigger('room 42b', '42'), null);
+});
@@ -0,0 +1,83 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnv, migrate } = require('./support');
+
+useTestEnv();
+const knowledgeBase = require('../src/services/knowledge-base');
+
+before(() => {
+  migrate();
+});
+
+after(() => require('../src/database/connection').closeDb());
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const day = (offset) => new Date(Date.now() + offset * DAY_MS).toISOString().substring(0, 10);
+const topics = (rows) => rows.map((r) => r.topic).sort();
+
+test('every change is a version and rollback restores the earlier fields', () => {
+  const id = knowledgeBase.add({ category: 'shop', topic: 'hours', answer: 'Open 9-5.', keywords: 'open' });
+  knowledgeBase.update(id, { answer: 'Open 8-6.', priority: 2, audience_tiers: '3' }, 'summer hours');
+  knowledgeBase.update(id, { keywords: 'open,hours' });
+
+  const versions = knowledgeBase.history(id);
+  assert.deepEqual(versions.map((v) => [v.version, v.note]), [[3, 'update'], [2, 'summer hours'], [1, 'create']]);
+  assert.equal(versions[2].snapshot.answer, 'Open 9-5.');
+  assert.equal(versions[1].snapshot.audience_tiers, '3');
+
+  const restored = knowledgeBase.rollback(id, 1);
+  assert.equal(restored.answer, 'Open 9-5.');
+  assert.equal(restored.keywords, 'open');
+  assert.equal(restored.priority, 1);
+  assert.equal(restored.audience_tiers, null);
+  assert.deepEqual(knowledgeBase.history(id).map((v) => [v.version, v.note]).slice(0, 1), [[4, 'rollback to v1']]);
+
+  // A change that leaves the entry as it was adds no version
+  knowledgeBase.update(id, { answer: 'Open 9-5.' });
+  assert.equal(knowledgeBase.history(id).length, 4);
+
+  assert.throws(() => knowledgeBase.rollback(id, 9), (err) => err.status === 400 && /no version 9/.test(err.message));
+  assert.throws(() => knowledgeBase.history(99999), (err) => err.status === 404);
+});
+
+test('validity bounds are normalized and checked', () => {
+  assert.deepEqual(knowledgeBase.normalizeFields({ valid_from: '2026-05-01', valid_until: '2026-05-31' }),
+    { valid_from: '2026-05-01 00:00:00', valid_until: '2026-05-31 23:59:59' });
+  assert.deepEqual(knowledgeBase.normalizeFields({ valid_from: '2026-05-01T10:00+02:00', valid_until: '' }),
+    { valid_from: '2026-05-01 08:00:00', valid_until: null });
+  assert.throws(() => knowledgeBase.normalizeFields({ valid_from: '2026-06-01', valid_until: '2026-05-01' }), /before valid_until/);
+  assert.throws(() => knowledgeBase.normalizeFields({ valid_until: '2026-05-01' }, { valid_from: '2026-06-01 00:00:00' }), /before valid_until/);
+  assert.throws(() => knowledgeBase.normalizeFields({ valid_from: 'next week' }), /YYYY-MM-DD/);
+  assert.throws(() => knowledgeBase.normalizeFields({ audience_tiers: '1,5' }), /Invalid tier "5"/);
+  assert.throws(() => knowledgeBase.normalizeFields({ audience_jids: '977111' }), /Invalid jid/);
+});
+
+test('entries outside their validity window are hidden from contacts', async () => {
+  knowledgeBase.add({ category: 'sale', topic: 'sale current', answer: 'Winter sale on now.', valid_from: day(-1), valid_until: day(1) });
+  knowledgeBase.add({ category: 'sale', topic: 'sale upcoming', answer: 'Winter sale starts soon.', valid_from: day(2) });
+  knowledgeBase.add({ category: 'sale', topic: 'sale expired', answer: 'Winter sale is over.', valid_until: day(-2) });
+  knowledgeBase.add({ category: 'sale', topic: 'sale always', answer: 'Winter sale prices vary.' });
+
+  const viewer = { jid: '977111@c.us', relationship_type: 'acquaintance', vip_tier: 0 };
+  assert.deepEqual(topics(knowledgeBase.search('winter sale', { viewer })), ['sale always', 'sale current']);
+  assert.deepEqual(topics(await knowledgeBase.retrieve('winter sale', { contact: viewer })), ['sale always', 'sale current']);
+  // The owner's own search sees every active entry
+  assert.equal(knowledgeBase.search('winter sale').length, 4);
+});
+
+test('scoped entries are visible only to the relationships, tiers and jids they name', () => {
+  knowledgeBase.add({ category: 'party', topic: 'party everyone', answer: 'Garden party on Saturday.' });
+  knowledgeBase.add({ category: 'party', topic: 'party family', answer: 'Garden party: bring dessert.', audience_relationships: 'Family' });
+  knowledgeBase.add({ category: 'party', topic: 'party vip', answer: 'Garden party: come early.', audience_tiers: '2,3' });
+  knowledgeBase.add({ category: 'party', topic: 'party bob', answer: 'Garden party: you are on grill duty.', audience_jids: '977222@c.us' });
+
+  const visible = (viewer) => topics(knowledgeBase.search('garden party', { viewer }));
+  assert.deepEqual(visible({ jid: '977111@c.us', relationship_type: 'colleague', vip_tier: 0 }), ['party everyone']);
+  assert.deepEqual(visible({ jid: '977111@c.us', relationship_type: 'family', vip_tier: 0 }), ['party everyone', 'party family']);
+  assert.deepEqual(visible({ jid: '977111@c.us', relationship_type: null, vip_tier: 3 }), ['party everyone', 'party vip']);
+  assert.deepEqual(visible({ jid: '977222@c.us', relationship_type: 'colleague', vip_tier: 1 }), ['party bob', 'party everyone']);
+  assert.deepEqual(visible({ jid: '977222@c.us', relationship_type: 'family', vip_tier: 2 }),
+    ['party bob', 'party everyone', 'party family', 'party vip']);
+});
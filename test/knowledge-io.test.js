@@ -0,0 +1,145 @@
+'use strict';
+
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnv, migrate } = require('./support');
+
+useTestEnv();
+const knowledgeIo = require('../src/services/knowledge-io');
+const knowledgeBase = require('../src/services/knowledge-base');
+const knowledgeRepo = require('../src/database/repositories/knowledge.repo');
+
+before(() => {
+  migrate();
+});
+
+beforeEach(() => {
+  for (const row of knowledgeRepo.listForExport()) knowledgeBase.remove(row.id);
+});
+
+const raws = (content, format) => knowledgeIo.parse(content, format).map((e) => e.raw);
+
+test('CSV cells may be quoted, with commas, newlines and "" escapes', () => {
+  const csv = '﻿Topic,Answer,keywords\r\n'
+    + '"hours, weekend","Closed on ""Sundays"",\r\nopen Saturdays",weekend\r\n'
+    + '\r\n'
+    + 'plain,no quotes here,\n'
+    + 'short row,only two';
+  assert.deepEqual(raws(csv, 'csv'), [
+    { topic: 'hours, weekend', answer: 'Closed on "Sundays",\r\nopen Saturdays', keywords: 'weekend' },
+    { topic: 'plain', answer: 'no quotes here', keywords: '' },
+    { topic: 'short row', answer: 'only two', keywords: '' },
+  ]);
+  // Rows are counted as records after the header, so the blank line doesn't shift them
+  assert.equal(knowledgeIo.parse(csv, 'csv')[2].at, 'row 4');
+
+  assert.throws(() => knowledgeIo.parse('topic,answer\n"open,never closed', 'csv'), /unterminated/);
+  assert.throws(() => knowledgeIo.parse('topic,reply\na,b', 'csv'), /Unknown CSV column\(s\): reply/);
+  assert.throws(() => knowledgeIo.parse('topic,question\na,b', 'csv'), /needs an "answer" column/);
+});
+
+test('Markdown headings become entries, categories and <!-- meta --> fields', () => {
+  const md = [
+    '# FAQ',
+    '',
+    '## Shipping',
+    '',
+    '### How long does delivery take? ###',
+    '<!-- topic: delivery | keywords: ship, post | priority: 5 | active: false -->',
+    '',
+    'Three days.',
+    '\\# Not a heading',
+    '',
+    '### Opening hours',
+    '<!-- topic-only -->',
+    '9 to 5.',
+    '',
+    '## Languages',
+    '### What is C#',
+    '```',
+    '# a comment, not a heading',
+    '```',
+  ].join('\n');
+
+  assert.deepEqual(raws(md, 'markdown'), [
+    {
+      category: 'Shipping', question: 'How long does delivery take?', topic: 'delivery',
+      keywords: 'ship, post', priority: '5', is_active: 'false', answer: 'Three days.\n# Not a heading',
+    },
+    { category: 'Shipping', topic: 'Opening hours', answer: '9 to 5.' },
+    { category: 'Languages', question: 'What is C#', answer: '```\n# a comment, not a heading\n```' },
+  ]);
+  assert.equal(knowledgeIo.detectFormat({ content: md }), 'markdown');
+});
+
+test('invalid entries and duplicate topics reject the whole file', () => {
+  const json = JSON.stringify([
+    { topic: 'returns', answer: 'Within 14 days.' },
+    { topic: 'Returns', answer: 'Within 30 days.' },
+    { topic: 'hours', answer: '' },
+    { question: 'Open on Sunday?', answer: 'No.', is_active: 'maybe' },
+    { answer: 'Orphan answer.' },
+  ]);
+  const report = knowledgeIo.importEntries(json, { format: 'json' });
+
+  assert.equal(report.applied, false);
+  assert.deepEqual(report.errors.map((e) => e.at), ['entry 2', 'entry 3', 'entry 4', 'entry 5']);
+  assert.match(report.errors[0].message, /duplicate topic "Returns" \(first at entry 1\)/);
+  assert.match(report.errors[1].message, /answer: Required/);
+  assert.match(report.errors[2].message, /is_active must be true or false/);
+  assert.match(report.errors[3].message, /topic or question is required/);
+  assert.deepEqual(knowledgeRepo.listForExport(), []);
+});
+
+test('a dry run reports creates and field-level updates without writing', () => {
+  knowledgeBase.add({ category: 'general', topic: 'returns', answer: 'Within 14 days.' });
+  const csv = 'topic,answer,priority\nreturns,Within 30 days.,4\ngift cards,Never expire.,\n';
+
+  const report = knowledgeIo.importEntries(csv, { filename: 'kb.csv', dryRun: true });
+  assert.equal(report.format, 'csv');
+  assert.equal(report.dryRun, true);
+  assert.equal(report.applied, false);
+  assert.deepEqual(report.created, [{ topic: 'gift cards', category: 'general' }]);
+  assert.deepEqual(report.updated.map((u) => [u.topic, u.changes]), [['returns', ['answer', 'priority']]]);
+  assert.equal(knowledgeRepo.getByTopic('returns').answer, 'Within 14 days.');
+  assert.equal(knowledgeRepo.getByTopic('gift cards'), undefined);
+
+  const applied = knowledgeIo.importEntries(csv, { filename: 'kb.csv' });
+  assert.equal(applied.applied, true);
+  assert.equal(knowledgeRepo.getByTopic('returns').priority, 4);
+  assert.ok(applied.created[0].id);
+});
+
+function seed() {
+  knowledgeBase.add({
+    category: 'billing', topic: 'refunds', question: 'How do refunds work?',
+    answer: 'Within 14 days, "no questions asked".\nEmail us, then wait.',
+    keywords: 'refund,money', priority: 3, audience_relationships: 'friend,family', valid_until: '2030-12-31',
+  });
+  knowledgeBase.add({
+    category: 'tech', topic: 'csharp', question: 'What is C#',
+    answer: '# not a heading\nA language.\n```\n# a comment\n```',
+  });
+  knowledgeBase.add({ category: 'tech', topic: 'phone menu', question: 'Then press #', answer: 'You reach a person.' });
+  knowledgeBase.add({ category: 'tech', topic: 'hours', answer: '9 to 5, weekdays.', is_active: false, audience_tiers: '2,3' });
+}
+
+for (const format of knowledgeIo.FORMATS) {
+  test(`a ${format} export imports back into the same entries`, () => {
+    seed();
+    const snapshot = knowledgeIo.exportEntries('json').content;
+    const file = knowledgeIo.exportEntries(format);
+    assert.equal(file.count, 4);
+    assert.equal(knowledgeIo.detectFormat({ filename: file.filename }), format);
+
+    for (const row of knowledgeRepo.listForExport()) knowledgeBase.remove(row.id);
+    const report = knowledgeIo.importEntries(file.content, { format });
+    assert.deepEqual(report.errors, []);
+    assert.equal(report.created.length, 4);
+    assert.equal(knowledgeIo.exportEntries('json').content, snapshot);
+
+    const again = knowledgeIo.importEntries(file.content, { format });
+    assert.equal(again.unchanged, 4);
+    assert.equal(again.applied, false);
+  });
+}
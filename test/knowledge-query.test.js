@@ -0,0 +1,120 @@
+'use strict';
+
+/**
+ * Knowledge questions through the pipeline, with a stub embedding backend
+ * whose similarities are fixed by words in the text: answered straight from
+ * the KB at or above KB_ANSWER_THRESHOLD, by the AI (and queued) below it.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnv, startLlmStub, migrate } = require('./support');
+
+const CONTACT = '9775550000@c.us';
+const AI_REPLY = 'Let me check that for you.';
+const REFUND = 'Refunds are paid back within 14 days.';
+
+// Query words → vector; the refund entry is [1, 0], so the first component is the similarity
+const QUERY_VECTORS = { exactly: [1, 0], roughly: [0.8, 0.6], vaguely: [0.6, 0.8], unrelated: [0, 1] };
+
+let stub;
+let adapter;
+let knowledgeBase;
+
+before(async () => {
+  stub = await startLlmStub([
+    ['Analyze this WhatsApp message', '{"intent":"knowledge","confidence":0.9,"mood":"neutral","moodIntensity":0.1,"language":"en"}'],
+    ['Does the contact promise', '{"hasCommitment":false}'],
+    ['follow up later', '{"hasFollowUp":false}'],
+    ['still open', '{"resolved":[]}'],
+    ['', AI_REPLY],
+  ]);
+  useTestEnv({
+    OPENAI_BASE_URL: stub.url,
+    EMBEDDING_BACKEND: 'http',
+    EMBEDDING_HTTP_URL: 'http://127.0.0.1:9/v1/embeddings',
+    KB_ANSWER_THRESHOLD: '0.8',
+    KB_MIN_SCORE: '0.3',
+  });
+  migrate();
+
+  require('../src/ai/embeddings').register('http', () => ({
+    name: 'stub',
+    model: 'words',
+    async embed(texts) {
+      return texts.map((text) => {
+        if (text.includes('broken')) throw new Error('embedding service down');
+        const word = Object.keys(QUERY_VECTORS).find((w) => text.includes(w));
+        return word ? QUERY_VECTORS[word] : [1, 0];
+      });
+    },
+  }));
+  knowledgeBase = require('../src/services/knowledge-base');
+  knowledgeBase.add({ category: 'shop', topic: 'refunds', question: 'How do refunds work?', answer: REFUND, keywords: 'refund,money' });
+  await knowledgeBase.reindex();
+
+  require('../src/services/usage-tracker').init();
+  require('../src/services/contact-manager').init();
+  require('../src/services/message-router').init();
+  const transport = require('../src/transport/transport-manager');
+  await transport.connect();
+  adapter = transport.getAdapter();
+});
+
+after(async () => {
+  require('../src/database/connection').closeDb();
+  await stub.close();
+});
+
+const pending = () => require('../src/database/repositories/kb-questions.repo').listByStatus('pending');
+
+async function ask(text) {
+  adapter.clearSent();
+  adapter.injectInbound({ jid: CONTACT, pushName: 'Maya', text });
+  const reply = await adapter.waitForSend((s) => s.type === 'text' && s.jid === CONTACT, 5000);
+  // Let the pipeline finish storing the reply and queueing the question
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  return reply.text;
+}
+
+test('retrieve scores entries by similarity and drops those under KB_MIN_SCORE', async () => {
+  const [hit] = await knowledgeBase.retrieve('refund roughly');
+  assert.equal(hit.topic, 'refunds');
+  assert.equal(hit.score, 0.8);
+  assert.equal(hit.vector, undefined);
+
+  assert.equal((await knowledgeBase.retrieve('refund vaguely'))[0].score, 0.6);
+  assert.deepEqual(await knowledgeBase.retrieve('something unrelated'), []);
+  assert.equal((await knowledgeBase.retrieve('something unrelated', { minScore: 0 })).length, 1);
+  assert.deepEqual(await knowledgeBase.retrieve('x'), []);
+});
+
+test('retrieve falls back to full-text search, with no score, when embedding fails', async () => {
+  const hits = await knowledgeBase.retrieve('broken refund money');
+  assert.deepEqual(hits.map((h) => [h.topic, h.score]), [['refunds', null]]);
+  assert.deepEqual(await knowledgeBase.retrieve('broken weather'), []);
+});
+
+test('a match at or above KB_ANSWER_THRESHOLD is answered from the KB', async () => {
+  assert.equal(await ask('Refund, exactly how?'), REFUND);
+  assert.equal(await ask('How do I get a refund, roughly?'), REFUND);
+  assert.deepEqual(pending(), []);
+});
+
+test('a weaker match goes to the AI with the match as context and is queued', async () => {
+  const before = stub.requests.length;
+  assert.equal(await ask('Can I vaguely get money back?'), AI_REPLY);
+  const chat = stub.requests.slice(before).find((r) => JSON.stringify(r.messages).includes(REFUND));
+  assert.ok(chat, 'the KB match reached the AI prompt');
+
+  const [question] = pending();
+  assert.equal(question.question, 'Can I vaguely get money back?');
+  assert.equal(question.reason, 'low_confidence');
+  assert.equal(question.best_score, 0.6);
+});
+
+test('a full-text match is never answered directly nor queued', async () => {
+  const queued = pending().length;
+  assert.equal(await ask('broken refund money?'), AI_REPLY);
+  assert.equal(pending().length, queued);
+});
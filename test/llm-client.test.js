@@ -0,0 +1,43 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnv, startLlmStub } = require('./support');
+
+let stub;
+let quota = false;
+let llm;
+let providers;
+
+before(async () => {
+  stub = await startLlmStub([
+    ['', () => (quota ? { status: 429, headers: { 'retry-after': '30' } } : 'pong')],
+  ]);
+  // openai has no vision model here, so image requests skip it
+  useTestEnv({ OPENAI_BASE_URL: stub.url, LLM_VISION_MODELS: '' });
+  llm = require('../src/ai/llm-client');
+  providers = require('../src/ai/providers');
+});
+
+after(() => stub.close());
+
+test('a quota error trips the endpoint for the provider\'s retry delay', async () => {
+  quota = true;
+  await assert.rejects(llm.generate('ping'), { name: 'QuotaError' });
+  const { breaker } = providers.getEndpoints('openai')[0];
+  assert.equal(breaker.state, 'open');
+  assert.ok(breaker.remainingMs() > 25000);
+  assert.equal(llm.isQuotaExhausted(), true);
+});
+
+test('skipping an endpoint for a vision request leaves its half-open trial free', async () => {
+  const { breaker } = providers.getEndpoints('openai')[0];
+  quota = false;
+  breaker.openUntil = Date.now() - 1; // cooldown over
+
+  await assert.rejects(llm.describeImage(Buffer.from('img'), 'image/jpeg', 'What is this?'), { name: 'QuotaError' });
+  assert.equal(breaker.isOpen(), false);
+
+  assert.equal(await llm.generate('ping'), 'pong');
+  assert.equal(breaker.state, 'closed');
+});
@@ -0,0 +1,27 @@
+'use strict';
+
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnv, migrate } = require('./support');
+
+useTestEnv();
+const offlineAssistant = require('../src/services/offline-assistant');
+const takeoverRepo = require('../src/database/repositories/takeover.repo');
+
+const sqlTime = (ms) => new Date(ms).toISOString().replace('T', ' ').replace(/\.\d+Z$/, '');
+
+before(() => {
+  migrate();
+});
+
+test('pauses that ended long before a restart are dropped, recent ones kept', () => {
+  const now = Date.now();
+  takeoverRepo.saveActivity('977111@c.us', null, sqlTime(now - 2 * 24 * 60 * 60000));
+  takeoverRepo.saveActivity('977222@c.us', null, sqlTime(now - 60000));
+  takeoverRepo.saveActivity('977333@c.us', sqlTime(now - 60000), sqlTime(now + 60 * 60000));
+
+  assert.deepEqual([...offlineAssistant.getAllActivity().keys()].sort(), ['977222@c.us', '977333@c.us']);
+  assert.deepEqual(takeoverRepo.listActivity().map((r) => r.jid).sort(), ['977222@c.us', '977333@c.us']);
+  assert.equal(offlineAssistant.isOwnerActive('977222@c.us'), false);
+  assert.equal(offlineAssistant.isOwnerActive('977333@c.us'), true);
+});
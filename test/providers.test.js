@@ -0,0 +1,89 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnv, startLlmStub } = require('./support');
+
+let stub;
+let llm;
+let providers;
+const calls = [];
+
+before(async () => {
+  stub = await startLlmStub([
+    ['favourite colour', 'Blue.'],
+    ['', (text) => `echo: ${text}`],
+  ]);
+  useTestEnv({
+    OPENAI_BASE_URL: `${stub.url}/`,
+    OPENAI_MODEL: 'local-model',
+    LLM_TASK_PROVIDERS: 'intent=gemini',
+    GEMINI_API_KEY: 'test-key',
+  });
+  llm = require('../src/ai/llm-client');
+  providers = require('../src/ai/providers');
+
+  // Any driver with the common interface can stand in for a built-in one
+  providers.register('gemini', () => ({
+    name: 'gemini',
+    defaultModel: 'stub-model',
+    maxTokens: 64,
+    temperature: 0,
+    isConfigured: () => true,
+    async complete(request) {
+      calls.push(request);
+      return { text: 'general', model: request.model, usage: { promptTokens: 3, completionTokens: 1, totalTokens: 4 } };
+    },
+    async listModels() {
+      return [{ name: 'stub-model', displayName: 'Stub', description: '' }];
+    },
+  }));
+});
+
+after(() => stub.close());
+
+test('tasks without their own provider use LLM_PROVIDER', async () => {
+  assert.equal(llm.providerNameFor('chat'), 'openai');
+  assert.equal(llm.providerNameFor('intent'), 'gemini');
+  assert.deepEqual(providers.list().sort(), ['gemini', 'groq', 'openai']);
+
+  assert.equal(await llm.generate('hello', { task: 'summary' }), 'echo: hello');
+  const request = stub.requests[stub.requests.length - 1];
+  assert.equal(request.model, 'local-model');
+  assert.deepEqual(request.messages, [{ role: 'user', content: 'hello' }]);
+  assert.equal(calls.length, 0);
+});
+
+test('a task mapped in LLM_TASK_PROVIDERS goes to that driver', async () => {
+  const before = stub.requests.length;
+  assert.equal(await llm.generate('classify this', { task: 'intent', maxTokens: 10 }), 'general');
+  assert.equal(stub.requests.length, before);
+  assert.deepEqual(calls.pop(), {
+    model: 'stub-model',
+    messages: [{ role: 'user', content: 'classify this' }],
+    temperature: 0,
+    maxTokens: 10,
+  });
+  assert.deepEqual(await llm.listModels('gemini'), [{ name: 'stub-model', displayName: 'Stub', description: '' }]);
+});
+
+test('a chat keeps its system prompt and history across messages', async () => {
+  const chat = llm.createChat('You are terse.', { temperature: 0.1 });
+  assert.equal(chat.provider, 'openai');
+
+  const first = await llm.sendMessage(chat, 'What is your favourite colour?');
+  assert.equal(first.text, 'Blue.');
+  assert.equal(first.provider, 'openai');
+  assert.deepEqual(first.usage, { promptTokens: 20, completionTokens: 7, totalTokens: 27 });
+
+  await llm.sendMessage(chat, 'Why?');
+  const request = stub.requests[stub.requests.length - 1];
+  assert.equal(request.temperature, 0.1);
+  assert.deepEqual(request.messages, [
+    { role: 'system', content: 'You are terse.' },
+    { role: 'user', content: 'What is your favourite colour?' },
+    { role: 'assistant', content: 'Blue.' },
+    { role: 'user', content: 'Why?' },
+  ]);
+  assert.equal(chat.history.length, 4);
+});
@@ -0,0 +1,85 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { OWNER_JID, useTestEnv, migrate } = require('./support');
+
+const ASKER = '977888@c.us';
+
+let adapter;
+let questionQueue;
+let knowledgeRepo;
+
+before(async () => {
+  useTestEnv();
+  migrate();
+  require('../src/database/repositories/contacts.repo').upsert(ASKER, { display_name: 'Hari' });
+  questionQueue = require('../src/services/question-queue');
+  knowledgeRepo = require('../src/database/repositories/knowledge.repo');
+
+  require('../src/services/admin-commands').init();
+  require('../src/services/message-router').init();
+  const transport = require('../src/transport/transport-manager');
+  await transport.connect();
+  adapter = transport.getAdapter();
+});
+
+after(() => require('../src/database/connection').closeDb());
+
+async function command(text) {
+  adapter.clearSent();
+  adapter.injectOwner({ jid: OWNER_JID, text });
+  return (await adapter.waitForSend((s) => s.type === 'text' && s.jid === OWNER_JID, 5000)).text;
+}
+
+const ask = (question, miss = { reason: 'no_match' }) => questionQueue.record({ jid: ASKER, text: question }, { aiAnswer: 'Not sure.', ...miss });
+
+test('misses are queued once per question and listed with !kb pending', async () => {
+  const first = ask('Do you deliver on Sundays?');
+  assert.equal(ask('do you deliver on sundays?'), first);
+  ask('Is parking free?', { reason: 'low_confidence', best: { id: null, score: 0.61 } });
+  assert.equal(questionQueue.countPending(), 2);
+
+  const reply = await command('!kb pending');
+  assert.match(reply, new RegExp(`#${first} .*"Do you deliver on Sundays\\?" \\(no match, asked 2×\\)`));
+  assert.match(reply, /"Is parking free\?" \(closest match 61%\)/);
+});
+
+test('!kb answer turns the question into a KB entry and can tell the asker', async () => {
+  const [question] = questionQueue.list().filter((q) => q.question.startsWith('Do you deliver'));
+
+  const reply = await command(`!kb answer ${question.id} -n Yes, 10:00 to 14:00.\nOrder by Saturday.`);
+  const entry = knowledgeRepo.getByTopic('Do you deliver on Sundays?');
+  assert.match(reply, new RegExp(`✅ Question #${question.id} answered → KB entry #${entry.id} · sent to`));
+  assert.equal(entry.answer, 'Yes, 10:00 to 14:00.\nOrder by Saturday.');
+  assert.equal(entry.category, 'faq');
+
+  const [told] = adapter.getSent({ jid: ASKER });
+  assert.equal(told.text, 'About your question "Do you deliver on Sundays?":\nYes, 10:00 to 14:00.\nOrder by Saturday.');
+  const [answered] = questionQueue.list('answered');
+  assert.equal(answered.kb_id, entry.id);
+  assert.equal(answered.asker_notified, 1);
+
+  await assert.rejects(questionQueue.answer(question.id, 'Again'), /already answered/);
+});
+
+test('answering updates an entry with the same topic instead of adding one', async () => {
+  const kbId = Number(knowledgeRepo.add({ category: 'shop', topic: 'Is parking free?', answer: 'Ask at the desk.', is_active: false }));
+  const [question] = questionQueue.list();
+  adapter.clearSent();
+
+  const result = await questionQueue.answer(question.id, 'Yes, for two hours.');
+  assert.equal(result.kbId, kbId);
+  assert.equal(result.notified, false);
+  assert.equal(adapter.getSent({ jid: ASKER }).length, 0);
+  assert.equal(knowledgeRepo.getById(kbId).answer, 'Yes, for two hours.');
+  assert.equal(knowledgeRepo.getById(kbId).is_active, 1);
+  assert.equal(questionQueue.countPending(), 0);
+});
+
+test('!kb dismiss drops a question', async () => {
+  const id = ask('What is the wifi password?');
+  assert.match(await command(`!kb dismiss ${id}`), new RegExp(`Question #${id} dismissed`));
+  assert.equal(questionQueue.countPending(), 0);
+  assert.match(await command('!kb pending'), /No unanswered questions/);
+});
@@ -0,0 +1,88 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const recurrence = require('../src/core/recurrence');
+
+const iso = (dates) => dates.map((d) => d.toISOString());
+
+test('parse accepts aliases and RRULEs, and formats them canonically', () => {
+  assert.equal(recurrence.parse('none'), null);
+  assert.equal(recurrence.parse(''), null);
+  assert.equal(recurrence.format(recurrence.parse('biweekly')), 'FREQ=WEEKLY;INTERVAL=2');
+  assert.equal(recurrence.format(recurrence.parse('weekdays')), 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR');
+  assert.equal(recurrence.format(recurrence.parse('RRULE:freq=weekly;byday=we,mo;count=6')), 'FREQ=WEEKLY;BYDAY=MO,WE;COUNT=6');
+  assert.equal(recurrence.format(recurrence.parse('FREQ=DAILY;UNTIL=20261231')), 'FREQ=DAILY;UNTIL=20261231');
+  assert.equal(recurrence.describe(recurrence.parse('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=6')), 'every 2 weeks on Mon, Wed, 6 times');
+  assert.equal(recurrence.describe(recurrence.parse('weekdays')), 'every weekday');
+});
+
+test('parse rejects unsupported or malformed rules with status 400', () => {
+  for (const text of ['FREQ=HOURLY', 'FREQ=DAILY;COUNT=0', 'FREQ=DAILY;COUNT=2;UNTIL=20261231',
+    'FREQ=MONTHLY;BYDAY=MO', 'FREQ=WEEKLY;BYDAY=XX', 'FREQ=DAILY;BYMONTHDAY=3', 'INTERVAL=2', 'every tuesday',
+    'FREQ=WEEKLY;INTERVAL=1001;BYDAY=MO']) {
+    assert.throws(() => recurrence.parse(text), (err) => err.status === 400, text);
+  }
+});
+
+test('weekly BYDAY with an interval expands every other week', () => {
+  const rule = recurrence.parse('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=5');
+  // Monday 2026-11-02 10:00 UTC
+  const dates = recurrence.occurrences(rule, new Date('2026-11-02T10:00:00Z'));
+  assert.deepEqual(iso(dates), [
+    '2026-11-02T10:00:00.000Z', '2026-11-04T10:00:00.000Z',
+    '2026-11-16T10:00:00.000Z', '2026-11-18T10:00:00.000Z',
+    '2026-11-30T10:00:00.000Z',
+  ]);
+});
+
+test('COUNT counts skipped dates; skipped dates are left out', () => {
+  const rule = recurrence.parse('FREQ=DAILY;COUNT=4');
+  const dates = recurrence.occurrences(rule, new Date('2026-11-02T10:00:00Z'), { skip: ['2026-11-03'] });
+  assert.deepEqual(iso(dates), ['2026-11-02T10:00:00.000Z', '2026-11-04T10:00:00.000Z', '2026-11-05T10:00:00.000Z']);
+});
+
+test('a date-only UNTIL includes that whole local day', () => {
+  const rule = recurrence.parse('FREQ=DAILY;UNTIL=20261104');
+  const dates = recurrence.occurrences(rule, new Date('2026-11-02T22:00:00Z'), { timezone: 'UTC' });
+  assert.equal(dates.length, 3);
+  assert.equal(dates[2].toISOString(), '2026-11-04T22:00:00.000Z');
+});
+
+test('monthly on the 31st skips shorter months', () => {
+  const rule = recurrence.parse('FREQ=MONTHLY;COUNT=4');
+  const dates = recurrence.occurrences(rule, new Date('2026-01-31T09:00:00Z'));
+  assert.deepEqual(iso(dates).map((d) => d.substring(0, 10)), ['2026-01-31', '2026-03-31', '2026-05-31', '2026-07-31']);
+});
+
+test('occurrences keep the local time across DST', () => {
+  const rule = recurrence.parse('FREQ=WEEKLY;COUNT=3');
+  // Saturdays 09:00 in New York: EST before 2026-03-08, EDT after
+  const dates = recurrence.occurrences(rule, new Date('2026-02-28T14:00:00Z'), { timezone: 'America/New_York' });
+  assert.deepEqual(iso(dates), ['2026-02-28T14:00:00.000Z', '2026-03-07T14:00:00.000Z', '2026-03-14T13:00:00.000Z']);
+});
+
+test('from, after, to and next bound the expansion', () => {
+  const rule = recurrence.parse('daily');
+  const start = new Date('2026-11-01T08:00:00Z');
+  const window = recurrence.occurrences(rule, start, {
+    from: new Date('2026-11-03T00:00:00Z'), to: new Date('2026-11-05T08:00:00Z'),
+  });
+  assert.deepEqual(iso(window), ['2026-11-03T08:00:00.000Z', '2026-11-04T08:00:00.000Z', '2026-11-05T08:00:00.000Z']);
+  assert.equal(recurrence.next(rule, start, new Date('2026-11-03T08:00:00Z')).toISOString(), '2026-11-04T08:00:00.000Z');
+  assert.equal(recurrence.next(recurrence.parse('FREQ=DAILY;COUNT=2'), start, new Date('2026-11-02T08:00:00Z')), null);
+  assert.equal(recurrence.next(null, start, new Date('2026-10-01T00:00:00Z')).toISOString(), start.toISOString());
+});
+
+test('expansion stops a century after the start instead of walking on', () => {
+  const start = new Date('2026-01-05T09:00:00Z');
+  const sparse = recurrence.parse('FREQ=WEEKLY;INTERVAL=1000;BYDAY=MO');
+  const began = Date.now();
+  assert.equal(recurrence.next(sparse, start, start).toISOString(), '2045-03-06T09:00:00.000Z');
+  assert.deepEqual(recurrence.occurrences(sparse, start, { after: new Date('2200-01-01T00:00:00Z') }), []);
+  assert.ok(Date.now() - began < 1000);
+
+  const yearly = recurrence.occurrences(recurrence.parse('FREQ=YEARLY'), start, { limit: 1000 });
+  assert.equal(yearly.length, 101);
+  assert.equal(recurrence.next(recurrence.parse('FREQ=DAILY;INTERVAL=1000'), start, new Date('2135-01-01T00:00:00Z')), null);
+});
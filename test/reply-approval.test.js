@@ -0,0 +1,38 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnv, startLlmStub, migrate } = require('./support');
+
+const CONTACT = '977123@c.us';
+let stub;
+let chatSession;
+let replyApproval;
+let draftsRepo;
+
+before(async () => {
+  stub = await startLlmStub([['', 'Sure, Friday works.']]);
+  useTestEnv({ OPENAI_BASE_URL: stub.url });
+  migrate();
+  require('../src/database/repositories/contacts.repo').upsert(CONTACT);
+  chatSession = require('../src/ai/chat-session');
+  replyApproval = require('../src/services/reply-approval');
+  draftsRepo = require('../src/database/repositories/reply-drafts.repo');
+});
+
+after(async () => {
+  require('../src/database/connection').closeDb();
+  await stub.close();
+});
+
+const assistantTurns = () => chatSession.getOrCreate(CONTACT).history.filter((m) => m.role === 'assistant').map((m) => m.content);
+
+test('a draft found expired on !reject leaves the chat history', async () => {
+  const { text } = await chatSession.reply(CONTACT, 'Can we meet Friday?');
+  assert.deepEqual(assistantTurns(), [text]);
+  const id = draftsRepo.create({ jid: CONTACT, inbound_text: 'Can we meet Friday?', draft: text, expires_in_minutes: -1 });
+
+  assert.throws(() => replyApproval.reject(id), /has expired/);
+  assert.equal(draftsRepo.getById(id).status, 'expired');
+  assert.deepEqual(assistantTurns(), []);
+});
@@ -0,0 +1,59 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnv, startLlmStub, migrate } = require('./support');
+
+let stub;
+let scheduleAssistant;
+let owner;
+
+before(async () => {
+  const date = new Date(Date.now() + 2 * 24 * 60 * 60000).toISOString().substring(0, 16);
+  stub = await startLlmStub([
+    ['Extract scheduling information', JSON.stringify({ title: 'Dinner', date, remindBefore: 0, recurrence: 'none' })],
+  ]);
+  useTestEnv({ OPENAI_BASE_URL: stub.url, REMINDER_AUDIENCE: 'both' });
+  migrate();
+  const contactsRepo = require('../src/database/repositories/contacts.repo');
+  contactsRepo.upsert('977123@c.us');
+  contactsRepo.upsert('120363@g.us');
+  scheduleAssistant = require('../src/services/schedule-assistant');
+  owner = require('../src/config').persona.ownerName;
+});
+
+after(async () => {
+  require('../src/database/connection').closeDb();
+  await stub.close();
+});
+
+test('a reminder lead time of 0 is kept; a missing one is 30 minutes', () => {
+  const at = new Date(Date.now() + 60 * 60000).toISOString();
+  assert.equal(scheduleAssistant.createEvent(null, { title: 'Call', date: at, remindBefore: 0 }).remindMinutes, 0);
+  assert.equal(scheduleAssistant.createEvent(null, { title: 'Call', date: at, remindBefore: '15' }).remindMinutes, 15);
+  assert.equal(scheduleAssistant.createEvent(null, { title: 'Call', date: at }).remindMinutes, 30);
+  assert.equal(scheduleAssistant.createEvent(null, { title: 'Call', date: at, remindBefore: 'default 30' }).remindMinutes, 30);
+});
+
+test('the confirmation names who will be reminded', async () => {
+  const direct = await scheduleAssistant.handleScheduleRequest('977123@c.us', 'Dinner on Friday at 7?', null);
+  assert.match(direct.reply, new RegExp(`I'll remind you and ${owner} when it starts\\.`));
+
+  const group = await scheduleAssistant.handleScheduleRequest('120363@g.us', 'Dinner on Friday at 7?', null);
+  assert.match(group.reply, new RegExp(`I'll remind ${owner} when it starts\\.`));
+});
+
+test('rescheduling keeps the reminder lead time, or no reminder', async () => {
+  const schedulesRepo = require('../src/database/repositories/schedules.repo');
+  const soon = new Date(Date.now() + 60 * 60000).toISOString();
+  const later = new Date(Date.now() + 3 * 24 * 60 * 60000).toISOString();
+
+  const { id } = scheduleAssistant.createEvent(null, { title: 'Call', date: soon, remindBefore: 15 });
+  assert.equal((await scheduleAssistant.reschedule(id, later)).remind_minutes, 15);
+
+  const silent = schedulesRepo.create({ title: 'Gym', event_at: soon.replace('T', ' ').substring(0, 19), recurrence: 'none' });
+  const moved = await scheduleAssistant.reschedule(silent, later);
+  assert.equal(moved.event_at, later.replace('T', ' ').substring(0, 19));
+  assert.equal(moved.remind_minutes, null);
+  assert.equal(moved.remind_at, null);
+});
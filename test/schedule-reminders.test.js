@@ -0,0 +1,52 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { OWNER_JID, useTestEnv, migrate } = require('./support');
+
+useTestEnv();
+const scheduleAssistant = require('../src/services/schedule-assistant');
+const scheduleReminders = require('../src/services/schedule-reminders');
+const schedulesRepo = require('../src/database/repositories/schedules.repo');
+const transport = require('../src/transport/transport-manager');
+
+let adapter;
+
+before(async () => {
+  migrate();
+  await transport.connect();
+  adapter = transport.getAdapter();
+});
+
+after(() => require('../src/database/connection').closeDb());
+
+// Starts in ten minutes, so its 30-minute reminder is already due
+function dueEvent(title) {
+  const date = new Date(Date.now() + 10 * 60000).toISOString();
+  return scheduleAssistant.createEvent(null, { title, date, timezone: 'UTC' }).id;
+}
+
+test('a failed reminder stays due and does not stop the others', async () => {
+  const failing = dueEvent('Dentist');
+  const working = dueEvent('Stand-up');
+  const send = adapter.sendMessage;
+  adapter.sendMessage = async (jid, text) => {
+    if (text.includes(`#${failing}:`)) throw new Error('send failed');
+    return send.call(adapter, jid, text);
+  };
+
+  try {
+    adapter.clearSent();
+    await scheduleReminders.sendDue();
+  } finally {
+    adapter.sendMessage = send;
+  }
+
+  assert.deepEqual(adapter.getSent({ jid: OWNER_JID }).map((s) => s.text.split(':')[0]), [`🔔 Reminder #${working}`]);
+  const due = scheduleAssistant.getDueReminders().map((s) => s.id);
+  assert.deepEqual(due, [failing]);
+  assert.equal(schedulesRepo.getById(working).remind_at, null);
+
+  await scheduleReminders.sendDue();
+  assert.deepEqual(scheduleAssistant.getDueReminders(), []);
+});
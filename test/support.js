@@ -0,0 +1,96 @@
+'use strict';
+
+/**
+ * Test support — node --test runs each test file in its own process, so a
+ * file calls useTestEnv() before requiring anything that reads config and
+ * gets its own temp SQLite database, the mock transport and no real LLM.
+ * startLlmStub() serves OpenAI-compatible completions from canned rules.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+const OWNER_JID = '9770000000000@c.us';
+
+/**
+ * Point config at a throwaway database and the mock transport.
+ * @param {object} [overrides] - Extra env values
+ * @returns {string} The temp directory
+ */
+function useTestEnv(overrides = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wa-bot-test-'));
+  Object.assign(process.env, {
+    NODE_ENV: 'test',
+    LOG_LEVEL: 'error',
+    LIB: 'mock',
+    OWNER_JID,
+    DB_PATH: path.join(dir, 'test.db'),
+    OWNER_TIMEZONE: 'UTC',
+    LLM_PROVIDER: 'openai',
+    LLM_CHAIN: '',
+    LLM_TASK_PROVIDERS: '',
+    OPENAI_BASE_URL: 'http://127.0.0.1:9/v1',
+    GROQ_API_KEY: '',
+    GEMINI_API_KEY: '',
+    EMBEDDING_BACKEND: 'none',
+  }, overrides);
+  return dir;
+}
+
+/**
+ * Start a stub OpenAI-compatible server.
+ * @param {Array<[string, string|Function]>} rules - [substring of the last message, reply or (text, body) => reply];
+ *   the first match wins, '' matches anything. A reply of { status, headers?, body? } answers with that HTTP error.
+ * @returns {Promise<{ url: string, requests: object[], close: Function }>}
+ */
+function startLlmStub(rules) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      const body = JSON.parse(raw || '{}');
+      requests.push(body);
+      const messages = body.messages || [];
+      const last = messages[messages.length - 1] || {};
+      const text = typeof last.content === 'string' ? last.content : JSON.stringify(last.content);
+      const rule = rules.find(([match]) => text.includes(match));
+      const reply = !rule ? '' : typeof rule[1] === 'function' ? rule[1](text, body) : rule[1];
+
+      res.setHeader('content-type', 'application/json');
+      if (reply && typeof reply === 'object') {
+        res.writeHead(reply.status, reply.headers || {});
+        res.end(JSON.stringify(reply.body || { error: { message: `Stub error ${reply.status}` } }));
+        return;
+      }
+      res.end(JSON.stringify({
+        model: body.model,
+        choices: [{ message: { role: 'assistant', content: reply } }],
+        usage: { prompt_tokens: 20, completion_tokens: 7, total_tokens: 27 },
+      }));
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/v1`,
+        requests,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+/**
+ * Create the schema in the test database.
+ */
+function migrate() {
+  const { getDb } = require('../src/database/connection');
+  require('../src/database/migrations').runMigrations(getDb());
+  return getDb();
+}
+
+module.exports = { OWNER_JID, useTestEnv, startLlmStub, migrate };
@@ -0,0 +1,63 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const time = require('../src/core/time');
+
+test('isValidTimezone accepts IANA names only', () => {
+  assert.equal(time.isValidTimezone('Asia/Kathmandu'), true);
+  assert.equal(time.isValidTimezone('Mars/Olympus'), false);
+  assert.equal(time.isValidTimezone(''), false);
+});
+
+test('offsetMinutes and offsetLabel handle non-hour offsets', () => {
+  const at = new Date('2026-10-19T12:00:00Z');
+  assert.equal(time.offsetMinutes(at, 'Asia/Kathmandu'), 345);
+  assert.equal(time.offsetLabel(at, 'Asia/Kathmandu'), '+05:45');
+  assert.equal(time.offsetLabel(at, 'America/St_Johns'), '-02:30');
+});
+
+test('parseInZone reads local time in the zone, and explicit offsets as given', () => {
+  assert.equal(time.parseInZone('2026-10-19T09:30', 'Asia/Kathmandu').toISOString(), '2026-10-19T03:45:00.000Z');
+  assert.equal(time.parseInZone('2026-10-19', 'Europe/London').toISOString(), '2026-10-18T23:00:00.000Z');
+  assert.equal(time.parseInZone('2026-10-19T09:30:00Z', 'Asia/Kathmandu').toISOString(), '2026-10-19T09:30:00.000Z');
+  assert.ok(isNaN(time.parseInZone('2026-02-30T10:00', 'UTC').getTime()));
+  assert.ok(isNaN(time.parseInZone('tomorrow', 'UTC').getTime()));
+});
+
+test('parseInZone follows DST changes', () => {
+  // New York: EST (-05:00) in winter, EDT (-04:00) from 2026-03-08 02:00
+  assert.equal(time.parseInZone('2026-03-07T09:00', 'America/New_York').toISOString(), '2026-03-07T14:00:00.000Z');
+  assert.equal(time.parseInZone('2026-03-09T09:00', 'America/New_York').toISOString(), '2026-03-09T13:00:00.000Z');
+  // 02:30 doesn't exist that night; it lands just after the jump
+  assert.equal(time.parseInZone('2026-03-08T02:30', 'America/New_York').toISOString(), '2026-03-08T07:30:00.000Z');
+  // 01:30 happens twice on 2026-11-01; either instant is that wall clock
+  const repeated = time.parseInZone('2026-11-01T01:30', 'America/New_York');
+  assert.equal(time.toWallClock(repeated, 'America/New_York').toISOString(), '2026-11-01T01:30:00.000Z');
+});
+
+test('wall clocks round-trip through a zone', () => {
+  const at = new Date('2026-07-01T18:15:00Z');
+  for (const tz of ['UTC', 'Asia/Kathmandu', 'America/Los_Angeles', 'Australia/Lord_Howe']) {
+    assert.equal(time.fromWallClock(time.toWallClock(at, tz), tz).getTime(), at.getTime(), tz);
+  }
+});
+
+test('dateKey and isoWithOffset use the local date', () => {
+  const at = new Date('2026-10-19T20:00:00Z');
+  assert.equal(time.dateKey(at, 'UTC'), '2026-10-19');
+  assert.equal(time.dateKey(at, 'Asia/Kathmandu'), '2026-10-20');
+  assert.equal(time.isoWithOffset(at, 'Asia/Kathmandu'), '2026-10-20T01:45:00+05:45');
+});
+
+test('parseDuration', () => {
+  assert.equal(time.parseDuration('90'), 90);
+  assert.equal(time.parseDuration('15m'), 15);
+  assert.equal(time.parseDuration('2h'), 120);
+  assert.equal(time.parseDuration('1h30m'), 90);
+  assert.equal(time.parseDuration('1d'), 1440);
+  assert.equal(time.parseDuration('1w'), 10080);
+  assert.equal(time.parseDuration('0'), null);
+  assert.equal(time.parseDuration('soon'), null);
+  assert.equal(time.parseDuration(''), null);
+});
@@ -0,0 +1,74 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnv, startLlmStub, migrate } = require('./support');
+
+const BASIC = '977666@c.us';
+const VIP = '977777@c.us';
+
+let stub;
+let llm;
+let usageTracker;
+
+before(async () => {
+  // Every stub completion costs 27 tokens
+  stub = await startLlmStub([['', 'ok']]);
+  useTestEnv({
+    OPENAI_BASE_URL: stub.url,
+    LLM_BUDGET_DAILY: '0=100',
+    LLM_BUDGET_MONTHLY: '1=1000',
+    LLM_BUDGET_ECONOMY_AT: '0.8',
+    LLM_ECONOMY_MODELS: 'openai=tiny-model',
+  });
+  migrate();
+  const contactsRepo = require('../src/database/repositories/contacts.repo');
+  contactsRepo.upsert(BASIC);
+  contactsRepo.upsert(VIP);
+  llm = require('../src/ai/llm-client');
+  usageTracker = require('../src/services/usage-tracker');
+  usageTracker.init();
+});
+
+after(async () => {
+  require('../src/database/connection').closeDb();
+  await stub.close();
+});
+
+test('every completion is recorded against its contact and purpose', async () => {
+  await llm.generate('intent?', { task: 'intent', jid: BASIC });
+  await llm.sendMessage(llm.createChat('persona', { jid: BASIC }), 'hi');
+  await llm.generate('summary?', { task: 'summary' });
+
+  const report = usageTracker.getReport({ jid: BASIC });
+  assert.equal(report.period, 'day');
+  assert.deepEqual(report.totals, { calls: 2, prompt_tokens: 40, completion_tokens: 14, total_tokens: 54 });
+  assert.deepEqual(report.byPurpose.map((p) => p.purpose).sort(), ['chat', 'intent']);
+
+  const overall = usageTracker.getReport({ period: 'month' });
+  assert.equal(overall.totals.calls, 3);
+  assert.deepEqual(overall.topContacts.map((c) => [c.jid, c.total_tokens]), [[BASIC, 54]]);
+});
+
+test('a tier budget turns to economy near its limit and runs out at it', async () => {
+  const basic = { jid: BASIC, vip_tier: 0 };
+  assert.deepEqual(usageTracker.checkBudget(basic), { status: 'ok', day: { used: 54, limit: 100 }, month: null });
+
+  await llm.generate('more', { task: 'learning', jid: BASIC });
+  assert.equal(usageTracker.checkBudget(basic).status, 'economy');
+
+  await llm.generate('and more', { task: 'learning', jid: BASIC });
+  assert.deepEqual(usageTracker.checkBudget(basic), { status: 'exhausted', day: { used: 108, limit: 100 }, month: null });
+
+  // Other tiers have their own (or no) budget
+  await llm.generate('vip', { jid: VIP });
+  assert.deepEqual(usageTracker.checkBudget({ jid: VIP, vip_tier: 1 }), { status: 'ok', day: null, month: { used: 27, limit: 1000 } });
+  assert.deepEqual(usageTracker.checkBudget({ jid: VIP, vip_tier: 2 }), { status: 'ok', day: null, month: null });
+});
+
+test('economy calls use the provider\'s cheaper model', async () => {
+  await llm.generate('cheap', { economy: true });
+  assert.equal(stub.requests[stub.requests.length - 1].model, 'tiny-model');
+  await llm.generate('normal');
+  assert.equal(stub.requests[stub.requests.length - 1].model, 'llama3.1');
+});
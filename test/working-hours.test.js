@@ -0,0 +1,78 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const workingHours = require('../src/core/working-hours');
+
+const iso = (periods) => periods.map((w) => [w.start.toISOString(), w.end.toISOString()]);
+
+test('parse lists each weekday\'s ranges in order', () => {
+  const week = workingHours.parse('Mon-Wed 13:30-17:00,09:00-12:30; fri 10:00-24:00');
+  assert.deepEqual(week, [
+    [],
+    [[540, 750], [810, 1020]],
+    [[540, 750], [810, 1020]],
+    [[540, 750], [810, 1020]],
+    [],
+    [[600, 1440]],
+    [],
+  ]);
+});
+
+test('a day range may wrap the week', () => {
+  const week = workingHours.parse('Fri-Mon 10:00-14:00; Wednesday 08:00-09:00');
+  assert.deepEqual(week.map((ranges) => ranges.length), [1, 1, 0, 1, 0, 1, 1]);
+  assert.deepEqual(workingHours.parse('Sun-Sun 10:00-11:00').map((ranges) => ranges.length), [1, 0, 0, 0, 0, 0, 0]);
+});
+
+test('parse rejects overlaps and malformed text with a 400', () => {
+  const rejects = (text, pattern) => assert.throws(() => workingHours.parse(text), (err) => err.status === 400 && pattern.test(err.message));
+  rejects('Mon-Fri 09:00-17:00; Fri 16:00-18:00', /Overlapping working hours on Fri/);
+  rejects('Sat-Mon 09:00-12:00; Sun 11:00-13:00', /Overlapping working hours on Sun/);
+  rejects('Mon 09:00-12:00,11:59-13:00', /Overlapping working hours on Mon/);
+  rejects('', /empty/);
+  rejects('Mon-Fri', /Invalid working hours/);
+  rejects('Mon 17:00-09:00', /must end after it starts/);
+  rejects('Mon 09:00', /Invalid time range/);
+  rejects('Mon 9-17', /Invalid time "9"/);
+  rejects('Mon 24:30-24:45', /Invalid time "24:30"/);
+  rejects('Mo 09:00-17:00', /Unknown day "Mo"/);
+
+  // Back-to-back ranges touch but don't overlap
+  assert.deepEqual(workingHours.parse('Mon 09:00-12:00,12:00-13:00')[1], [[540, 720], [720, 780]]);
+});
+
+test('windows follow the wall clock across DST changes', () => {
+  const week = workingHours.parse('Mon-Sun 09:00-17:00');
+  const spring = workingHours.windows(week, new Date('2026-03-28T00:00:00Z'), new Date('2026-03-30T00:00:00Z'), 'Europe/Berlin');
+  assert.deepEqual(iso(spring), [
+    ['2026-03-28T08:00:00.000Z', '2026-03-28T16:00:00.000Z'],
+    ['2026-03-29T07:00:00.000Z', '2026-03-29T15:00:00.000Z'],
+  ]);
+
+  const autumn = workingHours.windows(week, new Date('2026-10-24T00:00:00Z'), new Date('2026-10-26T00:00:00Z'), 'Europe/Berlin');
+  assert.deepEqual(iso(autumn), [
+    ['2026-10-24T07:00:00.000Z', '2026-10-24T15:00:00.000Z'],
+    ['2026-10-25T08:00:00.000Z', '2026-10-25T16:00:00.000Z'],
+  ]);
+
+  // The night of the change is an hour shorter
+  const night = workingHours.parse('Sun 00:00-06:00');
+  const [short] = workingHours.windows(night, new Date('2026-03-28T12:00:00Z'), new Date('2026-03-30T00:00:00Z'), 'Europe/Berlin');
+  assert.equal(short.end - short.start, 5 * 60 * 60 * 1000);
+});
+
+test('windows are clipped to the range and contains needs one whole window', () => {
+  const week = workingHours.parse('Mon-Fri 09:00-12:00,13:00-17:00');
+  const from = new Date('2026-06-01T10:30:00Z'); // a Monday
+  const to = new Date('2026-06-02T09:30:00Z');
+  assert.deepEqual(iso(workingHours.windows(week, from, to, 'UTC')), [
+    ['2026-06-01T10:30:00.000Z', '2026-06-01T12:00:00.000Z'],
+    ['2026-06-01T13:00:00.000Z', '2026-06-01T17:00:00.000Z'],
+    ['2026-06-02T09:00:00.000Z', '2026-06-02T09:30:00.000Z'],
+  ]);
+
+  assert.equal(workingHours.contains(week, new Date('2026-06-01T11:00:00Z'), new Date('2026-06-01T12:00:00Z'), 'UTC'), true);
+  assert.equal(workingHours.contains(week, new Date('2026-06-01T11:30:00Z'), new Date('2026-06-01T13:30:00Z'), 'UTC'), false);
+  assert.equal(workingHours.contains(week, new Date('2026-06-06T10:00:00Z'), new Date('2026-06-06T11:00:00Z'), 'UTC'), false);
+});